@@ -1,6 +1,8 @@
 // Cast 管理模块：处理角色进场/退场与分层逻辑
 // 实现设计文档第 9 节的 Cast 管理功能
 
+import { buildEntityAliasMap, resolveEntityAlias } from "./entities.js";
+
 /**
  * @typedef {Object|string} CastEnterItem
  * 可以是简单的字符串（角色名），或包含 preferredLayer 的对象
@@ -51,7 +53,8 @@ const DEFAULT_LIMITS = {
  * 4. 处理 leave 提案：
  *    - 对 alwaysKeep 和 fixedInScene 中的角色忽略 leave 提案
  *    - 其他角色可以退场
- * 5. 确保各层不超过数量上限
+ * 5. enter / leave 中的角色别名（availableCharacters 的 aliases）换成主名称
+ * 6. 确保各层不超过数量上限
  * 
  * @param {import("../core/engine-state.js").CeCastLayer} currentCast - 当前 Cast 状态
  * @param {CastIntent} castIntent - Cast 变更意图
@@ -76,6 +79,9 @@ export function applyCastIntent(currentCast, castIntent, options = {}) {
   // 创建保护名单（不能被移除的角色）
   const protectedNames = new Set([...alwaysKeep, ...fixedInScene]);
 
+  // 别名 → 主名称（Cast 中只记录主名称）
+  const aliasMap = buildEntityAliasMap(availableCharacters);
+
   // 处理 leave 提案（兼容字符串与对象 { name }）
   if (Array.isArray(castIntent.leave)) {
     for (const item of castIntent.leave) {
@@ -85,7 +91,7 @@ export function applyCastIntent(currentCast, castIntent, options = {}) {
       } else if (item && typeof item === "object") {
         name = String(item.name || "").trim();
       }
-      const trimmedName = String(name || "").trim();
+      const trimmedName = resolveEntityAlias(name, aliasMap);
       if (!trimmedName || protectedNames.has(trimmedName)) {
         continue; // 跳过空名称和受保护的角色
       }
@@ -105,9 +111,9 @@ export function applyCastIntent(currentCast, castIntent, options = {}) {
       let preferredLayer = null;
       
       if (typeof item === "string") {
-        trimmedName = item.trim();
+        trimmedName = resolveEntityAlias(item, aliasMap);
       } else if (item && typeof item === "object") {
-        trimmedName = String(item.name || "").trim();
+        trimmedName = resolveEntityAlias(item.name || "", aliasMap);
         preferredLayer = item.preferredLayer || null;
       } else {
         continue;
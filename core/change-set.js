@@ -1,6 +1,8 @@
 // ChangeSet（git 风格 diff）定义与基础工具。
 // 仅负责抽象「本轮意图」的数据结构，不直接依赖 SillyTavern。
 
+import { withParsedPath } from "./variables.js";
+
 /**
  * @typedef {Object} CeVariableOp
  * @property {string|undefined} [path]       // 人类可读路径，如 "艾莉娅.好感度.林原"
@@ -45,6 +47,14 @@
  * @property {CeLocationHintDelta|undefined} [locationHint]
  * @property {CeSceneTagsDelta|undefined} [sceneTags]
  * @property {CeCastIntent|undefined} [castIntent]
+ * @property {CeCastLayerSet|undefined} [castSet]   // 直接替换 Cast 层（仅用于作者覆盖）
+ */
+
+/**
+ * @typedef {Object} CeCastLayerSet
+ * @property {string[]|undefined} [focus]
+ * @property {string[]|undefined} [presentSupporting]
+ * @property {string[]|undefined} [offstageRelated]
  */
 
 /**
@@ -68,6 +78,13 @@
  * @property {CeSceneDelta|undefined} [sceneDelta]
  * @property {CeEntityOp[]|undefined} [entityDelta]  // 实体运行时状态与临时实体的变更意图
  * @property {Object|undefined} [worldIntent]        // WorldContextIntent 的结构化结果
+ * @property {import("./triggers.js").CeTriggerEvent[]|undefined} [triggerEvents] // 本轮触发的阈值触发器（解析时写入，回放时记录）
+ * @property {import("./op-validator.js").CeOpWarning[]|undefined} [opWarnings]   // 变量操作校验警告（解析时写入，仅供观察）
+ * @property {import("./parse-repair.js").CeParseRepairInfo|undefined} [parseRepair] // 解析输出自我修正记录（次数、估算 token、问题，仅供观察）
+ * @property {boolean|undefined} [continuesTurn]   // 回复后解析的 ChangeSet：作为本轮的延续应用，不推进轮次
+ * @property {CeChangeSet|undefined} [authorOverride] // 作者在观察器中手动修正的状态（全部为 set 语义），在本 ChangeSet 之后应用
+ * @property {"author"|undefined} [source]          // 作者覆盖 ChangeSet 的来源标记
+ * @property {boolean|undefined} [undone]          // 撤销留下的空占位：原 ChangeSet 保存在重做栈中
  */
 
 /**
@@ -242,4 +259,159 @@ export function composeChangeSet(stateDelta, sceneDelta, entityDelta, worldInten
     cs.worldIntent = worldIntent;
   }
   return cs;
-}
\ No newline at end of file
+}
+/**
+ * 生成变量操作的比较键（路径 + 操作 + 符号 + 值）
+ * @param {CeVariableOp|any} op
+ * @returns {string}
+ */
+function getVariableOpKey(op) {
+  const path = op?.path || op?.key || op?.parsedPath?.raw || "";
+  return `${path}|${op?.op || "set"}|${op?.symbol ?? ""}|${JSON.stringify(op?.value ?? null)}`;
+}
+
+/**
+ * 合并同一轮的「提前解析」与「回复后解析」结果（parseMode = both）。
+ *
+ * 合并规则（保证确定性）：
+ * - 两份 ChangeSet 分别存储：提前解析结果在用户消息上，于轮次开始时应用；
+ *   回复后解析结果在 AI 消息上（continuesTurn），随后作为本轮延续应用；
+ * - 因此同一路径上 set 以回复后解析为准，add / 符号化操作依次叠加；
+ * - 两次解析都能看到本轮玩家输入，回复后解析中与提前解析完全相同的变量操作、
+ *   已添加/移除的场景标签、已进场/离场的角色视为重复记录，从回复后解析结果中去除，
+ *   变量操作的去除记录在 opWarnings 中（action = "duplicate"）。
+ *
+ * @param {CeChangeSet|null} earlyChangeSet - 本轮提前解析的 ChangeSet
+ * @param {CeChangeSet} postChangeSet - 本轮回复后解析的 ChangeSet
+ * @returns {{ changeSet: CeChangeSet, duplicates: number }} 去重后的回复后解析 ChangeSet（返回新对象）
+ */
+export function mergeTurnChangeSets(earlyChangeSet, postChangeSet) {
+  const post = postChangeSet && typeof postChangeSet === "object" ? postChangeSet : {};
+  const merged = { ...post, continuesTurn: true };
+  if (!earlyChangeSet || typeof earlyChangeSet !== "object") {
+    return { changeSet: merged, duplicates: 0 };
+  }
+
+  let duplicates = 0;
+
+  // 1. 变量操作
+  const earlyKeys = new Set(
+    (Array.isArray(earlyChangeSet.stateDelta?.variables) ? earlyChangeSet.stateDelta.variables : [])
+      .map(getVariableOpKey)
+  );
+  const postVars = Array.isArray(post.stateDelta?.variables) ? post.stateDelta.variables : [];
+  if (earlyKeys.size && postVars.length) {
+    const kept = [];
+    const warnings = [];
+    for (const v of postVars) {
+      if (earlyKeys.has(getVariableOpKey(v))) {
+        warnings.push({
+          path: String(v?.path || v?.key || ""),
+          action: "duplicate",
+          message: "与本轮提前解析结果相同，视为重复记录并去除",
+          original: v?.op === "symbolic" ? v.symbol : v?.value
+        });
+      } else {
+        kept.push(v);
+      }
+    }
+    if (warnings.length) {
+      duplicates += warnings.length;
+      merged.stateDelta = { ...post.stateDelta, variables: kept };
+      merged.opWarnings = [...(Array.isArray(post.opWarnings) ? post.opWarnings : []), ...warnings];
+    }
+  }
+
+  // 2. 场景标签与 Cast（覆盖语义的 set 不去重）
+  const earlyScene = earlyChangeSet.sceneDelta || {};
+  const postScene = post.sceneDelta;
+  if (postScene && typeof postScene === "object") {
+    const scene = { ...postScene };
+    const dropSeen = (list, seenList) => {
+      if (!Array.isArray(list)) return list;
+      const seen = new Set(Array.isArray(seenList) ? seenList : []);
+      const result = list.filter(item => !seen.has(item));
+      duplicates += list.length - result.length;
+      return result;
+    };
+    const dropSeenNames = (list, seenList) => {
+      if (!Array.isArray(list)) return list;
+      const seen = new Set((Array.isArray(seenList) ? seenList : []).map(e => e?.name));
+      const result = list.filter(e => !seen.has(e?.name));
+      duplicates += list.length - result.length;
+      return result;
+    };
+
+    if (postScene.sceneTags && !Array.isArray(postScene.sceneTags.set)) {
+      scene.sceneTags = {
+        ...postScene.sceneTags,
+        add: dropSeen(postScene.sceneTags.add, earlyScene.sceneTags?.add),
+        remove: dropSeen(postScene.sceneTags.remove, earlyScene.sceneTags?.remove)
+      };
+    }
+    if (postScene.castIntent) {
+      scene.castIntent = {
+        ...postScene.castIntent,
+        enter: dropSeenNames(postScene.castIntent.enter, earlyScene.castIntent?.enter),
+        leave: dropSeenNames(postScene.castIntent.leave, earlyScene.castIntent?.leave)
+      };
+    }
+    merged.sceneDelta = scene;
+  }
+
+  return { changeSet: merged, duplicates };
+}
+
+/**
+ * 根据作者在观察器中填写的修正值构建「作者覆盖」ChangeSet。
+ * 所有操作均为 set 语义：变量直接设值、地点直接切换、场景标签与 Cast 层整体替换；
+ * 未提供（undefined）的部分保持解析结果不变。
+ *
+ * @param {Object} edits
+ * @param {Array<{ path: string, value: any }>} [edits.variables]
+ * @param {string|null} [edits.location]
+ * @param {string[]} [edits.sceneTags]
+ * @param {CeCastLayerSet} [edits.cast]
+ * @returns {CeChangeSet|null} 没有任何修正时返回 null
+ */
+export function createAuthorOverrideChangeSet(edits) {
+  if (!edits || typeof edits !== "object") return null;
+
+  /** @type {CeChangeSet} */
+  const changeSet = { ...createEmptyChangeSet(), source: "author" };
+  let hasEdits = false;
+
+  const variables = (Array.isArray(edits.variables) ? edits.variables : [])
+    .filter(v => v && typeof v.path === "string" && v.path.trim())
+    .map(v => {
+      const path = v.path.trim();
+      return withParsedPath({ path, key: path, op: "set", value: v.value, meta: { source: "author" } });
+    });
+  if (variables.length) {
+    changeSet.stateDelta = { variables };
+    hasEdits = true;
+  }
+
+  /** @type {CeSceneDelta} */
+  const sceneDelta = {};
+  if (edits.location !== undefined) {
+    sceneDelta.locationCastIntent = { setCurrent: edits.location ? String(edits.location).trim() || null : null };
+  }
+  if (Array.isArray(edits.sceneTags)) {
+    sceneDelta.sceneTags = { set: [...edits.sceneTags] };
+  }
+  if (edits.cast && typeof edits.cast === "object") {
+    /** @type {CeCastLayerSet} */
+    const castSet = {};
+    for (const layer of ["focus", "presentSupporting", "offstageRelated"]) {
+      if (Array.isArray(edits.cast[layer])) castSet[layer] = [...edits.cast[layer]];
+    }
+    if (Object.keys(castSet).length) sceneDelta.castSet = castSet;
+  }
+  if (Object.keys(sceneDelta).length) {
+    changeSet.sceneDelta = sceneDelta;
+    hasEdits = true;
+  }
+
+  return hasEdits ? changeSet : null;
+}
@@ -0,0 +1,148 @@
+// 数值参数自然衰减/漂移模块：每轮在解析操作之前，将数值型参数向基线移动
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑
+
+import { clampToRange } from "./symbolic-mapper.js";
+
+/**
+ * @typedef {import("./variables.js").CeParameterDefinition} CeParameterDefinition
+ */
+
+/**
+ * @typedef {Object} CeDecayConfig
+ * @property {"linear"|"exponential"|"stepwise"} mode
+ *   - linear：每轮向基线移动 rate（绝对值）
+ *   - exponential：每轮缩小与基线距离的 rate 比例（0~1）
+ *   - stepwise：每隔 interval 轮向基线移动 rate（绝对值）
+ * @property {number} rate            // 移动量或比例，必须大于 0
+ * @property {number} [baseline]      // 基线值，默认 0（会被 range 截断）
+ * @property {number} [interval]      // stepwise 的间隔轮数，默认 1
+ * @property {number} [delay]         // 最近一次写入后的宽限轮数，宽限期内不衰减，默认 0
+ */
+
+const DECAY_MODES = new Set(["linear", "exponential", "stepwise"]);
+
+/**
+ * 规范化参数定义中的 decay 配置，不合法时返回 null。
+ * @param {any} decay
+ * @param {{ min?: number, max?: number }} [range]
+ * @returns {Required<CeDecayConfig>|null}
+ */
+export function normalizeDecayConfig(decay, range) {
+  if (!decay || typeof decay !== "object") return null;
+  if (!DECAY_MODES.has(decay.mode)) return null;
+
+  const rate = Number(decay.rate);
+  if (!Number.isFinite(rate) || rate <= 0) return null;
+
+  const baselineRaw = Number(decay.baseline);
+  const baseline = clampToRange(Number.isFinite(baselineRaw) ? baselineRaw : 0, range).value;
+  const interval = Number(decay.interval);
+  const delay = Number(decay.delay);
+
+  return {
+    mode: decay.mode,
+    rate: decay.mode === "exponential" ? Math.min(rate, 1) : rate,
+    baseline,
+    interval: Number.isFinite(interval) && interval >= 1 ? Math.floor(interval) : 1,
+    delay: Number.isFinite(delay) && delay > 0 ? Math.floor(delay) : 0
+  };
+}
+
+/**
+ * 计算单个数值在本轮衰减后的结果。
+ *
+ * @param {number} value - 当前值
+ * @param {Required<CeDecayConfig>} decay - 规范化后的配置
+ * @param {number} idleTurns - 距离最近一次写入经过的轮数（含本轮）
+ * @param {{ min?: number, max?: number }} [range]
+ * @returns {number}
+ */
+export function computeDecayedValue(value, decay, idleTurns, range) {
+  if (typeof value !== "number" || Number.isNaN(value)) return value;
+  if (idleTurns <= decay.delay) return value;
+
+  const { baseline, rate } = decay;
+  const diff = baseline - value;
+  if (diff === 0) return value;
+
+  let next = value;
+  if (decay.mode === "linear") {
+    next = value + Math.sign(diff) * Math.min(rate, Math.abs(diff));
+  } else if (decay.mode === "stepwise") {
+    if ((idleTurns - decay.delay) % decay.interval !== 0) return value;
+    next = value + Math.sign(diff) * Math.min(rate, Math.abs(diff));
+  } else if (decay.mode === "exponential") {
+    next = baseline - diff * (1 - rate);
+    // 保留两位小数，足够接近时直接落到基线，避免无限逼近
+    next = Math.round(next * 100) / 100;
+    if (Math.abs(next - baseline) < 0.01) next = baseline;
+  }
+
+  return clampToRange(next, range).value;
+}
+
+/**
+ * 对 EngineState 中所有配置了 decay 的数值参数应用一轮衰减（原地修改）。
+ *
+ * 变量位置约定与 applyChangeSet 一致：bucket[subject][param] 或 bucket[subject][param][target]，
+ * 兼容扁平的 bucket[param]。
+ * 宽限期基于 state.lastWriteTurns 中记录的最近写入轮次（未记录时视为第 0 轮）。
+ *
+ * @param {import("./engine-state.js").EngineState} state
+ * @param {CeParameterDefinition[]} parameterDefs
+ */
+export function applyParameterDecay(state, parameterDefs) {
+  if (!state || !state.variables || !Array.isArray(parameterDefs)) return;
+
+  const turn = typeof state.turnCount === "number" ? state.turnCount : 0;
+  const lastWrites = state.lastWriteTurns && typeof state.lastWriteTurns === "object"
+    ? state.lastWriteTurns
+    : {};
+
+  for (const paramDef of parameterDefs) {
+    if (!paramDef || paramDef.type !== "number" || !paramDef.name) continue;
+    const decay = normalizeDecayConfig(paramDef.decay, paramDef.range);
+    if (!decay) continue;
+
+    const paramName = paramDef.name;
+
+    /**
+     * @param {Object} holder
+     * @param {string} field
+     * @param {string} key
+     */
+    const decayField = (holder, field, key) => {
+      const current = holder[field];
+      if (typeof current !== "number") return;
+      const idle = turn - (typeof lastWrites[key] === "number" ? lastWrites[key] : 0);
+      const next = computeDecayedValue(current, decay, idle, paramDef.range);
+      if (next !== current) {
+        holder[field] = next;
+        // eslint-disable-next-line no-console
+        console.debug(
+          `[CharacterEngine] 参数衰减：${key}, ${current} → ${next} (${decay.mode})`
+        );
+      }
+    };
+
+    for (const [scope, bucket] of Object.entries(state.variables)) {
+      if (!bucket || typeof bucket !== "object") continue;
+
+      // 扁平存储：bucket[param]
+      decayField(bucket, paramName, `${scope}:${paramName}`);
+
+      for (const [subject, subjectVars] of Object.entries(bucket)) {
+        if (!subjectVars || typeof subjectVars !== "object" || Array.isArray(subjectVars)) continue;
+        const value = subjectVars[paramName];
+        if (typeof value === "number") {
+          decayField(subjectVars, paramName, `${scope}:${subject}.${paramName}`);
+        } else if (value && typeof value === "object" && !Array.isArray(value)) {
+          // 关系型：bucket[subject][param][target]
+          for (const target of Object.keys(value)) {
+            decayField(value, target, `${scope}:${subject}.${paramName}.${target}`);
+          }
+        }
+      }
+    }
+  }
+}
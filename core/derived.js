@@ -0,0 +1,349 @@
+// 派生参数模块：type 为 "derived" 的参数不存储在 EngineState 中，而是在读取时由其它参数计算得出
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑
+
+import { parseVariablePath } from "./variables.js";
+
+/**
+ * @typedef {import("./variables.js").CeParameterDefinition} CeParameterDefinition
+ */
+
+/**
+ * @typedef {Object} CeDerivedStage
+ * @property {number} min     // 计算结果 >= min 时命中该阶段（取 min 最大的命中项）
+ * @property {string} value   // 阶段名，例如 "暧昧"
+ */
+
+/**
+ * @typedef {Object} CeDerivedConfig
+ * @property {string} formula             // 数值表达式，例如 "(好感度 + 信任度) / 2"
+ *   - 不含 "." 的标识符按被引用参数的 scope 补全路径：character / relationship 参数补上当前主体
+ *     （与提示条件的 ownerContext 规则一致），关系型参数会继续补上目标；scene / global 参数不需要主体，
+ *     因此 scene / global 派生参数的公式也可以直接写参数名，例如 "紧张度 * 2"
+ *   - 含 "." 的标识符视为完整路径，例如 "林原.好感度.艾莉娅"
+ *   - 支持 + - * / %、括号，以及 min / max / abs / round / floor / ceil / clamp 函数
+ * @property {CeDerivedStage[]} [stages]  // 可选：按阈值把数值结果映射为阶段名（枚举）
+ */
+
+const FORMULA_FUNCTIONS = {
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  abs: (x) => Math.abs(x),
+  round: (x) => Math.round(x),
+  floor: (x) => Math.floor(x),
+  ceil: (x) => Math.ceil(x),
+  clamp: (x, lo, hi) => Math.min(Math.max(x, lo), hi)
+};
+
+/** 不需要主体的参数 scope */
+const SUBJECTLESS_SCOPES = new Set(["scene", "global"]);
+
+/** @type {Map<string, any>} */
+const compiledCache = new Map();
+
+/** @type {Set<string>} */
+const warnedFormulas = new Set();
+
+/**
+ * 将表达式切分为 token
+ * @param {string} formula
+ * @returns {{ type: "num"|"ident"|"op", value: string }[]}
+ */
+function tokenize(formula) {
+  const tokens = [];
+  const text = String(formula ?? "");
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if ("+-*/%(),".includes(ch)) {
+      tokens.push({ type: "op", value: ch });
+      i++;
+      continue;
+    }
+    const numMatch = /^\d+(?:\.\d+)?/.exec(text.slice(i));
+    if (numMatch) {
+      tokens.push({ type: "num", value: numMatch[0] });
+      i += numMatch[0].length;
+      continue;
+    }
+    const identMatch = /^[^\s+\-*/%(),]+/.exec(text.slice(i));
+    tokens.push({ type: "ident", value: identMatch[0] });
+    i += identMatch[0].length;
+  }
+  return tokens;
+}
+
+/**
+ * 编译表达式为 AST（递归下降）。语法错误时抛出 Error。
+ * @param {string} formula
+ * @returns {any}
+ */
+export function compileFormula(formula) {
+  const cached = compiledCache.get(formula);
+  if (cached) return cached;
+
+  const tokens = tokenize(formula);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
+  const expectOp = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`表达式缺少「${value}」`);
+    }
+    pos++;
+  };
+
+  const parseExpr = () => {
+    let node = parseTerm();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[pos++].value;
+      node = { kind: "binary", op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOp("*") || isOp("/") || isOp("%")) {
+      const op = tokens[pos++].value;
+      node = { kind: "binary", op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOp("-") || isOp("+")) {
+      const op = tokens[pos++].value;
+      const operand = parseUnary();
+      return op === "-" ? { kind: "neg", operand } : operand;
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error("表达式意外结束");
+    }
+    if (token.type === "num") {
+      pos++;
+      return { kind: "num", value: Number(token.value) };
+    }
+    if (isOp("(")) {
+      pos++;
+      const node = parseExpr();
+      expectOp(")");
+      return node;
+    }
+    if (token.type === "ident") {
+      pos++;
+      if (isOp("(")) {
+        const fnName = token.value.toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(FORMULA_FUNCTIONS, fnName)) {
+          throw new Error(`不支持的函数「${token.value}」`);
+        }
+        pos++;
+        const args = [];
+        if (!isOp(")")) {
+          args.push(parseExpr());
+          while (isOp(",")) {
+            pos++;
+            args.push(parseExpr());
+          }
+        }
+        expectOp(")");
+        return { kind: "call", fn: fnName, args };
+      }
+      return { kind: "ref", name: token.value };
+    }
+    throw new Error(`无法识别的符号「${token.value}」`);
+  };
+
+  if (!tokens.length) {
+    throw new Error("表达式为空");
+  }
+  const ast = parseExpr();
+  if (pos < tokens.length) {
+    throw new Error(`无法识别的符号「${tokens[pos].value}」`);
+  }
+
+  compiledCache.set(formula, ast);
+  return ast;
+}
+
+/**
+ * 计算 AST。任一引用不是数值时返回 undefined。
+ * @param {any} node
+ * @param {(name: string) => any} resolveRef
+ * @returns {number|undefined}
+ */
+function evaluateNode(node, resolveRef) {
+  switch (node.kind) {
+    case "num":
+      return node.value;
+    case "ref": {
+      const v = resolveRef(node.name);
+      return typeof v === "number" && !Number.isNaN(v) ? v : undefined;
+    }
+    case "neg": {
+      const v = evaluateNode(node.operand, resolveRef);
+      return v === undefined ? undefined : -v;
+    }
+    case "call": {
+      const args = node.args.map(a => evaluateNode(a, resolveRef));
+      if (args.some(a => a === undefined)) return undefined;
+      return FORMULA_FUNCTIONS[node.fn](...args);
+    }
+    case "binary": {
+      const l = evaluateNode(node.left, resolveRef);
+      const r = evaluateNode(node.right, resolveRef);
+      if (l === undefined || r === undefined) return undefined;
+      switch (node.op) {
+        case "+": return l + r;
+        case "-": return l - r;
+        case "*": return l * r;
+        case "/": return r === 0 ? undefined : l / r;
+        case "%": return r === 0 ? undefined : l % r;
+        default: return undefined;
+      }
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * 计算表达式的值；表达式非法时输出一次警告并返回 undefined。
+ * @param {string} formula
+ * @param {(name: string) => any} resolveRef
+ * @returns {number|undefined}
+ */
+export function evaluateFormula(formula, resolveRef) {
+  let ast;
+  try {
+    ast = compileFormula(formula);
+  } catch (err) {
+    if (!warnedFormulas.has(formula)) {
+      warnedFormulas.add(formula);
+      // eslint-disable-next-line no-console
+      console.warn(`[CharacterEngine] 派生参数表达式无效："${formula}"`, err);
+    }
+    return undefined;
+  }
+  const result = evaluateNode(ast, resolveRef);
+  return typeof result === "number" && Number.isFinite(result) ? result : undefined;
+}
+
+/**
+ * 按阈值把数值映射为阶段名：取 min 不大于 value 的阶段中 min 最大的一项。
+ * @param {number} value
+ * @param {CeDerivedStage[]} stages
+ * @returns {string|undefined}
+ */
+export function pickDerivedStage(value, stages) {
+  let best = null;
+  for (const stage of stages) {
+    if (!stage || typeof stage.min !== "number" || stage.value == null) continue;
+    if (value >= stage.min && (!best || stage.min > best.min)) {
+      best = stage;
+    }
+  }
+  return best ? String(best.value) : undefined;
+}
+
+/**
+ * 计算某条路径上派生参数的值。
+ *
+ * @param {CeParameterDefinition} paramDef - type 为 "derived" 的参数定义
+ * @param {import("./variables.js").ParsedVariablePath} parsed - 读取路径
+ * @param {(path: string) => any} getValueByPath - 用于读取被引用参数（可以是其它派生参数）
+ * @param {CeParameterDefinition[]} parameterDefs
+ * @returns {number|string|undefined}
+ */
+export function computeDerivedValue(paramDef, parsed, getValueByPath, parameterDefs) {
+  const cfg = paramDef && paramDef.derived;
+  if (!cfg || typeof cfg.formula !== "string" || !cfg.formula.trim()) return undefined;
+
+  const { subjectName, targetName } = parsed;
+
+  const resolveRef = (name) => {
+    if (name.includes(".")) {
+      return getValueByPath(name);
+    }
+    // 裸标识符按被引用参数的 scope 补全（未定义的参数按派生参数自身的 scope）；
+    // scene / global 参数读取时忽略主体，没有主体时以 scope 名占位
+    const refDef = parameterDefs.find(p => p && (p.name === name || p.id === name));
+    const refScope = refDef?.scope || paramDef.scope || "character";
+    if (SUBJECTLESS_SCOPES.has(refScope)) {
+      return getValueByPath(`${subjectName || refScope}.${name}`);
+    }
+    if (!subjectName) return undefined;
+    const needsTarget = refScope === "relationship" && targetName;
+    return getValueByPath(needsTarget ? `${subjectName}.${name}.${targetName}` : `${subjectName}.${name}`);
+  };
+
+  const value = evaluateFormula(cfg.formula, resolveRef);
+  if (value === undefined) return undefined;
+
+  if (Array.isArray(cfg.stages) && cfg.stages.length > 0) {
+    return pickDerivedStage(value, cfg.stages);
+  }
+  // 保留两位小数，避免 (a + b) / 3 之类的长小数
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 包装一个路径取值函数，使其能够读取派生参数。
+ * 非派生参数直接交给原函数；派生参数按定义计算，并检测循环引用。
+ *
+ * @param {CeParameterDefinition[]} parameterDefs
+ * @param {(path: string) => any} baseGetter
+ * @returns {(path: string) => any}
+ */
+export function withDerivedParameters(parameterDefs, baseGetter) {
+  const defs = Array.isArray(parameterDefs) ? parameterDefs : [];
+  if (!defs.some(p => p && p.type === "derived")) {
+    return baseGetter;
+  }
+
+  /** @type {Set<string>} */
+  const evaluating = new Set();
+
+  const getter = (path) => {
+    const key = String(path || "").trim();
+    let parsed = parseVariablePath(key);
+    if (!parsed.parameterName && parsed.segments.length === 1) {
+      // 只有参数名的路径：scene / global 派生参数不需要主体
+      const subjectless = defs.find(p => p && (p.name === parsed.segments[0] || p.id === parsed.segments[0]));
+      if (subjectless && subjectless.type === "derived" && SUBJECTLESS_SCOPES.has(subjectless.scope)) {
+        parsed = { ...parsed, subjectName: null, parameterName: parsed.segments[0] };
+      }
+    }
+    const paramDef = parsed.parameterName
+      ? defs.find(p => p && (p.name === parsed.parameterName || p.id === parsed.parameterName))
+      : null;
+
+    if (!paramDef || paramDef.type !== "derived") {
+      return baseGetter(path);
+    }
+
+    if (evaluating.has(key)) {
+      // eslint-disable-next-line no-console
+      console.warn(`[CharacterEngine] 派生参数存在循环引用：${key}`);
+      return undefined;
+    }
+
+    evaluating.add(key);
+    try {
+      return computeDerivedValue(paramDef, parsed, getter, defs);
+    } finally {
+      evaluating.delete(key);
+    }
+  };
+
+  return getter;
+}
@@ -1,9 +1,12 @@
 // 核心状态模型：EngineState + 基础操作
 // 注意：本文件不依赖 SillyTavern 宿主，只做纯数据逻辑。
 
-import { resolveSymbolicOperation } from "./symbolic-mapper.js";
+import { resolveSymbolicOperation, isCustomSymbol } from "./symbolic-mapper.js";
 import { applyCastIntent, applyLocationCastIntent } from "./cast-manager.js";
 import { buildNormalizedEntities } from "./entities.js";
+import { applyParameterDecay } from "./decay.js";
+import { validateVariableOp, clampToParameterRange } from "./op-validator.js";
+import { findParameterDef } from "./variables.js";
 
 /**
  * @typedef {Object} CeVariablesState
@@ -44,6 +47,14 @@ import { buildNormalizedEntities } from "./entities.js";
  * @property {string[]|undefined} [characters]
  */
 
+/**
+ * @typedef {Object} CeShortTermTimer
+ * @property {string} scope          // 变量所在的桶（通常为 character）
+ * @property {string[]} path         // 桶内的嵌套路径片段，例如 ["艾莉娅","短期情绪"]
+ * @property {string} parameterName  // 对应的参数名（用于查找基线值）
+ * @property {number} remaining      // 剩余轮数，归零时回到基线
+ */
+
 /**
  * @typedef {Object} EngineState
  * @property {string} chatId                // 当前 chat 的标识（由 integration 层填充）
@@ -53,6 +64,12 @@ import { buildNormalizedEntities } from "./entities.js";
  * @property {CeLocationCast} locationCast  // 地点Cast（current + candidate）
  * @property {Object.<string, CeEntityRuntime>} entitiesRuntime // 运行时实体桶（仅存本条世界线下的临时实体与覆盖）
  * @property {Object|undefined} [worldIntent] // WorldContextIntent 对象（用于RAG检索）
+ * @property {Object.<string, CeShortTermTimer>} [shortTermTimers] // 短期参数计时器（随状态一起重建，保证回放一致）
+ * @property {number} [turnCount]           // 已应用的轮数（每次 applyChangeSet 加一）
+ * @property {Object.<string, number>} [lastWriteTurns] // 配置了 decay 的变量最近一次被写入的轮次，键为 "scope:路径"
+ * @property {Object.<string, number>} [firedTriggers]  // 已触发的一次性触发器（键为 "触发器ID@路径"，值为触发轮次）
+ * @property {string[]} [triggerPrompts]    // 本轮触发器产生的一次性提示（下一轮开始时清空）
+ * @property {string[]} [pendingTriggerPrompts] // 回复后解析（续轮 ChangeSet）触发的提示，延后到下一轮开始时生效
  */
 
 /**
@@ -101,7 +118,13 @@ export function createInitialEngineState(params) {
     entitiesRuntime: initialEntitiesRuntime && typeof initialEntitiesRuntime === "object"
       ? { ...initialEntitiesRuntime }
       : {},
-    worldIntent: undefined  // 初始化为 undefined，由 applyChangeSet 填充
+    worldIntent: undefined,  // 初始化为 undefined，由 applyChangeSet 填充
+    shortTermTimers: {},
+    turnCount: 0,
+    lastWriteTurns: {},
+    firedTriggers: {},
+    triggerPrompts: [],
+    pendingTriggerPrompts: []
   };
 
   return state;
@@ -163,6 +186,89 @@ function setNestedValue(obj, pathSegments, value) {
   current[lastSegment] = value;
 }
 
+/**
+ * 在嵌套对象中删除值（不清理空的中间对象）
+ * @param {Object} obj - 根对象
+ * @param {string[]} pathSegments - 路径片段数组
+ */
+function deleteNestedValue(obj, pathSegments) {
+  if (!pathSegments.length) return;
+  const parent = getNestedValue(obj, pathSegments.slice(0, -1));
+  if (parent && typeof parent === "object") {
+    delete parent[pathSegments[pathSegments.length - 1]];
+  }
+}
+
+/**
+ * 推进一轮短期参数计时器：剩余轮数减一，到期的变量回到基线值。
+ * 计时器保存在 EngineState 中，因此从 checkpoint 或初始状态回放都会得到相同结果。
+ * 若参数已不再标记为短期参数（作者修改了配置），仅丢弃计时器，不改动当前值。
+ *
+ * @param {EngineState} state - 将被原地修改的状态（调用方负责克隆）
+ * @param {import("./variables.js").CeParameterDefinition[]} parameterDefs
+ */
+function advanceShortTermTimers(state, parameterDefs) {
+  const timers = state.shortTermTimers;
+  if (!timers || typeof timers !== "object") {
+    state.shortTermTimers = {};
+    return;
+  }
+
+  for (const [key, timer] of Object.entries(timers)) {
+    const paramDef = findParameterDef(parameterDefs, timer?.parameterName);
+    if (!timer || !Array.isArray(timer.path) || !paramDef || paramDef.isShortTerm !== true) {
+      delete timers[key];
+      continue;
+    }
+
+    timer.remaining = (typeof timer.remaining === "number" ? timer.remaining : 1) - 1;
+    if (timer.remaining > 0) continue;
+
+    const bucket = state.variables?.[timer.scope];
+    if (bucket && typeof bucket === "object") {
+      if (paramDef.shortTermBaseline !== undefined) {
+        setNestedValue(bucket, timer.path, cloneBaseline(paramDef.shortTermBaseline));
+      } else {
+        deleteNestedValue(bucket, timer.path);
+      }
+      // eslint-disable-next-line no-console
+      console.debug(
+        `[CharacterEngine] 短期参数到期重置：路径=[${timer.path.join('.')}], 基线=${JSON.stringify(paramDef.shortTermBaseline)}`
+      );
+    }
+    delete timers[key];
+  }
+}
+
+/**
+ * 为本轮写入的短期参数（重新）启动计时器。
+ * @param {EngineState} state
+ * @param {string} scope
+ * @param {string[]} pathSegments
+ * @param {import("./variables.js").CeParameterDefinition} paramDef
+ */
+function startShortTermTimer(state, scope, pathSegments, paramDef) {
+  if (!state.shortTermTimers || typeof state.shortTermTimers !== "object") {
+    state.shortTermTimers = {};
+  }
+  const turns = Number(paramDef.shortTermTurns);
+  state.shortTermTimers[`${scope}:${pathSegments.join(".")}`] = {
+    scope,
+    path: [...pathSegments],
+    parameterName: paramDef.name,
+    remaining: Number.isFinite(turns) && turns >= 1 ? Math.floor(turns) : 1
+  };
+}
+
+/**
+ * 复制基线值，避免数组/对象基线在多个变量之间共享引用
+ * @param {any} value
+ * @returns {any}
+ */
+function cloneBaseline(value) {
+  return value && typeof value === "object" ? JSON.parse(JSON.stringify(value)) : value;
+}
+
 /**
  * 应用单个变量操作到嵌套结构
  * @param {Object} bucket - 变量桶（character/relationship/scene/global）
@@ -239,7 +345,8 @@ function applyVariableOperation(bucket, pathSegments, op, value, variableOp, par
   } else if (op === "add" && typeof value === "number") {
     const currentValue = getNestedValue(bucket, pathSegments);
     const oldVal = typeof currentValue === "number" ? currentValue : 0;
-    const newVal = oldVal + value;
+    const paramName = variableOp.parsedPath?.parameterName || variableOp.meta?.parameterName || variableOp.meta?.name;
+    const newVal = clampToParameterRange(oldVal + value, findParameterDef(parameterDefs, paramName));
     setNestedValue(bucket, pathSegments, newVal);
     // eslint-disable-next-line no-console
     console.debug(
@@ -259,19 +366,38 @@ function applyVariableOperation(bucket, pathSegments, op, value, variableOp, par
  * 支持符号化操作（up_small/up_medium/up_large等）的数值映射。
  * 支持嵌套路径存储（基于 parsedPath 的 subjectName/parameterName/targetName）。
  *
+ * 每次应用视为推进一轮：先推进短期参数计时器（到期的回到基线）、再按 decay 配置衰减数值参数，
+ * 最后应用本轮的变量操作。
+ * 例外：changeSet.continuesTurn 为 true 时（回复生成后对 AI 回复的解析），视为本轮的延续，不推进轮次；
+ * 其触发器提示延后到下一轮开始时生效，保证在下一次生成时注入。
+ *
  * @param {EngineState} prevState
  * @param {Object} changeSet
  * @param {import("./variables.js").CeParameterDefinition[]} [parameterDefs] - 参数定义数组，用于符号化操作解析
  * @param {import("./entities.js").CeEntityDefinition[]} [entityDefs] - 实体定义数组，用于 Cast 验证
+ * @param {Object|null} [castConfig] - Cast 上限配置（characterCast / locationCast）
  * @returns {EngineState}
  */
-export function applyChangeSet(prevState, changeSet, parameterDefs = [], entityDefs = []) {
+export function applyChangeSet(prevState, changeSet, parameterDefs = [], entityDefs = [], castConfig = null) {
   const next = cloneEngineState(prevState);
+  const continuesTurn = !!changeSet && typeof changeSet === "object" && changeSet.continuesTurn === true;
+  if (!continuesTurn) {
+    // 触发器提示只在触发当轮有效；上一轮回复后解析延后的提示在本轮生效
+    next.triggerPrompts = Array.isArray(next.pendingTriggerPrompts) ? [...next.pendingTriggerPrompts] : [];
+    next.pendingTriggerPrompts = [];
+  }
   if (!changeSet || typeof changeSet !== "object") {
     return next;
   }
 
-  const { stateDelta, sceneDelta, entityDelta, worldIntent } = changeSet;
+  const { stateDelta, sceneDelta, entityDelta, worldIntent, triggerEvents } = changeSet;
+
+  // 0. 推进一轮：短期参数到期回到基线，数值参数按 decay 向基线移动（均先于本轮操作）
+  if (!continuesTurn) {
+    next.turnCount = (typeof next.turnCount === "number" ? next.turnCount : 0) + 1;
+    advanceShortTermTimers(next, parameterDefs);
+    applyParameterDecay(next, parameterDefs);
+  }
 
   // 1. 变量（支持 set/add/symbolic 操作 + 嵌套路径）
   if (stateDelta && Array.isArray(stateDelta.variables)) {
@@ -284,26 +410,23 @@ export function applyChangeSet(prevState, changeSet, parameterDefs = [], entityD
       // 3. 基于 parsedPath 的智能推断（有 subjectName 则为 character）
       // 4. 最终兜底为 global
       let scope = v.scope;
+      const paramDef = findParameterDef(
+        parameterDefs,
+        v.parsedPath?.parameterName || v.meta?.parameterName || v.meta?.name
+      );
       
       if (!scope) {
-        // 尝试从参数定义中查找 scope
-        const parsed = v.parsedPath;
-        const paramName = parsed?.parameterName || v.meta?.parameterName || v.meta?.name;
-        
-        if (paramName && Array.isArray(parameterDefs)) {
-          const paramDef = parameterDefs.find(p => p.name === paramName || p.id === paramName);
-          if (paramDef) {
-            // 如果参数标记为短期参数，强制使用 character scope
-            if (paramDef.isShortTerm === true) {
-              scope = "character";
-            } else if (paramDef.scope) {
-              scope = paramDef.scope;
-            }
+        if (paramDef) {
+          // 如果参数标记为短期参数，强制使用 character scope
+          if (paramDef.isShortTerm === true) {
+            scope = "character";
+          } else if (paramDef.scope) {
+            scope = paramDef.scope;
           }
         }
         
         // 如果仍未确定 scope，但有 subjectName（路径式引用），推断为 character
-        if (!scope && parsed?.subjectName) {
+        if (!scope && v.parsedPath?.subjectName) {
           scope = "character";
         }
       }
@@ -313,14 +436,46 @@ export function applyChangeSet(prevState, changeSet, parameterDefs = [], entityD
         scope = "global";
       }
       
-      const op = v.op || "set";
-      const value = v.value;
+      let op = v.op || "set";
+      let value = v.value;
+      let variableOp = v;
+
+      // 参数自定义符号（如 betrayal）：解析器不认识，会以 set 值的形式传入，这里还原为符号化操作
+      if (op === "set" && isCustomSymbol(paramDef, value)) {
+        variableOp = { ...v, op: "symbolic", symbol: value, value: undefined };
+        op = "symbolic";
+        value = undefined;
+      }
 
       if (!Object.prototype.hasOwnProperty.call(next.variables, scope)) {
         continue;
       }
       const bucket = next.variables[scope];
 
+      // 派生参数只在读取时计算，不接受写入
+      if (paramDef && paramDef.type === "derived") {
+        // eslint-disable-next-line no-console
+        console.warn(
+          `[CharacterEngine] 参数 "${paramDef.name}" 为派生参数，忽略写入操作：`,
+          v
+        );
+        continue;
+      }
+
+      // 按参数定义规整或拒绝写入值（解析时已校验过的操作再次校验不会变化）
+      const checked = validateVariableOp(variableOp, paramDef);
+      if (checked.warning) {
+        // eslint-disable-next-line no-console
+        console.warn(
+          `[CharacterEngine] 变量操作校验（${checked.warning.action}）：${checked.warning.path} ${checked.warning.message}`
+        );
+      }
+      if (!checked.op) {
+        continue;
+      }
+      variableOp = checked.op;
+      value = variableOp.value;
+
       // 使用 parsedPath 构建嵌套路径（完全移除扁平键降级逻辑）
       const parsed = v.parsedPath;
       if (!parsed || !parsed.parameterName) {
@@ -338,7 +493,18 @@ export function applyChangeSet(prevState, changeSet, parameterDefs = [], entityD
       pathSegments.push(parsed.parameterName);
       if (parsed.targetName) pathSegments.push(parsed.targetName);
 
-      applyVariableOperation(bucket, pathSegments, op, value, v, parameterDefs);
+      applyVariableOperation(bucket, pathSegments, op, value, variableOp, parameterDefs);
+
+      if (paramDef && paramDef.isShortTerm === true) {
+        startShortTermTimer(next, scope, pathSegments, paramDef);
+      }
+      if (paramDef && paramDef.decay) {
+        // 记录写入轮次，用于 decay 的宽限期计算
+        if (!next.lastWriteTurns || typeof next.lastWriteTurns !== "object") {
+          next.lastWriteTurns = {};
+        }
+        next.lastWriteTurns[`${scope}:${pathSegments.join(".")}`] = next.turnCount;
+      }
     }
   }
 
@@ -404,6 +570,18 @@ export function applyChangeSet(prevState, changeSet, parameterDefs = [], entityD
       );
     }
 
+    // 作者覆盖：直接替换给出的 Cast 层（不做上限与角色校验）
+    if (sceneDelta.castSet && typeof sceneDelta.castSet === "object") {
+      for (const layer of ["focus", "presentSupporting", "offstageRelated"]) {
+        const names = sceneDelta.castSet[layer];
+        if (Array.isArray(names)) {
+          next.cast[layer] = Array.from(new Set(
+            names.filter(n => typeof n === "string" && n.trim()).map(n => n.trim())
+          ));
+        }
+      }
+    }
+
     // 4. 地点Cast管理（地点切换与候选地点）
     if (sceneDelta.locationCastIntent) {
       // 构建可用地点列表（配置层 + 运行时）
@@ -542,5 +720,35 @@ export function applyChangeSet(prevState, changeSet, parameterDefs = [], entityD
     next.worldIntent = worldIntent;
   }
 
+  // 6. 触发器记录（由 core/triggers.js 在生成 ChangeSet 时写入，这里只负责回放）
+  if (Array.isArray(triggerEvents) && triggerEvents.length) {
+    if (!next.firedTriggers || typeof next.firedTriggers !== "object") {
+      next.firedTriggers = {};
+    }
+    for (const event of triggerEvents) {
+      if (!event || typeof event.key !== "string") continue;
+      next.firedTriggers[event.key] = next.turnCount;
+      if (typeof event.prompt === "string" && event.prompt.trim()) {
+        if (continuesTurn) {
+          if (!Array.isArray(next.pendingTriggerPrompts)) next.pendingTriggerPrompts = [];
+          next.pendingTriggerPrompts.push(event.prompt.trim());
+        } else {
+          next.triggerPrompts.push(event.prompt.trim());
+        }
+      }
+    }
+  }
+
+  // 7. 作者覆盖：在观察器中手动修正的状态，作为本轮的延续在该楼层解析结果之后应用
+  if (changeSet.authorOverride && typeof changeSet.authorOverride === "object") {
+    return applyChangeSet(
+      next,
+      { ...changeSet.authorOverride, authorOverride: undefined, continuesTurn: true },
+      parameterDefs,
+      entityDefs,
+      castConfig
+    );
+  }
+
   return next;
 }
\ No newline at end of file
@@ -20,6 +20,11 @@
  * - id：
  *   - 可选的内部 ID，用于将来做稳定引用与运行时映射；
  *   - 当前阶段实体间的引用一律使用 name 进行自然语言对齐。
+ * - aliases：
+ *   - 同一实体的其它称呼（全名、名字、昵称等），例如「樱井美咲」的 aliases 为 ["美咲", "小咲"]；
+ *   - 解析输出、Cast 进场/离场、{{ce-var::…}} 模板、提示条目 ownerName 与 RAG 关键字检索中出现别名时，
+ *     一律视为该实体，状态与提示只以 name 记录；
+ *   - 与其它实体主名称相同、或被多个实体同时声明的别名会被忽略。
  * - type：
  *   - "character" / "location" / "other"。
  * - baseinfo：
@@ -54,6 +59,7 @@
  * @typedef {Object} CeEntityDefinition
  * @property {string} name
  * @property {string} [id]
+ * @property {string[]} [aliases] // 别名 / 昵称列表，匹配名称时视为同一实体
  * @property {CeEntityType} type
  * @property {string} [baseinfo]
  * @property {string} [parentLocation]
@@ -130,6 +136,7 @@ export function buildNormalizedEntities(configEntities, runtimeEntitiesMap, owne
    const merged = {
      name,
      id: (src.id || existing?.id || "").trim(),
+     aliases: mergeList(existing?.aliases, src.aliases).filter(alias => alias !== name),
      type: normalizeType(src.type, existing?.type),
      baseinfo: src.baseinfo || existing?.baseinfo || "",
      parentLocation: src.parentLocation || existing?.parentLocation || "",
@@ -255,11 +262,12 @@ export function buildNormalizedEntities(configEntities, runtimeEntitiesMap, owne
    }
  }
 
- // 6) 根据 ownerName 自动补全缺失实体（默认类型为 other）
+ // 6) 根据 ownerName 自动补全缺失实体（默认类型为 other；别名指向已有实体时不补全）
  if (Array.isArray(ownerNames)) {
+   const aliasMap = buildEntityAliasMap(Array.from(byName.values()));
    ownerNames.forEach((rawName) => {
      const name = typeof rawName === "string" ? rawName.trim() : "";
-     if (!name) return;
+     if (!name || aliasMap.has(name)) return;
      if (!byName.has(name)) {
        byName.set(name, {
          name,
@@ -353,4 +361,82 @@ export function buildNormalizedEntities(configEntities, runtimeEntitiesMap, owne
  }
 
  return Array.from(byName.values());
-}
\ No newline at end of file
+}
+
+/**
+ * 建立「别名 → 主名称」映射。
+ * 主名称本身不在表中；与其它实体主名称相同、或被多个实体同时声明的别名会被忽略。
+ *
+ * @param {CeEntityDefinition[]|undefined|null} entities
+ * @returns {Map<string, string>}
+ */
+export function buildEntityAliasMap(entities) {
+  /** @type {Map<string, string>} */
+  const aliasMap = new Map();
+  if (!Array.isArray(entities)) return aliasMap;
+
+  const names = new Set(
+    entities.map(e => (e && typeof e.name === "string" ? e.name.trim() : "")).filter(Boolean)
+  );
+  const conflicted = new Set();
+
+  for (const entity of entities) {
+    const name = entity && typeof entity.name === "string" ? entity.name.trim() : "";
+    if (!name || !Array.isArray(entity.aliases)) continue;
+    for (const raw of entity.aliases) {
+      const alias = typeof raw === "string" ? raw.trim() : "";
+      if (!alias || alias === name || names.has(alias) || conflicted.has(alias)) continue;
+      const existing = aliasMap.get(alias);
+      if (existing && existing !== name) {
+        aliasMap.delete(alias);
+        conflicted.add(alias);
+      } else {
+        aliasMap.set(alias, name);
+      }
+    }
+  }
+
+  return aliasMap;
+}
+
+/**
+ * 把名称换成实体主名称（不是别名时原样返回，去掉首尾空白）
+ * @param {string} name
+ * @param {Map<string, string>|null|undefined} aliasMap - buildEntityAliasMap() 的结果
+ * @returns {string}
+ */
+export function resolveEntityAlias(name, aliasMap) {
+  const trimmed = String(name ?? "").trim();
+  return (aliasMap && aliasMap.get(trimmed)) || trimmed;
+}
+
+/**
+ * 把变量路径中的主体与目标（第一段、第三段）换成实体主名称，例如 "美咲.好感度.小雪" → "樱井美咲.好感度.白石雪"
+ * @param {string} path
+ * @param {Map<string, string>|null|undefined} aliasMap - buildEntityAliasMap() 的结果
+ * @returns {string}
+ */
+export function resolveEntityAliasesInPath(path, aliasMap) {
+  const trimmed = String(path ?? "").trim();
+  if (!aliasMap || !aliasMap.size || !trimmed.includes(".")) return trimmed;
+  const segments = trimmed.split(".").map(s => s.trim());
+  segments[0] = resolveEntityAlias(segments[0], aliasMap);
+  if (segments.length >= 3) segments[2] = resolveEntityAlias(segments[2], aliasMap);
+  return segments.join(".");
+}
+
+/**
+ * 列出有别名的实体的全部称呼（主名称在前），用于 RAG 关键字检索扩展查询
+ * @param {CeEntityDefinition[]|undefined|null} entities
+ * @returns {string[][]}
+ */
+export function buildEntityNameGroups(entities) {
+  const aliasMap = buildEntityAliasMap(entities);
+  /** @type {Map<string, string[]>} */
+  const groups = new Map();
+  for (const [alias, name] of aliasMap) {
+    if (!groups.has(name)) groups.set(name, [name]);
+    groups.get(name).push(alias);
+  }
+  return Array.from(groups.values());
+}
@@ -0,0 +1,279 @@
+// 名称解析模块：把解析模型输出中的主体、参数、目标名称对齐到角色卡中已知的实体与参数
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑
+//
+// 设计要点：
+// - 解析模型常写简称（「美咲」而非「樱井美咲」）、全角 / 大小写不同的写法，或写参数 id 而非参数名；
+//   不对齐的话 applyChangeSet 会按新名称创建嵌套键，状态中出现重复的主体；
+// - 匹配顺序：精确名称 → 其它写法（参数 id 等）→ 规整后相同 → 唯一的包含关系 → 唯一的小编辑距离；
+//   同一步命中多个候选时视为有歧义，不做替换；
+// - 只在解析时对齐一次并写回 ChangeSet（记录在 opWarnings 中），回放已存储的 ChangeSet 不再重新匹配。
+
+import { boundedEditDistance } from "./text-distance.js";
+import { parseVariablePath, withParsedPath } from "./variables.js";
+
+/**
+ * @typedef {import("./variables.js").CeParameterDefinition} CeParameterDefinition
+ * @typedef {import("./entities.js").CeEntityDefinition} CeEntityDefinition
+ * @typedef {import("./op-validator.js").CeOpWarning} CeOpWarning
+ */
+
+/**
+ * 名称候选
+ * @typedef {Object} CeNameCandidate
+ * @property {string} name        // 规范名称（对齐后写回的名称）
+ * @property {string[]} [aliases] // 其它可接受的写法（参数 id、实体别名），按精确匹配处理
+ */
+
+/**
+ * 名称解析结果
+ * @typedef {Object} CeNameResolution
+ * @property {string|null} name  // 对齐后的规范名称；未能对齐时为 null
+ * @property {"exact"|"alias"|"normalized"|"partial"|"fuzzy"|"ambiguous"|"none"} method
+ * @property {string[]} [candidates] // method 为 ambiguous 时的候选名称
+ */
+
+const METHOD_LABELS = {
+  alias: "别名",
+  normalized: "写法规整",
+  partial: "部分匹配",
+  fuzzy: "近似匹配"
+};
+
+// 比较名称时忽略的字符：空白、间隔号、连字符、下划线、引号与括号
+const IGNORED_NAME_CHARS = /[\s·・•\-_'"“”‘’「」『』()（）]/g;
+
+/**
+ * 规整名称用于比较：NFKC（全角转半角等）、转小写、去掉空白与常见标点
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeName(name) {
+  return String(name ?? "").normalize("NFKC").toLowerCase().replace(IGNORED_NAME_CHARS, "");
+}
+
+/**
+ * 允许的近似匹配编辑距离：两个字以内的名称不做近似匹配，五个字以内允许 1 处差异，更长允许 2 处
+ * @param {number} length
+ * @returns {number}
+ */
+function getFuzzyDistanceLimit(length) {
+  if (length <= 2) return 0;
+  return length <= 5 ? 1 : 2;
+}
+
+/**
+ * 某一步命中的候选名称：唯一时返回结果，多个时返回歧义，没有时返回 null 交给下一步
+ * @param {string[]} names
+ * @param {CeNameResolution["method"]} method
+ * @returns {CeNameResolution|null}
+ */
+function pickUnique(names, method) {
+  const unique = [...new Set(names)];
+  if (unique.length === 1) return { name: unique[0], method };
+  if (unique.length > 1) return { name: null, method: "ambiguous", candidates: unique };
+  return null;
+}
+
+/**
+ * 把一个名称对齐到候选列表。
+ *
+ * @param {string} input
+ * @param {CeNameCandidate[]} candidates
+ * @returns {CeNameResolution}
+ */
+export function resolveName(input, candidates) {
+  const raw = String(input ?? "").trim();
+  const list = (Array.isArray(candidates) ? candidates : []).filter(c => c && typeof c.name === "string" && c.name);
+  if (!raw || !list.length) {
+    return { name: null, method: "none" };
+  }
+
+  if (list.some(c => c.name === raw)) {
+    return { name: raw, method: "exact" };
+  }
+
+  const byAlias = pickUnique(
+    list.filter(c => Array.isArray(c.aliases) && c.aliases.includes(raw)).map(c => c.name),
+    "alias"
+  );
+  if (byAlias) return byAlias;
+
+  const key = normalizeName(raw);
+  if (!key) {
+    return { name: null, method: "none" };
+  }
+  const keyed = list.map(c => ({
+    name: c.name,
+    keys: [c.name, ...(Array.isArray(c.aliases) ? c.aliases : [])].map(normalizeName).filter(Boolean)
+  }));
+
+  const byNormalized = pickUnique(keyed.filter(c => c.keys.includes(key)).map(c => c.name), "normalized");
+  if (byNormalized) return byNormalized;
+
+  // 包含关系：「美咲」↔「樱井美咲」；较短的一方至少两个字符，避免单字误配
+  const byPartial = pickUnique(
+    keyed
+      .filter(c => c.keys.some(k => Math.min(k.length, key.length) >= 2 && (k.includes(key) || key.includes(k))))
+      .map(c => c.name),
+    "partial"
+  );
+  if (byPartial) return byPartial;
+
+  // 近似匹配：只取距离最小的候选
+  let best = [];
+  let bestDistance = Infinity;
+  for (const c of keyed) {
+    for (const k of c.keys) {
+      const limit = getFuzzyDistanceLimit(Math.max(k.length, key.length));
+      if (limit <= 0) continue;
+      const distance = boundedEditDistance(k, key, limit);
+      if (distance > limit) continue;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = [c.name];
+      } else if (distance === bestDistance) {
+        best.push(c.name);
+      }
+    }
+  }
+  return pickUnique(best, "fuzzy") || { name: null, method: "none" };
+}
+
+/**
+ * 参数名称候选：参数名为规范名称，参数 id 作为其它写法
+ * @param {CeParameterDefinition[]} parameterDefs
+ * @returns {CeNameCandidate[]}
+ */
+export function buildParameterCandidates(parameterDefs) {
+  return (Array.isArray(parameterDefs) ? parameterDefs : [])
+    .filter(p => p && typeof p.name === "string" && p.name)
+    .map(p => ({ name: p.name, aliases: p.id && p.id !== p.name ? [p.id] : [] }));
+}
+
+/**
+ * 实体名称候选：角色卡实体（别名作为其它写法）+ 额外的已知名称（运行时实体、用户名等），同名只保留一个
+ * @param {CeEntityDefinition[]} entityDefs
+ * @param {string[]} [extraNames]
+ * @returns {CeNameCandidate[]}
+ */
+export function buildEntityCandidates(entityDefs, extraNames = []) {
+  const byName = new Map();
+  for (const e of Array.isArray(entityDefs) ? entityDefs : []) {
+    if (e && typeof e.name === "string" && e.name && !byName.has(e.name)) {
+      const aliases = Array.isArray(e.aliases)
+        ? e.aliases.filter(a => typeof a === "string" && a.trim() && a.trim() !== e.name).map(a => a.trim())
+        : [];
+      byName.set(e.name, { name: e.name, aliases });
+    }
+  }
+  for (const name of Array.isArray(extraNames) ? extraNames : []) {
+    if (typeof name === "string" && name && !byName.has(name)) {
+      byName.set(name, { name });
+    }
+  }
+  return [...byName.values()];
+}
+
+/**
+ * 生成名称对齐 / 未能对齐的警告
+ * @param {string} path
+ * @param {string} kind - 「主体」「参数」「目标」
+ * @param {string} input
+ * @param {CeNameResolution} resolution
+ * @returns {CeOpWarning|null}
+ */
+function buildNameWarning(path, kind, input, resolution) {
+  if (resolution.name) {
+    if (resolution.name === input) return null;
+    return {
+      path,
+      action: "renamed",
+      message: `${kind} "${input}" 对齐为 "${resolution.name}"（${METHOD_LABELS[resolution.method] || resolution.method}）`,
+      original: input,
+      value: resolution.name
+    };
+  }
+  const message = resolution.method === "ambiguous"
+    ? `${kind} "${input}" 可能指 ${resolution.candidates.map(n => `"${n}"`).join(" / ")}，无法确定，按原名称写入`
+    : `未知${kind} "${input}"，按原名称写入`;
+  return { path, action: "unresolved", message, original: input };
+}
+
+/**
+ * 对齐 ChangeSet 中变量操作路径的主体、参数与目标名称（返回新对象，不修改传入的 ChangeSet）。
+ * - 参数名对齐到参数定义（名称或 id），角色卡没有定义参数时不检查（自由变量模式）；
+ * - 主体只对 character / relationship 参数对齐（scene / global 参数的第一段只是占位），目标只对 relationship 参数对齐；
+ *   没有任何已知实体时不检查主体与目标；
+ * - 改写了名称的操作重新生成 parsedPath，所有对齐 / 未能对齐的记录追加到 changeSet.opWarnings。
+ *
+ * @param {Object} changeSet
+ * @param {{ parameterDefs?: CeParameterDefinition[], entityCandidates?: CeNameCandidate[] }} [options]
+ * @returns {{ changeSet: Object, warnings: CeOpWarning[] }}
+ */
+export function resolveChangeSetNames(changeSet, options = {}) {
+  const ops = changeSet?.stateDelta?.variables;
+  if (!Array.isArray(ops) || !ops.length) {
+    return { changeSet, warnings: [] };
+  }
+
+  const parameterDefs = Array.isArray(options.parameterDefs) ? options.parameterDefs : [];
+  const parameterCandidates = buildParameterCandidates(parameterDefs);
+  const entityCandidates = Array.isArray(options.entityCandidates) ? options.entityCandidates : [];
+
+  /** @type {CeOpWarning[]} */
+  const warnings = [];
+  let changed = false;
+
+  const variables = ops.map(op => {
+    const path = op?.path;
+    if (typeof path !== "string" || !path.trim()) return op;
+
+    const segments = parseVariablePath(path).segments.slice();
+    const addWarning = (kind, input, resolution) => {
+      const warning = buildNameWarning(path, kind, input, resolution);
+      if (warning) warnings.push(warning);
+    };
+
+    // 单段路径只可能是参数名（scene / global 参数）
+    const paramIndex = segments.length === 1 ? 0 : 1;
+    let paramDef = null;
+    if (parameterCandidates.length && segments[paramIndex]) {
+      const resolution = resolveName(segments[paramIndex], parameterCandidates);
+      addWarning("参数", segments[paramIndex], resolution);
+      if (resolution.name) {
+        segments[paramIndex] = resolution.name;
+        paramDef = parameterDefs.find(p => p && p.name === resolution.name) || null;
+      }
+    }
+
+    const scope = paramDef?.isShortTerm === true ? "character" : (paramDef?.scope || "character");
+    const entityIndexes = [];
+    if (segments.length >= 2 && (scope === "character" || scope === "relationship")) entityIndexes.push([0, "主体"]);
+    if (segments.length >= 3 && scope === "relationship") entityIndexes.push([2, "目标"]);
+    if (entityCandidates.length) {
+      for (const [index, kind] of entityIndexes) {
+        const resolution = resolveName(segments[index], entityCandidates);
+        addWarning(kind, segments[index], resolution);
+        if (resolution.name) segments[index] = resolution.name;
+      }
+    }
+
+    const resolvedPath = segments.join(".");
+    if (resolvedPath === path.trim()) return op;
+    changed = true;
+    return withParsedPath({ ...op, path: resolvedPath, ...(op.key !== undefined ? { key: resolvedPath } : {}) });
+  });
+
+  if (!warnings.length && !changed) {
+    return { changeSet, warnings };
+  }
+
+  return {
+    changeSet: {
+      ...changeSet,
+      stateDelta: { ...changeSet.stateDelta, variables },
+      opWarnings: [...(Array.isArray(changeSet.opWarnings) ? changeSet.opWarnings : []), ...warnings]
+    },
+    warnings
+  };
+}
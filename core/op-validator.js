@@ -0,0 +1,272 @@
+// 变量操作校验模块：按参数定义对解析模型产生的 CeVariableOp 做类型规整或拒绝
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑
+//
+// 设计要点：
+// - 解析完成时对 ChangeSet 整体校验一次，规整后的操作与逐条警告一起写回 ChangeSet（changeSet.opWarnings）；
+// - applyChangeSet 应用每条操作前同样调用 validateVariableOp，保证旧存档中的脏数据在回放时也不会写入状态；
+//   对已规整过的操作再次校验不会产生任何变化。
+
+import { isCustomSymbol, clampToRange } from "./symbolic-mapper.js";
+import { findParameterDef } from "./variables.js";
+
+/**
+ * @typedef {import("./variables.js").CeParameterDefinition} CeParameterDefinition
+ * @typedef {import("./change-set.js").CeVariableOp} CeVariableOp
+ */
+
+/**
+ * @typedef {Object} CeOpWarning
+ * @property {string} path                         // 操作路径，例如 "艾莉娅.好感度"
+ * @property {"coerced"|"clamped"|"rejected"|"duplicate"|"renamed"|"unresolved"} action
+ *   - coerced：值被转换为参数类型（例如 "60" → 60）
+ *   - clamped：数值超出 range，被截断到边界
+ *   - rejected：无法转换，操作被丢弃
+ *   - duplicate：回复后解析中与本轮提前解析相同的操作，被去除（见 change-set.js 的 mergeTurnChangeSets）
+ *   - renamed：路径中的主体 / 参数 / 目标名称对齐到了已知名称（original / value 为对齐前后的名称，见 name-resolver.js）
+ *   - unresolved：名称未能对齐到已知实体或参数，操作按原名称保留
+ * @property {string} message                      // 人类可读说明
+ * @property {any} [original]                      // 原始值
+ * @property {any} [value]                         // 规整后的值（rejected 时不存在）
+ */
+
+const KNOWN_OPS = new Set(["set", "add", "symbolic"]);
+const TRUE_WORDS = new Set(["true", "yes", "y", "1", "是", "真", "对", "开"]);
+const FALSE_WORDS = new Set(["false", "no", "n", "0", "否", "假", "错", "关"]);
+
+/**
+ * 获取操作对应的参数名（与 applyChangeSet 的查找顺序一致）
+ * @param {CeVariableOp|any} variableOp
+ * @returns {string|undefined}
+ */
+function getOpParameterName(variableOp) {
+  return variableOp?.parsedPath?.parameterName || variableOp?.meta?.parameterName || variableOp?.meta?.name;
+}
+
+/**
+ * 将任意值转换为有限数值，失败返回 null
+ * @param {any} value
+ * @returns {number|null}
+ */
+function toFiniteNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value === "string" && value.trim() !== "") {
+    const num = Number(value.trim());
+    return Number.isFinite(num) ? num : null;
+  }
+  return null;
+}
+
+/**
+ * 将数值截断到参数定义的 range
+ * @param {number} value
+ * @param {CeParameterDefinition|null} paramDef
+ * @returns {number}
+ */
+export function clampToParameterRange(value, paramDef) {
+  return clampToRange(value, paramDef?.range).value;
+}
+
+/**
+ * 按参数类型规整 set 操作的值
+ * @param {any} value
+ * @param {CeParameterDefinition} paramDef
+ * @returns {{ ok: true, value: any, action?: "coerced"|"clamped", message?: string } | { ok: false, message: string }}
+ */
+function coerceSetValue(value, paramDef) {
+  switch (paramDef.type) {
+    case "number": {
+      const num = toFiniteNumber(value);
+      if (num === null) {
+        return { ok: false, message: `数值参数收到非数值 ${JSON.stringify(value)}` };
+      }
+      const clamped = clampToParameterRange(num, paramDef);
+      if (clamped !== num) {
+        return { ok: true, value: clamped, action: "clamped", message: `${num} 超出范围，截断为 ${clamped}` };
+      }
+      if (typeof value !== "number") {
+        return { ok: true, value: num, action: "coerced", message: `文本 ${JSON.stringify(value)} 转换为数值 ${num}` };
+      }
+      return { ok: true, value };
+    }
+
+    case "boolean": {
+      if (typeof value === "boolean") return { ok: true, value };
+      const word = String(value ?? "").trim().toLowerCase();
+      if (TRUE_WORDS.has(word) || FALSE_WORDS.has(word)) {
+        const bool = TRUE_WORDS.has(word);
+        return { ok: true, value: bool, action: "coerced", message: `${JSON.stringify(value)} 转换为布尔值 ${bool}` };
+      }
+      return { ok: false, message: `布尔参数收到无法识别的值 ${JSON.stringify(value)}` };
+    }
+
+    case "enum": {
+      const enumValues = Array.isArray(paramDef.enumValues) ? paramDef.enumValues : [];
+      if (!enumValues.length) return { ok: true, value };
+      if (enumValues.includes(value)) return { ok: true, value };
+      const text = String(value ?? "").trim().toLowerCase();
+      const matched = text ? enumValues.find(v => String(v).trim().toLowerCase() === text) : undefined;
+      if (matched !== undefined) {
+        return { ok: true, value: matched, action: "coerced", message: `${JSON.stringify(value)} 对齐为枚举值 "${matched}"` };
+      }
+      return { ok: false, message: `${JSON.stringify(value)} 不在枚举值 [${enumValues.join(", ")}] 中` };
+    }
+
+    case "text": {
+      if (typeof value === "string") return { ok: true, value };
+      if (typeof value === "number" || typeof value === "boolean") {
+        return { ok: true, value: String(value), action: "coerced", message: `${JSON.stringify(value)} 转换为文本` };
+      }
+      return { ok: false, message: `文本参数收到非文本值 ${JSON.stringify(value)}` };
+    }
+
+    case "array": {
+      let arr = value;
+      let coerced = false;
+      if (typeof value === "string") {
+        try {
+          arr = JSON.parse(value);
+          coerced = true;
+        } catch (err) {
+          arr = null;
+        }
+      }
+      if (!Array.isArray(arr)) {
+        return { ok: false, message: `数组参数收到非数组值 ${JSON.stringify(value)}` };
+      }
+      const maxLength = paramDef.arrayConfig?.maxLength;
+      if (typeof maxLength === "number" && maxLength >= 0 && arr.length > maxLength) {
+        return {
+          ok: true,
+          value: arr.slice(0, maxLength),
+          action: "clamped",
+          message: `数组长度 ${arr.length} 超过上限 ${maxLength}，截断`
+        };
+      }
+      if (coerced) {
+        return { ok: true, value: arr, action: "coerced", message: "JSON 文本转换为数组" };
+      }
+      return { ok: true, value };
+    }
+
+    default:
+      return { ok: true, value };
+  }
+}
+
+/**
+ * 按参数定义校验单个变量操作。
+ * 没有参数定义的操作（作者未声明的自由变量）原样放行；符号化操作交给符号映射器处理。
+ *
+ * @param {CeVariableOp|any} variableOp
+ * @param {CeParameterDefinition|null} paramDef
+ * @returns {{ op: CeVariableOp|null, warning: CeOpWarning|null }}
+ *   - op 为 null 表示操作被拒绝
+ */
+export function validateVariableOp(variableOp, paramDef) {
+  if (!variableOp || typeof variableOp !== "object") {
+    return { op: null, warning: null };
+  }
+
+  const path = String(variableOp.path || variableOp.key || variableOp.parsedPath?.raw || "");
+  const opType = variableOp.op || "set";
+
+  if (!KNOWN_OPS.has(opType)) {
+    return {
+      op: null,
+      warning: { path, action: "rejected", message: `未知操作类型 "${opType}"`, original: variableOp.value }
+    };
+  }
+
+  if (!paramDef || opType === "symbolic") {
+    return { op: variableOp, warning: null };
+  }
+
+  if (paramDef.type === "derived") {
+    return {
+      op: null,
+      warning: { path, action: "rejected", message: `"${paramDef.name}" 为派生参数，不接受写入`, original: variableOp.value }
+    };
+  }
+
+  if (opType === "add") {
+    if (paramDef.type !== "number") {
+      return {
+        op: null,
+        warning: { path, action: "rejected", message: `add 操作只适用于数值参数（"${paramDef.name}" 为 ${paramDef.type}）`, original: variableOp.value }
+      };
+    }
+    const num = toFiniteNumber(variableOp.value);
+    if (num === null) {
+      return {
+        op: null,
+        warning: { path, action: "rejected", message: `add 操作的增量不是数值 ${JSON.stringify(variableOp.value)}`, original: variableOp.value }
+      };
+    }
+    if (num === variableOp.value) {
+      return { op: variableOp, warning: null };
+    }
+    return {
+      op: { ...variableOp, value: num },
+      warning: { path, action: "coerced", message: `增量 ${JSON.stringify(variableOp.value)} 转换为数值 ${num}`, original: variableOp.value, value: num }
+    };
+  }
+
+  // set：自定义符号（如 betrayal）由 applyChangeSet 还原为符号化操作，这里不做类型校验
+  if (isCustomSymbol(paramDef, variableOp.value)) {
+    return { op: variableOp, warning: null };
+  }
+
+  const result = coerceSetValue(variableOp.value, paramDef);
+  if (!result.ok) {
+    return {
+      op: null,
+      warning: { path, action: "rejected", message: result.message, original: variableOp.value }
+    };
+  }
+  if (!result.action) {
+    return { op: variableOp, warning: null };
+  }
+  return {
+    op: { ...variableOp, value: result.value },
+    warning: { path, action: result.action, message: result.message, original: variableOp.value, value: result.value }
+  };
+}
+
+/**
+ * 校验 ChangeSet 中的全部变量操作（返回新对象，不修改传入的 ChangeSet）。
+ * 被拒绝的操作从 stateDelta.variables 中移除，所有警告追加到 changeSet.opWarnings。
+ *
+ * @param {Object} changeSet
+ * @param {CeParameterDefinition[]} parameterDefs
+ * @returns {{ changeSet: Object, warnings: CeOpWarning[] }}
+ */
+export function validateChangeSetOps(changeSet, parameterDefs = []) {
+  const ops = changeSet?.stateDelta?.variables;
+  if (!Array.isArray(ops) || !ops.length) {
+    return { changeSet, warnings: [] };
+  }
+
+  /** @type {CeOpWarning[]} */
+  const warnings = [];
+  const variables = [];
+
+  for (const v of ops) {
+    const paramDef = findParameterDef(parameterDefs, getOpParameterName(v));
+    const { op, warning } = validateVariableOp(v, paramDef);
+    if (warning) warnings.push(warning);
+    if (op) variables.push(op);
+  }
+
+  if (!warnings.length) {
+    return { changeSet, warnings };
+  }
+
+  return {
+    changeSet: {
+      ...changeSet,
+      stateDelta: { ...changeSet.stateDelta, variables },
+      opWarnings: [...(Array.isArray(changeSet.opWarnings) ? changeSet.opWarnings : []), ...warnings]
+    },
+    warnings
+  };
+}
@@ -0,0 +1,92 @@
+// 解析结果后处理流水线：名称对齐 → 按参数定义校验变量操作 →（回复后解析）与本轮提前解析结果合并 → 折叠阈值触发器
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑
+//
+// 设计要点：
+// - 拦截器与回放测试（tests/replay）共用同一条流水线，回放结果与实际运行一致；
+// - 只返回规整后的 ChangeSet 与各步骤的记录（警告、重复数、触发事件），日志由调用方输出。
+
+import { mergeTurnChangeSets } from "./change-set.js";
+import { resolveTriggeredChangeSet } from "./triggers.js";
+import { validateChangeSetOps } from "./op-validator.js";
+import { resolveChangeSetNames, buildEntityCandidates } from "./name-resolver.js";
+
+/**
+ * @typedef {Object} CePreparedChangeSet
+ * @property {Object} changeSet                                   // 可直接存储与回放的 ChangeSet
+ * @property {import("./op-validator.js").CeOpWarning[]} warnings // 名称对齐与操作校验的警告
+ * @property {number} duplicates                                  // 回复后解析中与提前解析重复而去除的记录数
+ * @property {import("./triggers.js").CeTriggerEvent[]} triggerEvents // 本轮触发的触发器
+ */
+
+/**
+ * 本轮 ChangeSet 中可以引用的实体：角色卡实体、当前状态中的运行时实体、本轮新增的实体与额外名称（如用户名）。
+ * 都没有时返回空列表（自由实体模式，不做名称对齐）。
+ *
+ * @param {Object} changeSet
+ * @param {Object|null} charConfig
+ * @param {import("./engine-state.js").EngineState|null} prevState
+ * @param {string[]} extraEntityNames
+ * @returns {Array}
+ */
+function collectEntityCandidates(changeSet, charConfig, prevState, extraEntityNames) {
+  const entityDefs = Array.isArray(charConfig?.entities) ? charConfig.entities : [];
+  const runtimeNames = prevState?.entitiesRuntime && typeof prevState.entitiesRuntime === "object"
+    ? Object.keys(prevState.entitiesRuntime)
+    : [];
+  const addedNames = Array.isArray(changeSet?.entityDelta)
+    ? changeSet.entityDelta.filter(e => e && e.op === "add").map(e => e.name)
+    : [];
+  if (!entityDefs.length && !runtimeNames.length && !addedNames.length) {
+    return [];
+  }
+  return buildEntityCandidates(entityDefs, [...runtimeNames, ...addedNames, ...extraEntityNames]);
+}
+
+/**
+ * 把解析模型新产生的 ChangeSet 规整为可存储的形式。
+ *
+ * @param {import("./engine-state.js").EngineState|null} prevState - 应用本轮 ChangeSet 之前的状态
+ * @param {Object} changeSet - 解析结果（parseModelOutput 或手写）
+ * @param {Object|null} charConfig - 角色卡配置（parameters / entities / triggers / options.castConfig）
+ * @param {Object} [options]
+ * @param {"early"|"post"} [options.mode="early"] - post 为回复后解析：结果标记为本轮延续，并与 earlyChangeSet 去重
+ * @param {Object|null} [options.earlyChangeSet] - 回复后解析时本轮已应用的提前解析结果（both 模式）
+ * @param {string[]} [options.extraEntityNames] - 额外的已知实体名称（用户名、"{{user}}" 等）
+ * @returns {CePreparedChangeSet}
+ */
+export function prepareParsedChangeSet(prevState, changeSet, charConfig, options = {}) {
+  const { mode = "early", earlyChangeSet = null, extraEntityNames = [] } = options;
+  const parameterDefs = Array.isArray(charConfig?.parameters) ? charConfig.parameters : [];
+  const entityDefs = Array.isArray(charConfig?.entities) ? charConfig.entities : [];
+  const triggers = Array.isArray(charConfig?.triggers) ? charConfig.triggers : [];
+  const castConfig = charConfig?.options?.castConfig || null;
+
+  // 1. 对齐实体 / 参数名称，再按参数定义规整/拒绝变量操作（警告记录在 ChangeSet.opWarnings 中）
+  const entityCandidates = collectEntityCandidates(changeSet, charConfig, prevState, extraEntityNames);
+  const { changeSet: resolved, warnings: nameWarnings } = resolveChangeSetNames(changeSet, { parameterDefs, entityCandidates });
+  const { changeSet: validated, warnings: opWarnings } = validateChangeSetOps(resolved, parameterDefs);
+
+  // 2. 回复后解析：作为本轮延续，去除与提前解析重复的记录
+  let current = validated;
+  let duplicates = 0;
+  if (mode === "post") {
+    const merged = mergeTurnChangeSets(earlyChangeSet, validated);
+    current = merged.changeSet;
+    duplicates = merged.duplicates;
+  }
+
+  // 3. 评估阈值触发器，把触发效果折叠进本轮 ChangeSet（重建时直接回放，保证确定性）
+  let triggerEvents = [];
+  if (triggers.length) {
+    const folded = resolveTriggeredChangeSet(prevState, current, triggers, parameterDefs, entityDefs, castConfig);
+    current = folded.changeSet;
+    triggerEvents = folded.events;
+  }
+
+  return {
+    changeSet: current,
+    warnings: [...nameWarnings, ...opWarnings],
+    duplicates,
+    triggerEvents
+  };
+}
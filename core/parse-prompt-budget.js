@@ -0,0 +1,134 @@
+// 解析提示预算模块：按 token 预算决定解析提示中参数说明与当前状态的详略
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑
+//
+// 设计要点：
+// - 大型角色卡（几十个实体 × 几十个参数）把全部参数定义与当前值写进解析提示，会超出小型解析模型的上下文；
+// - 「相关实体」= Cast 中的角色（focus / presentSupporting / offstageRelated）+ 当前地点（含路径上的各级地点）；
+//   绑定到相关实体、或没有绑定任何实体的参数保留完整说明，其余参数只列一行摘要（需要时仍可按路径格式修改）；
+// - 详略分三级，依次尝试：full（全部完整）→ focused（按相关实体筛选）→ compact（再去掉示例等说明），
+//   取第一个不超过预算的级别；都超出时使用 compact 并标记 overBudget；
+// - 预算为 0 表示不限制，始终使用 full；Cast 为空（对话刚开始）时没有筛选依据，所有参数都视为相关。
+
+import { estimateTokenCount } from "./token-estimate.js";
+
+/**
+ * @typedef {import("./variables.js").CeParameterDefinition} CeParameterDefinition
+ * @typedef {import("./entities.js").CeEntityDefinition} CeEntityDefinition
+ */
+
+/**
+ * 解析提示的详略级别（按从详到略的顺序尝试）
+ * @typedef {"full"|"focused"|"compact"} CeParsePromptLevel
+ */
+
+/**
+ * 一次解析提示的预算记录（输出到调试日志）
+ * @typedef {Object} CeParsePromptBudgetInfo
+ * @property {number} budget               - token 预算，0 表示不限制
+ * @property {CeParsePromptLevel} level    - 实际采用的详略级别
+ * @property {number} estimatedTokens      - 最终解析提示的估算 token 数
+ * @property {boolean} overBudget          - 最简略的级别仍超出预算
+ * @property {number} detailedParameters   - 保留完整说明的参数个数
+ * @property {number} summarizedParameters - 只列摘要的参数个数
+ */
+
+export const PARSE_PROMPT_LEVELS = ["full", "focused", "compact"];
+
+/**
+ * 收集本轮的相关实体名称：Cast 三层中的角色 + 当前地点。
+ * 当前地点按完整路径与路径上的每一级地点名称都加入（"京都大学.图书馆" → 京都大学.图书馆 / 京都大学 / 图书馆）。
+ * Cast 为空时返回 null，表示没有筛选依据。
+ *
+ * @param {import("./engine-state.js").EngineState|null} state
+ * @returns {Set<string>|null}
+ */
+export function collectRelevantEntityNames(state) {
+  const cast = state?.cast || {};
+  const names = new Set();
+  for (const layer of ["focus", "presentSupporting", "offstageRelated"]) {
+    for (const name of Array.isArray(cast[layer]) ? cast[layer] : []) {
+      if (typeof name === "string" && name) names.add(name);
+    }
+  }
+  if (!names.size) {
+    return null;
+  }
+
+  const currentLocation = state?.locationCast?.current;
+  if (typeof currentLocation === "string" && currentLocation.trim()) {
+    const location = currentLocation.trim();
+    names.add(location);
+    for (const segment of location.split(".")) {
+      if (segment.trim()) names.add(segment.trim());
+    }
+  }
+  return names;
+}
+
+/**
+ * 绑定了某个参数的实体名称
+ * @param {CeParameterDefinition} param
+ * @param {CeEntityDefinition[]} entities
+ * @returns {string[]}
+ */
+export function findBoundEntityNames(param, entities) {
+  return (Array.isArray(entities) ? entities : [])
+    .filter(e => e && Array.isArray(e.parameterNames) && e.parameterNames.includes(param?.name))
+    .map(e => e.name);
+}
+
+/**
+ * 按相关实体把参数分为「完整说明」与「只列摘要」两组（保持原顺序）。
+ * 没有绑定任何实体的参数（scene / global 参数、通用的角色参数）无法判断归属，始终保留完整说明。
+ *
+ * @param {CeParameterDefinition[]} parameters
+ * @param {CeEntityDefinition[]} entities
+ * @param {Set<string>|null} relevantNames - collectRelevantEntityNames() 的结果；null 表示全部相关
+ * @returns {{ detailed: CeParameterDefinition[], summarized: CeParameterDefinition[] }}
+ */
+export function partitionParametersByRelevance(parameters, entities, relevantNames) {
+  const detailed = [];
+  const summarized = [];
+  for (const param of Array.isArray(parameters) ? parameters : []) {
+    const bound = findBoundEntityNames(param, entities);
+    if (!relevantNames || !bound.length || bound.some(name => relevantNames.has(name))) {
+      detailed.push(param);
+    } else {
+      summarized.push(param);
+    }
+  }
+  return { detailed, summarized };
+}
+
+/**
+ * 只列摘要的参数：每个参数一行（名称、类型、作用域与绑定实体）
+ * @param {CeParameterDefinition[]} parameters
+ * @param {CeEntityDefinition[]} entities
+ * @returns {string[]}
+ */
+export function buildParameterSummaryLines(parameters, entities) {
+  return (Array.isArray(parameters) ? parameters : []).map(p => {
+    const bound = findBoundEntityNames(p, entities);
+    return `- ${p.name} (${p.type || "unknown"}, ${p.scope || "character"})${bound.length ? `：${bound.join(", ")}` : ""}`;
+  });
+}
+
+/**
+ * 按预算选择详略级别：依次生成各级别的提示，取第一个估算 token 数不超过预算的级别。
+ *
+ * @param {number} budget - token 预算，0 或无效值表示不限制
+ * @param {(level: CeParsePromptLevel) => string} composePrompt - 生成指定级别的完整解析提示
+ * @returns {{ level: CeParsePromptLevel, prompt: string, estimatedTokens: number, overBudget: boolean }}
+ */
+export function pickParsePromptLevel(budget, composePrompt) {
+  const limit = Number.isFinite(budget) && budget > 0 ? budget : 0;
+  let result = null;
+  for (const level of PARSE_PROMPT_LEVELS) {
+    const prompt = composePrompt(level);
+    result = { level, prompt, estimatedTokens: estimateTokenCount(prompt), overBudget: false };
+    if (!limit || result.estimatedTokens <= limit) {
+      return result;
+    }
+  }
+  return { ...result, overBudget: true };
+}
@@ -0,0 +1,104 @@
+// 解析输出自我修正模块：判断解析模型的输出是否存在可修正的问题，并生成让模型修正自身输出的提示
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑
+//
+// 设计要点：
+// - 问题来源：解析警告（缺少 VarChange、没有有效块、JSON 校验失败等）、角色卡中不存在的参数路径、
+//   以及按参数定义会被拒绝的变量操作（与 validateChangeSetOps 的判断一致）；
+// - 修正提示 = 原解析提示 + 模型上一次的输出 + 具体问题列表，要求模型完整重新输出；
+// - 本轮确实没有变化时允许模型输出「无变化」标记，避免为「没有块」反复重试。
+
+import { validateChangeSetOps } from "./op-validator.js";
+import { resolveChangeSetNames } from "./name-resolver.js";
+
+/**
+ * @typedef {import("./variables.js").CeParameterDefinition} CeParameterDefinition
+ */
+
+/**
+ * 一次解析的自我修正记录（写入 ChangeSet.parseRepair）
+ * @typedef {Object} CeParseRepairInfo
+ * @property {number} attempts          - 实际进行的修正次数
+ * @property {boolean} recovered        - 最终采用的输出是否已没有问题
+ * @property {number} estimatedTokens   - 修正提示与修正输出的估算 token 数之和
+ * @property {string[]} issues          - 首次输出中发现的问题
+ * @property {string[]} remainingIssues - 最终采用的输出中仍存在的问题
+ */
+
+/**
+ * 每轮自我修正次数上限（设置面板允许的最大值）
+ */
+export const MAX_PARSE_REPAIR_BUDGET = 3;
+
+/**
+ * XML 输出格式下的「本轮无变化」标记
+ */
+export const NO_CHANGE_MARKER = "<CE_NoChange/>";
+
+// 只是提示信息、不代表输出有误的解析警告
+const INFORMATIONAL_WARNING_PREFIXES = ["工具调用名称为", "当前使用 JSON 输出格式"];
+
+/**
+ * 收集解析结果中值得让模型自我修正的问题。
+ * 角色卡没有定义任何参数时不检查参数路径（自由变量模式）。
+ *
+ * @param {import("../integration/state-parser.js").ParseResult|null} parseResult
+ * @param {CeParameterDefinition[]} [parameterDefs]
+ * @returns {string[]} 问题描述列表（中文），为空表示无需修正
+ */
+export function collectParseIssues(parseResult, parameterDefs = []) {
+  if (!parseResult || parseResult.parseMethod === "none") {
+    return [];
+  }
+
+  const issues = (parseResult.warnings || [])
+    .filter(w => typeof w === "string" && !INFORMATIONAL_WARNING_PREFIXES.some(prefix => w.startsWith(prefix)));
+
+  const ops = parseResult.changeSet?.stateDelta?.variables;
+  if (Array.isArray(ops) && ops.length && Array.isArray(parameterDefs) && parameterDefs.length) {
+    // 能对齐到已知参数的写法（参数 id、简称等）由 name-resolver 自动处理，不算问题
+    const { changeSet: resolved, warnings: nameWarnings } = resolveChangeSetNames(parseResult.changeSet, { parameterDefs });
+    for (const w of nameWarnings) {
+      if (w.action === "unresolved") {
+        issues.push(`未知参数路径 "${w.path}"：角色卡中没有参数 "${w.original}"，请对照参数列表改用正确的路径`);
+      }
+    }
+
+    const { warnings } = validateChangeSetOps(resolved, parameterDefs);
+    for (const w of warnings) {
+      if (w.action === "rejected") {
+        issues.push(`"${w.path}" 的操作被拒绝：${w.message}`);
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * 生成自我修正提示：在原解析提示之后附上模型上一次的输出与发现的问题。
+ *
+ * @param {string} originalPrompt - 原解析提示（quietPrompt）
+ * @param {string} previousOutput - 模型上一次的原始输出
+ * @param {string[]} issues - collectParseIssues() 的结果
+ * @param {"xml"|"json"} [protocol="xml"] - 解析输出格式
+ * @returns {string}
+ */
+export function buildRepairPrompt(originalPrompt, previousOutput, issues, protocol = "xml") {
+  const noChangeHint = protocol === "json"
+    ? "如果本轮确实没有任何变化，只输出 {}。"
+    : `如果本轮确实没有任何变化，只输出 ${NO_CHANGE_MARKER}。`;
+
+  return `${originalPrompt}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+【你上一次的输出】
+
+${previousOutput}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+【需要修正的问题】
+
+${issues.map(issue => `- ${issue}`).join("\n")}
+
+请按【输出格式】修正以上问题，并完整地重新输出全部内容（不要只输出修改的部分，也不要解释修改过程）。${noChangeHint}`;
+}
@@ -0,0 +1,428 @@
+// 解析输出 JSON Schema 模块：按角色卡的参数与实体定义生成解析模型 JSON 输出协议的 Schema，并提供校验
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑
+//
+// 设计要点：
+// - 同一份 Schema 既写进解析提示词（以及支持 response_format 的接口），也用于校验模型返回的 JSON；
+// - variables 的每一项按参数生成一个分支（anyOf）：路径格式由 scope 决定，可用操作由参数类型决定；
+// - 校验器只实现 Schema 中用到的关键字子集，错误信息为中文，便于直接作为解析警告展示。
+
+import { listNumberSymbols } from "./symbolic-mapper.js";
+
+/**
+ * @typedef {import("./variables.js").CeParameterDefinition} CeParameterDefinition
+ */
+
+/**
+ * 以工具调用形式输出时使用的函数名
+ */
+export const PARSE_TOOL_NAME = "ce_update_state";
+
+const CAST_LAYERS = ["focus", "presentSupporting", "offstageRelated"];
+const ENTITY_TYPES = ["character", "location", "other"];
+const ARRAY_OP_PATTERN = "^(add_item|remove_where|clear|set|remove_at:\\d+|update_at:\\d+)$";
+
+/**
+ * 按参数 scope 生成路径的 pattern：只约束路径段数，不约束段内的名称。
+ * 近似的主体名 / 参数名、参数 id 与实体别名在解析后由 name-resolver 对齐，
+ * 再由 op-validator 按参数定义校验；在这里按名称过滤会让这些条目在对齐之前就被丢弃。
+ * @param {CeParameterDefinition} param
+ * @returns {string}
+ */
+function buildPathPattern(param) {
+  switch (param.scope || "character") {
+    case "relationship":
+      return "^[^.]+\\.[^.]+\\.[^.]+$";
+    case "scene":
+    case "global":
+      return "^(?:[^.]+\\.)?[^.]+$";
+    default:
+      return "^[^.]+\\.[^.]+$";
+  }
+}
+
+/**
+ * 按参数 scope 生成路径格式说明（与提示词中的路径格式说明一致）
+ * @param {CeParameterDefinition} param
+ * @returns {string}
+ */
+function describePathFormat(param) {
+  switch (param.scope || "character") {
+    case "relationship":
+      return `主体.${param.name}.对象`;
+    case "scene":
+    case "global":
+      return param.name;
+    default:
+      return `主体.${param.name}`;
+  }
+}
+
+/**
+ * 按参数类型生成 op 与 value 的 Schema
+ * @param {CeParameterDefinition} param
+ * @returns {{ op: Object, value: Object }}
+ */
+function buildOpSchemas(param) {
+  switch (param.type) {
+    case "number": {
+      const symbols = listNumberSymbols(param).map(s => s.symbol);
+      return {
+        op: { type: "string", anyOf: [{ enum: [...symbols, "set", "add"] }, { pattern: "^set_.+$" }] },
+        value: { type: ["number", "string"] }
+      };
+    }
+    case "enum": {
+      const enumValues = Array.isArray(param.enumValues) ? param.enumValues : [];
+      return {
+        op: { type: "string", anyOf: [{ enum: ["next", "prev", "set"] }, { pattern: "^set_.+$" }] },
+        value: enumValues.length ? { type: "string", enum: enumValues } : { type: "string" }
+      };
+    }
+    case "boolean":
+      return {
+        op: { type: "string", enum: ["set"] },
+        value: { type: ["boolean", "string"] }
+      };
+    case "array":
+      return {
+        op: { type: "string", pattern: ARRAY_OP_PATTERN },
+        value: {}
+      };
+    default:
+      return {
+        op: { type: "string", enum: ["set"] },
+        value: { type: "string" }
+      };
+  }
+}
+
+/**
+ * 生成单个参数对应的变量操作分支
+ * @param {CeParameterDefinition} param
+ * @returns {Object}
+ */
+function buildVariableItemSchema(param) {
+  const { op, value } = buildOpSchemas(param);
+  return {
+    type: "object",
+    description: `${param.name}（${param.type || "unknown"}）${param.description ? `：${param.description}` : ""}`,
+    properties: {
+      path: { type: "string", pattern: buildPathPattern(param), description: describePathFormat(param) },
+      op,
+      value,
+      reason: { type: "string" }
+    },
+    required: ["path", "op"],
+    additionalProperties: false
+  };
+}
+
+/**
+ * 生成解析模型 JSON 输出的 Schema。
+ *
+ * 顶层字段与 XML 块一一对应：
+ * - variables ↔ <CE_UpdateState><VarChange>（每项等价于一次 ce.set()）
+ * - entities ↔ <EntityChange>
+ * - scene ↔ <CE_UpdateScene>（cast ↔ <CastIntent>，location ↔ <LocationCastIntent>）
+ * - worldIntent ↔ <WorldContextIntent>
+ *
+ * @param {{
+ *   parameters?: CeParameterDefinition[],
+ *   entities?: Array<{ name: string }>,
+ *   useSceneAndCast?: boolean,
+ *   useWorldRag?: boolean
+ * }} [options]
+ *   - parameters：提示词中列出的参数（应已排除派生参数与被禁用的短期参数）
+ *   - entities：角色卡实体定义，实体名作为 cast / entities 的示例值
+ * @returns {Object} JSON Schema（draft 2020-12 子集）
+ */
+export function buildParseOutputSchema(options = {}) {
+  const parameters = (options.parameters || []).filter(p => p && p.name && p.type !== "derived");
+  const entityNames = (options.entities || []).map(e => e?.name).filter(Boolean);
+  const nameSchema = entityNames.length
+    ? { type: "string", minLength: 1, examples: entityNames }
+    : { type: "string", minLength: 1 };
+
+  const properties = {
+    analysis: { type: "string", description: "本轮分析与推理过程（仅用于调试）" }
+  };
+
+  if (parameters.length > 0) {
+    properties.variables = {
+      type: "array",
+      description: "变量变化，每项等价于一次 ce.set('路径', '操作或值', '说明')",
+      items: { anyOf: parameters.map(buildVariableItemSchema) }
+    };
+  }
+
+  const parameterNames = parameters.map(p => p.name);
+  properties.entities = {
+    type: "array",
+    description: "临时实体的创建、更新与移除",
+    items: {
+      type: "object",
+      properties: {
+        op: { type: "string", enum: ["add", "update", "remove"] },
+        name: nameSchema,
+        type: { type: "string", enum: ENTITY_TYPES },
+        baseinfo: { type: "string" },
+        bindParameters: { type: "array", items: { type: "string", enum: parameterNames } },
+        unbindParameters: { type: "array", items: { type: "string", enum: parameterNames } },
+        reason: { type: "string" }
+      },
+      required: ["op", "name"],
+      additionalProperties: false
+    }
+  };
+
+  if (options.useSceneAndCast) {
+    const stringList = { type: "array", items: { type: "string", minLength: 1 } };
+    properties.scene = {
+      type: "object",
+      properties: {
+        analysis: { type: "string" },
+        locationHint: { type: "string" },
+        sceneTags: { type: "array", items: { type: "string" } },
+        location: {
+          type: "object",
+          properties: {
+            setCurrent: { type: "string", minLength: 1 },
+            addCandidate: stringList,
+            removeCandidate: stringList
+          },
+          additionalProperties: false
+        },
+        cast: {
+          type: "object",
+          properties: {
+            enter: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  name: nameSchema,
+                  preferredLayer: { type: "string", enum: CAST_LAYERS },
+                  reason: { type: "string" }
+                },
+                required: ["name"],
+                additionalProperties: false
+              }
+            },
+            leave: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  name: nameSchema,
+                  reason: { type: "string" }
+                },
+                required: ["name"],
+                additionalProperties: false
+              }
+            }
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    };
+  }
+
+  if (options.useWorldRag) {
+    properties.worldIntent = {
+      type: "object",
+      properties: {
+        analysis: { type: "string" },
+        queries: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              query: { type: "string", minLength: 1 },
+              collections: { type: "array", items: { type: "string" } },
+              importance: { type: "string", enum: ["must_have", "nice_to_have"] }
+            },
+            required: ["query"],
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: false
+    };
+  }
+
+  return {
+    title: PARSE_TOOL_NAME,
+    type: "object",
+    properties,
+    additionalProperties: false
+  };
+}
+
+/**
+ * 判断值是否符合 JSON Schema 的基本类型
+ * @param {any} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "object":
+      return !!value && typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * 按 JSON Schema 校验值，返回错误列表（空数组表示通过）。
+ *
+ * 支持的关键字：type、enum、const、pattern、minLength、properties、required、
+ * additionalProperties（仅 false）、items、anyOf；其余关键字（description、examples 等）忽略。
+ * anyOf 全部不匹配时，报告错误最少的分支的错误，便于定位「路径对了但操作写错」之类的问题。
+ *
+ * @param {any} value
+ * @param {Object} schema
+ * @param {string} [path="$"] - 错误信息中使用的位置前缀
+ * @returns {string[]}
+ */
+export function validateAgainstSchema(value, schema, path = "$") {
+  if (!schema || typeof schema !== "object") return [];
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      return [`${path}：类型应为 ${types.join(" | ")}，实际为 ${Array.isArray(value) ? "array" : value === null ? "null" : typeof value}`];
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(v => v === value)) {
+    errors.push(`${path}：取值 ${JSON.stringify(value)} 不在可选范围 ${JSON.stringify(schema.enum)} 内`);
+  }
+  if (schema.const !== undefined && schema.const !== value) {
+    errors.push(`${path}：取值应为 ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (typeof schema.minLength === "number" && value.length < schema.minLength) {
+      errors.push(`${path}：不能为空`);
+    }
+    if (typeof schema.pattern === "string" && !new RegExp(schema.pattern, "u").test(value)) {
+      errors.push(`${path}：${JSON.stringify(value)} 格式不符合 ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`));
+    });
+  }
+
+  if (matchesType(value, "object")) {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}：缺少字段 ${key}`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(props, key)) {
+        errors.push(...validateAgainstSchema(child, props[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}：不允许的字段 ${key}`);
+      }
+    }
+  }
+
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length) {
+    let best = null;
+    for (const branch of schema.anyOf) {
+      const branchErrors = validateAgainstSchema(value, branch, path);
+      if (!branchErrors.length) {
+        best = null;
+        break;
+      }
+      if (!best || branchErrors.length < best.length) {
+        best = branchErrors;
+      }
+    }
+    if (best) errors.push(...best);
+  }
+
+  return errors;
+}
+
+/**
+ * 按 Schema 裁剪值：不合格的数组元素与对象字段被丢弃，其余部分保留。
+ * 与 XML 逐行解析「单行错误不影响整体」一致，一条写错的变量操作不会让整个输出作废。
+ *
+ * 带 anyOf 或没有 properties / items 的节点整体校验（不合格则整体丢弃）；
+ * 对象缺少 required 字段时整体丢弃。
+ *
+ * @param {any} value
+ * @param {Object} schema
+ * @param {string} [path="$"]
+ * @returns {{ value: any, errors: string[] }} value 为 undefined 表示整体被丢弃
+ */
+export function pruneBySchema(value, schema, path = "$") {
+  if (!schema || typeof schema !== "object") {
+    return { value, errors: [] };
+  }
+
+  if (Array.isArray(schema.anyOf) || (!schema.properties && !schema.items)) {
+    const errors = validateAgainstSchema(value, schema, path);
+    return errors.length ? { value: undefined, errors } : { value, errors };
+  }
+
+  if (schema.type !== undefined) {
+    const typeErrors = validateAgainstSchema(value, { type: schema.type }, path);
+    if (typeErrors.length) {
+      return { value: undefined, errors: typeErrors };
+    }
+  }
+
+  const errors = [];
+
+  if (Array.isArray(value)) {
+    const kept = [];
+    value.forEach((item, i) => {
+      const child = pruneBySchema(item, schema.items, `${path}[${i}]`);
+      errors.push(...child.errors);
+      if (child.value !== undefined) kept.push(child.value);
+    });
+    return { value: kept, errors };
+  }
+
+  if (matchesType(value, "object")) {
+    const props = schema.properties || {};
+    const kept = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(props, key)) {
+        const pruned = pruneBySchema(child, props[key], `${path}.${key}`);
+        errors.push(...pruned.errors);
+        if (pruned.value !== undefined) kept[key] = pruned.value;
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}：不允许的字段 ${key}`);
+      } else {
+        kept[key] = child;
+      }
+    }
+    const missing = (schema.required || []).filter(key => kept[key] === undefined);
+    if (missing.length) {
+      errors.push(`${path}：缺少字段 ${missing.join("、")}，已忽略`);
+      return { value: undefined, errors };
+    }
+    return { value: kept, errors };
+  }
+
+  return { value, errors: validateAgainstSchema(value, schema, path) };
+}
@@ -1,8 +1,9 @@
 // 提示组合模块：根据作者定义的提示类型与规则，在给定参数状态下生成提示文本。
 // 本模块不依赖 SillyTavern，仅做纯数据计算。
 
-import { matchPromptConditions } from "./variables.js";
+import { matchPromptConditions, completeConditionPath } from "./variables.js";
 import { replaceBundlesTemplates } from "./template-replacer.js";
+import { resolveEntityAlias } from "./entities.js";
 
 /**
  * @typedef {import("./variables.js").CePromptEntry} CePromptEntry
@@ -21,6 +22,7 @@ import { replaceBundlesTemplates } from "./template-replacer.js";
  * 1. 为每个 ownerName 创建独立的参数查找上下文
  * 2. 支持路径式参数引用（通过 getValueByPath）
  * 3. 自动为简单参数名补全 ownerName 前缀
+ * 4. ownerName 写的是实体别名时归入该实体的主名称
  *
  * 返回结构示意：
  * {
@@ -35,9 +37,11 @@ import { replaceBundlesTemplates } from "./template-replacer.js";
  *
  * @param {CePromptEntry[]} entries - 提示条目列表
  * @param {(path: string) => any} getValueByPath - 通过路径获取参数值的函数
+ * @param {import("./variables.js").CeConditionStateContext|null} [stateContext] - 场景标签 / 地点 / Cast 状态（用于状态条件）
+ * @param {Map<string, string>|null} [aliasMap] - 实体别名表（entities.js 的 buildEntityAliasMap()）
  * @returns {Object.<string, PromptBundle>}
  */
-export function buildPromptBundles(entries, getValueByPath) {
+export function buildPromptBundles(entries, getValueByPath, stateContext = null, aliasMap = null) {
   const result = {};
   if (!Array.isArray(entries) || entries.length === 0) {
     return result;
@@ -53,14 +57,14 @@ export function buildPromptBundles(entries, getValueByPath) {
   for (const entry of sortedEntries) {
     if (!entry || typeof entry !== "object") continue;
 
-    const ownerName = String(entry.ownerName || "").trim();
+    const ownerName = resolveEntityAlias(entry.ownerName || "", aliasMap);
     const promptTypeName = String(entry.promptTypeName || "").trim();
     if (!ownerName || !promptTypeName) continue;
 
     const conditions = Array.isArray(entry.when) ? entry.when : [];
     
     // 关键改进: 传入 ownerName 作为上下文，支持自动路径补全
-    if (!matchPromptConditions(conditions, getValueByPath, ownerName)) {
+    if (!matchPromptConditions(conditions, getValueByPath, ownerName, stateContext)) {
       continue;
     }
 
@@ -73,7 +77,9 @@ export function buildPromptBundles(entries, getValueByPath) {
 
     const bundle = result[ownerName];
     const prevText = bundle.byPromptType[promptTypeName] || "";
-    const nextText = String(entry.text ?? "").trim();
+    const nextText = entry.entryType === "banded"
+      ? pickPromptBandText(entry, getValueByPath, ownerName)
+      : String(entry.text ?? "").trim();
 
     if (!nextText) {
       continue;
@@ -85,7 +91,35 @@ export function buildPromptBundles(entries, getValueByPath) {
   }
 
   // 模板替换
-  const replacedResult = replaceBundlesTemplates(result, getValueByPath);
+  const replacedResult = replaceBundlesTemplates(result, getValueByPath, aliasMap);
 
   return replacedResult;
-}
\ No newline at end of file
+}
+
+/**
+ * 为分段提示条目选出当前命中的那一段文本。
+ * 分段按 min 升序排列，取 min 不大于参数值的最后一段；参数值低于最低段时落入最低段，
+ * 因此只要参数有数值，恰好命中一段，不存在空档或重叠。参数不是数值时返回空字符串。
+ *
+ * @param {CePromptEntry} entry
+ * @param {(path: string) => any} getValueByPath
+ * @param {string} ownerName
+ * @returns {string}
+ */
+export function pickPromptBandText(entry, getValueByPath, ownerName) {
+  const paramPath = typeof entry.bandParameter === "string" ? entry.bandParameter.trim() : "";
+  const bands = Array.isArray(entry.bands)
+    ? entry.bands.filter(b => b && typeof b.min === "number" && !Number.isNaN(b.min))
+    : [];
+  if (!paramPath || !bands.length) return "";
+
+  const value = getValueByPath(completeConditionPath(paramPath, ownerName));
+  if (typeof value !== "number" || Number.isNaN(value)) return "";
+
+  const sorted = [...bands].sort((a, b) => a.min - b.min);
+  let picked = sorted[0];
+  for (const band of sorted) {
+    if (value >= band.min) picked = band;
+  }
+  return String(picked.text ?? "").trim();
+}
@@ -0,0 +1,223 @@
+// 存档结构版本与迁移：角色卡扩展字段（CE_CARD_EXT_KEY）与 chatMetadata.CharacterEngine 各自带 schemaVersion，
+// 读取时按版本号依次执行迁移，把旧格式规整为当前格式。
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑；对应的旧格式样例见 core/fixtures/schema-migrations/。
+//
+// 新增迁移时：
+// - 在对应的迁移列表末尾追加 { toVersion, description, migrate }，migrate 可直接修改传入的副本；
+// - 将 CARD_SCHEMA_VERSION / CHAT_META_SCHEMA_VERSION 提升到新版本；
+// - 在 fixtures 中补充一份旧格式样例及期望值。
+
+/** 角色卡配置的当前结构版本 */
+export const CARD_SCHEMA_VERSION = 1;
+
+/** chatMetadata.CharacterEngine 的当前结构版本 */
+export const CHAT_META_SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {Object} CeSchemaMigration
+ * @property {number} toVersion             // 迁移完成后的版本
+ * @property {string} description           // 迁移说明（日志与测试输出用）
+ * @property {(data: Object) => void} migrate
+ */
+
+/**
+ * @typedef {Object} CeMigrationResult
+ * @property {Object} data                  // 迁移后的数据（未迁移时为原对象）
+ * @property {number} fromVersion           // 迁移前的版本（无版本号视为 0）
+ * @property {number} toVersion             // 迁移后的版本
+ * @property {string[]} applied             // 实际执行的迁移说明
+ */
+
+/**
+ * 读取数据上的结构版本，缺失或非法时视为 0（最早的无版本格式）
+ * @param {any} data
+ * @returns {number}
+ */
+export function getSchemaVersion(data) {
+  const version = data && typeof data === "object" ? data.schemaVersion : undefined;
+  return typeof version === "number" && Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+/**
+ * 深拷贝纯数据对象
+ * @param {Object} data
+ * @returns {Object}
+ */
+function cloneData(data) {
+  if (typeof structuredClone === "function") {
+    try {
+      return structuredClone(data);
+    } catch {
+      // fallthrough
+    }
+  }
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * 按版本号依次执行迁移。已是当前版本（或更新版本）的数据原样返回，不做拷贝；
+ * 需要迁移时在副本上执行，不修改传入对象。
+ *
+ * @param {Object} data
+ * @param {CeSchemaMigration[]} migrations - 按 toVersion 升序排列
+ * @param {number} currentVersion
+ * @returns {CeMigrationResult}
+ */
+function runMigrations(data, migrations, currentVersion) {
+  const fromVersion = getSchemaVersion(data);
+  if (fromVersion >= currentVersion) {
+    return { data, fromVersion, toVersion: fromVersion, applied: [] };
+  }
+
+  const result = cloneData(data);
+  const applied = [];
+  for (const migration of migrations) {
+    if (migration.toVersion <= fromVersion || migration.toVersion > currentVersion) continue;
+    migration.migrate(result);
+    result.schemaVersion = migration.toVersion;
+    applied.push(migration.description);
+  }
+  result.schemaVersion = currentVersion;
+
+  return { data: result, fromVersion, toVersion: currentVersion, applied };
+}
+
+/**
+ * 确保对象上某个字段为数组
+ * @param {Object} obj
+ * @param {string} key
+ */
+function ensureArray(obj, key) {
+  if (!Array.isArray(obj[key])) obj[key] = [];
+}
+
+/**
+ * 确保对象上某个字段为普通对象
+ * @param {Object} obj
+ * @param {string} key
+ */
+function ensureObject(obj, key) {
+  if (!obj[key] || typeof obj[key] !== "object" || Array.isArray(obj[key])) obj[key] = {};
+}
+
+/**
+ * 旧格式只有 scene.locationHint，没有 locationCast：由 locationHint 补出 locationCast.current。
+ * 两者都存在时保持不变（locationCast 为准，locationHint 只为向后兼容保留）。
+ * @param {Object} state - EngineState 或角色卡 initialState 配置
+ */
+function reconcileLocationCast(state) {
+  if (!state || typeof state !== "object") return;
+  const hint = state.scene && typeof state.scene.locationHint === "string" ? state.scene.locationHint : null;
+  if (!state.locationCast || typeof state.locationCast !== "object") {
+    state.locationCast = { current: hint, candidate: [] };
+    return;
+  }
+  if (state.locationCast.current === undefined) {
+    state.locationCast.current = hint;
+  }
+  if (!Array.isArray(state.locationCast.candidate)) {
+    state.locationCast.candidate = [];
+  }
+}
+
+/**
+ * 补齐 EngineState 中后续版本新增的运行时字段
+ * @param {Object} state
+ */
+function fillEngineStateFields(state) {
+  if (!state || typeof state !== "object") return;
+  ensureObject(state, "variables");
+  for (const scope of ["character", "relationship", "scene", "global"]) {
+    ensureObject(state.variables, scope);
+  }
+  ensureObject(state, "scene");
+  if (state.scene.locationHint === undefined) state.scene.locationHint = null;
+  ensureArray(state.scene, "sceneTags");
+  ensureObject(state, "cast");
+  for (const layer of ["focus", "presentSupporting", "offstageRelated"]) {
+    ensureArray(state.cast, layer);
+  }
+  reconcileLocationCast(state);
+  ensureObject(state, "entitiesRuntime");
+  ensureObject(state, "shortTermTimers");
+  if (typeof state.turnCount !== "number") state.turnCount = 0;
+  ensureObject(state, "lastWriteTurns");
+  ensureObject(state, "firedTriggers");
+  ensureArray(state, "triggerPrompts");
+  ensureArray(state, "pendingTriggerPrompts");
+}
+
+/** @type {CeSchemaMigration[]} */
+const CARD_MIGRATIONS = [
+  {
+    toVersion: 1,
+    description: "补齐配置列表字段；initialState 中仅有 scene.locationHint 时补出 locationCast",
+    migrate(config) {
+      for (const key of ["parameters", "promptTypes", "prompts", "entities", "triggers"]) {
+        ensureArray(config, key);
+      }
+      ensureObject(config, "options");
+      if (config.initialState && typeof config.initialState === "object") {
+        const initial = config.initialState;
+        const hint = initial.scene && typeof initial.scene.locationHint === "string" ? initial.scene.locationHint : "";
+        if (hint && !(initial.locationCast && initial.locationCast.current)) {
+          initial.locationCast = {
+            current: hint,
+            candidate: Array.isArray(initial.locationCast?.candidate) ? initial.locationCast.candidate : []
+          };
+        }
+      }
+    }
+  }
+];
+
+/** @type {CeSchemaMigration[]} */
+const CHAT_META_MIGRATIONS = [
+  {
+    toVersion: 1,
+    description: "移除单个 lastComputedStateCheckpoint（改用 checkpoint 环）；补齐 EngineState 字段与 locationCast",
+    migrate(meta) {
+      ensureObject(meta, "changeSetsByMessageId");
+      ensureObject(meta, "runtimeMeta");
+      if (meta.initialState && typeof meta.initialState === "object") {
+        fillEngineStateFields(meta.initialState);
+      }
+
+      const runtime = meta.runtimeMeta;
+      ensureArray(runtime, "checkpoints");
+      // 旧 checkpoint 没有配置键（configKey），无法确认是按当前角色卡与编辑策略算出的，查找时总会被丢弃；
+      // 直接移除，需要时由 rebuildEngineStateUpTo() 从初始状态重新回放
+      delete runtime.lastComputedMessageIndex;
+      delete runtime.lastComputedMessageId;
+      delete runtime.lastComputedStateCheckpoint;
+      for (const entry of runtime.checkpoints) {
+        if (entry && entry.state) fillEngineStateFields(entry.state);
+      }
+      if (typeof runtime.checkpointClock !== "number") runtime.checkpointClock = 0;
+    }
+  }
+];
+
+/**
+ * 迁移角色卡扩展字段（CE_CARD_EXT_KEY 下的原始对象）到当前结构版本
+ * @param {any} rawConfig
+ * @returns {CeMigrationResult}
+ */
+export function migrateCardConfig(rawConfig) {
+  if (!rawConfig || typeof rawConfig !== "object") {
+    return { data: rawConfig, fromVersion: 0, toVersion: 0, applied: [] };
+  }
+  return runMigrations(rawConfig, CARD_MIGRATIONS, CARD_SCHEMA_VERSION);
+}
+
+/**
+ * 迁移 chatMetadata.CharacterEngine 到当前结构版本
+ * @param {any} meta
+ * @returns {CeMigrationResult}
+ */
+export function migrateChatMeta(meta) {
+  if (!meta || typeof meta !== "object") {
+    return { data: meta, fromVersion: 0, toVersion: 0, applied: [] };
+  }
+  return runMigrations(meta, CHAT_META_MIGRATIONS, CHAT_META_SCHEMA_VERSION);
+}
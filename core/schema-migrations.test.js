@@ -0,0 +1,101 @@
+// CharacterEngine 存档结构迁移测试脚本（Node 运行，不依赖 SillyTavern）
+// 对 core/fixtures/schema-migrations/ 下的每份旧格式样例执行迁移，并检查：
+// - 迁移后达到当前结构版本，且 expect 中列出的字段符合期望（"__absent__" 表示字段应被移除）；
+// - 不修改传入的原始对象；
+// - 对迁移结果再次迁移不会产生变化（幂等）；
+// - 标记 unchanged 的样例原样返回。
+//
+// 运行：node --experimental-detect-module core/schema-migrations.test.js
+// （Node 22.7+ 默认识别 ES 模块语法，可省略参数）
+
+import { readdirSync, readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  migrateCardConfig,
+  migrateChatMeta,
+  CARD_SCHEMA_VERSION,
+  CHAT_META_SCHEMA_VERSION
+} from "./schema-migrations.js";
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures", "schema-migrations");
+const ABSENT = "__absent__";
+
+/**
+ * 按点号路径读取字段（数组下标同样用点号），不存在时返回 ABSENT
+ * @param {any} obj
+ * @param {string} path
+ * @returns {any}
+ */
+function readPath(obj, path) {
+  let current = obj;
+  for (const key of path.split(".")) {
+    if (!current || typeof current !== "object" || !Object.prototype.hasOwnProperty.call(current, key)) {
+      return ABSENT;
+    }
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * 运行单份样例，返回失败信息列表
+ * @param {string} file
+ * @returns {string[]}
+ */
+function runFixture(file) {
+  const fixture = JSON.parse(readFileSync(join(FIXTURE_DIR, file), "utf8"));
+  const migrate = fixture.kind === "card" ? migrateCardConfig : migrateChatMeta;
+  const currentVersion = fixture.kind === "card" ? CARD_SCHEMA_VERSION : CHAT_META_SCHEMA_VERSION;
+  const failures = [];
+
+  const inputSnapshot = JSON.stringify(fixture.input);
+  const result = migrate(fixture.input);
+
+  if (JSON.stringify(fixture.input) !== inputSnapshot) {
+    failures.push("迁移修改了传入的原始对象");
+  }
+  if (result.data?.schemaVersion !== currentVersion) {
+    failures.push(`schemaVersion 为 ${result.data?.schemaVersion}，期望 ${currentVersion}`);
+  }
+  if (fixture.unchanged && (result.data !== fixture.input || result.applied.length)) {
+    failures.push("当前版本的数据不应被迁移");
+  }
+
+  for (const [path, expected] of Object.entries(fixture.expect || {})) {
+    const actual = readPath(result.data, path);
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      failures.push(`${path}：实际 ${JSON.stringify(actual)}，期望 ${JSON.stringify(expected)}`);
+    }
+  }
+
+  const again = migrate(result.data);
+  if (again.applied.length || JSON.stringify(again.data) !== JSON.stringify(result.data)) {
+    failures.push("再次迁移产生了变化（迁移不是幂等的）");
+  }
+
+  return failures;
+}
+
+function runAllTests() {
+  const files = readdirSync(FIXTURE_DIR).filter(f => f.endsWith(".json")).sort();
+  let failed = 0;
+
+  for (const file of files) {
+    const failures = runFixture(file);
+    if (failures.length) {
+      failed++;
+      console.error(`✗ ${file}`);
+      failures.forEach(msg => console.error(`    ${msg}`));
+    } else {
+      console.log(`✓ ${file}`);
+    }
+  }
+
+  console.log(`\n${files.length - failed}/${files.length} 份样例通过`);
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
+runAllTests();
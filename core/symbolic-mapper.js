@@ -8,7 +8,7 @@
 
 /**
  * 符号化操作的默认映射配置
- * 这些值可以被参数定义中的自定义配置覆盖
+ * 这些值可以被参数定义中的 symbolicMapping 覆盖
  */
 const DEFAULT_SYMBOLIC_MAPPING = {
   // 数值型参数的符号化增量（相对于range的百分比）
@@ -28,9 +28,128 @@ const DEFAULT_SYMBOLIC_MAPPING = {
   down_large_absolute: -20
 };
 
+/**
+ * @typedef {number|{ delta?: number, set?: number, description?: string }} CeSymbolicMappingEntry
+ *   参数级符号映射项：
+ *   - 数字：对内置符号（up_small 等）表示幅度（绝对值，方向由符号本身决定）；对自定义符号表示带正负号的增量
+ *   - 对象：delta 为带正负号的增量，set 为直接设置的目标值，description 供解析模型理解符号含义
+ */
+
+const BUILTIN_NUMBER_SYMBOLS = ["up_small", "up_medium", "up_large", "down_small", "down_medium", "down_large"];
+
+/**
+ * 在参数定义的 symbolicMapping 中查找符号（先精确匹配，再忽略大小写）
+ * @param {CeParameterDefinition} paramDef
+ * @param {string} symbol
+ * @returns {{ key: string, entry: CeSymbolicMappingEntry }|null}
+ */
+function lookupParameterSymbol(paramDef, symbol) {
+  const mapping = paramDef && paramDef.symbolicMapping;
+  if (!mapping || typeof mapping !== "object" || typeof symbol !== "string") return null;
+
+  const raw = symbol.trim();
+  if (Object.prototype.hasOwnProperty.call(mapping, raw)) {
+    return { key: raw, entry: mapping[raw] };
+  }
+  const lower = raw.toLowerCase();
+  const key = Object.keys(mapping).find(k => k.toLowerCase() === lower);
+  return key ? { key, entry: mapping[key] } : null;
+}
+
+/**
+ * 判断符号是否为参数定义中声明的自定义符号（非内置 up_/down_ 符号）。
+ * 解析器只认识内置符号，自定义符号会以 set 值的形式传入，应用前需要据此还原为符号化操作。
+ *
+ * @param {CeParameterDefinition} paramDef
+ * @param {any} symbol
+ * @returns {boolean}
+ */
+export function isCustomSymbol(paramDef, symbol) {
+  if (!paramDef || paramDef.type !== "number" || typeof symbol !== "string") return false;
+  const found = lookupParameterSymbol(paramDef, symbol);
+  return !!found && !BUILTIN_NUMBER_SYMBOLS.includes(found.key.toLowerCase());
+}
+
+/**
+ * 列出数值型参数可用的全部符号及其实际效果（已合并参数级覆盖），供解析提示词展示。
+ *
+ * @param {CeParameterDefinition} paramDef
+ * @returns {{ symbol: string, delta?: number, set?: number, description?: string, custom: boolean }[]}
+ */
+export function listNumberSymbols(paramDef) {
+  if (!paramDef || paramDef.type !== "number") return [];
+
+  const result = [];
+  for (const sym of BUILTIN_NUMBER_SYMBOLS) {
+    result.push({ symbol: sym, delta: getBuiltinDelta(sym, paramDef), custom: false });
+  }
+
+  const mapping = paramDef.symbolicMapping;
+  if (mapping && typeof mapping === "object") {
+    for (const [key, entry] of Object.entries(mapping)) {
+      if (BUILTIN_NUMBER_SYMBOLS.includes(key.toLowerCase())) continue;
+      const normalized = normalizeCustomEntry(entry);
+      if (!normalized) continue;
+      result.push({ symbol: key, ...normalized, custom: true });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 计算内置符号的增量：优先使用参数级覆盖，其次按 range 百分比，最后使用默认绝对值
+ * @param {string} sym - 小写的内置符号
+ * @param {CeParameterDefinition} paramDef
+ * @returns {number}
+ */
+function getBuiltinDelta(sym, paramDef) {
+  const direction = sym.startsWith("down_") ? -1 : 1;
+
+  const override = lookupParameterSymbol(paramDef, sym);
+  if (override) {
+    const entry = override.entry;
+    const magnitude = typeof entry === "number" ? entry : Number(entry?.delta);
+    if (Number.isFinite(magnitude)) {
+      return direction * Math.abs(magnitude);
+    }
+  }
+
+  const range = paramDef.range;
+  if (range && typeof range.min === "number" && typeof range.max === "number") {
+    return (range.max - range.min) * DEFAULT_SYMBOLIC_MAPPING[sym];
+  }
+  return DEFAULT_SYMBOLIC_MAPPING[`${sym}_absolute`];
+}
+
+/**
+ * 规范化自定义符号映射项，不合法时返回 null
+ * @param {CeSymbolicMappingEntry} entry
+ * @returns {{ delta?: number, set?: number, description?: string }|null}
+ */
+function normalizeCustomEntry(entry) {
+  if (typeof entry === "number") {
+    return Number.isFinite(entry) ? { delta: entry } : null;
+  }
+  if (!entry || typeof entry !== "object") return null;
+
+  const description = typeof entry.description === "string" && entry.description.trim()
+    ? entry.description.trim()
+    : undefined;
+  if (typeof entry.set === "number" && Number.isFinite(entry.set)) {
+    return { set: entry.set, description };
+  }
+  if (typeof entry.delta === "number" && Number.isFinite(entry.delta)) {
+    return { delta: entry.delta, description };
+  }
+  return null;
+}
+
 /**
  * 将符号化操作应用到数值型参数，返回具体的数值变化量
  * 
+ * 参数定义可通过 symbolicMapping 覆盖内置符号的幅度，或声明自定义符号（如 betrayal = -40）。
+ * 
  * @param {string} symbol - 符号操作名，如 "up_small", "down_large", "set_70" 等
  * @param {number} currentValue - 当前参数值
  * @param {CeParameterDefinition} paramDef - 参数定义
@@ -58,64 +177,25 @@ export function resolveSymbolicForNumber(symbol, currentValue, paramDef) {
     };
   }
 
-  // 处理增量符号操作
   const range = paramDef.range;
   let delta = 0;
 
-  if (range && typeof range.min === "number" && typeof range.max === "number") {
-    // 有range：使用百分比增量
-    const rangeSize = range.max - range.min;
-    const mapping = DEFAULT_SYMBOLIC_MAPPING;
-    
-    switch (sym) {
-      case "up_small":
-        delta = rangeSize * mapping.up_small;
-        break;
-      case "up_medium":
-        delta = rangeSize * mapping.up_medium;
-        break;
-      case "up_large":
-        delta = rangeSize * mapping.up_large;
-        break;
-      case "down_small":
-        delta = rangeSize * mapping.down_small;
-        break;
-      case "down_medium":
-        delta = rangeSize * mapping.down_medium;
-        break;
-      case "down_large":
-        delta = rangeSize * mapping.down_large;
-        break;
-      default:
-        // 未知符号，不做变化
-        return { op: "set", value: currentValue, clamped: false };
-    }
+  if (BUILTIN_NUMBER_SYMBOLS.includes(sym)) {
+    // 内置增量符号（可被参数级 symbolicMapping 覆盖幅度）
+    delta = getBuiltinDelta(sym, paramDef);
   } else {
-    // 无range：使用绝对增量
-    const mapping = DEFAULT_SYMBOLIC_MAPPING;
-    
-    switch (sym) {
-      case "up_small":
-        delta = mapping.up_small_absolute;
-        break;
-      case "up_medium":
-        delta = mapping.up_medium_absolute;
-        break;
-      case "up_large":
-        delta = mapping.up_large_absolute;
-        break;
-      case "down_small":
-        delta = mapping.down_small_absolute;
-        break;
-      case "down_medium":
-        delta = mapping.down_medium_absolute;
-        break;
-      case "down_large":
-        delta = mapping.down_large_absolute;
-        break;
-      default:
-        return { op: "set", value: currentValue, clamped: false };
+    // 参数自定义符号
+    const found = lookupParameterSymbol(paramDef, symbol);
+    const custom = found ? normalizeCustomEntry(found.entry) : null;
+    if (!custom) {
+      // 未知符号，不做变化
+      return { op: "set", value: currentValue, clamped: false };
+    }
+    if (custom.set !== undefined) {
+      const clamped = clampToRange(custom.set, range);
+      return { op: "set", value: clamped.value, clamped: clamped.wasClamped };
     }
+    delta = custom.delta;
   }
 
   // 计算新值并应用range限制
@@ -202,13 +282,13 @@ export function resolveSymbolicForEnum(symbol, currentValue, paramDef) {
 }
 
 /**
- * 将数值限制在参数定义的range范围内
+ * 将数值限制在参数定义的range范围内（decay、op-validator 等模块共用）
  * 
  * @param {number} value - 待限制的数值
  * @param {{ min?: number, max?: number }} [range] - 范围定义
  * @returns {{ value: number, wasClamped: boolean }}
  */
-function clampToRange(value, range) {
+export function clampToRange(value, range) {
   if (!range || typeof range !== "object") {
     return { value, wasClamped: false };
   }
@@ -1,6 +1,8 @@
 // 模板替换模块：处理 CharacterEngine 专属的变量和提示词占位符
 // 兼容 SillyTavern 原生的 {{}} 宏系统
 
+import { resolveEntityAlias, resolveEntityAliasesInPath } from "./entities.js";
+
 /**
  * 替换提示文本中的 CharacterEngine 变量和提示词占位符
  * 
@@ -10,15 +12,17 @@
  * - {{ce-var::角色名.参数名.目标}} - 获取关系型参数值
  * - {{ce-prompt::提示类型名}} - 获取当前角色的提示内容
  * - {{ce-prompt::角色名.提示类型名}} - 获取指定角色的提示内容
+ * 角色名可以写实体别名（例如 {{ce-var::美咲.好感度}}），替换前换成主名称。
  * 
  * @param {string} text - 原始提示文本
  * @param {Function} getValueByName - 获取参数值的函数 (parameterName) => value
  * @param {Object.<string, import("./prompt-slots.js").PromptBundle>} promptBundles - 所有角色的提示 bundles
  * @param {string} currentOwnerName - 当前角色名（用于简写形式）
  * @param {number} [depth=0] - 递归深度（防止循环引用）
+ * @param {Map<string, string>|null} [aliasMap] - 实体别名表（buildEntityAliasMap() 的结果）
  * @returns {string} 替换后的文本
  */
-export function replaceCeTemplates(text, getValueByName, promptBundles, currentOwnerName, depth = 0) {
+export function replaceCeTemplates(text, getValueByName, promptBundles, currentOwnerName, depth = 0, aliasMap = null) {
   if (!text || typeof text !== 'string') {
     return text || '';
   }
@@ -40,7 +44,7 @@ export function replaceCeTemplates(text, getValueByName, promptBundles, currentO
     if (!trimmedPath) return match;
 
     // 尝试获取变量值
-    const value = getValueByName(trimmedPath);
+    const value = getValueByName(resolveEntityAliasesInPath(trimmedPath, aliasMap));
     
     if (value !== undefined && value !== null) {
       hasReplacement = true;
@@ -73,7 +77,7 @@ export function replaceCeTemplates(text, getValueByName, promptBundles, currentO
       promptTypeName = parts[0];
     } else {
       // {{ce-prompt::上原惠.语气}} - 使用指定角色
-      ownerName = parts[0];
+      ownerName = resolveEntityAlias(parts[0], aliasMap);
       promptTypeName = parts.slice(1).join('.');
     }
 
@@ -89,7 +93,8 @@ export function replaceCeTemplates(text, getValueByName, promptBundles, currentO
         getValueByName,
         promptBundles,
         ownerName,
-        depth + 1
+        depth + 1,
+        aliasMap
       );
     }
 
@@ -99,7 +104,7 @@ export function replaceCeTemplates(text, getValueByName, promptBundles, currentO
 
   // 如果进行了替换且深度为0，再进行一次替换以处理嵌套的占位符
   if (hasReplacement && depth === 0) {
-    result = replaceCeTemplates(result, getValueByName, promptBundles, currentOwnerName, depth + 1);
+    result = replaceCeTemplates(result, getValueByName, promptBundles, currentOwnerName, depth + 1, aliasMap);
   }
 
   return result;
@@ -110,9 +115,10 @@ export function replaceCeTemplates(text, getValueByName, promptBundles, currentO
  * 
  * @param {Object.<string, import("./prompt-slots.js").PromptBundle>} bundles - 提示 bundles
  * @param {Function} getValueByName - 获取参数值的函数
+ * @param {Map<string, string>|null} [aliasMap] - 实体别名表
  * @returns {Object.<string, import("./prompt-slots.js").PromptBundle>} 替换后的 bundles
  */
-export function replaceBundlesTemplates(bundles, getValueByName) {
+export function replaceBundlesTemplates(bundles, getValueByName, aliasMap = null) {
   if (!bundles || typeof bundles !== 'object') {
     return bundles;
   }
@@ -140,7 +146,9 @@ export function replaceBundlesTemplates(bundles, getValueByName) {
         originalText,
         getValueByName,
         bundles, // 传入原始 bundles 以支持跨角色引用
-        ownerName
+        ownerName,
+        0,
+        aliasMap
       );
     }
   }
@@ -0,0 +1,73 @@
+// 文本编辑距离模块：判断消息编辑是否为「小修改」（错别字、标点等），用于决定是否沿用已有的 ChangeSet
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑
+
+/**
+ * 规整用于比较的文本：去掉首尾空白，连续空白合并为一个空格
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeTextForDistance(text) {
+  return String(text ?? "").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * 带上限的 Levenshtein 编辑距离（只计算对角线附近 maxDistance 宽的带，长文本也不会退化为平方复杂度）。
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance - 距离上限，超过时提前结束
+ * @returns {number} 编辑距离；超过上限时返回 maxDistance + 1
+ */
+export function boundedEditDistance(a, b, maxDistance) {
+  if (a === b) return 0;
+  const k = Math.max(0, Math.floor(maxDistance));
+  const over = k + 1;
+  if (Math.abs(a.length - b.length) > k) return over;
+
+  const n = a.length;
+  const m = b.length;
+  let prev = new Int32Array(m + 2).fill(over);
+  let curr = new Int32Array(m + 2).fill(over);
+  for (let j = 0; j <= Math.min(m, k); j++) prev[j] = j;
+
+  for (let i = 1; i <= n; i++) {
+    const from = Math.max(1, i - k);
+    const to = Math.min(m, i + k);
+    // 带外的格子视为超限；上一行只写到 to - 1，这里补齐左右边界
+    curr[from - 1] = from === 1 && i <= k ? i : over;
+    curr[to + 1] = over;
+
+    let rowMin = curr[from - 1];
+    const ca = a.charCodeAt(i - 1);
+    for (let j = from; j <= to; j++) {
+      const cost = ca === b.charCodeAt(j - 1) ? 0 : 1;
+      const v = Math.min(prev[j - 1] + cost, prev[j] + 1, curr[j - 1] + 1);
+      curr[j] = v > over ? over : v;
+      if (curr[j] < rowMin) rowMin = curr[j];
+    }
+    if (rowMin > k) return over;
+
+    const tmp = prev;
+    prev = curr;
+    curr = tmp;
+  }
+
+  return Math.min(prev[m], over);
+}
+
+/**
+ * 归一化编辑距离：编辑距离 / 较长文本的长度，范围 0~1（0 表示相同）。
+ * 给出 maxRatio 时只计算到该比例为止，超过时返回一个大于 maxRatio 的值。
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [maxRatio=1]
+ * @returns {number}
+ */
+export function normalizedEditDistance(a, b, maxRatio = 1) {
+  const x = normalizeTextForDistance(a);
+  const y = normalizeTextForDistance(b);
+  const maxLen = Math.max(x.length, y.length);
+  if (maxLen === 0) return 0;
+
+  const distance = boundedEditDistance(x, y, Math.floor(maxLen * Math.min(1, Math.max(0, maxRatio))));
+  return Math.min(1, distance / maxLen);
+}
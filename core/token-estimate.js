@@ -0,0 +1,15 @@
+// token 估算模块：粗略估算文本的 token 数，用于解析提示预算与自我修正开销等统计
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑
+
+/**
+ * 粗略估算文本的 token 数：中日韩字符按 1 个 token 计，其余字符按 4 个字符 1 个 token 计。
+ * 只用于预算与统计，不追求与具体模型的分词一致。
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokenCount(text) {
+  const str = String(text ?? "");
+  const cjk = (str.match(/[\u3000-\u303f\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return cjk + Math.ceil((str.length - cjk) / 4);
+}
@@ -0,0 +1,244 @@
+// 阈值触发器模块：在 applyChangeSet 之后检测参数越过阈值，并把触发效果折叠回本轮 ChangeSet
+// 本模块不依赖 SillyTavern，只提供纯数据逻辑
+//
+// 设计要点：
+// - 触发器只在「产生 ChangeSet 的那一刻」评估一次（例如提前解析完成时）；
+// - 评估结果（效果操作 + 触发记录）写回该消息的 ChangeSet，重建/分支时直接回放，不再重新评估，
+//   因此即使作者之后修改了触发器配置，历史楼层的状态也保持不变。
+
+import { applyChangeSet } from "./engine-state.js";
+
+/**
+ * @typedef {Object} CeTriggerEffectVariable
+ * @property {string} parameterName   // 参数名；不含 "." 时按触发路径的主体（及关系目标）补全
+ * @property {any} value              // 直接设置的值
+ */
+
+/**
+ * @typedef {Object} CeTriggerDefinition
+ * @property {string} [id]
+ * @property {string} name                        // 作者可读名称，例如 "告白阶段"
+ * @property {string} parameterName               // 监听的数值参数名，例如 "好感度"
+ * @property {"up"|"down"|"any"} [direction]      // 越过方向，默认 up
+ * @property {number} threshold                   // 阈值
+ * @property {boolean} [once]                     // 是否每条路径只触发一次（默认 true）
+ * @property {Object} effects
+ * @property {CeTriggerEffectVariable[]} [effects.setVariables]
+ * @property {string[]} [effects.addSceneTags]
+ * @property {string[]} [effects.removeSceneTags]
+ * @property {string} [effects.prompt]            // 一次性提示：仅注入到触发当轮的提示中
+ */
+
+/**
+ * @typedef {Object} CeTriggerEvent
+ * @property {string} key            // 触发键（触发器 ID@路径），用于 once 判断
+ * @property {string} triggerName
+ * @property {string} path           // 越过阈值的变量路径，例如 "艾莉娅.好感度"
+ * @property {"up"|"down"} direction
+ * @property {number} threshold
+ * @property {number} from
+ * @property {number} to
+ * @property {string} [prompt]
+ */
+
+/**
+ * 获取触发器的稳定标识
+ * @param {CeTriggerDefinition} trigger
+ * @returns {string}
+ */
+function getTriggerId(trigger) {
+  return (trigger.id && String(trigger.id).trim()) || String(trigger.name || "").trim();
+}
+
+/**
+ * 枚举某个参数在变量桶中的所有数值位置（与 applyChangeSet 的嵌套路径约定一致）
+ * @param {Object} variables - EngineState.variables
+ * @param {string} paramName
+ * @returns {Map<string, number>} 路径 → 数值
+ */
+function collectNumericValues(variables, paramName) {
+  /** @type {Map<string, number>} */
+  const result = new Map();
+  if (!variables || typeof variables !== "object") return result;
+
+  for (const bucket of Object.values(variables)) {
+    if (!bucket || typeof bucket !== "object") continue;
+    for (const [subject, subjectVars] of Object.entries(bucket)) {
+      if (!subjectVars || typeof subjectVars !== "object" || Array.isArray(subjectVars)) continue;
+      const value = subjectVars[paramName];
+      if (typeof value === "number") {
+        result.set(`${subject}.${paramName}`, value);
+      } else if (value && typeof value === "object" && !Array.isArray(value)) {
+        for (const [target, v] of Object.entries(value)) {
+          if (typeof v === "number") {
+            result.set(`${subject}.${paramName}.${target}`, v);
+          }
+        }
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * 比较前后两个状态，找出本轮越过阈值的触发器。
+ * 前一状态中不存在的变量（首次写入）不视为越过阈值。
+ *
+ * @param {import("./engine-state.js").EngineState} prevState
+ * @param {import("./engine-state.js").EngineState} nextState
+ * @param {CeTriggerDefinition[]} triggers
+ * @returns {CeTriggerEvent[]}
+ */
+export function evaluateTriggers(prevState, nextState, triggers) {
+  if (!Array.isArray(triggers) || !triggers.length) return [];
+
+  const fired = nextState?.firedTriggers && typeof nextState.firedTriggers === "object"
+    ? nextState.firedTriggers
+    : {};
+
+  /** @type {CeTriggerEvent[]} */
+  const events = [];
+
+  for (const trigger of triggers) {
+    if (!trigger || typeof trigger !== "object") continue;
+    const paramName = typeof trigger.parameterName === "string" ? trigger.parameterName.trim() : "";
+    const threshold = Number(trigger.threshold);
+    if (!paramName || !Number.isFinite(threshold)) continue;
+
+    const direction = trigger.direction === "down" || trigger.direction === "any" ? trigger.direction : "up";
+    const once = trigger.once !== false;
+    const triggerId = getTriggerId(trigger);
+
+    const before = collectNumericValues(prevState?.variables, paramName);
+    const after = collectNumericValues(nextState?.variables, paramName);
+
+    for (const [path, to] of after) {
+      const from = before.get(path);
+      if (typeof from !== "number") continue;
+
+      let crossed = null;
+      if (from < threshold && to >= threshold) crossed = "up";
+      else if (from > threshold && to <= threshold) crossed = "down";
+      if (!crossed || (direction !== "any" && direction !== crossed)) continue;
+
+      const key = `${triggerId}@${path}`;
+      if (once && fired[key] !== undefined) continue;
+
+      /** @type {CeTriggerEvent} */
+      const event = {
+        key,
+        triggerName: trigger.name || triggerId,
+        path,
+        direction: crossed,
+        threshold,
+        from,
+        to
+      };
+      const prompt = typeof trigger.effects?.prompt === "string" ? trigger.effects.prompt.trim() : "";
+      if (prompt) event.prompt = prompt;
+      events.push(event);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * 将触发效果折叠进 ChangeSet（返回新对象，不修改传入的 ChangeSet）。
+ * 效果操作追加在原有操作之后，触发记录写入 changeSet.triggerEvents，由 applyChangeSet 记录到状态中。
+ *
+ * @param {Object} changeSet
+ * @param {CeTriggerEvent[]} events
+ * @param {CeTriggerDefinition[]} triggers
+ * @returns {Object}
+ */
+export function foldTriggerEffects(changeSet, events, triggers) {
+  const base = changeSet && typeof changeSet === "object" ? changeSet : {};
+  if (!Array.isArray(events) || !events.length) return base;
+
+  const variables = Array.isArray(base.stateDelta?.variables) ? [...base.stateDelta.variables] : [];
+  const sceneTags = base.sceneDelta?.sceneTags && typeof base.sceneDelta.sceneTags === "object"
+    ? { ...base.sceneDelta.sceneTags }
+    : {};
+  const addTags = [];
+  const removeTags = [];
+
+  for (const event of events) {
+    const trigger = triggers.find(t => t && `${getTriggerId(t)}@${event.path}` === event.key);
+    const effects = trigger?.effects || {};
+    const [subjectName, , targetName] = event.path.split(".");
+
+    for (const eff of Array.isArray(effects.setVariables) ? effects.setVariables : []) {
+      const name = typeof eff?.parameterName === "string" ? eff.parameterName.trim() : "";
+      if (!name) continue;
+      let path = name;
+      if (!name.includes(".")) {
+        path = targetName ? `${subjectName}.${name}.${targetName}` : `${subjectName}.${name}`;
+      }
+      const segments = path.split(".");
+      variables.push({
+        path,
+        op: "set",
+        value: eff.value,
+        meta: { reason: `触发器：${event.triggerName}`, source: "trigger" },
+        parsedPath: {
+          raw: path,
+          segments,
+          subjectName: segments[0] ?? null,
+          parameterName: segments[1] ?? null,
+          targetName: segments[2] ?? null
+        }
+      });
+    }
+
+    for (const t of Array.isArray(effects.addSceneTags) ? effects.addSceneTags : []) {
+      if (typeof t === "string" && t.trim()) addTags.push(t.trim());
+    }
+    for (const t of Array.isArray(effects.removeSceneTags) ? effects.removeSceneTags : []) {
+      if (typeof t === "string" && t.trim()) removeTags.push(t.trim());
+    }
+  }
+
+  if (Array.isArray(sceneTags.set)) {
+    // 解析结果使用覆盖语义时，直接在覆盖集合上合并触发效果
+    sceneTags.set = sceneTags.set.filter(t => !removeTags.includes(t)).concat(addTags);
+  } else {
+    if (addTags.length) sceneTags.add = [...(sceneTags.add || []), ...addTags];
+    if (removeTags.length) sceneTags.remove = [...(sceneTags.remove || []), ...removeTags];
+  }
+
+  return {
+    ...base,
+    stateDelta: { ...(base.stateDelta || {}), variables },
+    sceneDelta: Object.keys(sceneTags).length
+      ? { ...(base.sceneDelta || {}), sceneTags }
+      : base.sceneDelta,
+    triggerEvents: [...(Array.isArray(base.triggerEvents) ? base.triggerEvents : []), ...events]
+  };
+}
+
+/**
+ * 对一个新产生的 ChangeSet 评估触发器，返回折叠了触发效果的 ChangeSet。
+ * 调用方应存储返回的 ChangeSet，之后的重建只需回放它。
+ *
+ * @param {import("./engine-state.js").EngineState} prevState - 应用本轮 ChangeSet 之前的状态
+ * @param {Object} changeSet
+ * @param {CeTriggerDefinition[]} triggers
+ * @param {import("./variables.js").CeParameterDefinition[]} [parameterDefs]
+ * @param {import("./entities.js").CeEntityDefinition[]} [entityDefs]
+ * @param {Object|null} [castConfig]
+ * @returns {{ changeSet: Object, events: CeTriggerEvent[] }}
+ */
+export function resolveTriggeredChangeSet(prevState, changeSet, triggers, parameterDefs = [], entityDefs = [], castConfig = null) {
+  if (!changeSet || !Array.isArray(triggers) || !triggers.length) {
+    return { changeSet, events: [] };
+  }
+
+  const nextState = applyChangeSet(prevState, changeSet, parameterDefs, entityDefs, castConfig);
+  const events = evaluateTriggers(prevState, nextState, triggers);
+  if (!events.length) {
+    return { changeSet, events };
+  }
+
+  return { changeSet: foldTriggerEffects(changeSet, events, triggers), events };
+}
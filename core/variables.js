@@ -12,14 +12,19 @@
  * @typedef {Object} CeParameterDefinition
  * @property {string} name              // 作者/LLM 看到的参数名，例如 "好感度"
  * @property {string} id                // 引擎内部 ID，例如 "affection"；若作者未给，内部可生成
- * @property {"number"|"boolean"|"enum"|"text"|"array"} type
+ * @property {"number"|"boolean"|"enum"|"text"|"array"|"derived"} type  // derived=派生参数，只读，由 derived 配置计算
  * @property {"character"|"relationship"|"scene"|"global"} [scope] // 参数作用域：character=角色自身，relationship=需要目标实体，scene=场景级，global=全局级
- * @property {boolean} [isShortTerm]    // 标记是否为短期参数（短期情绪/意图等），短期参数会在每轮对话后自动重置
+ * @property {boolean} [isShortTerm]    // 标记是否为短期参数（短期情绪/意图等），短期参数在写入后经过 shortTermTurns 轮自动回到基线
+ * @property {number} [shortTermTurns]  // 短期参数写入后保持的轮数，默认 1（即下一轮开始时回到基线）
+ * @property {any} [shortTermBaseline]  // 短期参数的基线值；未设置时到期后直接清空该变量
  * @property {string} [description]     // 人类可读解释，解析模型用来理解含义
  * @property {{ min?: number, max?: number }} [range]  // 数值型可选范围
  * @property {string[]} [enumValues]    // 枚举型的可选值列表（名称同样面向作者/LLM）
  * @property {CeArrayConfig} [arrayConfig]  // 数组型参数的配置
  * @property {string} [textHint]        // 文本型参数的格式提示
+ * @property {Object.<string, import("./symbolic-mapper.js").CeSymbolicMappingEntry>} [symbolicMapping] // 数值型可选：覆盖 up_small 等内置符号的幅度，或声明自定义符号（如 betrayal: -40）
+ * @property {import("./decay.js").CeDecayConfig} [decay] // 数值型可选：每轮在解析操作之前向基线衰减/漂移
+ * @property {import("./derived.js").CeDerivedConfig} [derived] // 派生型：计算公式与可选的阶段阈值
  */
 
 /**
@@ -31,20 +36,62 @@
 
 /**
  * @typedef {Object} CePromptRuleCondition
- * @property {string} parameterName       // 使用参数的 name（而非内部 id）
- * @property {("=="|"!="|">"|">="|"<"|"<="|"in"|"not_in")} op
+ * @property {string} parameterName       // 使用参数的 name（而非内部 id），或状态操作数（见 CONDITION_STATE_OPERANDS）
+ * @property {("=="|"!="|">"|">="|"<"|"<="|"in"|"not_in"|"contains"|"not_contains"|"within"|"not_within")} op
  * @property {any} value
+ * @property {CeConditionValueRef} [valueRef] // 可选：右侧引用另一参数路径（存在时忽略 value）
+ */
+
+/**
+ * 条件右侧的参数引用，例如 "B.好感度.玩家 + 10"
+ * @typedef {Object} CeConditionValueRef
+ * @property {string} path      // 参数路径；不含 "." 时与左侧一样按 ownerName 补全
+ * @property {number} [offset]  // 数值偏移，默认 0
+ */
+
+/**
+ * 条件匹配时使用的非参数状态（场景标签 / 当前地点 / Cast），由 createConditionStateContext 生成
+ * @typedef {Object} CeConditionStateContext
+ * @property {string[]} sceneTags
+ * @property {string|null} currentLocation
+ * @property {{ focus: string[], presentSupporting: string[], offstageRelated: string[] }} cast
+ * @property {Object.<string, string>} locationParents  // 地点名 → 父地点名
+ */
+
+/**
+ * 条件分组节点：用于表达 OR / NOT / 嵌套逻辑。
+ * - { all: [...] }：全部满足（AND）
+ * - { any: [...] }：任一满足（OR）
+ * - { not: 节点 }：取反
+ * @typedef {Object} CePromptConditionGroup
+ * @property {CePromptConditionNode[]} [all]
+ * @property {CePromptConditionNode[]} [any]
+ * @property {CePromptConditionNode} [not]
+ */
+
+/**
+ * @typedef {CePromptRuleCondition|CePromptConditionGroup} CePromptConditionNode
  */
 
 /**
  * @typedef {Object} CePromptEntry
  * @property {string} ownerName                // 归属实体的自然语言名字，如某角色或地点
  * @property {string} promptTypeName           // 提示类型的名字（与 CePromptTypeDefinition.name 对齐）
- * @property {string} text                     // 实际插入到提示中的文案
- * @property {CePromptRuleCondition[]} [when]  // 参数条件列表，全部满足时生效
+ * @property {string} text                     // 实际插入到提示中的文案（分段条目不使用）
+ * @property {CePromptConditionNode[]} [when]  // 参数条件列表，全部满足时生效（元素可以是分组节点）
+ * @property {"plain"|"banded"} [entryType]   // 条目类型，默认 plain；banded 为分段条目
+ * @property {string} [bandParameter]          // 分段条目：按此数值参数选段（路径补全规则与条件一致）
+ * @property {CePromptBand[]} [bands]          // 分段条目：按 min 升序的分段列表，运行时恰好选中一段
  * @property {string} [id]                     // 可选内部 ID，便于编辑器引用
  */
 
+/**
+ * 分段提示条目中的一段：参数值 >= min 时命中（取 min 最大的命中段；低于最低段时落入最低段）
+ * @typedef {Object} CePromptBand
+ * @property {number} min
+ * @property {string} text
+ */
+
 /**
  * @typedef {Object} ParsedVariablePath
  * @property {string} raw            // 原始路径字符串，例如 "艾莉娅.好感度.林原"
@@ -101,6 +148,17 @@ export function parseVariablePath(path) {
   };
 }
 
+/**
+ * 按名称或 ID 查找参数定义（engine-state、op-validator 共用）
+ * @param {CeParameterDefinition[]} parameterDefs
+ * @param {string|null|undefined} paramName
+ * @returns {CeParameterDefinition|null}
+ */
+export function findParameterDef(parameterDefs, paramName) {
+  if (!paramName || !Array.isArray(parameterDefs)) return null;
+  return parameterDefs.find(p => p && (p.name === paramName || p.id === paramName)) || null;
+}
+
 /**
  * 在解析模型输出的 CeVariableOp 基础上，附加解析好的路径信息。
  * 注意：本函数不修改传入对象，而是返回一个浅拷贝。
@@ -126,19 +184,102 @@ export function withParsedPath(op) {
 }
 
 /**
- * 匹配提示条件，支持路径式参数引用。
+ * 条件中可直接引用的状态操作数（非参数）。键为条件左侧写法，值为内部类型。
+ * - sceneTags：场景标签，支持 contains / not_contains
+ * - location：当前地点，支持 == / != / in / not_in，以及 within / not_within（等于或是其子地点，沿 parentLocation 向上查找）
+ * - cast.*：Cast 分层成员，支持 contains / not_contains；cast.present 为 focus + presentSupporting
+ */
+export const CONDITION_STATE_OPERANDS = Object.freeze({
+  "场景标签": "sceneTags",
+  "scene.sceneTags": "sceneTags",
+  "当前地点": "location",
+  "locationCast.current": "location",
+  "焦点角色": "cast.focus",
+  "cast.focus": "cast.focus",
+  "在场配角": "cast.presentSupporting",
+  "cast.presentSupporting": "cast.presentSupporting",
+  "离场相关": "cast.offstageRelated",
+  "cast.offstageRelated": "cast.offstageRelated",
+  "在场角色": "cast.present",
+  "cast.present": "cast.present"
+});
+
+/**
+ * 各状态操作数允许的运算符
+ * @type {Readonly<Object.<string, string[]>>}
+ */
+export const CONDITION_STATE_OPERAND_OPS = Object.freeze({
+  sceneTags: ["contains", "not_contains"],
+  location: ["==", "!=", "in", "not_in", "within", "not_within"],
+  "cast.focus": ["contains", "not_contains"],
+  "cast.presentSupporting": ["contains", "not_contains"],
+  "cast.offstageRelated": ["contains", "not_contains"],
+  "cast.present": ["contains", "not_contains"]
+});
+
+/**
+ * 根据 EngineState 与实体定义构造条件匹配所需的状态上下文
+ * @param {import("./engine-state.js").EngineState|null} engineState
+ * @param {import("./entities.js").CeEntityDefinition[]} [entityDefs]
+ * @returns {CeConditionStateContext}
+ */
+export function createConditionStateContext(engineState, entityDefs = []) {
+  /** @type {Object.<string, string>} */
+  const locationParents = {};
+  const collectParent = (e) => {
+    if (!e || typeof e !== "object" || typeof e.name !== "string") return;
+    if (e.type && e.type !== "location") return;
+    const parent = typeof e.parentLocation === "string" ? e.parentLocation.trim() : "";
+    if (parent) locationParents[e.name.trim()] = parent;
+  };
+  (Array.isArray(entityDefs) ? entityDefs : []).forEach(collectParent);
+  // 运行时实体的覆盖优先
+  Object.values(engineState?.entitiesRuntime || {}).forEach(collectParent);
+
+  const cast = engineState?.cast || {};
+  const current = engineState?.locationCast?.current || engineState?.scene?.locationHint || null;
+
+  return {
+    sceneTags: Array.isArray(engineState?.scene?.sceneTags) ? [...engineState.scene.sceneTags] : [],
+    currentLocation: typeof current === "string" && current.trim() ? current.trim() : null,
+    cast: {
+      focus: Array.isArray(cast.focus) ? cast.focus : [],
+      presentSupporting: Array.isArray(cast.presentSupporting) ? cast.presentSupporting : [],
+      offstageRelated: Array.isArray(cast.offstageRelated) ? cast.offstageRelated : []
+    },
+    locationParents
+  };
+}
+
+/**
+ * 判断条件节点是否为分组节点（all / any / not）
+ * @param {any} node
+ * @returns {boolean}
+ */
+export function isConditionGroup(node) {
+  return !!node && typeof node === "object" &&
+    (Array.isArray(node.all) || Array.isArray(node.any) || (node.not !== undefined && node.not !== null));
+}
+
+/**
+ * 匹配提示条件，支持路径式参数引用与分组逻辑。
  *
  * 参数名解析规则：
  * 1. 如果 parameterName 包含 "."，解析为完整路径 "主体名.参数名"
  * 2. 如果不包含 "." 且提供了 ownerContext，自动补全为 "ownerContext.parameterName"
  * 3. 否则直接使用 parameterName（用于 scene/global scope）
  *
- * @param {CePromptRuleCondition[]} conditions - 条件列表
+ * 顶层数组中的条件按 AND 组合；元素也可以是 { all } / { any } / { not } 分组节点，可任意嵌套。
+ * 左侧为状态操作数（场景标签 / 当前地点 / Cast 分层）时不做路径补全，改为从 stateContext 读取；
+ * 未提供 stateContext 时这类条件视为不满足。
+ *
+ * @param {CePromptConditionNode[]} conditions - 条件列表
  * @param {(fullPath: string) => any} getValueByPath - 通过完整路径获取参数值的函数
  * @param {string|null} [ownerContext] - 当前提示条目的 ownerName，用于自动补全路径
+ * @param {CeConditionStateContext|null} [stateContext] - 场景标签 / 地点 / Cast 状态
  * @returns {boolean}
  */
-export function matchPromptConditions(conditions, getValueByPath, ownerContext = null) {
+export function matchPromptConditions(conditions, getValueByPath, ownerContext = null, stateContext = null) {
   if (!Array.isArray(conditions) || conditions.length === 0) {
     return true; // 无条件视为始终生效
   }
@@ -148,49 +289,183 @@ export function matchPromptConditions(conditions, getValueByPath, ownerContext =
 
   for (const cond of conditions) {
     if (!cond || typeof cond !== "object") continue;
-    
-    let parameterPath = cond.parameterName;
-    
-    // 路径补全逻辑
-    if (!parameterPath.includes(".") && ownerContext) {
-      // 自动补全: "好感度" -> "樱井美咲.好感度"
-      parameterPath = `${ownerContext}.${parameterPath}`;
-    }
-    // 如果已经包含 "."，直接使用: "樱井美咲.好感度"
-    // 如果不包含 "." 且无 ownerContext，直接使用: "天气"（scene/global）
-    
-    const actual = getValueByPath(parameterPath);
-    const expected = cond.value;
+    if (!matchConditionNode(cond, getValueByPath, ownerContext, stateContext)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * 递归匹配单个条件节点
+ * @param {CePromptConditionNode} node
+ * @param {(fullPath: string) => any} getValueByPath
+ * @param {string|null} ownerContext
+ * @param {CeConditionStateContext|null} stateContext
+ * @returns {boolean}
+ */
+function matchConditionNode(node, getValueByPath, ownerContext, stateContext) {
+  if (!node || typeof node !== "object") return false;
+
+  if (Array.isArray(node.all)) {
+    return node.all.every(child => matchConditionNode(child, getValueByPath, ownerContext, stateContext));
+  }
+  if (Array.isArray(node.any)) {
+    return node.any.some(child => matchConditionNode(child, getValueByPath, ownerContext, stateContext));
+  }
+  if (node.not !== undefined && node.not !== null) {
+    return !matchConditionNode(node.not, getValueByPath, ownerContext, stateContext);
+  }
+
+  const cond = /** @type {CePromptRuleCondition} */ (node);
+  const stateOperand = Object.prototype.hasOwnProperty.call(CONDITION_STATE_OPERANDS, cond.parameterName)
+    ? CONDITION_STATE_OPERANDS[cond.parameterName]
+    : null;
+  if (stateOperand) {
+    return stateContext ? matchStateCondition(stateOperand, cond, stateContext) : false;
+  }
+
+  return matchSingleCondition(cond, getValueByPath, ownerContext);
+}
+
+/**
+ * 匹配状态操作数条件（场景标签 / 当前地点 / Cast 分层）
+ * @param {string} operand - CONDITION_STATE_OPERANDS 中的内部类型
+ * @param {CePromptRuleCondition} cond
+ * @param {CeConditionStateContext} ctx
+ * @returns {boolean}
+ */
+function matchStateCondition(operand, cond, ctx) {
+  const expected = cond.value;
+
+  if (operand === "location") {
+    const current = ctx.currentLocation;
+    // 地点可能写作 "父地点.子地点"，以最后一段为当前地点名
+    const currentName = current ? current.split(".").pop() : null;
     switch (cond.op) {
       case "==":
-        if (actual !== expected) return false;
-        break;
+        return currentName !== null && (current === expected || currentName === expected);
       case "!=":
-        if (actual === expected) return false;
-        break;
-      case ">":
-        if (!(typeof actual === "number" && actual > expected)) return false;
-        break;
-      case ">=":
-        if (!(typeof actual === "number" && actual >= expected)) return false;
-        break;
-      case "<":
-        if (!(typeof actual === "number" && actual < expected)) return false;
-        break;
-      case "<=":
-        if (!(typeof actual === "number" && actual <= expected)) return false;
-        break;
+        return !(currentName !== null && (current === expected || currentName === expected));
       case "in":
-        if (!Array.isArray(expected) || !expected.includes(actual)) return false;
-        break;
+        return Array.isArray(expected) && (expected.includes(current) || expected.includes(currentName));
       case "not_in":
-        if (Array.isArray(expected) && expected.includes(actual)) return false;
-        break;
+        return !(Array.isArray(expected) && (expected.includes(current) || expected.includes(currentName)));
+      case "within":
+      case "not_within": {
+        const targets = Array.isArray(expected) ? expected : [expected];
+        const chain = getLocationChain(current, ctx.locationParents);
+        const hit = targets.some(t => chain.includes(t));
+        return cond.op === "within" ? hit : !hit;
+      }
       default:
-        // 未知操作符视为不匹配，避免意外放行
         return false;
     }
   }
 
-  return true;
+  /** @type {string[]} */
+  let members;
+  if (operand === "sceneTags") {
+    members = ctx.sceneTags;
+  } else if (operand === "cast.present") {
+    members = [...ctx.cast.focus, ...ctx.cast.presentSupporting];
+  } else {
+    members = ctx.cast[operand.slice("cast.".length)] || [];
+  }
+
+  const targets = Array.isArray(expected) ? expected : [expected];
+  switch (cond.op) {
+    case "contains":
+      return targets.every(t => members.includes(t));
+    case "not_contains":
+      return !targets.some(t => members.includes(t));
+    default:
+      return false;
+  }
+}
+
+/**
+ * 获取当前地点及其所有祖先地点（沿 parentLocation 向上，防止循环）
+ * @param {string|null} current
+ * @param {Object.<string, string>} parents
+ * @returns {string[]}
+ */
+function getLocationChain(current, parents) {
+  if (!current) return [];
+  // "学校.天台" 形式的完整路径本身即包含祖先，再从最外层继续沿 parentLocation 向上
+  const chain = current.split(".").map(s => s.trim()).filter(Boolean).reverse();
+  let cursor = chain[chain.length - 1];
+  while (cursor && parents[cursor] && !chain.includes(parents[cursor])) {
+    cursor = parents[cursor];
+    chain.push(cursor);
+  }
+  return chain;
+}
+
+/**
+ * 条件中参数路径的补全规则（分段提示条目的分段参数同样使用此规则）
+ * @param {string} path
+ * @param {string|null} ownerContext
+ * @returns {string}
+ */
+export function completeConditionPath(path, ownerContext) {
+  // 自动补全: "好感度" -> "樱井美咲.好感度"
+  // 如果已经包含 "."，直接使用: "樱井美咲.好感度"
+  // 如果不包含 "." 且无 ownerContext，直接使用: "天气"（scene/global）
+  if (!path.includes(".") && ownerContext) {
+    return `${ownerContext}.${path}`;
+  }
+  return path;
+}
+
+/**
+ * 匹配单个「参数名 OP 值」条件
+ * @param {CePromptRuleCondition} cond
+ * @param {(fullPath: string) => any} getValueByPath
+ * @param {string|null} ownerContext
+ * @returns {boolean}
+ */
+function matchSingleCondition(cond, getValueByPath, ownerContext) {
+  if (typeof cond.parameterName !== "string" || !cond.parameterName) return false;
+
+  const actual = getValueByPath(completeConditionPath(cond.parameterName, ownerContext));
+
+  let expected = cond.value;
+  if (cond.valueRef && typeof cond.valueRef.path === "string" && cond.valueRef.path) {
+    // 跨参数比较：右侧取另一参数的当前值（可加偏移）；引用值不存在时条件不满足
+    const refValue = getValueByPath(completeConditionPath(cond.valueRef.path, ownerContext));
+    if (refValue === undefined || refValue === null) return false;
+    const offset = typeof cond.valueRef.offset === "number" ? cond.valueRef.offset : 0;
+    if (offset !== 0) {
+      if (typeof refValue !== "number") return false;
+      expected = refValue + offset;
+    } else {
+      expected = refValue;
+    }
+  }
+  switch (cond.op) {
+    case "==":
+      return actual === expected;
+    case "!=":
+      return actual !== expected;
+    case ">":
+      return typeof actual === "number" && actual > expected;
+    case ">=":
+      return typeof actual === "number" && actual >= expected;
+    case "<":
+      return typeof actual === "number" && actual < expected;
+    case "<=":
+      return typeof actual === "number" && actual <= expected;
+    case "in":
+      return Array.isArray(expected) && expected.includes(actual);
+    case "not_in":
+      return !(Array.isArray(expected) && expected.includes(actual));
+    case "contains":
+      // 数组型参数包含某元素 / 文本型参数包含某子串
+      return (Array.isArray(actual) || typeof actual === "string") && actual.includes(expected);
+    case "not_contains":
+      return !((Array.isArray(actual) || typeof actual === "string") && actual.includes(expected));
+    default:
+      // 未知操作符视为不匹配，避免意外放行
+      return false;
+  }
 }
\ No newline at end of file
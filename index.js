@@ -3,10 +3,18 @@ import { saveSettingsDebounced, eventSource, event_types } from "../../../../../
 import { openCeEditorPanel } from "./ui/editor-panel.js";
 import { openCeStateObserverPanel } from "./ui/state-observer.js";
 import { openParseApiSettings } from "./ui/parse-api-settings.js";
-import { ceGenerateInterceptor } from "./orchestration/interceptor.js";
+import { ceGenerateInterceptor, cePostGenerationParse } from "./orchestration/interceptor.js";
 import { getCallGenerateService, handleGenerateRequest } from "./services/call-generate.js";
 import { getDataReaderService } from "./services/data-reader.js";
+import {
+  invalidateCheckpointsFrom,
+  getOrCreateEngineMeta,
+  undoLastChangeSet,
+  redoChangeSet,
+  getUndoRedoStatus
+} from "./integration/chat-state-storage.js";
 import { showAlert } from "./ui/dialogs.js";
+import { MAX_PARSE_REPAIR_BUDGET } from "./core/parse-repair.js";
 
 // ⭐ 条件导入RAG子系统
 let ragSystem = null;
@@ -19,6 +27,13 @@ const extensionFolderPath = `scripts/extensions/third-party/${EXT_ID}`;
 extension_settings[EXT_ID] = extension_settings[EXT_ID] || {
   enabled: true,
   useEarlyParse: true,
+  parseMode: "early",  // 解析模式：early（生成前）/ post（回复后，按滑动存储）/ both
+  editReparsePolicy: "always",  // 消息编辑后：always（重新解析）/ substantial（编辑距离超过阈值才重新解析）/ never（只标记过时）
+  editReparseThreshold: 0.2,  // substantial 策略的归一化编辑距离阈值
+  parseOutputProtocol: "xml",  // 解析输出格式：xml（XML 块）/ json（按 JSON Schema 输出 JSON 或工具调用）
+  parseResponseFormat: "none",  // json 格式下的 response_format：none / json_object / json_schema
+  parseRepairBudget: 0,  // 解析输出有问题时每轮最多自我修正几次（0 为关闭）
+  parsePromptTokenBudget: 0,  // 解析提示的 token 预算，超出时按 Cast 与当前地点压缩参数说明（0 为不限制）
   useSceneAndCast: true,  // 强制启用，核心功能
   useWorldRag: false,
   useIndependentRag: false,  // 独立RAG全局开关
@@ -86,7 +101,13 @@ async function setupSettingsPanel() {
 
 function wireSettingsForm(container) {
   const enableCheckbox = container.querySelector("#ce_enabled");
-  const earlyParseCheckbox = container.querySelector("#ce_use_early_parse");
+  const parseModeSelect = container.querySelector("#ce_parse_mode");
+  const editReparsePolicySelect = container.querySelector("#ce_edit_reparse_policy");
+  const editReparseThresholdInput = container.querySelector("#ce_edit_reparse_threshold");
+  const parseOutputProtocolSelect = container.querySelector("#ce_parse_output_protocol");
+  const parseResponseFormatSelect = container.querySelector("#ce_parse_response_format");
+  const parseRepairBudgetInput = container.querySelector("#ce_parse_repair_budget");
+  const parsePromptTokenBudgetInput = container.querySelector("#ce_parse_prompt_token_budget");
   const worldRagCheckbox = container.querySelector("#ce_use_world_rag");
   const independentRagCheckbox = container.querySelector("#ce_use_independent_rag");
   const openEditorBtn = container.querySelector("#ce_open_editor");
@@ -107,20 +128,79 @@ function wireSettingsForm(container) {
     });
   }
 
-  if (earlyParseCheckbox) {
-    // 强制启用提前解析，不允许用户更改
-    earlyParseCheckbox.checked = true;
-    earlyParseCheckbox.disabled = true;
-    settings.useEarlyParse = true;
-    
-    // 添加视觉提示
-    const label = earlyParseCheckbox.parentElement;
-    if (label) {
-      label.style.opacity = '0.6';
-      label.title = '提前解析模式已强制启用（必需功能）';
+  if (parseModeSelect) {
+    parseModeSelect.value = settings.parseMode || "early";
+    parseModeSelect.addEventListener("change", () => {
+      settings.parseMode = parseModeSelect.value;
+      saveSettingsDebounced();
+    });
+  }
+
+  // 消息编辑后的重新解析策略
+  if (editReparsePolicySelect) {
+    editReparsePolicySelect.value = settings.editReparsePolicy || "always";
+    editReparsePolicySelect.addEventListener("change", () => {
+      settings.editReparsePolicy = editReparsePolicySelect.value;
+      saveSettingsDebounced();
+    });
+  }
+
+  if (editReparseThresholdInput) {
+    editReparseThresholdInput.value = Math.round((settings.editReparseThreshold ?? 0.2) * 100);
+    editReparseThresholdInput.addEventListener("change", () => {
+      const percent = Math.max(1, Math.min(100, parseInt(editReparseThresholdInput.value) || 20));
+      settings.editReparseThreshold = percent / 100;
+      editReparseThresholdInput.value = percent;
+      saveSettingsDebounced();
+    });
+  }
+
+  // 解析输出格式（XML / JSON）
+  const updateResponseFormatVisibility = () => {
+    if (parseResponseFormatSelect) {
+      parseResponseFormatSelect.style.display = settings.parseOutputProtocol === "json" ? "" : "none";
     }
-    
-    // 不添加 change 事件监听器，因为已禁用
+  };
+
+  if (parseOutputProtocolSelect) {
+    parseOutputProtocolSelect.value = settings.parseOutputProtocol || "xml";
+    parseOutputProtocolSelect.addEventListener("change", () => {
+      settings.parseOutputProtocol = parseOutputProtocolSelect.value;
+      updateResponseFormatVisibility();
+      saveSettingsDebounced();
+    });
+  }
+
+  if (parseResponseFormatSelect) {
+    parseResponseFormatSelect.value = settings.parseResponseFormat || "none";
+    parseResponseFormatSelect.addEventListener("change", () => {
+      settings.parseResponseFormat = parseResponseFormatSelect.value;
+      saveSettingsDebounced();
+    });
+  }
+  updateResponseFormatVisibility();
+
+  // 解析输出自我修正次数
+  if (parseRepairBudgetInput) {
+    parseRepairBudgetInput.max = String(MAX_PARSE_REPAIR_BUDGET);
+    parseRepairBudgetInput.value = settings.parseRepairBudget ?? 0;
+    parseRepairBudgetInput.addEventListener("change", () => {
+      const value = parseInt(parseRepairBudgetInput.value) || 0;
+      settings.parseRepairBudget = Math.max(0, Math.min(MAX_PARSE_REPAIR_BUDGET, value));
+      parseRepairBudgetInput.value = settings.parseRepairBudget;
+      saveSettingsDebounced();
+    });
+  }
+
+  // 解析提示 token 预算
+  if (parsePromptTokenBudgetInput) {
+    parsePromptTokenBudgetInput.value = settings.parsePromptTokenBudget ?? 0;
+    parsePromptTokenBudgetInput.addEventListener("change", () => {
+      const value = parseInt(parsePromptTokenBudgetInput.value) || 0;
+      settings.parsePromptTokenBudget = Math.max(0, Math.min(200000, value));
+      parsePromptTokenBudgetInput.value = settings.parsePromptTokenBudget;
+      saveSettingsDebounced();
+    });
   }
 
   // API调用延迟设置
@@ -332,8 +412,26 @@ function registerEvents() {
       setupSettingsPanel();
     });
 
-    // MESSAGE_RECEIVED 监听器已删除
-    // ChangeSet 现在在拦截器中立即存储到 changeSetsByIndex，不再需要后续绑定
+    // 提前解析的 ChangeSet 在拦截器中立即存储；
+    // MESSAGE_RECEIVED 仅用于回复后解析（解析模式为 post / both 时），结果按滑动存储到 AI 消息上
+    // 不等待解析完成，以免 ST 在解析模型返回前一直不显示回复；
+    // 下一次生成时拦截器会先等待进行中的回复后解析，不会在结果存储前重建状态
+    eventSource.on(event_types.MESSAGE_RECEIVED, (messageIndex) => {
+      cePostGenerationParse(Number.isInteger(messageIndex) ? messageIndex : undefined);
+    });
+
+    // 进入聊天时立即读取引擎元信息：记住该聊天的状态，并让分支聊天及时继承父聊天的状态
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+      getOrCreateEngineMeta();
+    });
+
+    // 编辑或删除较早的楼层后，包含该楼层的 checkpoint 不再可信
+    eventSource.on(event_types.MESSAGE_EDITED, (messageIndex) => {
+      invalidateCheckpointsFrom(Number(messageIndex));
+    });
+    eventSource.on(event_types.MESSAGE_DELETED, (chatLength) => {
+      invalidateCheckpointsFrom(Number(chatLength));
+    });
   } catch (err) {
     // eslint-disable-next-line no-console
     console.error("[CharacterEngine] 注册事件失败", err);
@@ -474,6 +572,30 @@ if (typeof window !== 'undefined') {
   window.CharacterEngine._internal.dataReaderService = dataReaderService;
   
   logDebug("全局 API 已注册: window.CharacterEngine.dataReader");
+
+  // ===== 全局 API 暴露：CharacterEngine.history =====
+
+  /**
+   * 状态撤销 / 重做 API
+   * 只改写当前聊天的 ChangeSet，不删除或修改任何消息
+   *
+   * @example
+   * // 撤销最后一次状态更新（返回被撤销的楼层与 ChangeSet，没有可撤销的内容时为 null）
+   * const undone = await window.CharacterEngine.history.undo();
+   *
+   * // 恢复最近一次撤销
+   * const redone = await window.CharacterEngine.history.redo();
+   *
+   * // 查询可用性：{ canUndo, canRedo, undoIndex, redoIndex }
+   * const status = window.CharacterEngine.history.getStatus();
+   */
+  window.CharacterEngine.history = {
+    undo: () => undoLastChangeSet(),
+    redo: () => redoChangeSet(),
+    getStatus: () => getUndoRedoStatus()
+  };
+
+  logDebug("全局 API 已注册: window.CharacterEngine.history");
 }
 
 // 入口初始化：尽早注册事件
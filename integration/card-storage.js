@@ -5,6 +5,7 @@
 // 不做任何运行时状态（数值）存储。
 
 import { getStContext } from "./st-context.js";
+import { migrateCardConfig, CARD_SCHEMA_VERSION } from "../core/schema-migrations.js";
 
 /**
  * 角色卡扩展字段的 key。
@@ -18,14 +19,17 @@ export const CE_CARD_EXT_KEY = "CharacterEngine";
  * @typedef {import("../core/variables.js").CePromptTypeDefinition} CePromptTypeDefinition
  * @typedef {import("../core/variables.js").CePromptEntry} CePromptEntry
  * @typedef {import("../core/entities.js").CeEntityDefinition} CeEntityDefinition
+ * @typedef {import("../core/triggers.js").CeTriggerDefinition} CeTriggerDefinition
  */
 
 /**
  * @typedef {Object} CeCharacterConfig
+ * @property {number} [schemaVersion]  // 存储结构版本（见 core/schema-migrations.js），读取时自动迁移
  * @property {CeParameterDefinition[]} parameters
  * @property {CePromptTypeDefinition[]} promptTypes
  * @property {CePromptEntry[]} prompts
  * @property {CeEntityDefinition[]} entities
+ * @property {CeTriggerDefinition[]} [triggers]  // 阈值触发器（参数越过阈值时产生一次性效果）
  * @property {Object} [initialState]  // 角色引擎的基线初始状态配置（variables/scene/cast/entitiesRuntime）
  * @property {Object} [options]
  * @property {boolean} [options.disableShortTermEmotion]
@@ -43,6 +47,7 @@ export function createEmptyCharacterConfig() {
     promptTypes: [],
     prompts: [],
     entities: [],
+    triggers: [],
     // initialState 为可选字段，若未配置则在 chat-state-storage 中回退到 createInitialEngineState 默认值
     initialState: {},
     options: {
@@ -157,7 +162,8 @@ export function getCharacterConfigFromCard(character) {
   }
   const data = character.data || {};
   const extRoot = data.extensions || {};
-  const raw = extRoot[CE_CARD_EXT_KEY];
+  // 旧结构的配置按版本迁移（只在内存中生效，下次保存时写回当前版本）
+  const raw = migrateCardConfig(extRoot[CE_CARD_EXT_KEY]).data;
 
   if (!raw || typeof raw !== "object") {
     return createEmptyCharacterConfig();
@@ -169,6 +175,7 @@ export function getCharacterConfigFromCard(character) {
     promptTypes: Array.isArray(raw.promptTypes) ? raw.promptTypes : [],
     prompts: Array.isArray(raw.prompts) ? raw.prompts : [],
     entities: Array.isArray(raw.entities) ? raw.entities : [],
+    triggers: Array.isArray(raw.triggers) ? raw.triggers : [],
     initialState:
       raw.initialState && typeof raw.initialState === "object" ? raw.initialState : {},
     options: {
@@ -273,10 +280,12 @@ export async function saveConfigForCurrentCharacter(config) {
   }
 
   const safeConfig = {
+    schemaVersion: CARD_SCHEMA_VERSION,
     parameters: Array.isArray(config.parameters) ? config.parameters : [],
     promptTypes: Array.isArray(config.promptTypes) ? config.promptTypes : [],
     prompts: Array.isArray(config.prompts) ? config.prompts : [],
     entities: Array.isArray(config.entities) ? config.entities : [],
+    triggers: Array.isArray(config.triggers) ? config.triggers : [],
     initialState:
       config.initialState && typeof config.initialState === "object"
         ? config.initialState
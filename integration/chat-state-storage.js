@@ -1,17 +1,81 @@
 // 聊天级状态存储：基于 git 风格 diff，将 EngineState 与 ChangeSet 绑定到 ST 的 chatMetadata 与消息上。
 // 这里只负责「读/写存储结构」，不做解析调用或提示注入。
 
+import { extension_settings } from "../../../../extensions.js";
 import { getStContext, getChatMetadata, saveChatMetadata, getChat } from "./st-context.js";
 import { createInitialEngineState, cloneEngineState, applyChangeSet } from "../core/engine-state.js";
 import { getConfigForCurrentCharacter } from "./card-storage.js";
 import { createEmptyChangeSet } from "../core/change-set.js";
 import { withParsedPath } from "../core/variables.js";
+import { migrateChatMeta, getSchemaVersion, CHAT_META_SCHEMA_VERSION } from "../core/schema-migrations.js";
+import { normalizeTextForDistance, normalizedEditDistance } from "../core/text-distance.js";
+
+const EXT_ID = "CharaEngineForST";
 
 /**
  * chatMetadata 中用于角色引擎的根键名。
  */
 const META_KEY = "CharacterEngine";
 
+/** 每隔多少条消息在重建时保存一个锚点 checkpoint */
+const CHECKPOINT_INTERVAL = 50;
+/** 锚点 checkpoint 上限（超出时淘汰最早的锚点；每个条目都是一份完整状态，随 chatMetadata 保存） */
+const MAX_ANCHOR_CHECKPOINTS = 12;
+/** 最近使用的 checkpoint 上限（LRU） */
+const MAX_RECENT_CHECKPOINTS = 4;
+/** 内存中保留的最近访问聊天的元信息数量（用于分支聊天继承状态） */
+const MAX_REMEMBERED_CHAT_METAS = 5;
+
+/**
+ * 消息被编辑后如何处理已有的 ChangeSet（设置项 editReparsePolicy）：
+ * - always：内容一变就丢弃，重新解析（默认）
+ * - substantial：归一化编辑距离超过阈值时才丢弃，小修改（错别字、标点）沿用原 ChangeSet
+ * - never：始终沿用原 ChangeSet，只标记为过时
+ */
+const EDIT_REPARSE_POLICIES = new Set(["always", "substantial", "never"]);
+/** substantial 策略的默认阈值（归一化编辑距离） */
+const DEFAULT_EDIT_REPARSE_THRESHOLD = 0.2;
+/** 编辑距离计算结果缓存上限（重建时每个被编辑的楼层只计算一次） */
+const MAX_EDIT_DISTANCE_CACHE = 500;
+
+/** 可重做的已撤销 ChangeSet 上限 */
+const MAX_REDO_ENTRIES = 20;
+
+/** 时间线导出文件的格式标识与版本 */
+const TIMELINE_FORMAT = "CharacterEngineTimeline";
+const TIMELINE_VERSION = 1;
+
+/**
+ * 最近访问过的聊天的引擎元信息（chatId -> meta 引用）。
+ * ST 切换聊天时会替换整个 chatMetadata 对象，这里保留的旧引用不受影响，
+ * 因此从当前聊天创建分支后，新聊天可以从这里找到父聊天的状态。
+ * @type {Map<string, Object>}
+ */
+const rememberedEngineMetas = new Map();
+
+/**
+ * 编辑距离缓存：「消息 ID|原哈希|当前哈希|阈值」-> 归一化编辑距离
+ * @type {Map<string, number>}
+ */
+const editDistanceCache = new Map();
+
+/**
+ * @typedef {Object} CeCheckpointEntry
+ * @property {number} index                  // 消息索引（状态包含该消息的 ChangeSet）
+ * @property {string|null} messageId         // 该消息的 ID（含 swipe_id），不再匹配时条目失效
+ * @property {"anchor"|"recent"} kind        // anchor：按间隔保存；recent：最近写入/使用，按 LRU 淘汰
+ * @property {number} lastUsed               // LRU 时钟
+ * @property {string} [configKey]            // 写入时的配置键（见 computeCheckpointConfigKey），与当前不一致时条目失效
+ * @property {import("../core/engine-state.js").EngineState} state
+ */
+
+/**
+ * @typedef {Object} CeRedoEntry
+ * @property {string} messageId              // 被撤销 ChangeSet 所在消息的 ID（含 swipe_id）
+ * @property {number} index                  // 撤销时的楼层索引（消息被删除后按 messageId 重新查找）
+ * @property {Object} record                 // 撤销前 changeSetsByMessageId 中的完整记录
+ */
+
 /**
  * 计算消息内容的哈希值（用于检测内容变化）
  * @param {Object} message - ST 消息对象
@@ -27,10 +91,18 @@ function computeMessageHash(message) {
     message.name || ''
   ].join('|');
   
-  // 简单哈希算法
+  return hashString(content);
+}
+
+/**
+ * 简单字符串哈希（32 位）
+ * @param {string} text
+ * @returns {string}
+ */
+function hashString(text) {
   let hash = 0;
-  for (let i = 0; i < content.length; i++) {
-    const char = content.charCodeAt(i);
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
     hash = ((hash << 5) - hash) + char;
     hash = hash & hash; // Convert to 32bit integer
   }
@@ -60,16 +132,21 @@ function getMessageId(message, index) {
  *
  * 存储结构：
  * {
+ *   schemaVersion: number,  // 结构版本，读取时按 core/schema-migrations.js 迁移到当前版本
  *   initialState: EngineState 序列化对象,
  *   initialized: true,  // 标记已完成初始化
+ *   chatId: string,     // 该元信息所属的 chat（与 chatMetadata.main_chat 一致说明是分支聊天从父聊天复制来的）
+ *   branchedFrom?: { chatId: string, messageIndex: number },  // 分支聊天：继承自哪个聊天的哪一楼
  *   runtimeMeta: {
- *     lastComputedMessageIndex: number,
- *     lastComputedStateCheckpoint: EngineState 序列化对象
+ *     checkpoints: CeCheckpointEntry[],  // checkpoint 环：每 CHECKPOINT_INTERVAL 条消息一个锚点 + 最近使用的 LRU 条目
+ *     checkpointClock: number            // LRU 时钟
  *   },
  *   changeSetsByMessageId: {
+ *     // messageId 含 swipe_id：AI 消息的回复后解析结果按滑动分别存储，重建时跟随当前选中的滑动
  *     [messageId: string]: {
  *       changeSet: CeChangeSet,
  *       contentHash: string,        // 消息内容的哈希值
+ *       contentText?: string,       // 解析时的消息文本（规整空白后），仅在 substantial 策略下保存，用于判断编辑幅度
  *       prevMessageId: string|null, // 上一条消息的 ID（用于检测分支）
  *       timestamp: number            // 创建时间戳
  *     }
@@ -81,6 +158,28 @@ export function getOrCreateEngineMeta(chatId = "") {
   const ctx = getStContext();
   const effectiveChatId = chatId || String(ctx.chatId ?? "");
 
+  // 旧结构的元信息先迁移到当前版本
+  if (metaRoot[META_KEY] && typeof metaRoot[META_KEY] === "object") {
+    const migration = migrateChatMeta(metaRoot[META_KEY]);
+    if (migration.applied.length) {
+      metaRoot[META_KEY] = migration.data;
+      // eslint-disable-next-line no-console
+      console.log(`[CharacterEngine] chatMetadata 结构迁移 v${migration.fromVersion} -> v${migration.toVersion}：`, migration.applied);
+      saveChatMetadata();
+    } else if (migration.fromVersion > CHAT_META_SCHEMA_VERSION) {
+      // eslint-disable-next-line no-console
+      console.warn(`[CharacterEngine] chatMetadata 结构版本 v${migration.fromVersion} 高于当前支持的 v${CHAT_META_SCHEMA_VERSION}，按原样读取`);
+    }
+  }
+
+  // 分支聊天：继承父聊天的初始状态、分支点之前的 ChangeSet 与 checkpoint
+  const inherited = inheritBranchEngineMeta(metaRoot, effectiveChatId);
+  if (inherited) {
+    metaRoot[META_KEY] = inherited;
+    // 不阻塞读取，后台保存
+    saveChatMetadata();
+  }
+
   // 检查是否需要初始化
   const needsInit = !metaRoot[META_KEY] ||
                     typeof metaRoot[META_KEY] !== "object" ||
@@ -102,6 +201,7 @@ export function getOrCreateEngineMeta(chatId = "") {
       initialVariables: initialConfig.variables || {},
       initialScene: initialConfig.scene || {},
       initialCast: initialConfig.cast || {},
+      initialLocationCast: initialConfig.locationCast || {},
       initialEntitiesRuntime: initialConfig.entitiesRuntime || {}
     });
 
@@ -111,7 +211,14 @@ export function getOrCreateEngineMeta(chatId = "") {
       const parameterDefs = Array.isArray(charConfig.parameters) ? charConfig.parameters : [];
       const entityDefs = Array.isArray(charConfig.entities) ? charConfig.entities : [];
       const castConfig = charConfig?.options?.castConfig || null;
-      initialState = applyChangeSet(initialState, greetingChangeSet, parameterDefs, entityDefs, castConfig);
+      // 开局设定属于初始状态（第 0 轮），按本轮延续应用：不推进轮次、不推进短期计时器、不做衰减
+      initialState = applyChangeSet(
+        initialState,
+        { ...greetingChangeSet, continuesTurn: true },
+        parameterDefs,
+        entityDefs,
+        castConfig
+      );
       
       // 将 greetingChangeSet 绑定到 greeting 消息，便于状态观察器显示
       const chat = getChat();
@@ -125,17 +232,142 @@ export function getOrCreateEngineMeta(chatId = "") {
 
     // 5. 创建或更新 meta 对象
     metaRoot[META_KEY] = {
+      schemaVersion: CHAT_META_SCHEMA_VERSION,
       initialState,
       initialized: true,  // 标记已完成初始化
+      chatId: effectiveChatId,
       runtimeMeta: {
-        lastComputedMessageIndex: -1,
-        lastComputedStateCheckpoint: null
+        checkpoints: [],
+        checkpointClock: 0
       },
       changeSetsByMessageId: {}
     };
   }
 
-  return metaRoot[META_KEY];
+  const meta = metaRoot[META_KEY];
+  if (effectiveChatId) {
+    // 旧存档没有记录 chatId，或聊天改名（ST 没有分支元数据）：元信息仍属于当前聊天，改记为当前 chatId
+    if (meta.chatId !== effectiveChatId) {
+      if (meta.chatId) {
+        // eslint-disable-next-line no-console
+        console.log(`[CharacterEngine] 聊天 ID 变化（${meta.chatId} -> ${effectiveChatId}），沿用原有引擎状态`);
+        saveChatMetadata();
+      }
+      meta.chatId = effectiveChatId;
+    }
+    rememberEngineMeta(effectiveChatId, meta);
+  }
+  return meta;
+}
+
+/**
+ * 记住某个聊天的元信息引用（按访问顺序保留最近几个）
+ * @param {string} chatId
+ * @param {Object} meta
+ */
+function rememberEngineMeta(chatId, meta) {
+  rememberedEngineMetas.delete(chatId);
+  rememberedEngineMetas.set(chatId, meta);
+  while (rememberedEngineMetas.size > MAX_REMEMBERED_CHAT_METAS) {
+    const oldest = rememberedEngineMetas.keys().next().value;
+    rememberedEngineMetas.delete(oldest);
+  }
+}
+
+/**
+ * 获取消息所有滑动的消息 ID。
+ * 没有 send_date 的消息只能计算当前滑动的 ID（后备 ID 依赖当前内容哈希）。
+ * @param {Object} message
+ * @param {number} index
+ * @returns {string[]}
+ */
+function getMessageIdsForAllSwipes(message, index) {
+  if (!message || !message.send_date) {
+    return message ? [getMessageId(message, index)] : [];
+  }
+  const swipeCount = Array.isArray(message.swipes) && message.swipes.length ? message.swipes.length : 1;
+  const ids = [];
+  for (let swipeId = 0; swipeId < swipeCount; swipeId++) {
+    ids.push(`msg_${message.send_date}_swipe_${swipeId}`);
+  }
+  return ids;
+}
+
+/**
+ * 检测当前聊天是否为 ST 的分支/检查点聊天，若是则从父聊天构建继承的引擎元信息。
+ *
+ * 判定以 ST 的分支元数据为准：chatMetadata.main_chat 记录了父聊天（ST 创建分支/检查点聊天时写入），且不是当前聊天；
+ * - 已有的引擎元信息属于该父聊天（ST 复制了父聊天的 chatMetadata）时，从它继承；
+ * - 没有引擎元信息时，从最近访问过的父聊天元信息继承；
+ * - 已有的引擎元信息属于其它 chatId（本聊天改名前的记录、已继承过的分支）时不是新分支，由调用方改记为当前 chatId。
+ *
+ * 继承内容：父聊天的初始状态、分支点（当前聊天最后一条消息）之前各消息各滑动的 ChangeSet，
+ * 以及仍对应当前消息的 checkpoint。所有数据深拷贝，之后两条聊天各自独立演化。
+ *
+ * @param {Object} metaRoot - 当前聊天的 chatMetadata
+ * @param {string} chatId - 当前聊天 ID
+ * @returns {Object|null} 继承得到的元信息；不是分支聊天或找不到父聊天状态时返回 null
+ */
+function inheritBranchEngineMeta(metaRoot, chatId) {
+  if (!chatId) return null;
+
+  const parentChatId = typeof metaRoot.main_chat === "string" ? metaRoot.main_chat : "";
+  if (!parentChatId || parentChatId === chatId) return null;
+
+  const existing = metaRoot[META_KEY];
+  const hasExisting = existing && typeof existing === "object" && existing.initialized && existing.initialState;
+
+  let source = null;
+  if (hasExisting) {
+    if (existing.chatId !== parentChatId) return null;
+    source = existing;
+  } else {
+    source = rememberedEngineMetas.get(parentChatId) || null;
+    if (!source) {
+      // eslint-disable-next-line no-console
+      console.warn(`[CharacterEngine] 分支聊天的父聊天 "${parentChatId}" 状态不在内存中，将从角色卡重新初始化`);
+      return null;
+    }
+  }
+
+  const chat = getChat() || [];
+  const branchIndex = chat.length - 1;
+
+  // 分支点之前各消息（所有滑动）的 ChangeSet
+  const sourceChangeSets = source.changeSetsByMessageId || {};
+  const changeSetsByMessageId = {};
+  for (let i = 0; i <= branchIndex; i++) {
+    for (const messageId of getMessageIdsForAllSwipes(chat[i], i)) {
+      if (sourceChangeSets[messageId]) {
+        changeSetsByMessageId[messageId] = cloneEngineState(sourceChangeSets[messageId]);
+      }
+    }
+  }
+
+  // 仍对应当前消息的 checkpoint
+  const sourceRuntime = source.runtimeMeta || {};
+  const checkpoints = (Array.isArray(sourceRuntime.checkpoints) ? sourceRuntime.checkpoints : [])
+    .filter(entry => entry.index <= branchIndex && isCheckpointCurrent(entry, chat))
+    .map(entry => ({ ...entry, state: cloneEngineState(entry.state) }));
+
+  const initialState = cloneEngineState(source.initialState);
+  initialState.chatId = chatId;
+
+  // eslint-disable-next-line no-console
+  console.log(`[CharacterEngine] 分支聊天继承状态：${parentChatId} -> ${chatId}（分支点 #${branchIndex}，ChangeSet ${Object.keys(changeSetsByMessageId).length} 条）`);
+
+  return {
+    schemaVersion: CHAT_META_SCHEMA_VERSION,
+    initialState,
+    initialized: true,
+    chatId,
+    branchedFrom: { chatId: parentChatId, messageIndex: branchIndex },
+    runtimeMeta: {
+      checkpoints,
+      checkpointClock: sourceRuntime.checkpointClock || 0
+    },
+    changeSetsByMessageId
+  };
 }
 
 /**
@@ -193,8 +425,7 @@ export async function setInitialStateForChat(engineState) {
   await updateEngineMeta(meta => {
     meta.initialState = cloneEngineState(engineState);
     meta.runtimeMeta = meta.runtimeMeta || {};
-    meta.runtimeMeta.lastComputedMessageIndex = -1;
-    meta.runtimeMeta.lastComputedStateCheckpoint = null;
+    meta.runtimeMeta.checkpoints = [];
   });
 }
 
@@ -213,42 +444,183 @@ export function getInitialStateFromChat() {
 }
 
 /**
- * 获取当前保存的 checkpoint（最近完整计算的 EngineState）及其对应 messageIndex。
+ * 确保 runtimeMeta 中存在 checkpoint 环（旧版的单个 checkpoint 字段由 schema 迁移移除）。
+ * @param {Object} runtimeMeta
+ * @returns {CeCheckpointEntry[]}
+ */
+function getCheckpointRing(runtimeMeta) {
+  if (!Array.isArray(runtimeMeta.checkpoints)) {
+    runtimeMeta.checkpoints = [];
+  }
+  return runtimeMeta.checkpoints;
+}
+
+/**
+ * 计算 checkpoint 的配置键：影响回放结果的角色卡配置（参数、实体、触发器、选项）与编辑沿用策略的哈希。
+ * 修改角色卡或 editReparsePolicy / editReparseThreshold 后，按旧配置算出的 checkpoint 不再可用。
+ * @returns {string}
+ */
+function computeCheckpointConfigKey() {
+  const charConfig = getConfigForCurrentCharacter() || {};
+  const { policy, threshold } = getEditReparsePolicy();
+  return hashString(JSON.stringify([
+    charConfig.parameters || [],
+    charConfig.entities || [],
+    charConfig.triggers || [],
+    charConfig.options || {},
+    policy,
+    threshold
+  ]));
+}
+
+/**
+ * 判断 checkpoint 是否仍对应当前聊天中的消息（同一条消息、同一个滑动），且按当前配置写入。
+ * 没有记录 messageId 的条目只按配置键判断。
+ * @param {CeCheckpointEntry} entry
+ * @param {Array} chat
+ * @param {string} [configKey] - 当前配置键；省略时不检查（分支继承时由新聊天在使用时再检查）
+ * @returns {boolean}
+ */
+function isCheckpointCurrent(entry, chat, configKey) {
+  if (!entry || typeof entry.index !== "number" || entry.index < 0 || !entry.state) {
+    return false;
+  }
+  if (configKey !== undefined && entry.configKey !== configKey) {
+    return false;
+  }
+  const message = chat[entry.index];
+  if (!message) return false;
+  return !entry.messageId || getMessageId(message, entry.index) === entry.messageId;
+}
+
+/**
+ * 在 checkpoint 环中查找不超过 targetIndex 的最近有效 checkpoint，顺带清除已失效的条目。
+ * @param {Object} runtimeMeta
+ * @param {Array} chat
+ * @param {number} targetIndex
+ * @param {string} configKey - computeCheckpointConfigKey() 的结果
+ * @returns {CeCheckpointEntry|null}
+ */
+function findNearestCheckpoint(runtimeMeta, chat, targetIndex, configKey) {
+  const ring = getCheckpointRing(runtimeMeta);
+  runtimeMeta.checkpoints = ring.filter(entry => isCheckpointCurrent(entry, chat, configKey));
+
+  let best = null;
+  for (const entry of runtimeMeta.checkpoints) {
+    if (entry.index <= targetIndex && (!best || entry.index > best.index)) {
+      best = entry;
+    }
+  }
+  if (best) {
+    runtimeMeta.checkpointClock = (runtimeMeta.checkpointClock || 0) + 1;
+    best.lastUsed = runtimeMeta.checkpointClock;
+  }
+  return best;
+}
+
+/**
+ * 把一个状态写入 checkpoint 环（同一索引只保留一份），并按策略淘汰：
+ * - anchor：每隔 CHECKPOINT_INTERVAL 条消息一个，超过上限时淘汰索引最小的；
+ * - recent：最近写入/使用的状态，按 LRU 保留 MAX_RECENT_CHECKPOINTS 个。
+ * 只修改内存中的 runtimeMeta，由调用方决定是否立即保存。
+ *
+ * @param {Object} runtimeMeta
+ * @param {Array} chat
+ * @param {number} index
+ * @param {import("../core/engine-state.js").EngineState} state
+ * @param {"anchor"|"recent"} kind
+ * @param {string} configKey - computeCheckpointConfigKey() 的结果
+ */
+function storeCheckpoint(runtimeMeta, chat, index, state, kind, configKey) {
+  const message = chat[index];
+  if (!message) return;
+
+  const ring = getCheckpointRing(runtimeMeta);
+  const existing = ring.find(entry => entry.index === index);
+  runtimeMeta.checkpointClock = (runtimeMeta.checkpointClock || 0) + 1;
+
+  /** @type {CeCheckpointEntry} */
+  const entry = {
+    index,
+    messageId: getMessageId(message, index),
+    // 已是锚点的索引保持锚点身份，避免被 LRU 淘汰
+    kind: existing?.kind === "anchor" ? "anchor" : kind,
+    lastUsed: runtimeMeta.checkpointClock,
+    configKey,
+    state: cloneEngineState(state)
+  };
+
+  const others = ring.filter(e => e.index !== index);
+  others.push(entry);
+
+  const anchors = others.filter(e => e.kind === "anchor").sort((a, b) => b.index - a.index).slice(0, MAX_ANCHOR_CHECKPOINTS);
+  const recents = others.filter(e => e.kind !== "anchor").sort((a, b) => b.lastUsed - a.lastUsed).slice(0, MAX_RECENT_CHECKPOINTS);
+  runtimeMeta.checkpoints = [...anchors, ...recents].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * 获取当前保存的最新 checkpoint（索引最大的有效条目）。
+ * checkpoint 所在消息已切换到其他滑动或被删除时视为不存在。
  * @returns {{ index: number, state: import("../core/engine-state.js").EngineState|null }}
  */
 export function getCheckpoint() {
   const ctx = getStContext();
   const chatId = String(ctx.chatId ?? "");
   const meta = getOrCreateEngineMeta(chatId);
-  const runtimeMeta = meta.runtimeMeta || {};
-  const idx = typeof runtimeMeta.lastComputedMessageIndex === "number"
-    ? runtimeMeta.lastComputedMessageIndex
-    : -1;
-  const state = runtimeMeta.lastComputedStateCheckpoint
-    ? cloneEngineState(runtimeMeta.lastComputedStateCheckpoint)
-    : null;
-  return { index: idx, state };
+  meta.runtimeMeta = meta.runtimeMeta || {};
+  const entry = findNearestCheckpoint(meta.runtimeMeta, getChat() || [], Number.MAX_SAFE_INTEGER, computeCheckpointConfigKey());
+  if (!entry) {
+    return { index: -1, state: null };
+  }
+  return { index: entry.index, state: cloneEngineState(entry.state) };
 }
 
 /**
- * 写入新的 checkpoint。
+ * 写入新的 checkpoint（记为最近使用的条目）。
  * @param {number} index
  * @param {import("../core/engine-state.js").EngineState} state
  */
 export async function setCheckpoint(index, state) {
+  const chat = getChat() || [];
+  const configKey = computeCheckpointConfigKey();
+  await updateEngineMeta(meta => {
+    meta.runtimeMeta = meta.runtimeMeta || {};
+    storeCheckpoint(meta.runtimeMeta, chat, index, state, "recent", configKey);
+  });
+}
+
+/**
+ * 使索引 >= fromIndex 的 checkpoint 全部失效（消息编辑、ChangeSet 改写或截断时调用）。
+ * @param {number} fromIndex
+ */
+export async function invalidateCheckpointsFrom(fromIndex) {
+  if (typeof fromIndex !== "number" || fromIndex < 0) return;
   await updateEngineMeta(meta => {
     meta.runtimeMeta = meta.runtimeMeta || {};
-    meta.runtimeMeta.lastComputedMessageIndex = index;
-    meta.runtimeMeta.lastComputedStateCheckpoint = cloneEngineState(state);
+    dropCheckpointsFrom(meta.runtimeMeta, fromIndex);
   });
 }
 
+/**
+ * 从 checkpoint 环中移除索引 >= fromIndex 的条目（仅修改内存）
+ * @param {Object} runtimeMeta
+ * @param {number} fromIndex
+ */
+function dropCheckpointsFrom(runtimeMeta, fromIndex) {
+  const ring = getCheckpointRing(runtimeMeta);
+  runtimeMeta.checkpoints = ring.filter(entry => entry.index < fromIndex);
+}
+
 /**
  * 存储 ChangeSet（基于消息 ID + 内容哈希）
+ * 重新解析同一条（内容未变的）消息时，默认保留该楼层已有的作者覆盖。
  * @param {number} messageIndex
  * @param {Object} changeSet
+ * @param {Object} [options]
+ * @param {boolean} [options.keepAuthorOverride=true] - 新 ChangeSet 不带作者覆盖时，沿用已有记录中的作者覆盖
  */
-export async function setChangeSetForIndex(messageIndex, changeSet) {
+export async function setChangeSetForIndex(messageIndex, changeSet, options = {}) {
+  const { keepAuthorOverride = true } = options;
   const chat = getChat() || [];
   const message = chat[messageIndex];
   
@@ -275,17 +647,133 @@ export async function setChangeSetForIndex(messageIndex, changeSet) {
       meta.changeSetsByMessageId = {};
     }
     
+    const previous = meta.changeSetsByMessageId[messageId];
+    if (keepAuthorOverride && changeSet && !changeSet.authorOverride &&
+        previous?.contentHash === contentHash && previous.changeSet?.authorOverride) {
+      changeSet = { ...changeSet, authorOverride: previous.changeSet.authorOverride };
+    }
+
     meta.changeSetsByMessageId[messageId] = {
       changeSet,
       contentHash,
+      ...buildContentTextField(message.mes),
       prevMessageId,
       timestamp: Date.now()
     };
+
+    // 该楼层的 ChangeSet 已改写，包含它的 checkpoint 全部失效；写入新状态后不再能重做
+    meta.runtimeMeta = meta.runtimeMeta || {};
+    dropCheckpointsFrom(meta.runtimeMeta, messageIndex);
+    meta.runtimeMeta.redoStack = [];
   });
 }
 
+/**
+ * 读取某楼层（当前滑动）的作者覆盖
+ * @param {number} messageIndex
+ * @returns {import("../core/change-set.js").CeChangeSet|null}
+ */
+export function getAuthorOverrideForIndex(messageIndex) {
+  const changeSet = getChangeSetForIndex(messageIndex);
+  return changeSet?.authorOverride || null;
+}
+
+/**
+ * 设置或清除某楼层（当前滑动）的作者覆盖。
+ * 作者覆盖挂在该楼层的 ChangeSet 上，回放时在解析结果之后应用；该楼层还没有 ChangeSet 时：
+ * 用户消息创建一个空 ChangeSet（照常推进一轮），AI 消息创建一个续轮 ChangeSet（不推进轮次）。
+ *
+ * @param {number} messageIndex
+ * @param {import("../core/change-set.js").CeChangeSet|null} override - 传 null 清除
+ */
+export async function setAuthorOverrideForIndex(messageIndex, override) {
+  const chat = getChat() || [];
+  const message = chat[messageIndex];
+  if (!message) {
+    // eslint-disable-next-line no-console
+    console.warn(`[CharacterEngine] 无法设置作者覆盖：消息索引 ${messageIndex} 不存在`);
+    return;
+  }
+
+  const base = getChangeSetForIndex(messageIndex) ||
+    (message.is_user ? createEmptyChangeSet() : { ...createEmptyChangeSet(), continuesTurn: true });
+  const next = { ...base };
+  if (override) {
+    next.authorOverride = override;
+  } else {
+    delete next.authorOverride;
+  }
+
+  await setChangeSetForIndex(messageIndex, next, { keepAuthorOverride: false });
+}
+
+/**
+ * 读取消息编辑后的 ChangeSet 处理策略与阈值
+ * @returns {{ policy: "always"|"substantial"|"never", threshold: number }}
+ */
+function getEditReparsePolicy() {
+  const settings = extension_settings[EXT_ID] || {};
+  const policy = EDIT_REPARSE_POLICIES.has(settings.editReparsePolicy) ? settings.editReparsePolicy : "always";
+  const threshold = Number(settings.editReparseThreshold);
+  return {
+    policy,
+    threshold: Number.isFinite(threshold) && threshold >= 0 && threshold <= 1 ? threshold : DEFAULT_EDIT_REPARSE_THRESHOLD
+  };
+}
+
+/**
+ * ChangeSet 记录中的 contentText 字段：只有 substantial 策略会读取解析时的文本，
+ * 其它策略下不保存，避免每条消息的全文在 chatMetadata 中再存一份
+ * @param {string} text - 消息文本
+ * @returns {{ contentText?: string }}
+ */
+function buildContentTextField(text) {
+  return getEditReparsePolicy().policy === "substantial"
+    ? { contentText: normalizeTextForDistance(text) }
+    : {};
+}
+
+/**
+ * 计算记录解析时的文本与消息当前文本之间的归一化编辑距离（带缓存）
+ * @param {Object} cached - changeSetsByMessageId 中的记录
+ * @param {Object} message
+ * @param {string} messageId
+ * @param {string} currentHash
+ * @param {number} threshold - 只需判断是否超过该阈值，超过时返回值大于阈值
+ * @returns {number|null} 旧记录没有保存文本时返回 null
+ */
+function getEditDistanceForRecord(cached, message, messageId, currentHash, threshold) {
+  if (typeof cached.contentText !== "string") return null;
+
+  const key = `${messageId}|${cached.contentHash}|${currentHash}|${threshold}`;
+  let distance = editDistanceCache.get(key);
+  if (distance === undefined) {
+    distance = normalizedEditDistance(cached.contentText, message.mes, threshold);
+    if (editDistanceCache.size >= MAX_EDIT_DISTANCE_CACHE) editDistanceCache.clear();
+    editDistanceCache.set(key, distance);
+  }
+  return distance;
+}
+
+/**
+ * 消息内容已改变时，按编辑策略判断是否沿用原 ChangeSet
+ * @param {Object} cached
+ * @param {Object} message
+ * @param {string} messageId
+ * @param {string} currentHash
+ * @returns {boolean}
+ */
+function canReuseEditedChangeSet(cached, message, messageId, currentHash) {
+  const { policy, threshold } = getEditReparsePolicy();
+  if (policy === "never") return true;
+  if (policy !== "substantial") return false;
+  const distance = getEditDistanceForRecord(cached, message, messageId, currentHash, threshold);
+  return distance !== null && distance <= threshold;
+}
+
 /**
  * 读取 ChangeSet（验证内容哈希和分支）
+ * 消息内容改变后是否仍沿用原 ChangeSet 由设置项 editReparsePolicy 决定（见 EDIT_REPARSE_POLICIES）。
  * @param {number} messageIndex
  * @returns {Object|null}
  */
@@ -314,8 +802,8 @@ export function getChangeSetForIndex(messageIndex) {
     return null;
   }
   
-  // 验证内容哈希
-  if (cached.contentHash !== currentHash) {
+  // 验证内容哈希（小修改可按编辑策略沿用）
+  if (cached.contentHash !== currentHash && !canReuseEditedChangeSet(cached, message, messageId, currentHash)) {
     // eslint-disable-next-line no-console
     console.debug(`[CharacterEngine] ChangeSet 缓存失效：消息内容已改变（索引 ${messageIndex}）`, {
       oldHash: cached.contentHash,
@@ -342,6 +830,30 @@ export function getChangeSetForIndex(messageIndex) {
   return cached.changeSet;
 }
 
+/**
+ * 查询某楼层当前沿用的 ChangeSet 是否已过时（消息在解析后被编辑过，但按编辑策略未重新解析）
+ * @param {number} messageIndex
+ * @returns {{ policy: string, threshold: number, distance: number|null }|null}
+ *   未过时或该楼层没有可用的 ChangeSet 时返回 null；distance 为归一化编辑距离（大于阈值时只表示超过阈值，旧记录为 null）
+ */
+export function getChangeSetStaleInfo(messageIndex) {
+  const chat = getChat() || [];
+  const message = chat[messageIndex];
+  if (!message || !getChangeSetForIndex(messageIndex)) return null;
+
+  const messageId = getMessageId(message, messageIndex);
+  const currentHash = computeMessageHash(message);
+  const cached = getChatMetadata()[META_KEY]?.changeSetsByMessageId?.[messageId];
+  if (!cached || cached.contentHash === currentHash) return null;
+
+  const { policy, threshold } = getEditReparsePolicy();
+  return {
+    policy,
+    threshold,
+    distance: getEditDistanceForRecord(cached, message, messageId, currentHash, threshold)
+  };
+}
+
 /**
  * 清理指定索引之后的所有 ChangeSet 缓存
  * @param {number} messageIndex
@@ -350,6 +862,10 @@ export async function clearChangeSetAfterIndex(messageIndex) {
   const chat = getChat() || [];
   
   await updateEngineMeta(meta => {
+    // messageIndex 之后的状态不再可信
+    meta.runtimeMeta = meta.runtimeMeta || {};
+    dropCheckpointsFrom(meta.runtimeMeta, messageIndex + 1);
+
     if (!meta.changeSetsByMessageId) return;
     
     // 收集需要删除的消息 ID
@@ -398,9 +914,154 @@ export async function clearChangeSetAfterIndex(messageIndex) {
 }
 
 /**
- * 从初始状态和（可选）checkpoint 出发，按顺序应用每条 AI 消息的 ChangeSet，
+ * 判断 ChangeSet 是否包含实际的状态变化（空 ChangeSet 与已撤销的占位不算）
+ * @param {Object|null} changeSet
+ * @returns {boolean}
+ */
+function hasChangeSetContent(changeSet) {
+  if (!changeSet || typeof changeSet !== "object") return false;
+  return !!(
+    changeSet.stateDelta?.variables?.length ||
+    (changeSet.sceneDelta && Object.keys(changeSet.sceneDelta).length) ||
+    changeSet.entityDelta?.length ||
+    changeSet.worldIntent ||
+    changeSet.authorOverride
+  );
+}
+
+/**
+ * 找到最后一个带有实际状态变化的楼层（当前滑动），即下一次撤销的目标
+ * @param {Array} chat
+ * @returns {number} 没有可撤销的楼层时返回 -1
+ */
+function findLatestUndoableIndex(chat) {
+  for (let i = chat.length - 1; i >= 0; i--) {
+    if (hasChangeSetContent(getChangeSetForIndex(i))) return i;
+  }
+  return -1;
+}
+
+/**
+ * 查找重做条目当前所在的楼层：消息仍在聊天中、内容未变且该楼层仍是撤销留下的占位时才有效
+ * @param {CeRedoEntry} entry
+ * @param {Object} meta
+ * @param {Array} chat
+ * @returns {number} 条目已失效时返回 -1
+ */
+function findRedoEntryIndex(entry, meta, chat) {
+  if (!entry?.messageId || !entry.record) return -1;
+  const current = meta.changeSetsByMessageId?.[entry.messageId];
+  if (!current?.changeSet?.undone || current.contentHash !== entry.record.contentHash) return -1;
+
+  const matches = (i) => chat[i] && getMessageId(chat[i], i) === entry.messageId;
+  if (matches(entry.index)) return entry.index;
+  for (let i = chat.length - 1; i >= 0; i--) {
+    if (matches(i)) return i;
+  }
+  return -1;
+}
+
+/**
+ * 撤销最后一次应用的 ChangeSet（只改写引擎状态，不删除或修改消息）。
+ * 该楼层的 ChangeSet 被替换为空的占位（保留 continuesTurn，用户消息照常推进一轮），
+ * 因此拦截器不会重新解析这一楼层；原记录压入重做栈。
+ * 连续撤销会依次回退更早的楼层。
+ *
+ * @returns {Promise<{ index: number, changeSet: Object }|null>} 被撤销的楼层与 ChangeSet；没有可撤销的内容时返回 null
+ */
+export async function undoLastChangeSet() {
+  const chat = getChat() || [];
+  const index = findLatestUndoableIndex(chat);
+  if (index < 0) return null;
+
+  const messageId = getMessageId(chat[index], index);
+  const record = getOrCreateEngineMeta().changeSetsByMessageId?.[messageId];
+  if (!record) return null;
+
+  await updateEngineMeta(meta => {
+    meta.changeSetsByMessageId[messageId] = {
+      ...record,
+      changeSet: {
+        ...createEmptyChangeSet(),
+        ...(record.changeSet.continuesTurn ? { continuesTurn: true } : {}),
+        undone: true
+      },
+      timestamp: Date.now()
+    };
+
+    meta.runtimeMeta = meta.runtimeMeta || {};
+    dropCheckpointsFrom(meta.runtimeMeta, index);
+    const redoStack = Array.isArray(meta.runtimeMeta.redoStack) ? meta.runtimeMeta.redoStack : [];
+    redoStack.push({ messageId, index, record });
+    meta.runtimeMeta.redoStack = redoStack.slice(-MAX_REDO_ENTRIES);
+  });
+
+  return { index, changeSet: record.changeSet };
+}
+
+/**
+ * 重做最近一次撤销：恢复被撤销楼层的原 ChangeSet。
+ * 对应消息已被删除、编辑或切换了滑动的条目视为失效并丢弃。
+ *
+ * @returns {Promise<{ index: number, changeSet: Object }|null>} 被恢复的楼层与 ChangeSet；没有可重做的内容时返回 null
+ */
+export async function redoChangeSet() {
+  const chat = getChat() || [];
+  let restored = null;
+
+  await updateEngineMeta(meta => {
+    meta.runtimeMeta = meta.runtimeMeta || {};
+    const redoStack = Array.isArray(meta.runtimeMeta.redoStack) ? meta.runtimeMeta.redoStack : [];
+
+    while (redoStack.length && !restored) {
+      const entry = redoStack.pop();
+      const index = findRedoEntryIndex(entry, meta, chat);
+      if (index < 0) continue;
+
+      meta.changeSetsByMessageId[entry.messageId] = entry.record;
+      dropCheckpointsFrom(meta.runtimeMeta, index);
+      restored = { index, changeSet: entry.record.changeSet };
+    }
+    meta.runtimeMeta.redoStack = redoStack;
+  });
+
+  return restored;
+}
+
+/**
+ * 查询当前能否撤销 / 重做（供观察器按钮与全局 API 使用）
+ * @returns {{ canUndo: boolean, canRedo: boolean, undoIndex: number, redoIndex: number }}
+ *   undoIndex / redoIndex 为下一次撤销 / 重做会作用的楼层，不可用时为 -1
+ */
+export function getUndoRedoStatus() {
+  const chat = getChat() || [];
+  const meta = getChatMetadata()[META_KEY];
+  const undoIndex = findLatestUndoableIndex(chat);
+
+  let redoIndex = -1;
+  const redoStack = Array.isArray(meta?.runtimeMeta?.redoStack) ? meta.runtimeMeta.redoStack : [];
+  for (let i = redoStack.length - 1; i >= 0 && redoIndex < 0; i--) {
+    redoIndex = findRedoEntryIndex(redoStack[i], meta, chat);
+  }
+
+  return { canUndo: undoIndex >= 0, canRedo: redoIndex >= 0, undoIndex, redoIndex };
+}
+
+/**
+ * 从初始状态和（可选）checkpoint 出发，按顺序应用每条消息上存储的 ChangeSet，
  * 重建直到 targetIndex（包含）的 EngineState。
  *
+ * 从 checkpoint 环中取不超过 targetIndex 的最近有效 checkpoint 开始回放；
+ * 回放途中每经过 CHECKPOINT_INTERVAL 条消息记录一个锚点，结果记为最近使用的条目，
+ * 因此在观察器中来回浏览长对话的楼层时，每次最多回放一个间隔的消息。
+ * 新增的 checkpoint 只写入内存中的 chatMetadata，随下一次元数据保存落盘。
+ *
+ * 提前解析的 ChangeSet 存储在用户消息上；每条用户消息视为一轮，
+ * 即使没有 ChangeSet 也会应用一个空 ChangeSet 来推进短期参数计时器，
+ * 与拦截器中的实时计算保持一致。
+ * 回复后解析的 ChangeSet 按滑动存储在 AI 消息上（continuesTurn，作为本轮的延续），
+ * 读取时使用消息当前的 swipe_id，因此切换滑动后重建自动跟随所选滑动。
+ *
  * @param {number} targetIndex 目标消息索引（通常是最新消息的 index）
  * @returns {import("../core/engine-state.js").EngineState}
  */
@@ -410,18 +1071,18 @@ export function rebuildEngineStateUpTo(targetIndex) {
   const chat = getChat() || [];
 
   const meta = getOrCreateEngineMeta(chatId);
-  const runtimeMeta = meta.runtimeMeta || {};
+  meta.runtimeMeta = meta.runtimeMeta || {};
+  const runtimeMeta = meta.runtimeMeta;
 
   let baseState = getInitialStateFromChat();
   let startIndex = 0;
 
-  // 如果 checkpoint 可用且位于目标范围内，从 checkpoint 开始
-  if (typeof runtimeMeta.lastComputedMessageIndex === "number" &&
-      runtimeMeta.lastComputedMessageIndex >= 0 &&
-      runtimeMeta.lastComputedMessageIndex <= targetIndex &&
-      runtimeMeta.lastComputedStateCheckpoint) {
-    baseState = cloneEngineState(runtimeMeta.lastComputedStateCheckpoint);
-    startIndex = runtimeMeta.lastComputedMessageIndex + 1;
+  // 从不超过目标索引、且仍对应当前滑动与当前配置的最近 checkpoint 开始
+  const configKey = computeCheckpointConfigKey();
+  const checkpoint = findNearestCheckpoint(runtimeMeta, chat, targetIndex, configKey);
+  if (checkpoint) {
+    baseState = cloneEngineState(checkpoint.state);
+    startIndex = checkpoint.index + 1;
   }
 
   // 获取参数定义、实体定义和 Cast 配置
@@ -436,17 +1097,244 @@ export function rebuildEngineStateUpTo(targetIndex) {
   for (let i = startIndex; i <= upper; i++) {
     const msg = chat[i];
     if (!msg || typeof msg !== "object") continue;
-    if (msg.is_user) continue; // 只对 AI 消息应用 ChangeSet
+    // 用户消息即使没有 ChangeSet 也要推进一轮；AI 消息只在有 ChangeSet 时应用
+    const cs = getChangeSetForIndex(i) || (msg.is_user ? createEmptyChangeSet() : null);
+    if (cs) {
+      current = applyChangeSet(current, cs, parameterDefs, entityDefs, castConfig);
+    }
 
-    const cs = getChangeSetForIndex(i);
-    if (!cs) continue;
+    if (i > 0 && i % CHECKPOINT_INTERVAL === 0 && i < upper) {
+      storeCheckpoint(runtimeMeta, chat, i, current, "anchor", configKey);
+    }
+  }
 
-    current = applyChangeSet(current, cs, parameterDefs, entityDefs, castConfig);
+  if (upper >= startIndex) {
+    storeCheckpoint(runtimeMeta, chat, upper, current, "recent", configKey);
   }
 
   return current;
 }
 
+/**
+ * @typedef {Object} CeTimelineExport
+ * @property {string} format                 // 固定为 "CharacterEngineTimeline"
+ * @property {number} version                // 文件格式版本
+ * @property {number} schemaVersion          // 导出时引擎元信息的结构版本（导入时据此迁移初始状态与 ChangeSet，缺失视为 0）
+ * @property {string} exportedAt             // ISO 时间
+ * @property {string} chatId                 // 导出时的聊天 ID
+ * @property {number} messageCount           // 导出时的消息数
+ * @property {import("../core/engine-state.js").EngineState} initialState
+ * @property {{ chatId: string, messageIndex: number }|null} branchedFrom
+ * @property {Array<{ messageId: string, index: number|null, swipeId: number|null, contentHash: string, prevMessageId: string|null, timestamp: number, changeSet: Object }>} changeSets
+ *   - index / swipeId 为导出时该 ChangeSet 所在的楼层与滑动（已不在聊天中的记录为 null），导入时作为重新绑定的提示
+ */
+
+/**
+ * 读取消息某个滑动的文本（当前滑动或没有对应滑动时为 message.mes）
+ * @param {Object} message
+ * @param {number} swipeId
+ * @returns {string}
+ */
+function getSwipeText(message, swipeId) {
+  const currentSwipe = typeof message.swipe_id === "number" ? message.swipe_id : 0;
+  if (swipeId === currentSwipe || !Array.isArray(message.swipes) || typeof message.swipes[swipeId] !== "string") {
+    return message.mes || "";
+  }
+  return message.swipes[swipeId];
+}
+
+/**
+ * 计算消息某个滑动的内容哈希（与 computeMessageHash 对当前滑动的计算一致）
+ * @param {Object} message
+ * @param {number} swipeId
+ * @returns {string}
+ */
+function computeSwipeHash(message, swipeId) {
+  return computeMessageHash({ ...message, mes: getSwipeText(message, swipeId) });
+}
+
+/**
+ * 列出当前聊天中所有（楼层, 滑动）的消息 ID 与内容哈希
+ * @param {Array} chat
+ * @returns {Array<{ index: number, swipeId: number, messageId: string, contentHash: string }>}
+ */
+function listChatSwipeSlots(chat) {
+  const slots = [];
+  chat.forEach((message, index) => {
+    if (!message || typeof message !== "object") return;
+    const currentSwipe = typeof message.swipe_id === "number" ? message.swipe_id : 0;
+    getMessageIdsForAllSwipes(message, index).forEach((messageId, i) => {
+      const swipeId = message.send_date ? i : currentSwipe;
+      slots.push({
+        index,
+        swipeId,
+        messageId,
+        contentHash: computeSwipeHash(message, swipeId)
+      });
+    });
+  });
+  return slots;
+}
+
+/**
+ * 深拷贝导入 / 导出的 JSON 数据
+ * @param {Object} data
+ * @returns {Object}
+ */
+function cloneJsonData(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * 导出当前聊天的完整引擎时间线：初始状态 + 每条消息（每个滑动）的 ChangeSet。
+ * checkpoint 可由回放重建，不导出。
+ * @returns {CeTimelineExport}
+ */
+export function exportEngineTimeline() {
+  const ctx = getStContext();
+  const chatId = String(ctx.chatId ?? "");
+  const chat = getChat() || [];
+  const meta = getOrCreateEngineMeta(chatId);
+
+  const slotById = new Map(listChatSwipeSlots(chat).map(slot => [slot.messageId, slot]));
+  const changeSets = Object.entries(meta.changeSetsByMessageId || {}).map(([messageId, cached]) => {
+    const slot = slotById.get(messageId);
+    return {
+      messageId,
+      index: slot ? slot.index : null,
+      swipeId: slot ? slot.swipeId : null,
+      contentHash: cached.contentHash,
+      prevMessageId: cached.prevMessageId ?? null,
+      timestamp: cached.timestamp,
+      changeSet: cached.changeSet
+    };
+  });
+  changeSets.sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity) || (a.swipeId ?? 0) - (b.swipeId ?? 0));
+
+  return cloneJsonData({
+    format: TIMELINE_FORMAT,
+    version: TIMELINE_VERSION,
+    schemaVersion: getSchemaVersion(meta),
+    exportedAt: new Date().toISOString(),
+    chatId,
+    messageCount: chat.length,
+    initialState: meta.initialState,
+    branchedFrom: meta.branchedFrom || null,
+    changeSets
+  });
+}
+
+/**
+ * 导入引擎时间线，按消息 ID 与内容哈希重新绑定到当前聊天，替换当前聊天的引擎元信息。
+ *
+ * 绑定规则（每个（楼层, 滑动）最多绑定一条）：
+ * 1. 消息 ID 相同且该滑动内容哈希一致 → 直接绑定；
+ * 2. 否则按内容哈希查找：优先导出时的同一楼层/滑动，其次是唯一的哈希匹配
+ *    （用于聊天文件损坏修复后 send_date 变化的情况）；
+ * 3. 仍无法匹配的记录被丢弃并计入 unmatched。
+ * 重新绑定的记录使用当前聊天中的消息 ID 与上一条消息 ID。
+ * 绑定后的初始状态与 ChangeSet 按时间线记录的结构版本经过与 chatMetadata 相同的迁移再保存。
+ *
+ * @param {any} data - 已解析的时间线 JSON
+ * @returns {Promise<{ total: number, exact: number, rebound: number, unmatched: number }>}
+ * @throws {Error} 文件格式或版本不受支持
+ */
+export async function importEngineTimeline(data) {
+  if (!data || typeof data !== "object" || data.format !== TIMELINE_FORMAT) {
+    throw new Error("不是角色引擎时间线文件");
+  }
+  if (typeof data.version !== "number" || data.version > TIMELINE_VERSION) {
+    throw new Error(`不支持的时间线版本：${data.version}`);
+  }
+  if (!data.initialState || typeof data.initialState !== "object") {
+    throw new Error("时间线缺少初始状态");
+  }
+
+  const ctx = getStContext();
+  const chatId = String(ctx.chatId ?? "");
+  const chat = getChat() || [];
+  const slots = listChatSwipeSlots(chat);
+  const slotById = new Map(slots.map(slot => [slot.messageId, slot]));
+  const slotsByHash = new Map();
+  for (const slot of slots) {
+    if (!slotsByHash.has(slot.contentHash)) slotsByHash.set(slot.contentHash, []);
+    slotsByHash.get(slot.contentHash).push(slot);
+  }
+
+  const entries = (Array.isArray(data.changeSets) ? data.changeSets : [])
+    .filter(entry => entry && typeof entry === "object" && entry.changeSet && typeof entry.changeSet === "object");
+
+  /** @type {Map<string, { slot: Object, entry: Object }>} */
+  const bound = new Map();
+  let exact = 0;
+  let rebound = 0;
+
+  // 第一轮：消息 ID 与内容哈希均一致
+  const pending = [];
+  for (const entry of entries) {
+    const slot = slotById.get(entry.messageId);
+    if (slot && slot.contentHash === entry.contentHash && !bound.has(slot.messageId)) {
+      bound.set(slot.messageId, { slot, entry });
+      exact++;
+    } else {
+      pending.push(entry);
+    }
+  }
+
+  // 第二轮：按内容哈希重新绑定
+  for (const entry of pending) {
+    const candidates = (slotsByHash.get(entry.contentHash) || []).filter(slot => !bound.has(slot.messageId));
+    const hinted = candidates.find(slot => slot.index === entry.index && slot.swipeId === entry.swipeId);
+    const slot = hinted || (candidates.length === 1 ? candidates[0] : null);
+    if (slot) {
+      bound.set(slot.messageId, { slot, entry });
+      rebound++;
+    }
+  }
+
+  const changeSetsByMessageId = {};
+  for (const { slot, entry } of bound.values()) {
+    const prevMessage = slot.index > 0 ? chat[slot.index - 1] : null;
+    changeSetsByMessageId[slot.messageId] = {
+      changeSet: entry.changeSet,
+      contentHash: slot.contentHash,
+      ...buildContentTextField(getSwipeText(chat[slot.index], slot.swipeId)),
+      prevMessageId: prevMessage ? getMessageId(prevMessage, slot.index - 1) : null,
+      timestamp: typeof entry.timestamp === "number" ? entry.timestamp : Date.now()
+    };
+  }
+
+  // 按导出时的结构版本迁移（在副本上进行，不修改传入的数据）
+  const migration = migrateChatMeta(cloneJsonData({
+    schemaVersion: getSchemaVersion(data),
+    initialState: data.initialState,
+    ...(data.branchedFrom ? { branchedFrom: data.branchedFrom } : {}),
+    runtimeMeta: {
+      checkpoints: [],
+      checkpointClock: 0
+    },
+    changeSetsByMessageId
+  }));
+  if (migration.applied.length) {
+    // eslint-disable-next-line no-console
+    console.log(`[CharacterEngine] 导入的时间线结构迁移 v${migration.fromVersion} -> v${migration.toVersion}：`, migration.applied);
+  } else if (migration.fromVersion > CHAT_META_SCHEMA_VERSION) {
+    // eslint-disable-next-line no-console
+    console.warn(`[CharacterEngine] 导入的时间线结构版本 v${migration.fromVersion} 高于当前支持的 v${CHAT_META_SCHEMA_VERSION}，按原样导入`);
+  }
+
+  const meta = migration.data;
+  meta.initialized = true;
+  meta.chatId = chatId;
+  meta.initialState.chatId = chatId;
+
+  const metaRoot = getChatMetadata();
+  metaRoot[META_KEY] = meta;
+  await saveChatMetadata();
+
+  return { total: entries.length, exact, rebound, unmatched: entries.length - exact - rebound };
+}
+
 /**
  * 从 greeting 文本中解析手写的 ce.set("路径","op或值","可选原因") 指令，
  * 以及 ce.scene 和 ce.cast 的声明式初始化，
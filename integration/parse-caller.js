@@ -8,62 +8,142 @@ import { getConfigForCurrentCharacter } from "./card-storage.js";
 import { extension_settings } from "../../../../extensions.js";
 import { getCallGenerateService } from "../services/call-generate.js";
 import { parseVariablePath } from "../core/variables.js";
+import { listNumberSymbols } from "../core/symbolic-mapper.js";
+import { buildParseOutputSchema, PARSE_TOOL_NAME } from "../core/parse-schema.js";
+import {
+  collectRelevantEntityNames,
+  partitionParametersByRelevance,
+  buildParameterSummaryLines,
+  pickParsePromptLevel
+} from "../core/parse-prompt-budget.js";
 
 const EXT_ID = "CharaEngineForST";
 
+// Cast 分层说明：XML 与 JSON 两种输出格式共用
+const CAST_LAYER_GUIDE = `【Cast 分层说明】
+
+## 角色Cast（三层结构）
+
+角色在场景中分为三个层级，决定了提示注入的详细程度：
+
+1. **focus（主视角/主发言角色）**
+   - 完整 Baseline 人设
+   - 所有变量解析后的提示片段（tone、inner_state、sex_behavior 等）
+   - 当前短期情绪与短期意图
+   - 适用于：本轮主要互动的 NPC、玩家
+   - 数量限制：通常 3-5 个
+
+2. **presentSupporting（在场配角）**
+   - 1-3 句人设摘要（summaryForSupporting）
+   - 关键标签列表（tagsForSupporting）
+   - 适用于：当前场景在场但不是主要发言者的角色
+   - 数量限制：通常 5-10 个
+
+3. **offstageRelated（场外相关角色）**
+   - 仅一句话说明（descForOffstage）
+   - 格式："名字 —— 关系标签 + 一句话说明"
+   - 适用于：不在场但与主角色有重要关系的角色
+   - 数量限制：通常 10-15 个
+
+**使用建议：**
+- 主要对话角色 → focus
+- 在场但不主要发言 → presentSupporting
+- 不在场但可能被提及 → offstageRelated
+- 如果不指定 preferredLayer，系统会默认尝试加入 focus 层
+
+## 地点Cast（两层结构）
+
+地点分为两个层级：
+
+1. **current（当前地点）**
+   - 完整 baseinfo 和 advanceinfo
+   - 只能有一个当前地点
+   - **优先使用完整路径名**，如"京都大学.图书馆"而非仅"图书馆"
+   - 完整路径能更清晰地表达地点的层级关系
+
+2. **candidate（候选地点）**
+   - 仅名称 + 简短提示（candidateHint）
+   - 可以有多个候选地点
+   - 同样**优先使用完整路径名**
+
+**地点命名规范：**
+- ✅ 推荐：使用完整路径 "父地点.子地点"，如"京都大学.图书馆"、"东京.涩谷区.咖啡厅"
+- ⚠️ 可接受：单独地点名，如"图书馆"（仅当该地点无父级或上下文明确时）
+- 完整路径能避免地点混淆，提高模型理解准确度`;
+
 /**
  * 构建解析模型所需的 quietPrompt。
- * 使用「上一轮 AI 回复 + 本轮用户输入」以及角色卡参数定义，要求模型输出 XML 块格式的解析结果。
+ * 使用「上一轮 AI 回复 + 本轮用户输入」以及角色卡参数定义，要求模型输出 XML 块格式的解析结果；
+ * 设置为 JSON 输出格式（parseOutputProtocol = "json"）时改为要求输出符合 JSON Schema 的 JSON 或工具调用。
+ * 回复后解析（options.mode = "post"）时改用「本轮用户输入 + 本轮 AI 回复」，解析角色在回复中实际做了什么。
  *
  * 根据实际启用的功能动态构建提示词：
  * - 只有启用的功能才会在提示词中出现
  * - 未启用的功能完全不提及，避免LLM产生不必要的输出
  * - 动态显示参数的路径格式和绑定实体
  * - 当 cast 为空时，添加初始化提示
+ * - 设置了 token 预算时，超出预算则只为 Cast 角色与当前地点绑定的参数保留完整说明，其余参数只列摘要
  *
  * @param {Array} chat
  * @param {import("../core/engine-state.js").EngineState} [currentState] - 当前引擎状态（用于检测 cast 是否为空）
- * @returns {{ quietPrompt: string }|null}
+ * @param {{ mode?: "early"|"post", appliedChangeSet?: Object|null }} [options]
+ *   - mode：early 为提前解析（默认，最后一条须为用户输入）；post 为回复后解析（最后一条须为 AI 回复）
+ *   - appliedChangeSet：回复后解析时本轮已应用的提前解析结果（both 模式），会列出并要求模型不要重复输出
+ * @returns {{ quietPrompt: string, responseSchema: Object|null, promptBudget: import("../core/parse-prompt-budget.js").CeParsePromptBudgetInfo }|null}
+ *   - responseSchema：JSON 输出格式下由参数与实体生成的 JSON Schema（XML 格式时为 null），解析输出时用同一份 Schema 校验
+ *   - promptBudget：按 token 预算（设置 parsePromptTokenBudget）选择的详略级别与估算 token 数
  */
-export function buildParsePromptInput(chat, currentState = null) {
+export function buildParsePromptInput(chat, currentState = null, options = {}) {
   if (!Array.isArray(chat) || chat.length < 1) {
     return null;
   }
 
+  const isPostMode = options?.mode === "post";
   const lastIndex = chat.length - 1;
-  const currentUserMsg = chat[lastIndex];
-  if (!currentUserMsg || !currentUserMsg.is_user) {
-    // 仅在"最后一条是用户输入"时进行提前解析
+  const lastMsg = chat[lastIndex];
+  if (!lastMsg || !!lastMsg.is_user === isPostMode) {
+    // 提前解析要求最后一条是用户输入；回复后解析要求最后一条是 AI 回复
     return null;
   }
 
-  // 找上一条 AI 回复（从后往前找第一条 is_user === false 的消息）
-  let lastAiMsg = null;
+  // 提前解析：往前找上一条 AI 回复；回复后解析：往前找本轮用户输入
+  let pairedMsg = null;
   for (let i = lastIndex - 1; i >= 0; i--) {
     const msg = chat[i];
-    if (msg && !msg.is_user) {
-      lastAiMsg = msg;
+    if (msg && !!msg.is_user === isPostMode) {
+      pairedMsg = msg;
       break;
     }
   }
 
-  const lastAiText = lastAiMsg?.mes || "";
-  const currentUserText = currentUserMsg.mes || "";
+  if (isPostMode && !pairedMsg) {
+    // greeting 之前没有用户输入，不做回复后解析
+    return null;
+  }
+
+  const lastAiText = (isPostMode ? lastMsg?.mes : pairedMsg?.mes) || "";
+  const currentUserText = (isPostMode ? pairedMsg?.mes : lastMsg?.mes) || "";
+  const aiLabel = isPostMode ? "本轮 NPC 回复" : "上一轮 NPC 回复";
 
   const charConfig = getConfigForCurrentCharacter();
   const params = charConfig.parameters || [];
   const entities = charConfig.entities || [];
-  const options = charConfig.options || {};
+  const cardOptions = charConfig.options || {};
 
   // 检查功能开关
   const settings = extension_settings[EXT_ID] || {};
   const useSceneAndCast = settings.useSceneAndCast !== false;
   const useWorldRag = settings.useWorldRag === true;
-  const enableShortTermEmotion = !options.disableShortTermEmotion;
-  const enableShortTermIntent = !options.disableShortTermIntent;
+  const useJsonProtocol = settings.parseOutputProtocol === "json";
+  const enableShortTermEmotion = !cardOptions.disableShortTermEmotion;
+  const enableShortTermIntent = !cardOptions.disableShortTermIntent;
 
-  // 过滤参数：排除被禁用的短期情绪/意图参数
+  // 过滤参数：排除被禁用的短期情绪/意图参数，以及只读的派生参数
   const activeParams = params.filter((p) => {
+    if (p.type === "derived") {
+      return false;
+    }
+
     const name = (p.name || "").toLowerCase();
     const id = (p.id || "").toLowerCase();
     
@@ -183,7 +263,7 @@ ${paramLines.join("\n\n")}`
       (!currentState.cast.presentSupporting || currentState.cast.presentSupporting.length === 0) &&
       (!currentState.cast.offstageRelated || currentState.cast.offstageRelated.length === 0)));
   
-  // P0.1: 当前参数值
+  // P0.1: 当前参数值（owner 为值所属的实体，scene / global 参数为 null，用于按相关实体筛选）
   const currentValuesLines = [];
   if (currentState && currentState.variables && activeParams.length > 0) {
     for (const param of activeParams) {
@@ -207,25 +287,32 @@ ${paramLines.join("\n\n")}`
             if (scope === "relationship" && typeof value === "object") {
               // relationship scope: 显示所有目标
               for (const [targetName, targetValue] of Object.entries(value)) {
-                currentValuesLines.push(`  - ${entity.name}.${param.name}.${targetName}: ${JSON.stringify(targetValue)}`);
+                currentValuesLines.push({ owner: entity.name, line: `  - ${entity.name}.${param.name}.${targetName}: ${JSON.stringify(targetValue)}` });
               }
             } else {
-              currentValuesLines.push(`  - ${entity.name}.${param.name}: ${JSON.stringify(value)}`);
+              currentValuesLines.push({ owner: entity.name, line: `  - ${entity.name}.${param.name}: ${JSON.stringify(value)}` });
             }
           }
         }
       } else if (scope === "scene" || scope === "global") {
         const value = bucket[param.name] ?? bucket[param.id];
         if (value !== undefined) {
-          currentValuesLines.push(`  - ${param.name}: ${JSON.stringify(value)}`);
+          currentValuesLines.push({ owner: null, line: `  - ${param.name}: ${JSON.stringify(value)}` });
         }
       }
     }
   }
   
-  const currentValuesBlock = currentValuesLines.length > 0
-    ? `当前参数状态：\n${currentValuesLines.join('\n')}`
-    : "";
+  // 按相关实体筛选时只列出相关实体与 scene / global 参数的当前值
+  const buildCurrentValuesBlock = (relevantNames) => {
+    const shown = relevantNames
+      ? currentValuesLines.filter(v => v.owner === null || relevantNames.has(v.owner))
+      : currentValuesLines;
+    if (shown.length === 0) return "";
+    const omitted = new Set(currentValuesLines.filter(v => !shown.includes(v)).map(v => v.owner)).size;
+    const omittedNote = omitted > 0 ? `\n  （其余 ${omitted} 个不在场实体的参数值未列出）` : "";
+    return `当前参数状态：\n${shown.map(v => v.line).join('\n')}${omittedNote}`;
+  };
   
   // P0.2: 场景状态（包括地点Cast）
   let sceneStateBlock = "";
@@ -275,34 +362,47 @@ ${paramLines.join("\n\n")}`
   - 场外相关（offstageRelated）：${offstage}`;
   }
   
-  // P1.1: 可用实体列表
-  const entityLines = [];
+  // P1.1: 可用实体列表（按相关实体筛选时，其余实体只在一行中列出名称）
   const characterEntities = entities.filter(e => e.type === "character");
   const locationEntities = entities.filter(e => e.type === "location");
-  
-  if (characterEntities.length > 0) {
-    entityLines.push("角色实体：");
-    for (const e of characterEntities) {
-      entityLines.push(`  - ${e.name}`);
+
+  const buildEntitiesBlock = (relevantNames) => {
+    const entityLines = [];
+    const isListed = (e) => !relevantNames || relevantNames.has(e.name);
+
+    if (characterEntities.length > 0) {
+      entityLines.push("角色实体：");
+      for (const e of characterEntities.filter(isListed)) {
+        const aliases = Array.isArray(e.aliases) ? e.aliases.filter(Boolean) : [];
+        entityLines.push(aliases.length ? `  - ${e.name}（别名：${aliases.join("、")}；路径中请使用主名称）` : `  - ${e.name}`);
+      }
+      const others = characterEntities.filter(e => !isListed(e));
+      if (others.length > 0) {
+        entityLines.push(`  - 其它角色：${others.map(e => e.name).join(", ")}`);
+      }
     }
-  }
-  
-  if (locationEntities.length > 0) {
-    entityLines.push("地点实体（优先使用完整路径名）：");
-    for (const e of locationEntities) {
-      const parentLocation = e.parentLocation || "";
-      if (parentLocation) {
-        // 显示完整路径格式
-        entityLines.push(`  - ${parentLocation}.${e.name} (或简写: ${e.name})`);
-      } else {
-        entityLines.push(`  - ${e.name}`);
+
+    if (locationEntities.length > 0) {
+      entityLines.push("地点实体（优先使用完整路径名）：");
+      for (const e of locationEntities.filter(isListed)) {
+        const parentLocation = e.parentLocation || "";
+        if (parentLocation) {
+          // 显示完整路径格式
+          entityLines.push(`  - ${parentLocation}.${e.name} (或简写: ${e.name})`);
+        } else {
+          entityLines.push(`  - ${e.name}`);
+        }
+      }
+      const others = locationEntities.filter(e => !isListed(e));
+      if (others.length > 0) {
+        entityLines.push(`  - 其它地点：${others.map(e => e.parentLocation ? `${e.parentLocation}.${e.name}` : e.name).join(", ")}`);
       }
     }
-  }
-  
-  const entitiesBlock = entityLines.length > 0
-    ? `可用实体列表：\n${entityLines.join('\n')}`
-    : "";
+
+    return entityLines.length > 0
+      ? `可用实体列表：\n${entityLines.join('\n')}`
+      : "";
+  };
   
   // P1.2: 参数阶段信息（增强参数块）
   const paramLinesWithPhases = activeParams.map((p) => {
@@ -411,6 +511,21 @@ ${paramLines.join("\n\n")}`
       line += `\n    * clear: 清空数组`;
       line += `\n    * set: 替换整个数组`;
       line += `\n  ⚠️ 注意：数组操作的值必须使用JSON格式，详见下方操作规则`;
+    } else if (p.type === "number") {
+      // 数值类参数：列出该参数实际可用的符号及幅度（含作者自定义符号）
+      const symbols = listNumberSymbols(p);
+      const formatDelta = (d) => {
+        const rounded = Math.round(d * 100) / 100;
+        return rounded >= 0 ? `+${rounded}` : String(rounded);
+      };
+      line += `\n  可用符号：`;
+      line += symbols
+        .map(item => {
+          const effect = item.set !== undefined ? `设为${item.set}` : formatDelta(item.delta);
+          return item.description ? `${item.symbol}(${effect}，${item.description})` : `${item.symbol}(${effect})`;
+        })
+        .join(', ');
+      line += `\n  使用示例：ce.set('${pathExample}', '${symbols[0]?.symbol || "up_small"}')`;
     } else {
       line += `\n  使用示例：ce.set('${pathExample}', ...)`;
     }
@@ -436,47 +551,89 @@ ${paramLines.join("\n\n")}`
     return line;
   });
   
-  const enhancedParamBlock = paramLinesWithPhases.length
-    ? `当前可用的参数（请严格按照路径格式使用）：
+  // 按详略级别生成参数块：focused 起只为相关参数保留完整说明，compact 再去掉说明与使用示例
+  const relevantNames = collectRelevantEntityNames(currentState);
+  const { detailed: detailedParams, summarized: summarizedParams } =
+    partitionParametersByRelevance(activeParams, entities, relevantNames);
 
-${paramLinesWithPhases.join("\n\n")}`
-    : "当前角色卡未定义任何参数。";
-  
-  // 组合所有状态块
-  const stateBlocks = [
-    currentValuesBlock,
-    sceneStateBlock,
-    castStateBlock,
-    entitiesBlock
-  ].filter(b => b.length > 0);
+  const buildParamBlock = (level) => {
+    if (paramLinesWithPhases.length === 0) {
+      return "当前角色卡未定义任何参数。";
+    }
+    if (level === "full" || (level === "focused" && summarizedParams.length === 0)) {
+      return `当前可用的参数（请严格按照路径格式使用）：
+
+${paramLinesWithPhases.join("\n\n")}`;
+    }
+    const detailLines = activeParams
+      .map((p, i) => (detailedParams.includes(p) ? paramLinesWithPhases[i] : null))
+      .filter(Boolean)
+      .map(line => (level === "compact" ? compactParameterLine(line) : line));
+    const summaryBlock = summarizedParams.length > 0
+      ? `\n\n其它参数（绑定的实体本轮不在场，只列名称；需要时同样按路径格式修改）：\n${buildParameterSummaryLines(summarizedParams, entities).join("\n")}`
+      : "";
+    return `当前可用的参数（请严格按照路径格式使用）：
+
+${detailLines.join(level === "compact" ? "\n" : "\n\n")}${summaryBlock}`;
+  };
   
-  const currentStateSection = stateBlocks.length > 0
-    ? `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n【当前状态摘要】\n\n${stateBlocks.join('\n\n')}\n`
-    : "";
+  // both 模式：列出本轮生成前已记录的变化（已计入当前状态）
+  let appliedChangesBlock = "";
+  const appliedVars = isPostMode && Array.isArray(options?.appliedChangeSet?.stateDelta?.variables)
+    ? options.appliedChangeSet.stateDelta.variables
+    : [];
+  if (appliedVars.length > 0) {
+    const appliedLines = appliedVars.map(v => {
+      const valueText = v.op === "symbolic" ? v.symbol : (typeof v.value === "string" ? v.value : JSON.stringify(v.value));
+      return `  - ce.set('${v.path || v.key || ""}', '${valueText}')`;
+    });
+    appliedChangesBlock = `本轮生成前已记录的变化（已计入上面的当前状态，请只输出 NPC 回复中新发生的变化，不要重复输出）：\n${appliedLines.join('\n')}`;
+  }
+
+  // 组合所有状态块（full 级别列出全部实体与参数值）
+  const buildCurrentStateSection = (level) => {
+    const filterNames = level === "full" ? null : relevantNames;
+    const stateBlocks = [
+      buildCurrentValuesBlock(filterNames),
+      appliedChangesBlock,
+      sceneStateBlock,
+      castStateBlock,
+      buildEntitiesBlock(filterNames)
+    ].filter(b => b.length > 0);
+
+    return stateBlocks.length > 0
+      ? `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n【当前状态摘要】\n\n${stateBlocks.join('\n\n')}\n`
+      : "";
+  };
 
   // 动态构建任务说明
   const tasks = [];
-  tasks.push("1. **分析对话内容**：仔细阅读上一轮NPC回复和本轮玩家输入，理解当前剧情发展和角色互动。");
+  tasks.push(isPostMode
+    ? "1. **分析对话内容**：仔细阅读本轮玩家输入和本轮NPC回复，重点关注NPC在回复中实际做出的行为、决定与情绪变化。"
+    : "1. **分析对话内容**：仔细阅读上一轮NPC回复和本轮玩家输入，理解当前剧情发展和角色互动。");
   
-  if (activeParams.length > 0) {
-    tasks.push(`2. **评估参数变化**：
-   - 根据上述参数列表，判断哪些参数在本轮对话中受到影响
-   - 在 <CE_UpdateState> 块中使用 ce.set() 格式表达变化
-   - **严格遵守每个参数的路径格式**（单段/两段/三段）
-   
-   **参数类型操作规则：**
-   
-   a) **数值类参数**：使用符号化操作
+  // 参数类型操作规则：compact 级别只保留本卡参数实际用到的类型
+  const paramTypeRules = [
+    {
+      types: ["number"],
+      text: `**数值类参数**：使用符号化操作
       - 符号操作：up_small, up_medium, up_large, down_small, down_medium, down_large
-      - 示例：ce.set('小樱.好感度', 'up_medium', '因为玩家的温柔话语')
-   
-   b) **枚举类参数**：使用 next/prev 或直接设置枚举值
-      - 示例：ce.set('小樱.关系阶段', 'next') 或 ce.set('小樱.关系阶段', '暧昧期')
-   
-   c) **布尔类参数**：直接设置 true 或 false
-      - 示例：ce.set('小樱.是否知道真相', 'true')
-   
-   d) **文本类参数**：直接设置完整的文本内容
+      - 部分参数还声明了自定义符号（见参数列表中的「可用符号」），可直接作为操作使用
+      - 示例：ce.set('小樱.好感度', 'up_medium', '因为玩家的温柔话语')`
+    },
+    {
+      types: ["enum"],
+      text: `**枚举类参数**：使用 next/prev 或直接设置枚举值
+      - 示例：ce.set('小樱.关系阶段', 'next') 或 ce.set('小樱.关系阶段', '暧昧期')`
+    },
+    {
+      types: ["boolean"],
+      text: `**布尔类参数**：直接设置 true 或 false
+      - 示例：ce.set('小樱.是否知道真相', 'true')`
+    },
+    {
+      types: ["text"],
+      text: `**文本类参数**：直接设置完整的文本内容
       - **核心原则：文本参数用于存储单一的、完整的文本描述**
       - **与数组的区别：文本参数存储的是一段连续的文字，而非多个独立项目**
       - **每次设置都会完全替换原有内容，不支持增量修改**
@@ -487,9 +644,11 @@ ${paramLinesWithPhases.join("\n\n")}`
         * 剧情标记：ce.set('主线进度', '已完成第一章"觉醒"，正在进行第二章"试炼"的前置任务')
       - ⚠️ 重要提示：
         * 每次修改都需要提供完整的新文本内容，而非追加或部分修改
-        * 文本参数适合存储需要完整表达的描述性内容
-   
-   e) **数组类参数**：使用专门的数组操作符进行增量操作
+        * 文本参数适合存储需要完整表达的描述性内容`
+    },
+    {
+      types: ["array"],
+      text: `**数组类参数**：使用专门的数组操作符进行增量操作
       - **核心原则：数组用于存储多个独立的项目，支持对单个项目进行增删改操作**
       - **与文本的区别：数组存储的是多个独立元素的集合，每个元素可以单独操作**
       - **数组元素类型说明：**
@@ -584,9 +743,11 @@ ${paramLinesWithPhases.join("\n\n")}`
         * 优先使用增量操作（add_item/remove_at/update_at等）而非set整个数组
         * 使用remove_where时，确保条件对象的field字段与数组元素的实际字段名匹配
         * 对于object数组，建议在itemSchema中明确定义对象结构
-        * 注意数组索引从0开始，remove_at:0表示删除第一个元素
-   
-   f) **【特别重要】短期情绪/短期意图参数**（文本类型）：
+        * 注意数组索引从0开始，remove_at:0表示删除第一个元素`
+    },
+    {
+      shortTerm: true,
+      text: `**【特别重要】短期情绪/短期意图参数**（文本类型）：
       - 这些是特殊的文本类参数，用于描述角色的临时心理状态
       - 必须使用**描述性的一句话或简短说明**，而非简单词汇
       - ✅ 正确示例：
@@ -596,7 +757,28 @@ ${paramLinesWithPhases.join("\n\n")}`
         * ce.set('艾莉娅.短期情绪', '愤怒')  // 太简单，缺乏细节
         * ce.set('艾莉娅.短期意图', '道歉')  // 太笼统，缺乏具体说明
       - 短期情绪应包含：情绪原因、具体感受、心理状态的细腻描述
-      - 短期意图应包含：行动倾向、目的、预期效果的完整说明`);
+      - 短期意图应包含：行动倾向、目的、预期效果的完整说明`
+    }
+  ];
+  const hasShortTermParam = activeParams.some(p => p.isShortTerm === true);
+  const buildParamTask = (compact) => {
+    const rules = compact
+      ? paramTypeRules.filter(r => (r.shortTerm ? hasShortTermParam : r.types.some(t => activeParams.some(p => p.type === t))))
+      : paramTypeRules;
+    return `2. **评估参数变化**：
+   - 根据上述参数列表，判断哪些参数在本轮对话中受到影响
+   - ${useJsonProtocol ? "在 JSON 的 variables 数组中表达变化（ce.set() 写法与 JSON 的对应关系见【输出格式】）" : "在 <CE_UpdateState> 块中使用 ce.set() 格式表达变化"}
+   - **严格遵守每个参数的路径格式**（单段/两段/三段）
+   
+   **参数类型操作规则：**
+   
+${rules.map((r, i) => `   ${String.fromCharCode(97 + i)}) ${r.text}`).join("\n   \n")}`;
+  };
+
+  let paramTaskIndex = -1;
+  if (activeParams.length > 0) {
+    paramTaskIndex = tasks.length;
+    tasks.push(buildParamTask(false));
   }
 
   // 场景与cast管理（仅在启用时出现）
@@ -605,18 +787,18 @@ ${paramLinesWithPhases.join("\n\n")}`
       // Cast 为空时的特殊提示
       tasks.push(`${tasks.length + 1}. **【重要】初始化场景与角色**：
    - **当前 cast 为空，这是对话的开始阶段**
-   - 请根据上一轮 NPC 回复（greeting）的内容，在 <CE_UpdateScene> 块中设置：
-     * location_hint：当前场景的地点（如"大学图书馆"、"学生会室"等）
-     * scene_tags：场景标签（如["日常", "初次见面"]）
-   - 在 <CastIntent> 中添加当前在场的角色：
+   - 请根据${aiLabel}（greeting）的内容，在 ${useJsonProtocol ? "scene 字段" : "<CE_UpdateScene> 块"}中设置：
+     * ${useJsonProtocol ? "locationHint" : "location_hint"}：当前场景的地点（如"大学图书馆"、"学生会室"等）
+     * ${useJsonProtocol ? "sceneTags" : "scene_tags"}：场景标签（如["日常", "初次见面"]）
+   - 在 ${useJsonProtocol ? "scene.cast.enter" : "<CastIntent>"} 中添加当前在场的角色：
      * 至少包括 NPC 自己和玩家（{{user}}）
      * 如果 greeting 中提到其他在场角色，也应加入
      * **使用 preferredLayer 指定角色层级**（见下方说明）
-   - 这是**必须完成的初始化任务**，请务必输出 <CE_UpdateScene> 块`);
+   - 这是**必须完成的初始化任务**，请务必输出 ${useJsonProtocol ? "scene 字段" : "<CE_UpdateScene> 块"}`);
     } else {
       tasks.push(`${tasks.length + 1}. **场景与角色进出场**：
-   - 如果对话中涉及场景变化，在 <CE_UpdateScene> 块中更新 location_hint 和 scene_tags
-   - 如果有新角色出现或离开，在 <CastIntent> 中说明
+   - 如果对话中涉及场景变化，${useJsonProtocol ? "在 scene 字段中更新 locationHint 和 sceneTags" : "在 <CE_UpdateScene> 块中更新 location_hint 和 scene_tags"}
+   - 如果有新角色出现或离开，在 ${useJsonProtocol ? "scene.cast" : "<CastIntent>"} 中说明
    - **使用 preferredLayer 指定新进场角色的层级**（见下方说明）`);
     }
   }
@@ -624,7 +806,7 @@ ${paramLinesWithPhases.join("\n\n")}`
   // 世界观RAG（仅在启用时出现）
   if (useWorldRag) {
     tasks.push(`${tasks.length + 1}. **世界观检索需求**：
-   - 如果对话涉及需要查询的世界观设定或历史事件，在 <WorldContextIntent> 块中说明`);
+   - 如果对话涉及需要查询的世界观设定或历史事件，在 ${useJsonProtocol ? "JSON 的 worldIntent 字段" : "<WorldContextIntent> 块"}中说明`);
   }
 
   // 构建 XML 格式的输出示例
@@ -692,56 +874,7 @@ ${paramLinesWithPhases.join("\n\n")}`
 </CE_UpdateScene>
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-【Cast 分层说明】
-
-## 角色Cast（三层结构）
-
-角色在场景中分为三个层级，决定了提示注入的详细程度：
-
-1. **focus（主视角/主发言角色）**
-   - 完整 Baseline 人设
-   - 所有变量解析后的提示片段（tone、inner_state、sex_behavior 等）
-   - 当前短期情绪与短期意图
-   - 适用于：本轮主要互动的 NPC、玩家
-   - 数量限制：通常 3-5 个
-
-2. **presentSupporting（在场配角）**
-   - 1-3 句人设摘要（summaryForSupporting）
-   - 关键标签列表（tagsForSupporting）
-   - 适用于：当前场景在场但不是主要发言者的角色
-   - 数量限制：通常 5-10 个
-
-3. **offstageRelated（场外相关角色）**
-   - 仅一句话说明（descForOffstage）
-   - 格式："名字 —— 关系标签 + 一句话说明"
-   - 适用于：不在场但与主角色有重要关系的角色
-   - 数量限制：通常 10-15 个
-
-**使用建议：**
-- 主要对话角色 → focus
-- 在场但不主要发言 → presentSupporting
-- 不在场但可能被提及 → offstageRelated
-- 如果不指定 preferredLayer，系统会默认尝试加入 focus 层
-
-## 地点Cast（两层结构）
-
-地点分为两个层级：
-
-1. **current（当前地点）**
-   - 完整 baseinfo 和 advanceinfo
-   - 只能有一个当前地点
-   - **优先使用完整路径名**，如"京都大学.图书馆"而非仅"图书馆"
-   - 完整路径能更清晰地表达地点的层级关系
-
-2. **candidate（候选地点）**
-   - 仅名称 + 简短提示（candidateHint）
-   - 可以有多个候选地点
-   - 同样**优先使用完整路径名**
-
-**地点命名规范：**
-- ✅ 推荐：使用完整路径 "父地点.子地点"，如"京都大学.图书馆"、"东京.涩谷区.咖啡厅"
-- ⚠️ 可接受：单独地点名，如"图书馆"（仅当该地点无父级或上下文明确时）
-- 完整路径能避免地点混淆，提高模型理解准确度`);
+${CAST_LAYER_GUIDE}`);
   }
 
   // 世界观检索示例
@@ -759,28 +892,59 @@ ${paramLinesWithPhases.join("\n\n")}`
 </WorldContextIntent>`);
   }
 
-  const quietPrompt = `
-你是一个"角色引擎状态解析器"，负责根据上一轮 NPC 回复与本轮玩家输入，推断本轮对变量${useSceneAndCast ? '与场景' : ''}的符号化变更意图。
-
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-【上一轮 NPC 回复】
-${lastAiText || "(无)"}
+  // 输出格式：XML 块，或符合 JSON Schema 的 JSON / 工具调用
+  // responseSchema 始终包含全部参数，用于校验输出与 response_format；提示中的 Schema 随详略级别缩减：
+  // focused / compact 只包含完整说明的参数，response_format 为 json_schema 时 Schema 已随请求发送，提示中不再重复
+  let responseSchema = null;
+  let buildOutputFormatSection;
+  if (useJsonProtocol) {
+    responseSchema = buildParseOutputSchema({
+      parameters: activeParams,
+      entities,
+      useSceneAndCast,
+      useWorldRag
+    });
+    const schemaInRequest = settings.parseResponseFormat === "json_schema";
+    let detailedSchema = null;
+    const getPromptSchema = (level) => {
+      if (level === "full" || summarizedParams.length === 0) {
+        return responseSchema;
+      }
+      detailedSchema = detailedSchema || buildParseOutputSchema({
+        parameters: detailedParams,
+        entities,
+        useSceneAndCast,
+        useWorldRag
+      });
+      return detailedSchema;
+    };
+    buildOutputFormatSection = (level) => {
+      const schemaIsPartial = !schemaInRequest && getPromptSchema(level) !== responseSchema;
+      return `${schemaInRequest
+        ? "请只输出一个 JSON 对象，结构必须符合本次请求附带的 JSON Schema（不要输出 XML 块；可以用 \`\`\`json 代码块包裹）。"
+        : `请只输出一个 JSON 对象，结构必须符合下面的 JSON Schema（不要输出 XML 块；可以用 \`\`\`json 代码块包裹）：
 
-【本轮玩家输入】
-${currentUserText || "(无)"}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+\`\`\`json
+${JSON.stringify(getPromptSchema(level))}
+\`\`\``}
 
-${enhancedParamBlock}
-${currentStateSection}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-【你的任务】
+也可以以工具调用的形式输出：函数名为 ${PARSE_TOOL_NAME}，参数即上述 JSON 对象。
 
-${tasks.join('\n\n')}
+【重要说明】
+- 上文中的 ce.set('路径', '操作或值', '说明') 写法在 JSON 中对应 variables 数组的一项：{"path": "路径", "op": "操作", "value": 值, "reason": "说明"}
+  * 符号化操作（up_small、next、add_item、remove_at:0、clear 等）写在 op 中；add_item、update_at、remove_where 需要的 JSON 值写在 value 中，直接写 JSON，不要再包成字符串
+  * 直接设置值时 op 写 "set"，值写在 value 中（数值写数字，布尔写 true / false）
+  * **path 必须严格遵守上述参数列表中的路径格式**${schemaIsPartial ? `
+  * Schema 的 variables 只列出了完整说明的参数；「其它参数」同样可以按路径格式写入 variables` : ""}
+- 你可以在 analysis 字段中自由表达你的分析思考，这部分会被保留用于调试
+- 只根据实际对话内容和上述参数定义进行分析，不要臆测不存在的参数
+- 不需要的字段可以完全省略；本轮没有任何变化时输出 {}${useSceneAndCast ? `
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-【输出格式】
-
-请使用 XML 块格式输出你的分析结果：
+${CAST_LAYER_GUIDE}` : ""}`;
+    };
+  } else {
+    const xmlOutputFormatSection = `请使用 XML 块格式输出你的分析结果：
 
 ${xmlExamples.join('\n\n')}
 
@@ -790,21 +954,111 @@ ${xmlExamples.join('\n\n')}
 - 只根据实际对话内容和上述参数定义进行分析，不要臆测不存在的参数
 - 如果某个块不需要，可以完全省略
 - XML 块可以和其他文本混合输出，系统会自动提取需要的部分
-- 每个 ce.set() 调用必须独占一行
+- 每个 ce.set() 调用必须独占一行`;
+    buildOutputFormatSection = () => xmlOutputFormatSection;
+  }
+
+  const composeQuietPrompt = (level) => `
+${isPostMode
+    ? `你是一个"角色引擎状态解析器"，负责根据本轮玩家输入与本轮 NPC 回复，推断 NPC 回复实际造成的变量${useSceneAndCast ? '与场景' : ''}的符号化变更。`
+    : `你是一个"角色引擎状态解析器"，负责根据上一轮 NPC 回复与本轮玩家输入，推断本轮对变量${useSceneAndCast ? '与场景' : ''}的符号化变更意图。`}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+${isPostMode ? `【本轮玩家输入】
+${currentUserText || "(无)"}
+
+【${aiLabel}】
+${lastAiText || "(无)"}` : `【${aiLabel}】
+${lastAiText || "(无)"}
+
+【本轮玩家输入】
+${currentUserText || "(无)"}`}
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+${buildParamBlock(level)}
+${buildCurrentStateSection(level)}
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+【你的任务】
+
+${tasks.map((task, i) => (i === paramTaskIndex && level === "compact" ? buildParamTask(true) : task)).join('\n\n')}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+【输出格式】
+
+${buildOutputFormatSection(level)}
 `.trim();
 
+  // 按设置的 token 预算选择详略级别（0 为不限制）
+  const budget = Math.max(0, parseInt(settings.parsePromptTokenBudget) || 0);
+  const picked = pickParsePromptLevel(budget, composeQuietPrompt);
+  const summarizedCount = picked.level === "full" ? 0 : summarizedParams.length;
+
   return {
-    quietPrompt
+    quietPrompt: picked.prompt,
+    responseSchema,
+    promptBudget: {
+      budget,
+      level: picked.level,
+      estimatedTokens: picked.estimatedTokens,
+      overBudget: picked.overBudget,
+      detailedParameters: activeParams.length - summarizedCount,
+      summarizedParameters: summarizedCount
+    }
   };
 }
 
+/**
+ * compact 级别的参数说明：只保留标题、路径格式、可用符号 / 可选值 / 阶段与绑定实体，去掉说明、示例与注意事项
+ * @param {string} line - paramLinesWithPhases 中的一项
+ * @returns {string}
+ */
+function compactParameterLine(line) {
+  const kept = [];
+  let keepNested = false;
+  for (const row of line.split("\n")) {
+    if (row.startsWith("- **")) {
+      kept.push(row);
+      keepNested = false;
+    } else if (/^ {2}(路径格式|可用符号|可选值|绑定实体|阶段划分)：/.test(row)) {
+      kept.push(row);
+      keepNested = row.startsWith("  阶段划分：");
+    } else if (keepNested && row.startsWith("    * ")) {
+      kept.push(row);
+    } else {
+      keepNested = false;
+    }
+  }
+  return kept.join("\n");
+}
+
+/**
+ * 按设置生成 response_format 请求参数（仅 JSON 输出格式下有效）
+ * @param {Object|null|undefined} responseSchema - buildParsePromptInput 生成的 JSON Schema
+ * @param {string|undefined} mode - none / json_object / json_schema
+ * @returns {Object|null}
+ */
+function buildResponseFormat(responseSchema, mode) {
+  if (!responseSchema) return null;
+  if (mode === "json_object") {
+    return { type: "json_object" };
+  }
+  if (mode === "json_schema") {
+    // Schema 中的变量分支使用 anyOf 与可选字段，不满足 strict 模式的要求
+    return {
+      type: "json_schema",
+      json_schema: { name: PARSE_TOOL_NAME, schema: responseSchema, strict: false }
+    };
+  }
+  return null;
+}
+
 /**
  * 使用内置 callGenerate 服务进行解析调用
  * - 完全独立的调用，不污染主 chat
  * - 不触发 MESSAGE_RECEIVED 事件
  * - 直接返回解析结果
  *
- * @param {{quietPrompt: string}} parseInput
+ * @param {{quietPrompt: string, responseSchema?: Object|null}} parseInput
  * @returns {Promise<string>}
  */
 export async function callParseModel(parseInput) {
@@ -989,6 +1243,16 @@ export async function callParseModel(parseInput) {
       console.debug("[CharacterEngine] 使用继承API配置（当前API设置）");
     }
     
+    // JSON 输出格式：按设置通过 response_format 约束输出（继承模式写入 overrides，完全自定义模式直接写在配置上）
+    const responseFormat = buildResponseFormat(parseInput.responseSchema, settings.parseResponseFormat);
+    if (responseFormat) {
+      if (apiConfig.inherit) {
+        apiConfig.overrides = { ...(apiConfig.overrides || {}), responseFormat };
+      } else {
+        apiConfig.responseFormat = responseFormat;
+      }
+    }
+
     // eslint-disable-next-line no-console
     console.debug("[CharacterEngine] 最终API配置:", apiConfig);
 
@@ -7,9 +7,10 @@
 
 import { getConfigForCurrentCharacter, getCurrentCharacterName } from "./card-storage.js";
 import { buildPromptBundles } from "../core/prompt-slots.js";
-import { buildNormalizedEntities } from "../core/entities.js";
+import { buildNormalizedEntities, buildEntityAliasMap, buildEntityNameGroups } from "../core/entities.js";
 import { getUserName, getUserPersonaDescription } from "./st-context.js";
-import { parseVariablePath } from "../core/variables.js";
+import { parseVariablePath, createConditionStateContext } from "../core/variables.js";
+import { withDerivedParameters } from "../core/derived.js";
 import { extension_settings } from "../../../../extensions.js";
 
 /**
@@ -18,13 +19,14 @@ import { extension_settings } from "../../../../extensions.js";
  * - "角色名.参数名" -> variables.character[角色名][参数名]
  * - "角色名.参数名.目标名" -> variables.relationship[角色名][参数名][目标名]
  * - "参数名" -> 根据参数定义的 scope 查找
+ * - 派生参数（type: "derived"）在读取时按定义计算
  *
  * @param {import("../core/variables.js").CeParameterDefinition[]} parameters - 参数定义列表
  * @param {import("../core/engine-state.js").EngineState} engineState - 当前引擎状态
  * @returns {(path: string) => any}
  */
-function createPathBasedValueGetter(parameters, engineState) {
-  return (path) => {
+export function createPathBasedValueGetter(parameters, engineState) {
+  return withDerivedParameters(parameters, (path) => {
     const trimmedPath = String(path || "").trim();
     if (!trimmedPath) return undefined;
 
@@ -83,7 +85,7 @@ function createPathBasedValueGetter(parameters, engineState) {
     }
     
     return undefined;
-  };
+  });
 }
 
 /**
@@ -98,6 +100,26 @@ function indentBlock(text, prefix) {
     .join("\n");
 }
 
+/** 注入块的开头说明 */
+const INJECTION_BLOCK_HEADER =
+  "【Character Engine 提示块】以下信息由角色卡参数与数值规则自动组合，请严格以这些信息为准进行表演，不要自行修改长期人设与状态。";
+
+/**
+ * 构造触发事件块（阈值触发器产生的一次性提示，仅在触发当轮注入）
+ * @param {string[]} triggerPrompts - EngineState.triggerPrompts
+ * @returns {string} 没有触发提示时返回空字符串
+ */
+function buildTriggeredEventsBlock(triggerPrompts) {
+  if (!triggerPrompts.length) return "";
+  const lines = ["<TriggeredEvents>"];
+  for (const text of triggerPrompts) {
+    lines.push("  - |");
+    lines.push(indentBlock(text, "    "));
+  }
+  lines.push("</TriggeredEvents>");
+  return lines.join("\n");
+}
+
 /**
  * 使用角色卡中的参数/提示定义 + 当前 EngineState，构造结构化的 Character_n / Location_n 提示块。
  *
@@ -112,9 +134,12 @@ function indentBlock(text, prefix) {
  */
 export async function buildPromptInjectionBlock(engineState) {
   const charConfig = getConfigForCurrentCharacter();
-  
+  const triggerPrompts = Array.isArray(engineState?.triggerPrompts) ? engineState.triggerPrompts : [];
+  const triggeredEventsBlock = buildTriggeredEventsBlock(triggerPrompts);
+
+  // 没有提示条目时（包括未定义 prompts 的角色卡），仍需注入本轮触发器产生的一次性提示
   if (!charConfig || !Array.isArray(charConfig.prompts) || !charConfig.prompts.length) {
-    return "";
+    return triggeredEventsBlock ? `${INJECTION_BLOCK_HEADER}\n\n${triggeredEventsBlock}` : "";
   }
 
   const parameters = charConfig.parameters || [];
@@ -137,7 +162,12 @@ export async function buildPromptInjectionBlock(engineState) {
   }
 
   // 1) 基于提示条目与参数状态构造 ownerName → promptTypeName → 文本 的 bundle
-  const bundles = buildPromptBundles(charConfig.prompts, getValueByPath);
+  const bundles = buildPromptBundles(
+    charConfig.prompts,
+    getValueByPath,
+    createConditionStateContext(engineState, charConfig.entities || []),
+    buildEntityAliasMap(charConfig.entities || [])
+  );
 
   // 2) 合成实体视图
   const runtimeEntitiesMap =
@@ -219,9 +249,7 @@ export async function buildPromptInjectionBlock(engineState) {
 
   // 5) 组装结构化块
   const lines = [];
-  lines.push(
-    "【Character Engine 提示块】以下信息由角色卡参数与数值规则自动组合，请严格以这些信息为准进行表演，不要自行修改长期人设与状态。"
-  );
+  lines.push(INJECTION_BLOCK_HEADER);
   lines.push("");
 
   // 5.0.5 RAG世界观设定块（在场景之后、角色之前注入）
@@ -252,6 +280,12 @@ export async function buildPromptInjectionBlock(engineState) {
     lines.push("");
   }
 
+  // 5.0.6 触发事件块（阈值触发器产生的一次性提示，仅在触发当轮注入）
+  if (triggeredEventsBlock) {
+    lines.push(triggeredEventsBlock);
+    lines.push("");
+  }
+
   // 5.1 角色块
   let charIndex = 1;
   for (const name of activeCharacterNames) {
@@ -458,7 +492,9 @@ async function buildRagBlock(engineState, charConfig) {
   try {
     // 动态导入RAG模块
     const ragModule = await import('../rag/integration/prompt-injector.js');
-    const ragPromptText = await ragModule.injectRagPrompts(worldIntent, loreConfig);
+    const ragPromptText = await ragModule.injectRagPrompts(worldIntent, loreConfig, {
+      aliasGroups: buildEntityNameGroups(charConfig.entities || [])
+    });
     return ragPromptText;
   } catch (err) {
     console.error('[PromptBuilder] RAG注入失败:', err);
@@ -1,9 +1,10 @@
 // 解析模型输出规整层：将 XML 块格式的 CE_UpdateState / CE_UpdateScene / WorldContextIntent
-// 转为内部 CeChangeSet 结构，并附加人类可读路径解析结果。
+// （或 JSON 协议下的 JSON 对象 / 工具调用）转为内部 CeChangeSet 结构，并附加人类可读路径解析结果。
 //
 // 核心设计：
 // - 使用 XML 块解析（鲁棒性强，支持混合输出）
 // - 逐行解析 ce.set() 调用，单行错误不影响整体
+// - JSON 输出按解析提示词中的同一份 JSON Schema 校验，不合格的条目丢弃并记录警告
 // - 始终保留原始文本用于显示和调试
 
 import {
@@ -12,6 +13,7 @@ import {
   composeChangeSet
 } from "../core/change-set.js";
 import { withParsedPath } from "../core/variables.js";
+import { PARSE_TOOL_NAME, pruneBySchema } from "../core/parse-schema.js";
 
 /**
  * @typedef {import("../core/change-set.js").CeChangeSet} CeChangeSet
@@ -25,7 +27,7 @@ import { withParsedPath } from "../core/variables.js";
  * @property {Object} sceneDelta - 场景变化
  * @property {Array} entityDelta - 实体变化
  * @property {Object} worldIntent - 世界观检索意图
- * @property {string} parseMethod - 解析方法（xml/none）
+ * @property {string} parseMethod - 解析方法（xml/json/tool_call/none）
  * @property {Array<string>} warnings - 解析警告
  * @property {Object} debugInfo - 调试信息
  */
@@ -547,9 +549,13 @@ function parseFromXmlBlocks(text) {
     result.worldIntent = parseWorldContextIntentBlock(worldIntentBlock);
   }
   
-  // 如果没有解析到任何有效块，添加警告
+  // 如果没有解析到任何有效块，添加警告（自我修正时模型可用 <CE_NoChange/> 明确表示本轮没有变化）
   if (!result.stateDelta && !result.sceneDelta && !result.worldIntent) {
-    result.warnings.push('未检测到任何有效的 XML 块（CE_UpdateState/CE_UpdateScene/WorldContextIntent）');
+    if (/<CE_NoChange\s*\/?>/i.test(text)) {
+      result.debugInfo.noChange = true;
+    } else {
+      result.warnings.push('未检测到任何有效的 XML 块（CE_UpdateState/CE_UpdateScene/WorldContextIntent）');
+    }
   }
   
   // 附加 parsedPath 到变量操作
@@ -667,18 +673,384 @@ function parseQueryEntry(queryText) {
   };
 }
 
+const JSON_TOP_LEVEL_KEYS = ["analysis", "variables", "entities", "scene", "worldIntent"];
+const XML_BLOCK_PATTERN = /<(CE_UpdateState|CE_UpdateScene|WorldContextIntent)>/i;
+
+/**
+ * 尝试将文本解析为 JSON
+ * @param {string} text
+ * @returns {{ ok: boolean, value?: any }}
+ */
+function tryParseJson(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (err) {
+    return { ok: false };
+  }
+}
+
+/**
+ * 从模型输出中提取 JSON：优先 ```json 代码块，其次整段文本；
+ * lenient 为 true（当前使用 JSON 协议）时再尝试截取第一个 { 到最后一个 } 之间的内容。
+ * @param {string} text
+ * @param {boolean} lenient
+ * @returns {any|undefined}
+ */
+function extractJsonValue(text, lenient) {
+  const trimmed = text.trim();
+  const candidates = [];
+
+  const fenceMatch = trimmed.match(/```(?:json)?[ \t]*\n?([\s\S]*?)```/i);
+  if (fenceMatch && /^[[{]/.test(fenceMatch[1].trim())) {
+    candidates.push(fenceMatch[1].trim());
+  }
+  if (/^[[{]/.test(trimmed)) {
+    candidates.push(trimmed);
+  }
+  if (lenient) {
+    const start = trimmed.indexOf("{");
+    const end = trimmed.lastIndexOf("}");
+    if (start >= 0 && end > start) {
+      candidates.push(trimmed.slice(start, end + 1));
+    }
+  }
+
+  for (const candidate of candidates) {
+    const parsed = tryParseJson(candidate);
+    if (parsed.ok) return parsed.value;
+  }
+  return undefined;
+}
+
 /**
- * 主解析入口：从 XML 块格式解析模型输出
+ * 展开 OpenAI 风格的工具调用，取出参数对象。支持：
+ * - { choices: [{ message: { tool_calls: [...] } }] }（完整响应）
+ * - { tool_calls: [{ function: { name, arguments } }] } / 工具调用数组
+ * - { function_call: { name, arguments } } / { name, arguments | parameters }
+ * arguments 可以是 JSON 字符串或对象。
+ * @param {any} value
+ * @returns {{ payload: any, toolName: string|null }}
+ */
+function unwrapToolCall(value) {
+  let call = value?.choices?.[0]?.message || value;
+  if (Array.isArray(call?.tool_calls)) {
+    call = call.tool_calls;
+  }
+  if (Array.isArray(call)) {
+    call = call.find(c => (c?.function?.name || c?.name) === PARSE_TOOL_NAME) || call[0];
+  }
+  if (call?.function_call) {
+    call = call.function_call;
+  }
+  if (call?.function && typeof call.function === "object") {
+    call = call.function;
+  }
+
+  if (call && typeof call.name === "string" && (call.arguments !== undefined || call.parameters !== undefined)) {
+    let args = call.arguments !== undefined ? call.arguments : call.parameters;
+    if (typeof args === "string") {
+      const parsed = tryParseJson(args.trim() || "{}");
+      args = parsed.ok ? parsed.value : undefined;
+    }
+    return { payload: args, toolName: call.name };
+  }
+  return { payload: value, toolName: null };
+}
+
+/**
+ * 判断 JSON 值是否像解析输出（空对象，或至少包含一个约定的顶层字段）
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isParsePayload(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length === 0 || keys.some(k => JSON_TOP_LEVEL_KEYS.includes(k));
+}
+
+/**
+ * 取去掉首尾空白后的非空字符串；不是字符串或为空时返回 null
+ * （未提供 Schema 时 JSON 输出不经校验，每个字段都需要检查类型）
+ * @param {any} value
+ * @returns {string|null}
+ */
+function toTrimmedString(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+/**
+ * 取数组中的非空字符串项，其余项跳过并记录警告
+ * @param {any} value
+ * @param {string} field - 警告中的字段名
+ * @param {string[]} warnings
+ * @returns {string[]}
+ */
+function toStringList(value, field, warnings) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    warnings.push(`JSON 字段 ${field} 应为字符串数组，已忽略`);
+    return [];
+  }
+  const list = value.map(toTrimmedString).filter(Boolean);
+  if (list.length < value.length) {
+    warnings.push(`JSON 字段 ${field} 中有 ${value.length - list.length} 项不是有效字符串，已跳过`);
+  }
+  return list;
+}
+
+/**
+ * JSON 变量操作 → CeVariableOp：op 为 set/add 时直接使用 value，其余 op 视为符号（value 作为符号参数）
+ * @param {Object} item - path 与 op 已确认为字符串
+ * @returns {Object}
+ */
+function mapJsonVariableOp(item) {
+  const isDirect = item.op === "set" || item.op === "add";
+  const reason = toTrimmedString(item.reason);
+  return {
+    path: item.path.trim(),
+    op: isDirect ? item.op : "symbolic",
+    value: item.value,
+    symbol: isDirect ? undefined : item.op,
+    meta: reason ? { reason } : undefined
+  };
+}
+
+/**
+ * JSON 实体变更 → CeEntityOp（字段与 <EntityChange> 的解析结果一致）
+ * @param {Object} item - name 与 op 已确认有效
+ * @param {string[]} warnings
+ * @returns {Object}
+ */
+function mapJsonEntityOp(item, warnings) {
+  const name = item.name.trim();
+  const op = {
+    op: item.op,
+    name,
+    meta: { reason: toTrimmedString(item.reason) || "" }
+  };
+  const bindParameters = toStringList(item.bindParameters, `entities[${name}].bindParameters`, warnings);
+  if (item.op === "add") {
+    op.type = toTrimmedString(item.type) || "other";
+    op.baseinfo = typeof item.baseinfo === "string" ? item.baseinfo : "";
+    if (bindParameters.length) {
+      op.parameterNames = bindParameters;
+    }
+  } else if (item.op === "update") {
+    if (typeof item.baseinfo === "string") op.baseinfo = item.baseinfo;
+    if (bindParameters.length) {
+      op.bindParameters = bindParameters;
+    }
+    const unbindParameters = toStringList(item.unbindParameters, `entities[${name}].unbindParameters`, warnings);
+    if (unbindParameters.length) {
+      op.unbindParameters = unbindParameters;
+    }
+  }
+  return op;
+}
+
+/**
+ * JSON 进出场条目 → { name, preferredLayer? }；条目可以是名称字符串或带 name 的对象，无效时返回 null
+ * @param {any} item
+ * @param {boolean} withLayer
+ * @returns {Object|null}
+ */
+function mapJsonCastItem(item, withLayer) {
+  const name = toTrimmedString(typeof item === "string" ? item : item?.name);
+  if (!name) return null;
+  const preferredLayer = withLayer ? toTrimmedString(item?.preferredLayer) : null;
+  return preferredLayer ? { name, preferredLayer } : { name };
+}
+
+/**
+ * JSON 场景字段 → CeSceneDelta（castIntent / locationCastIntent 与 XML 解析结果结构相同）
+ * 类型不对的字段与条目跳过并记录警告。
+ * @param {Object} scene
+ * @param {string[]} warnings
+ * @returns {Object}
+ */
+function mapJsonScene(scene, warnings) {
+  const sceneDelta = {};
+
+  const cast = scene.cast;
+  if (cast && typeof cast === "object") {
+    const mapItems = (items, field, withLayer) => {
+      if (items === undefined || items === null) return [];
+      if (!Array.isArray(items)) {
+        warnings.push(`JSON 字段 scene.cast.${field} 应为数组，已忽略`);
+        return [];
+      }
+      const mapped = items.map(item => mapJsonCastItem(item, withLayer)).filter(Boolean);
+      if (mapped.length < items.length) {
+        warnings.push(`JSON 字段 scene.cast.${field} 中有 ${items.length - mapped.length} 项缺少有效的 name，已跳过`);
+      }
+      return mapped;
+    };
+    const enter = mapItems(cast.enter, "enter", true);
+    const leave = mapItems(cast.leave, "leave", false);
+    if (enter.length || leave.length) {
+      sceneDelta.castIntent = { enter, leave };
+    }
+  }
+
+  const location = scene.location;
+  if (location && typeof location === "object") {
+    const locationCastIntent = {};
+    const setCurrent = toTrimmedString(location.setCurrent);
+    if (setCurrent) {
+      locationCastIntent.setCurrent = setCurrent;
+    } else if (location.setCurrent !== undefined && location.setCurrent !== null) {
+      warnings.push("JSON 字段 scene.location.setCurrent 应为非空字符串，已忽略");
+    }
+    const addCandidate = toStringList(location.addCandidate, "scene.location.addCandidate", warnings);
+    if (addCandidate.length) locationCastIntent.addCandidate = addCandidate;
+    const removeCandidate = toStringList(location.removeCandidate, "scene.location.removeCandidate", warnings);
+    if (removeCandidate.length) locationCastIntent.removeCandidate = removeCandidate;
+    if (Object.keys(locationCastIntent).length) {
+      sceneDelta.locationCastIntent = locationCastIntent;
+    }
+  }
+
+  const locationHint = toTrimmedString(scene.locationHint);
+  if (locationHint) {
+    sceneDelta.locationHint = { op: "set", value: locationHint };
+  }
+  if (scene.sceneTags !== undefined && scene.sceneTags !== null) {
+    const sceneTags = toStringList(scene.sceneTags, "scene.sceneTags", warnings);
+    if (Array.isArray(scene.sceneTags)) {
+      // 覆盖语义：与 XML 的 scene_tags 相同
+      sceneDelta.sceneTags = { set: sceneTags };
+    }
+  }
+
+  return sceneDelta;
+}
+
+/**
+ * JSON 世界观检索意图 → worldIntent（与 parseWorldContextIntentBlock 的结果结构相同）
+ * @param {Object} intent
+ * @param {string[]} warnings
+ * @returns {Object}
+ */
+function mapJsonWorldIntent(intent, warnings) {
+  const rawQueries = Array.isArray(intent.queries) ? intent.queries : [];
+  if (intent.queries !== undefined && !Array.isArray(intent.queries)) {
+    warnings.push("JSON 字段 worldIntent.queries 应为数组，已忽略");
+  }
+  const queries = rawQueries
+    .filter(q => q && typeof q === "object" && toTrimmedString(q.query))
+    .map(q => ({
+      query: q.query.trim(),
+      collections: toStringList(q.collections, "worldIntent.queries[].collections", warnings),
+      importance: toTrimmedString(q.importance) || "nice_to_have"
+    }));
+  if (queries.length < rawQueries.length) {
+    warnings.push(`JSON 字段 worldIntent.queries 中有 ${rawQueries.length - queries.length} 项缺少有效的 query，已跳过`);
+  }
+  return {
+    raw: JSON.stringify(intent, null, 2),
+    analysis: toTrimmedString(intent.analysis) || "",
+    queries
+  };
+}
+
+/**
+ * 从 JSON 输出（或工具调用）解析完整的 ChangeSet
+ * @param {string} text - 原始文本
+ * @param {any} value - 已提取的 JSON 值（工具调用已展开）
+ * @param {string|null} toolName - 工具调用的函数名（非工具调用时为 null）
+ * @param {Object|null} schema - 解析提示词使用的 JSON Schema；为空时只做结构映射
+ * @returns {ParseResult}
+ */
+function parseFromJsonPayload(text, value, toolName, schema) {
+  const result = {
+    rawText: text,
+    changeSet: null,
+    stateDelta: undefined,
+    sceneDelta: undefined,
+    entityDelta: undefined,
+    worldIntent: undefined,
+    parseMethod: toolName ? 'tool_call' : 'json',
+    warnings: [],
+    debugInfo: { schemaValidated: !!schema }
+  };
+
+  if (toolName && toolName !== PARSE_TOOL_NAME) {
+    result.warnings.push(`工具调用名称为 ${toolName}，应为 ${PARSE_TOOL_NAME}，仍按参数解析`);
+  }
+
+  let payload = value;
+  if (schema) {
+    const pruned = pruneBySchema(value, schema);
+    if (pruned.errors.length) {
+      result.warnings.push(...pruned.errors.map(e => `JSON 校验：${e}`));
+      result.debugInfo.schemaErrors = pruned.errors.length;
+    }
+    payload = pruned.value || {};
+  }
+
+  if (Array.isArray(payload.variables)) {
+    const variables = payload.variables
+      .filter(v => v && typeof v.path === "string" && v.path.trim() && typeof v.op === "string")
+      .map(mapJsonVariableOp);
+    if (variables.length < payload.variables.length) {
+      result.warnings.push(`JSON 字段 variables 中有 ${payload.variables.length - variables.length} 项缺少有效的 path / op，已跳过`);
+    }
+    if (variables.length > 0) {
+      result.stateDelta = { variables: variables.map(op => withParsedPath(op)) };
+      result.debugInfo.parsedVariables = variables.length;
+    }
+  }
+
+  if (Array.isArray(payload.entities) && payload.entities.length > 0) {
+    result.entityDelta = payload.entities
+      .filter(e => e && typeof e.name === "string" && e.name.trim() && ["add", "update", "remove"].includes(e.op))
+      .map(e => mapJsonEntityOp(e, result.warnings));
+    if (result.entityDelta.length < payload.entities.length) {
+      result.warnings.push(`JSON 字段 entities 中有 ${payload.entities.length - result.entityDelta.length} 项缺少有效的 name / op，已跳过`);
+    }
+    result.debugInfo.parsedEntities = result.entityDelta.length;
+  }
+
+  if (payload.scene && typeof payload.scene === "object") {
+    const sceneDelta = mapJsonScene(payload.scene, result.warnings);
+    if (Object.keys(sceneDelta).length > 0) {
+      result.sceneDelta = sceneDelta;
+    }
+  }
+
+  if (payload.worldIntent && typeof payload.worldIntent === "object") {
+    result.worldIntent = mapJsonWorldIntent(payload.worldIntent, result.warnings);
+  }
+
+  if (typeof payload.analysis === "string" && payload.analysis.trim()) {
+    result.debugInfo.analysis = payload.analysis.trim();
+  }
+
+  result.changeSet = composeChangeSet(
+    result.stateDelta,
+    result.sceneDelta,
+    result.entityDelta,
+    result.worldIntent
+  );
+
+  return result;
+}
+
+/**
+ * 主解析入口：从 XML 块格式或 JSON（含工具调用）解析模型输出
  * 
  * 解析策略：
- * 1. 提取 XML 块（CE_UpdateState / CE_UpdateScene / WorldContextIntent）
- * 2. 逐行解析 ce.set() 调用，单行错误不影响整体
+ * 1. 含 XML 块（CE_UpdateState / CE_UpdateScene / WorldContextIntent）时按 XML 解析，逐行解析 ce.set() 调用
+ * 2. 否则尝试提取 JSON（```json 代码块或整段 JSON；提供 schema 时也会从混合文本中截取），
+ *    展开工具调用后按 schema 校验并映射为 ChangeSet
  * 3. 始终保留原始文本用于显示
  *
  * @param {string} text - 解析模型的原始输出文本
+ * @param {{ schema?: Object|null }} [options]
+ *   - schema：JSON 协议下解析提示词使用的 JSON Schema（见 core/parse-schema.js），用于校验 JSON 输出
  * @returns {ParseResult}
  */
-export function parseModelOutput(text) {
+export function parseModelOutput(text, options = {}) {
   if (typeof text !== "string" || !text.trim()) {
     return {
       rawText: text || '',
@@ -693,6 +1065,21 @@ export function parseModelOutput(text) {
     };
   }
 
+  const schema = options?.schema || null;
+  if (!XML_BLOCK_PATTERN.test(text)) {
+    const extracted = extractJsonValue(text, !!schema);
+    if (extracted !== undefined) {
+      const { payload, toolName } = unwrapToolCall(extracted);
+      if (isParsePayload(payload)) {
+        return parseFromJsonPayload(text, payload, toolName, schema);
+      }
+    }
+  }
+
   // 使用 XML 块解析
-  return parseFromXmlBlocks(text);
-}
\ No newline at end of file
+  const result = parseFromXmlBlocks(text);
+  if (schema) {
+    result.warnings.push('当前使用 JSON 输出格式，但未能从输出中提取有效的 JSON，已按 XML 块解析');
+  }
+  return result;
+}
@@ -17,9 +17,42 @@ import {
 } from "../integration/chat-state-storage.js";
 import { parseModelOutput } from "../integration/state-parser.js";
 import { applyChangeSet } from "../core/engine-state.js";
+import { createEmptyChangeSet } from "../core/change-set.js";
+import { prepareParsedChangeSet } from "../core/parse-pipeline.js";
+import { getUserName } from "../integration/st-context.js";
+import { buildEntityNameGroups } from "../core/entities.js";
+import {
+  collectParseIssues,
+  buildRepairPrompt,
+  MAX_PARSE_REPAIR_BUDGET
+} from "../core/parse-repair.js";
+import { estimateTokenCount } from "../core/token-estimate.js";
 
 const EXT_ID = "CharaEngineForST";
 
+// 解析输出自我修正的每轮预算：同一轮（同一条用户消息）的提前解析、回复后解析与各滑动共用
+const repairBudgetState = { turnKey: null, used: 0 };
+
+/**
+ * 解析模式：
+ * - early：生成前提前解析（上一轮回复 + 本轮输入），结果存储在用户消息上
+ * - post：回复生成后解析（本轮输入 + 本轮回复），结果按滑动存储在 AI 消息上
+ * - both：两者都执行，按 mergeTurnChangeSets 的规则合并
+ */
+const PARSE_MODES = new Set(["early", "post", "both"]);
+
+/**
+ * 读取解析模式
+ * @param {Object} settings
+ * @returns {"early"|"post"|"both"}
+ */
+function getParseMode(settings) {
+  return PARSE_MODES.has(settings?.parseMode) ? settings.parseMode : "early";
+}
+
+// 进行中的回复后解析：下一次生成的拦截器先等待它完成，避免在其 ChangeSet 存储前重建状态
+let pendingPostParse = null;
+
 /**
  * generate_interceptor 入口
  * - 检查是否已有 ChangeSet，如果没有且应该解析，则调用解析模型
@@ -39,6 +72,11 @@ export async function ceGenerateInterceptor(chat, contextSize, abort, type) {
     type: type || 'normal'
   });
   
+  if (pendingPostParse) {
+    logDebug("等待进行中的回复后解析完成");
+    await pendingPostParse;
+  }
+
   const settings = extension_settings[EXT_ID] || {};
   logDebug("插件设置:", {
     enabled: settings.enabled,
@@ -97,15 +135,21 @@ export async function ceGenerateInterceptor(chat, contextSize, abort, type) {
       reason: hasValidCache ? '有有效缓存' : '缓存失效或不存在'
     });
     
-    if (settings.useEarlyParse !== false && shouldParse) {
+    // post 模式下本轮状态变化只由 AI 回复生成后解析（见 cePostGenerationParse）
+    const useEarlyParse = getParseMode(settings) !== "post";
+
+    if (useEarlyParse && shouldParse) {
       // 重建到上一楼层的状态（不包含当前楼层）
       const currentStateBeforeParse = targetIndex > 0
         ? rebuildEngineStateUpTo(targetIndex - 1)
         : rebuildEngineStateUpTo(targetIndex);
       
-      parseChangeSet = await performEarlyParse(chat, currentStateBeforeParse);
+      parseChangeSet = await performParse(chat, currentStateBeforeParse, "early");
       
       if (parseChangeSet) {
+        // 名称对齐 → 操作校验 → 折叠阈值触发器（与回放测试共用的流水线）
+        parseChangeSet = prepareChangeSet(currentStateBeforeParse, parseChangeSet, charConfig, "early");
+
         // 立即存储到 changeSetsByIndex
         await setChangeSetForIndex(targetIndex, parseChangeSet);
         logDebug(`ChangeSet 已存储到索引 ${targetIndex}`);
@@ -153,28 +197,141 @@ export async function ceGenerateInterceptor(chat, contextSize, abort, type) {
 }
 
 /**
- * 执行提前解析调用
+ * MESSAGE_RECEIVED 入口：回复后解析
+ * - 仅在解析模式为 post / both 时运行
+ * - 解析「本轮用户输入 + 本轮 AI 回复」，结果按当前滑动存储到该 AI 消息上
+ * - 结果标记为 continuesTurn（本轮的延续），不额外推进轮次
+ * - both 模式下把本轮提前解析结果告知解析模型，并按 mergeTurnChangeSets 去除重复记录
+ * - 同一滑动已有有效 ChangeSet 时直接跳过，因此切换回旧滑动不会重复解析
+ *
+ * @param {number} [messageIndex] - 收到的 AI 消息索引，默认为最后一条
+ * @returns {Promise<void>} 解析结果存储完成（或跳过）时兑现；内部错误已记录，不会拒绝
+ */
+export function cePostGenerationParse(messageIndex) {
+  const task = runPostGenerationParse(messageIndex).catch(handleInterceptorError);
+  pendingPostParse = task;
+  return task.then(() => {
+    if (pendingPostParse === task) pendingPostParse = null;
+  });
+}
+
+/**
+ * 回复后解析的实际执行（见 cePostGenerationParse）
+ * @param {number} [messageIndex]
+ * @returns {Promise<void>}
+ */
+async function runPostGenerationParse(messageIndex) {
+  const settings = extension_settings[EXT_ID] || {};
+  const parseMode = getParseMode(settings);
+  if (!settings.enabled || parseMode === "early") {
+    return;
+  }
+
+  try {
+    const chat = getContext?.()?.chat;
+    if (!Array.isArray(chat) || !chat.length) return;
+
+    const index = typeof messageIndex === "number" ? messageIndex : chat.length - 1;
+    const message = chat[index];
+    if (!message || message.is_user || index < 1) return;
+
+    if (getChangeSetForIndex(index)) {
+      logDebug(`回复后解析：索引 ${index} 的当前滑动已有 ChangeSet，跳过`);
+      return;
+    }
+
+    // both 模式：找到本轮用户消息上的提前解析结果
+    let earlyChangeSet = null;
+    if (parseMode === "both") {
+      for (let i = index - 1; i >= 0; i--) {
+        if (chat[i]?.is_user) {
+          earlyChangeSet = getChangeSetForIndex(i);
+          break;
+        }
+      }
+    }
+
+    const prevState = rebuildEngineStateUpTo(index - 1);
+    let changeSet = await performParse(chat.slice(0, index + 1), prevState, "post", earlyChangeSet);
+    if (!changeSet) return;
+
+    const charConfig = getConfigForCurrentCharacter();
+    changeSet = prepareChangeSet(prevState, changeSet, charConfig, "post", earlyChangeSet);
+
+    await setChangeSetForIndex(index, changeSet);
+    logDebug(`回复后解析 ChangeSet 已存储到索引 ${index}（swipe ${message.swipe_id ?? 0}）`);
+
+    const parameterDefs = Array.isArray(charConfig?.parameters) ? charConfig.parameters : [];
+    const entityDefs = Array.isArray(charConfig?.entities) ? charConfig.entities : [];
+    const castConfig = charConfig?.options?.castConfig || null;
+    await setCheckpoint(index, applyChangeSet(prevState, changeSet, parameterDefs, entityDefs, castConfig));
+  } catch (err) {
+    handleInterceptorError(err);
+  }
+}
+
+/**
+ * 执行解析调用
  * @param {Array} chat
  * @param {import("../core/engine-state.js").EngineState} [currentState] - 当前引擎状态
+ * @param {"early"|"post"} [mode] - early：生成前提前解析；post：回复生成后解析
+ * @param {Object|null} [appliedChangeSet] - post 解析时本轮已应用的提前解析结果（both 模式）
  * @returns {Promise<Object|null>}
  */
-async function performEarlyParse(chat, currentState = null) {
-  const parseInput = buildParsePromptInput(chat, currentState);
+async function performParse(chat, currentState = null, mode = "early", appliedChangeSet = null) {
+  const parseInput = buildParsePromptInput(chat, currentState, { mode, appliedChangeSet });
   if (!parseInput) {
-    logDebug("performEarlyParse: buildParsePromptInput 返回 null");
+    logDebug(`performParse(${mode}): buildParsePromptInput 返回 null`);
     return null;
   }
+  logParsePromptBudget(mode, parseInput.promptBudget);
 
   const parsedText = await callParseModel(parseInput);
   if (!parsedText) {
-    logDebug("performEarlyParse: callParseModel 返回空");
+    logDebug(`performParse(${mode}): callParseModel 返回空`);
     return null;
   }
 
-  // 使用新的智能解析器
-  const parseResult = parseModelOutput(parsedText);
-  
-  // 详细的调试输出
+  // 使用新的智能解析器（JSON 输出格式下按完整的解析输出 Schema 校验；提示词中的 Schema 可能按预算缩减）
+  let parseResult = parseModelOutput(parsedText, { schema: parseInput.responseSchema });
+  logParseResult(parseResult);
+
+  // 输出有可修正的问题时，在每轮预算内让解析模型修正自己的输出
+  const repair = await repairParseOutput(chat, parseInput, parseResult);
+  if (repair) {
+    parseResult = repair.parseResult;
+  }
+
+  if (parseResult.changeSet && (parseResult.stateDelta || parseResult.sceneDelta || parseResult.worldIntent)) {
+    return repair ? { ...parseResult.changeSet, parseRepair: repair.info } : parseResult.changeSet;
+  }
+
+  return null;
+}
+
+/**
+ * 输出解析提示的 token 估算与详略级别
+ * @param {"early"|"post"} mode
+ * @param {import("../core/parse-prompt-budget.js").CeParsePromptBudgetInfo|undefined} promptBudget
+ */
+function logParsePromptBudget(mode, promptBudget) {
+  if (!promptBudget) return;
+  const budgetText = promptBudget.budget > 0 ? `预算 ${promptBudget.budget}` : "不限制预算";
+  logDebug(`performParse(${mode}): 解析提示约 ${promptBudget.estimatedTokens} tokens（${budgetText}，级别 ${promptBudget.level}）`, {
+    detailedParameters: promptBudget.detailedParameters,
+    summarizedParameters: promptBudget.summarizedParameters
+  });
+  if (promptBudget.overBudget) {
+    // eslint-disable-next-line no-console
+    console.warn(`[CharacterEngine] 解析提示已压缩到最简略级别，仍超出 token 预算（约 ${promptBudget.estimatedTokens} / ${promptBudget.budget}）`);
+  }
+}
+
+/**
+ * 输出解析结果的调试信息
+ * @param {import("../integration/state-parser.js").ParseResult} parseResult
+ */
+function logParseResult(parseResult) {
   logDebug("━━━━━━━━━━ 解析模型输出 ━━━━━━━━━━");
   logDebug("【原始文本】\n", parseResult.rawText);
   logDebug("【解析方法】", parseResult.parseMethod);
@@ -198,32 +355,142 @@ async function performEarlyParse(chat, currentState = null) {
     logDebug("【解析结果】未能提取有效的 ChangeSet");
   }
   logDebug("━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  
-  if (parseResult.changeSet && (parseResult.stateDelta || parseResult.sceneDelta || parseResult.worldIntent)) {
-    return parseResult.changeSet;
+}
+
+/**
+ * 本轮的标识：最后一条用户消息的楼层与发送时间（提前解析与回复后解析得到同一个值）
+ * @param {Array} chat
+ * @returns {string}
+ */
+function getParseTurnKey(chat) {
+  let userIndex = -1;
+  for (let i = chat.length - 1; i >= 0; i--) {
+    if (chat[i]?.is_user) {
+      userIndex = i;
+      break;
+    }
   }
+  const chatId = getContext?.()?.chatId ?? "";
+  return `${chatId}:${userIndex}:${chat[userIndex]?.send_date ?? ""}`;
+}
 
-  return null;
+/**
+ * 解析输出自我修正：把模型上一次的输出与具体问题（解析警告、未知参数路径、被拒绝的操作）发回解析模型，
+ * 要求完整地重新输出。每次修正消耗一次本轮预算（设置 parseRepairBudget，0 为关闭），
+ * 问题清零或预算用完时停止，取问题最少的一次结果（同样多时取较新的）。
+ *
+ * @param {Array} chat
+ * @param {{ quietPrompt: string, responseSchema?: Object|null }} parseInput
+ * @param {import("../integration/state-parser.js").ParseResult} parseResult - 首次解析结果
+ * @returns {Promise<{ parseResult: Object, info: import("../core/parse-repair.js").CeParseRepairInfo }|null>}
+ *   未进行修正（关闭、无问题或预算已用完）时返回 null
+ */
+async function repairParseOutput(chat, parseInput, parseResult) {
+  const settings = extension_settings[EXT_ID] || {};
+  const budget = Math.min(MAX_PARSE_REPAIR_BUDGET, Math.max(0, parseInt(settings.parseRepairBudget) || 0));
+  if (budget <= 0) return null;
+
+  const parameterDefs = getConfigForCurrentCharacter()?.parameters || [];
+  const initialIssues = collectParseIssues(parseResult, parameterDefs);
+  if (!initialIssues.length) return null;
+
+  const turnKey = getParseTurnKey(chat);
+  if (repairBudgetState.turnKey !== turnKey) {
+    repairBudgetState.turnKey = turnKey;
+    repairBudgetState.used = 0;
+  }
+  if (repairBudgetState.used >= budget) {
+    logDebug(`解析输出有 ${initialIssues.length} 个问题，但本轮自我修正次数已用完（${budget} 次）`, initialIssues);
+    return null;
+  }
+
+  const protocol = parseInput.responseSchema ? "json" : "xml";
+  let current = { parseResult, issues: initialIssues };
+  let best = current;
+  let attempts = 0;
+  let estimatedTokens = 0;
+
+  while (current.issues.length > 0 && repairBudgetState.used < budget) {
+    repairBudgetState.used++;
+    attempts++;
+    logDebug(`解析输出自我修正：第 ${attempts} 次（本轮已用 ${repairBudgetState.used}/${budget}）`, current.issues);
+
+    const repairPrompt = buildRepairPrompt(parseInput.quietPrompt, current.parseResult.rawText, current.issues, protocol);
+    const repairedText = await callParseModel({ ...parseInput, quietPrompt: repairPrompt });
+    estimatedTokens += estimateTokenCount(repairPrompt) + estimateTokenCount(repairedText);
+    if (!repairedText) {
+      logDebug("解析输出自我修正：callParseModel 返回空，停止修正");
+      break;
+    }
+
+    const repairedResult = parseModelOutput(repairedText, { schema: parseInput.responseSchema });
+    logParseResult(repairedResult);
+    current = { parseResult: repairedResult, issues: collectParseIssues(repairedResult, parameterDefs) };
+    if (current.issues.length <= best.issues.length) {
+      best = current;
+    }
+  }
+
+  const info = {
+    attempts,
+    recovered: best.issues.length === 0,
+    estimatedTokens,
+    issues: initialIssues,
+    remainingIssues: best.issues
+  };
+  logDebug(`解析输出自我修正结束：${info.recovered ? "已修正" : `仍有 ${best.issues.length} 个问题`}，约 ${estimatedTokens} tokens`);
+  return { parseResult: best.parseResult, info };
+}
+
+/**
+ * 对新解析出的 ChangeSet 执行后处理流水线（prepareParsedChangeSet），并输出各步骤的调试日志
+ * - 已知实体：角色卡实体、当前状态中的运行时实体、本轮新增的实体与用户
+ * @param {import("../core/engine-state.js").EngineState|null} prevState - 应用本轮 ChangeSet 之前的状态
+ * @param {Object} changeSet
+ * @param {Object|null} charConfig
+ * @param {"early"|"post"} mode
+ * @param {Object|null} [earlyChangeSet] - 回复后解析时本轮已应用的提前解析结果（both 模式）
+ * @returns {Object} 可存储的 ChangeSet
+ */
+function prepareChangeSet(prevState, changeSet, charConfig, mode, earlyChangeSet = null) {
+  const prepared = prepareParsedChangeSet(prevState, changeSet, charConfig, {
+    mode,
+    earlyChangeSet,
+    extraEntityNames: [getUserName(), "{{user}}"]
+  });
+  if (prepared.warnings.length) {
+    logDebug("变量操作校验警告", prepared.warnings.map(w => `[${w.action}] ${w.path}：${w.message}`));
+  }
+  if (prepared.duplicates > 0) {
+    logDebug(`回复后解析：去除 ${prepared.duplicates} 条与提前解析重复的记录`);
+  }
+  if (prepared.triggerEvents.length) {
+    logDebug("触发器已触发", prepared.triggerEvents.map(e => `${e.triggerName}@${e.path} (${e.from} → ${e.to})`));
+  }
+  return prepared.changeSet;
 }
 
 /**
  * 构建当前轮次的 EngineState
+ * - 以上一楼层的重建结果为基础，再应用本轮 ChangeSet，避免与 checkpoint 中已包含的本轮结果重复叠加
+ * - 用户消息没有 ChangeSet 时应用空 ChangeSet 推进一轮（与 rebuildEngineStateUpTo 的回放规则一致）
  * @param {Array} chat
  * @param {Object|null} parseChangeSet
  * @returns {import("../core/engine-state.js").EngineState}
  */
 function buildCurrentEngineState(chat, parseChangeSet) {
   const targetIndex = chat.length - 1;
-  let engineState = rebuildEngineStateUpTo(targetIndex);
+  let engineState = rebuildEngineStateUpTo(targetIndex - 1);
   
-  if (parseChangeSet) {
+  const turnChangeSet = parseChangeSet || (chat[targetIndex]?.is_user ? createEmptyChangeSet() : null);
+  if (turnChangeSet) {
     // 获取参数定义和 Cast 配置
     const charConfig = getConfigForCurrentCharacter();
     const parameterDefs = Array.isArray(charConfig.parameters) ? charConfig.parameters : [];
     const entityDefs = Array.isArray(charConfig.entities) ? charConfig.entities : [];
     const castConfig = charConfig?.options?.castConfig || null;
     
-    engineState = applyChangeSet(engineState, parseChangeSet, parameterDefs, entityDefs, castConfig);
+    engineState = applyChangeSet(engineState, turnChangeSet, parameterDefs, entityDefs, castConfig);
   }
   
   return engineState;
@@ -316,7 +583,8 @@ async function buildIndependentRagBlock(chat, charConfig, settings) {
     const independentRagText = await ragModule.injectIndependentRag(
       userInput,
       lastAiReply,
-      loreConfig
+      loreConfig,
+      { aliasGroups: buildEntityNameGroups(charConfig?.entities || []) }
     );
 
     return independentRagText;
@@ -153,12 +153,39 @@ export function tfidfSearch(query, keywordIndex, config = {}) {
   return results;
 }
 
+/**
+ * 按实体别名扩展查询：查询中出现某实体的任一称呼时，把它的其它称呼追加到查询末尾，
+ * 这样「美咲」也能命中只写了「樱井美咲」的片段
+ * @param {string} query - 查询文本
+ * @param {Array<Array<string>>} [aliasGroups] - 每组为同一实体的全部称呼
+ * @returns {string}
+ */
+export function expandQueryWithAliases(query, aliasGroups) {
+  if (!query || !Array.isArray(aliasGroups) || aliasGroups.length === 0) {
+    return query;
+  }
+
+  const extra = [];
+  for (const group of aliasGroups) {
+    if (!Array.isArray(group)) continue;
+    const names = group.filter(n => typeof n === 'string' && n.trim()).map(n => n.trim());
+    if (!names.some(n => query.includes(n))) continue;
+    for (const name of names) {
+      if (!query.includes(name) && !extra.includes(name)) {
+        extra.push(name);
+      }
+    }
+  }
+
+  return extra.length > 0 ? `${query} ${extra.join(' ')}` : query;
+}
+
 /**
  * 在集合中进行关键字检索
  * @param {string} query - 查询文本
  * @param {Array<Object>} collections - 集合列表
  * @param {Array<string>} collectionIds - 要检索的集合ID（可选）
- * @param {Object} config - 检索配置
+ * @param {Object} config - 检索配置（aliasGroups：实体别名组，用于扩展查询）
  * @returns {Array<Object>}
  */
 export function keywordSearchInCollections(query, collections, collectionIds = null, config = {}) {
@@ -167,6 +194,7 @@ export function keywordSearchInCollections(query, collections, collectionIds = n
   }
 
   const { algorithm = 'bm25' } = config;
+  const searchQuery = expandQueryWithAliases(query, config.aliasGroups);
   const results = [];
 
   for (const collection of collections) {
@@ -192,9 +220,9 @@ export function keywordSearchInCollections(query, collections, collectionIds = n
     // 执行检索
     let collectionResults = [];
     if (algorithm === 'bm25') {
-      collectionResults = bm25Search(query, collection.keywordIndex, config);
+      collectionResults = bm25Search(searchQuery, collection.keywordIndex, config);
     } else if (algorithm === 'tfidf') {
-      collectionResults = tfidfSearch(query, collection.keywordIndex, config);
+      collectionResults = tfidfSearch(searchQuery, collection.keywordIndex, config);
     } else {
       console.warn(`[Keyword Search] 不支持的算法: ${algorithm}`);
       continue;
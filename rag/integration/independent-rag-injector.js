@@ -8,9 +8,10 @@ import { performIndependentRagRetrieval } from './independent-rag-retriever.js';
  * @param {string} userInput - 用户输入
  * @param {string} lastAiReply - AI上一条回复
  * @param {Object} loreConfig - loreConfig对象
+ * @param {Object} [options] - 检索选项（aliasGroups：实体别名组）
  * @returns {Promise<string>}
  */
-export async function injectIndependentRag(userInput, lastAiReply, loreConfig) {
+export async function injectIndependentRag(userInput, lastAiReply, loreConfig, options = {}) {
   if (!loreConfig) {
     return '';
   }
@@ -20,7 +21,8 @@ export async function injectIndependentRag(userInput, lastAiReply, loreConfig) {
     const retrievalResult = await performIndependentRagRetrieval(
       userInput,
       lastAiReply,
-      loreConfig
+      loreConfig,
+      options
     );
 
     if (!retrievalResult.results || retrievalResult.results.length === 0) {
@@ -39,9 +39,11 @@ function getIndependentRagConfig(loreConfig) {
  * @param {string} userInput - 用户输入
  * @param {string} lastAiReply - AI上一条回复
  * @param {Object} loreConfig - loreConfig对象
+ * @param {Object} [options] - 检索选项
+ * @param {Array<Array<string>>} [options.aliasGroups] - 实体别名组，用于扩展关键字查询
  * @returns {Promise<Object>} 检索结果
  */
-export async function performIndependentRagRetrieval(userInput, lastAiReply, loreConfig) {
+export async function performIndependentRagRetrieval(userInput, lastAiReply, loreConfig, options = {}) {
   if (!loreConfig) {
     return createEmptyResult();
   }
@@ -92,7 +94,8 @@ export async function performIndependentRagRetrieval(userInput, lastAiReply, lor
       collections,
       loreConfig,
       config.userInputWeight,
-      config.topKPerQuery
+      config.topKPerQuery,
+      options.aliasGroups
     );
 
     const aiResults = await retrieveForQueries(
@@ -100,7 +103,8 @@ export async function performIndependentRagRetrieval(userInput, lastAiReply, lor
       collections,
       loreConfig,
       config.aiReplyWeight,
-      config.topKPerQuery
+      config.topKPerQuery,
+      options.aliasGroups
     );
 
     // 4. 合并和去重
@@ -241,9 +245,10 @@ function estimateTokenCount(text) {
  * @param {Object} loreConfig
  * @param {number} weight
  * @param {number} topK
+ * @param {Array<Array<string>>} [aliasGroups] - 实体别名组，用于扩展关键字查询
  * @returns {Promise<Array<Object>>}
  */
-async function retrieveForQueries(queries, collections, loreConfig, weight, topK) {
+async function retrieveForQueries(queries, collections, loreConfig, weight, topK, aliasGroups = []) {
   if (!queries || queries.length === 0) {
     return [];
   }
@@ -271,7 +276,7 @@ async function retrieveForQueries(queries, collections, loreConfig, weight, topK
         query,
         collections,
         null,
-        { ...retrievalConfig.keywordSearch, topK }
+        { ...retrievalConfig.keywordSearch, topK, aliasGroups }
       );
     } else {
       // 混合检索
@@ -288,7 +293,7 @@ async function retrieveForQueries(queries, collections, loreConfig, weight, topK
         query,
         collections,
         null,
-        { ...retrievalConfig.keywordSearch, topK }
+        { ...retrievalConfig.keywordSearch, topK, aliasGroups }
       );
 
       const chunksMap = buildChunksMap(collections);
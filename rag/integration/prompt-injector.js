@@ -53,16 +53,17 @@ function formatResultsAsPrompt(results) {
  * 注入RAG检索结果到提示中
  * @param {Object} worldContextIntent - WorldContextIntent 对象
  * @param {Object} loreConfig - loreConfig 对象
+ * @param {Object} [options] - 检索选项（aliasGroups：实体别名组）
  * @returns {Promise<string>} 格式化的提示文本
  */
-export async function injectRagPrompts(worldContextIntent, loreConfig) {
+export async function injectRagPrompts(worldContextIntent, loreConfig, options = {}) {
   if (!worldContextIntent || !loreConfig) {
     return '';
   }
 
   try {
     // 执行检索
-    const retrievalResult = await retrieveWorldContext(worldContextIntent, loreConfig);
+    const retrievalResult = await retrieveWorldContext(worldContextIntent, loreConfig, options);
 
     if (!retrievalResult.results || retrievalResult.results.length === 0) {
       console.log('[RAG PromptInjector] 没有检索到相关内容');
@@ -13,9 +13,11 @@ import { modelCacheManager } from '../core/vectorization/model-manager.js';
  * 根据 WorldContextIntent 检索世界观内容
  * @param {Object} worldContextIntent - WorldContextIntent 对象
  * @param {Object} loreConfig - loreConfig 对象
+ * @param {Object} [options] - 检索选项
+ * @param {Array<Array<string>>} [options.aliasGroups] - 实体别名组，用于扩展关键字查询
  * @returns {Promise<Object>} 检索结果
  */
-export async function retrieveWorldContext(worldContextIntent, loreConfig) {
+export async function retrieveWorldContext(worldContextIntent, loreConfig, options = {}) {
   if (!worldContextIntent || !loreConfig) {
     return createEmptyResult();
   }
@@ -45,11 +47,11 @@ export async function retrieveWorldContext(worldContextIntent, loreConfig) {
       stats = generateStats(finalResults);
     } else if (mode === 'keyword_only') {
       // 纯关键字检索
-      finalResults = await keywordOnlyRetrieval(worldContextIntent, loreConfig, collections);
+      finalResults = await keywordOnlyRetrieval(worldContextIntent, loreConfig, collections, options);
       stats = generateKeywordStats(finalResults);
     } else {
       // 混合检索（默认）
-      const hybridResult = await hybridRetrieval(worldContextIntent, loreConfig, collections);
+      const hybridResult = await hybridRetrieval(worldContextIntent, loreConfig, collections, options);
       finalResults = hybridResult.results;
       stats = hybridResult.stats;
     }
@@ -75,9 +77,10 @@ export async function retrieveWorldContext(worldContextIntent, loreConfig) {
  * @param {Object} worldContextIntent - WorldContextIntent对象
  * @param {Object} loreConfig - loreConfig对象
  * @param {Array<Object>} collections - 集合列表
+ * @param {Object} [options] - 检索选项（aliasGroups）
  * @returns {Promise<Object>}
  */
-async function hybridRetrieval(worldContextIntent, loreConfig, collections) {
+async function hybridRetrieval(worldContextIntent, loreConfig, collections, options = {}) {
   const retrievalConfig = loreConfig.retrievalConfig || {};
   const queries = worldContextIntent.queries || [];
 
@@ -108,7 +111,8 @@ async function hybridRetrieval(worldContextIntent, loreConfig, collections) {
       query.collections.length > 0 ? query.collections : null,
       {
         ...retrievalConfig.keywordSearch,
-        topK: retrievalConfig.keywordSearch?.topK || 10
+        topK: retrievalConfig.keywordSearch?.topK || 10,
+        aliasGroups: options.aliasGroups
       }
     );
 
@@ -206,9 +210,10 @@ async function vectorOnlyRetrieval(worldContextIntent, loreConfig, collections)
  * @param {Object} worldContextIntent - WorldContextIntent对象
  * @param {Object} loreConfig - loreConfig对象
  * @param {Array<Object>} collections - 集合列表
+ * @param {Object} [options] - 检索选项（aliasGroups）
  * @returns {Promise<Array<Object>>}
  */
-async function keywordOnlyRetrieval(worldContextIntent, loreConfig, collections) {
+async function keywordOnlyRetrieval(worldContextIntent, loreConfig, collections, options = {}) {
   const retrievalConfig = loreConfig.retrievalConfig || {};
   const queries = worldContextIntent.queries || [];
 
@@ -223,7 +228,8 @@ async function keywordOnlyRetrieval(worldContextIntent, loreConfig, collections)
       query.collections.length > 0 ? query.collections : null,
       {
         ...retrievalConfig.keywordSearch,
-        topK: retrievalConfig.keywordSearch?.topK || 10
+        topK: retrievalConfig.keywordSearch?.topK || 10,
+        aliasGroups: options.aliasGroups
       }
     );
 
@@ -0,0 +1,24 @@
+// Node 模块解析钩子：把扩展对 SillyTavern 宿主模块的引用（extensions.js / script.js）
+// 重定向到 host-stubs/ 下的替身，使 integration/st-context.js 等模块可以在 Node 中加载。
+// 由 run-replay.js 通过 module.register() 注册，不单独使用。
+
+const HOST_STUBS = {
+  "extensions.js": new URL("./host-stubs/extensions.js", import.meta.url).href,
+  "script.js": new URL("./host-stubs/script.js", import.meta.url).href
+};
+
+/**
+ * @param {string} specifier
+ * @param {Object} context
+ * @param {Function} nextResolve
+ */
+export async function resolve(specifier, context, nextResolve) {
+  // 只替换跳出扩展目录的宿主模块引用（形如 "../../../extensions.js"）
+  if (specifier.startsWith("../")) {
+    const fileName = specifier.split("/").pop();
+    if (HOST_STUBS[fileName] && context.parentURL && !context.parentURL.includes("/tests/replay/")) {
+      return { url: HOST_STUBS[fileName], shortCircuit: true };
+    }
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,18 @@
+// SillyTavern extensions.js 的替身：getContext() 返回回放脚本设置的内存上下文。
+
+/** 扩展设置（回放中不读取任何用户设置） */
+export const extension_settings = {};
+
+let stubContext = {};
+
+/**
+ * 设置 getContext() 返回的上下文（characterId / characters / chat / chatMetadata / name1 等）
+ * @param {Object} ctx
+ */
+export function setStubContext(ctx) {
+  stubContext = ctx || {};
+}
+
+export function getContext() {
+  return stubContext;
+}
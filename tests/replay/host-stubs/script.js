@@ -0,0 +1,10 @@
+// SillyTavern script.js 的替身：事件总线不派发任何事件，保存操作为空。
+
+export const event_types = {};
+
+export const eventSource = {
+  on() {},
+  emit() {}
+};
+
+export function saveSettingsDebounced() {}
@@ -0,0 +1,373 @@
+// CharacterEngine 确定性状态回放测试（Node 运行，不需要 SillyTavern）
+//
+// 每个场景文件（tests/replay/scenarios/*.json）指定一张角色卡，并按顺序给出若干步骤。
+// 回放使用与 ST 中相同的聊天级存储（integration/chat-state-storage.js）：内存中的聊天以一条空的开场白开始，
+// 每一步追加一条消息，ChangeSet 存储在该消息上，状态由 rebuildEngineStateUpTo() 重建（经过 checkpoint 环）。
+//
+// 追加消息的步骤：
+// - 提供手写的 ChangeSet（"changeSet"）或解析模型的原始输出（"parseOutput"，经 parseModelOutput 解析；
+//   XML 块与 JSON / 工具调用均可，JSON 按角色卡生成的解析输出 Schema 校验）；两者都没有时只追加消息；
+// - 与拦截器调用同一条后处理流水线（core/parse-pipeline.js：名称对齐 → 操作校验 → 折叠阈值触发器）后存储；
+// - 默认追加用户消息（提前解析，推进一轮）；"continuesTurn": true 追加 AI 消息（回复后解析，本轮延续，
+//   本轮用户消息上有 ChangeSet 时按 both 模式去重）；
+// - "mes" 为消息文本（默认为步骤标签）；"repeat": N 把同一步骤连续追加 N 条消息。
+//
+// 其它步骤（不追加消息）：
+// - "edit": { "index", "mes" } 编辑某条消息的文本（与 MESSAGE_EDITED 事件一样使该楼层起的 checkpoint 失效）；
+// - "undo": true / "redo": true 撤销 / 重做最近的 ChangeSet；
+// - "rebuildUpTo": N 只重建到第 N 条消息（浏览历史楼层），断言针对该楼层的状态；
+// - 任意步骤都可带 "settings"，在执行前合并到扩展设置（如 editReparsePolicy），场景级 "settings" 为初始值。
+//
+// 断言：
+// - "expect" 按点号路径断言 EngineState 字段（"__absent__" 表示字段不存在）；
+// - "expectPrompts" 断言 buildPromptBundles 的结果：{ 所有者: { 提示类型: 文本 | { contains } | null } }；
+// - "expectTriggers" 断言本步触发的触发器名称列表；
+// - "expectCheckpoints" 断言 checkpoint 环中条目的楼层（升序）。
+//
+// 角色卡可以是 ST 导出的角色卡 JSON（data.extensions.CharacterEngine），也可以是编辑器导出的配置 JSON，
+// 读取时经过与 ST 中相同的 getCharacterConfigFromCard()（结构迁移 + 默认短期参数）。
+//
+// 运行：node --experimental-detect-module tests/replay/run-replay.js [场景文件...]
+// （不指定文件时运行 scenarios/ 下的全部场景；Node 22.7+ 可省略 --experimental-detect-module）
+
+import { register } from "node:module";
+import { readdirSync, readFileSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+register("./hooks.js", import.meta.url);
+
+const EXT_ID = "CharaEngineForST";
+const HERE = dirname(fileURLToPath(import.meta.url));
+const SCENARIO_DIR = join(HERE, "scenarios");
+const ABSENT = "__absent__";
+
+// 钩子注册之后再加载扩展模块，宿主模块引用才会被替换
+const { setStubContext, extension_settings } = await import("./host-stubs/extensions.js");
+const { getCharacterConfigFromCard } = await import("../../integration/card-storage.js");
+const { parseModelOutput } = await import("../../integration/state-parser.js");
+const { createPathBasedValueGetter } = await import("../../integration/prompt-builder.js");
+const { createInitialEngineState } = await import("../../core/engine-state.js");
+const { createEmptyChangeSet } = await import("../../core/change-set.js");
+const { withParsedPath, createConditionStateContext } = await import("../../core/variables.js");
+const { prepareParsedChangeSet } = await import("../../core/parse-pipeline.js");
+const { buildPromptBundles } = await import("../../core/prompt-slots.js");
+const { buildParseOutputSchema } = await import("../../core/parse-schema.js");
+const { buildEntityAliasMap } = await import("../../core/entities.js");
+const {
+  getOrCreateEngineMeta,
+  setInitialStateForChat,
+  setChangeSetForIndex,
+  getChangeSetForIndex,
+  rebuildEngineStateUpTo,
+  invalidateCheckpointsFrom,
+  undoLastChangeSet,
+  redoChangeSet
+} = await import("../../integration/chat-state-storage.js");
+
+/**
+ * 读取 JSON 文件
+ * @param {string} file
+ * @returns {any}
+ */
+function readJson(file) {
+  return JSON.parse(readFileSync(file, "utf8"));
+}
+
+/**
+ * 将角色卡 JSON 规整为 ST 角色对象；编辑器导出的配置包装为只含扩展字段的角色
+ * @param {any} cardJson
+ * @returns {Object}
+ */
+function toCharacter(cardJson) {
+  if (cardJson?.data?.extensions) return cardJson;
+  return { name: cardJson?.name || "回放角色", data: { extensions: { CharacterEngine: cardJson } } };
+}
+
+/**
+ * 按点号路径读取字段（数组下标同样用点号），不存在时返回 ABSENT
+ * @param {any} obj
+ * @param {string} path
+ * @returns {any}
+ */
+function readPath(obj, path) {
+  let current = obj;
+  for (const key of path.split(".")) {
+    if (!current || typeof current !== "object" || !Object.prototype.hasOwnProperty.call(current, key)) {
+      return ABSENT;
+    }
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * 为手写 ChangeSet 中缺少 parsedPath 的变量操作补上路径解析（与解析层的规整一致）
+ * @param {Object} changeSet
+ * @returns {Object}
+ */
+function normalizeScriptedChangeSet(changeSet) {
+  const variables = changeSet?.stateDelta?.variables;
+  if (!Array.isArray(variables)) return changeSet;
+  return {
+    ...changeSet,
+    stateDelta: {
+      ...changeSet.stateDelta,
+      variables: variables.map(v => (v && !v.parsedPath ? withParsedPath({ key: v.path, ...v }) : v))
+    }
+  };
+}
+
+/**
+ * 读取本步的原始 ChangeSet：解析输出或手写 ChangeSet；两者都没有时返回 null
+ * @param {Object} step
+ * @param {Object} charConfig
+ * @returns {Object|null}
+ */
+function readStepChangeSet(step, charConfig) {
+  if (typeof step.parseOutput === "string") {
+    const schema = buildParseOutputSchema({
+      parameters: charConfig.parameters || [],
+      entities: charConfig.entities || [],
+      useSceneAndCast: true,
+      useWorldRag: true
+    });
+    return parseModelOutput(step.parseOutput, { schema }).changeSet || createEmptyChangeSet();
+  }
+  if (step.changeSet) {
+    return normalizeScriptedChangeSet(step.changeSet);
+  }
+  return null;
+}
+
+/**
+ * 本轮用户消息上的提前解析结果（回复后解析按 both 模式去重时使用，与拦截器一致）
+ * @param {Array} chat
+ * @param {number} index - AI 消息的索引
+ * @returns {Object|null}
+ */
+function findTurnEarlyChangeSet(chat, index) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (chat[i]?.is_user) return getChangeSetForIndex(i);
+  }
+  return null;
+}
+
+/**
+ * 追加一条消息，并把本步的 ChangeSet 经过与拦截器相同的 prepareParsedChangeSet 流水线后存储在该消息上
+ * @param {Object} step
+ * @param {Object} run - 场景运行上下文（chat / charConfig / userName / characterName）
+ * @returns {Promise<string[]>} 本条消息触发的触发器名称
+ */
+async function appendStepMessage(step, run) {
+  const { chat, charConfig, userName } = run;
+  const index = chat.length;
+  const prevState = rebuildEngineStateUpTo(index - 1);
+  const isUser = !step.continuesTurn;
+  chat.push({
+    name: isUser ? userName : run.characterName,
+    is_user: isUser,
+    mes: typeof step.mes === "string" ? step.mes : (step.label || ""),
+    send_date: `replay-${index}`
+  });
+
+  const changeSet = readStepChangeSet(step, charConfig);
+  if (!changeSet) return [];
+
+  const prepared = prepareParsedChangeSet(prevState, changeSet, charConfig, {
+    mode: isUser ? "early" : "post",
+    earlyChangeSet: isUser ? null : findTurnEarlyChangeSet(chat, index),
+    extraEntityNames: [userName, "{{user}}"]
+  });
+  await setChangeSetForIndex(index, prepared.changeSet);
+  return prepared.triggerEvents.map(e => e.triggerName);
+}
+
+/**
+ * 执行一个步骤，返回断言所针对的状态与本步触发的触发器
+ * @param {Object} step
+ * @param {Object} run
+ * @returns {Promise<{ state: Object, triggerNames: string[] }>}
+ */
+async function runStep(step, run) {
+  const { chat } = run;
+  if (step.settings) {
+    Object.assign(extension_settings[EXT_ID], step.settings);
+  }
+
+  const triggerNames = [];
+  if (step.edit) {
+    const message = chat[step.edit.index];
+    if (!message) throw new Error(`edit：消息 #${step.edit.index} 不存在`);
+    message.mes = step.edit.mes;
+    await invalidateCheckpointsFrom(step.edit.index);
+  } else if (step.undo) {
+    await undoLastChangeSet();
+  } else if (step.redo) {
+    await redoChangeSet();
+  } else if (typeof step.rebuildUpTo !== "number") {
+    const count = Number.isInteger(step.repeat) && step.repeat > 0 ? step.repeat : 1;
+    for (let n = 0; n < count; n++) {
+      triggerNames.push(...await appendStepMessage(step, run));
+    }
+  }
+
+  const target = typeof step.rebuildUpTo === "number" ? step.rebuildUpTo : chat.length - 1;
+  return { state: rebuildEngineStateUpTo(target), triggerNames };
+}
+
+/**
+ * 检查本步的全部断言，返回失败信息列表
+ * @param {Object} step
+ * @param {Object} state
+ * @param {Object} charConfig
+ * @param {string[]} triggerNames
+ * @param {Object} meta - 当前聊天的引擎元信息（chatMetadata.CharacterEngine）
+ * @returns {string[]}
+ */
+function checkStep(step, state, charConfig, triggerNames, meta) {
+  const failures = [];
+
+  for (const [path, expected] of Object.entries(step.expect || {})) {
+    const actual = readPath(state, path);
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      failures.push(`${path}：实际 ${JSON.stringify(actual)}，期望 ${JSON.stringify(expected)}`);
+    }
+  }
+
+  if (step.expectPrompts) {
+    const bundles = buildPromptBundles(
+      charConfig.prompts || [],
+      createPathBasedValueGetter(charConfig.parameters || [], state),
+      createConditionStateContext(state, charConfig.entities || []),
+      buildEntityAliasMap(charConfig.entities || [])
+    );
+    for (const [ownerName, byType] of Object.entries(step.expectPrompts)) {
+      for (const [promptType, expected] of Object.entries(byType || {})) {
+        const actual = bundles[ownerName]?.byPromptType?.[promptType] ?? null;
+        const label = `提示 ${ownerName} / ${promptType}`;
+        if (expected === null) {
+          if (actual !== null) failures.push(`${label}：期望不输出，实际 ${JSON.stringify(actual)}`);
+        } else if (typeof expected === "object" && typeof expected.contains === "string") {
+          if (actual === null || !actual.includes(expected.contains)) {
+            failures.push(`${label}：期望包含 ${JSON.stringify(expected.contains)}，实际 ${JSON.stringify(actual)}`);
+          }
+        } else if (actual !== expected) {
+          failures.push(`${label}：实际 ${JSON.stringify(actual)}，期望 ${JSON.stringify(expected)}`);
+        }
+      }
+    }
+  }
+
+  if (Array.isArray(step.expectTriggers)) {
+    if (JSON.stringify([...triggerNames].sort()) !== JSON.stringify([...step.expectTriggers].sort())) {
+      failures.push(`触发器：实际 ${JSON.stringify(triggerNames)}，期望 ${JSON.stringify(step.expectTriggers)}`);
+    }
+  }
+
+  if (Array.isArray(step.expectCheckpoints)) {
+    const checkpoints = Array.isArray(meta?.runtimeMeta?.checkpoints) ? meta.runtimeMeta.checkpoints : [];
+    const indexes = checkpoints.map(entry => entry.index).sort((a, b) => a - b);
+    if (JSON.stringify(indexes) !== JSON.stringify(step.expectCheckpoints)) {
+      failures.push(`checkpoint：实际 ${JSON.stringify(indexes)}，期望 ${JSON.stringify(step.expectCheckpoints)}`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * 运行单个场景，返回失败的步骤数
+ * @param {string} file
+ * @returns {Promise<number>}
+ */
+async function runScenario(file) {
+  const scenario = readJson(file);
+  const character = toCharacter(scenario.card ? readJson(resolve(dirname(file), scenario.card)) : scenario.config);
+  const chatId = scenario.name || file;
+  const userName = scenario.userName || "玩家";
+  const chatMetadata = {};
+  // 开场白：与 ST 一样，聊天从一条 AI 消息开始
+  const chat = [{ name: character.name, is_user: false, mes: "", send_date: "replay-0" }];
+
+  setStubContext({
+    characterId: "0",
+    characters: { 0: character },
+    chatId,
+    chat,
+    chatMetadata,
+    name1: userName
+  });
+  extension_settings[EXT_ID] = { ...(scenario.settings || {}) };
+
+  const charConfig = getCharacterConfigFromCard(character);
+  const initialConfig = { ...(charConfig.initialState || {}), ...(scenario.initialState || {}) };
+  getOrCreateEngineMeta(chatId);
+  await setInitialStateForChat(createInitialEngineState({
+    chatId,
+    initialVariables: initialConfig.variables || {},
+    initialScene: initialConfig.scene || {},
+    initialCast: initialConfig.cast || {},
+    initialLocationCast: initialConfig.locationCast || {},
+    initialEntitiesRuntime: initialConfig.entitiesRuntime || {}
+  }));
+
+  const run = { chat, charConfig, userName, characterName: character.name };
+  console.log(`\n▶ ${chatId}`);
+  let failedSteps = 0;
+
+  for (const [i, step] of (scenario.steps || []).entries()) {
+    const label = `  #${i + 1}${step.label ? ` ${step.label}` : ""}`;
+    let failures;
+    try {
+      const { state, triggerNames } = await runStep(step, run);
+      failures = checkStep(step, state, charConfig, triggerNames, chatMetadata.CharacterEngine);
+    } catch (err) {
+      failures = [`执行出错：${err.stack || err}`];
+    }
+
+    if (failures.length) {
+      failedSteps++;
+      console.error(`✗${label}`);
+      failures.forEach(msg => console.error(`      ${msg}`));
+    } else {
+      console.log(`✓${label}`);
+    }
+  }
+
+  return failedSteps;
+}
+
+/**
+ * 回放过程中引擎会输出大量调试日志，这里只保留测试结果
+ * @param {() => Promise<void>} fn
+ * @returns {Promise<void>}
+ */
+async function withQuietEngineLogs(fn) {
+  const original = { log: console.log, debug: console.debug, warn: console.warn };
+  const isEngineLog = (args) => typeof args[0] === "string" && args[0].startsWith("[CharacterEngine]");
+  console.log = (...args) => { if (!isEngineLog(args)) original.log(...args); };
+  console.debug = (...args) => { if (!isEngineLog(args)) original.debug(...args); };
+  console.warn = (...args) => { if (!isEngineLog(args) || process.env.CE_REPLAY_VERBOSE) original.warn(...args); };
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+const files = process.argv.slice(2).length
+  ? process.argv.slice(2).map(f => resolve(f))
+  : readdirSync(SCENARIO_DIR).filter(f => f.endsWith(".json")).sort().map(f => join(SCENARIO_DIR, f));
+
+let failedScenarios = 0;
+await withQuietEngineLogs(async () => {
+  for (const file of files) {
+    if (await runScenario(file) > 0) failedScenarios++;
+  }
+});
+
+console.log(`\n${files.length - failedScenarios}/${files.length} 个场景通过`);
+if (failedScenarios) {
+  process.exitCode = 1;
+}
@@ -66,6 +66,11 @@ import {
   renderOptions,
   collectOptions
 } from "./editor/panels/options.js";
+import {
+  initTriggersPanel,
+  renderTriggers,
+  collectTriggers
+} from "./editor/panels/triggers.js";
 
 // 工具函数
 import { logDebug } from "./editor/utils/dom.js";
@@ -199,6 +204,7 @@ function handleImport() {
     const initialParamsPanel = editorRoot.querySelector('[data-tab-panel="initialParams"]');
     const promptsPanel = editorRoot.querySelector('[data-tab-panel="prompts"]');
     const optionsPanel = editorRoot.querySelector('[data-tab-panel="options"]');
+    const triggersPanel = editorRoot.querySelector('[data-tab-panel="triggers"]');
     
     if (paramPanel) renderParameters(paramPanel, importedConfig.parameters || []);
     if (typePanel) renderPromptTypes(typePanel, importedConfig.promptTypes || []);
@@ -220,6 +226,7 @@ function handleImport() {
       );
     }
     if (optionsPanel) renderOptions(optionsPanel, importedConfig.options || {});
+    if (triggersPanel) renderTriggers(triggersPanel, importedConfig.triggers || []);
     
     // 更新状态消息
     setModalStatusMessage(editorRoot, "配置已导入，请检查并保存到角色卡", "success");
@@ -240,6 +247,7 @@ function initAllPanels(root) {
   const initialParamsPanel = root.querySelector('[data-tab-panel="initialParams"]');
   const promptsPanel = root.querySelector('[data-tab-panel="prompts"]');
   const optionsPanel = root.querySelector('[data-tab-panel="options"]');
+  const triggersPanel = root.querySelector('[data-tab-panel="triggers"]');
   const jsonEditorPanel = root.querySelector('[data-tab-panel="jsonEditor"]');
 
   if (paramPanel) initParametersPanel(paramPanel);
@@ -248,6 +256,7 @@ function initAllPanels(root) {
   if (initialParamsPanel) initInitialParamsPanel(initialParamsPanel);
   if (promptsPanel) initPromptsPanel(promptsPanel);
   if (optionsPanel) initOptionsPanel(optionsPanel);
+  if (triggersPanel) initTriggersPanel(triggersPanel);
   if (jsonEditorPanel) initJsonEditorPanel(jsonEditorPanel);
 
   // 绑定全局事件
@@ -376,6 +385,7 @@ function wireGlobalEvents(root) {
       const initialParamsPanel = root.querySelector('[data-tab-panel="initialParams"]');
       const promptsPanel = root.querySelector('[data-tab-panel="prompts"]');
       const optionsPanel = root.querySelector('[data-tab-panel="options"]');
+      const triggersPanel = root.querySelector('[data-tab-panel="triggers"]');
 
       if (paramPanel) renderParameters(paramPanel, config.parameters || []);
       if (typePanel) renderPromptTypes(typePanel, config.promptTypes || []);
@@ -397,6 +407,7 @@ function wireGlobalEvents(root) {
         );
       }
       if (optionsPanel) renderOptions(optionsPanel, config.options || {});
+      if (triggersPanel) renderTriggers(triggersPanel, config.triggers || []);
 
       // 触发自动保存
       scheduleAutoSave(root);
@@ -523,6 +534,7 @@ function refreshEditorFromCurrentCard() {
   const initialParamsPanel = editorRoot.querySelector('[data-tab-panel="initialParams"]');
   const promptsPanel = editorRoot.querySelector('[data-tab-panel="prompts"]');
   const optionsPanel = editorRoot.querySelector('[data-tab-panel="options"]');
+  const triggersPanel = editorRoot.querySelector('[data-tab-panel="triggers"]');
   const jsonEditorPanel = editorRoot.querySelector('[data-tab-panel="jsonEditor"]');
 
   if (paramPanel) renderParameters(paramPanel, cfg.parameters || []);
@@ -545,6 +557,7 @@ function refreshEditorFromCurrentCard() {
     );
   }
   if (optionsPanel) renderOptions(optionsPanel, cfg.options || {});
+  if (triggersPanel) renderTriggers(triggersPanel, cfg.triggers || []);
   if (jsonEditorPanel) renderJsonEditor(jsonEditorPanel, cfg);
 
   // 更新保存基线
@@ -568,6 +581,7 @@ function collectConfigFromUi() {
       promptTypes: [],
       prompts: [],
       entities: [],
+      triggers: [],
       initialState: {},
       options: {}
     };
@@ -578,6 +592,7 @@ function collectConfigFromUi() {
   const entitiesPanel = editorRoot.querySelector('[data-tab-panel="entities"]');
   const promptsPanel = editorRoot.querySelector('[data-tab-panel="prompts"]');
   const optionsPanel = editorRoot.querySelector('[data-tab-panel="options"]');
+  const triggersPanel = editorRoot.querySelector('[data-tab-panel="triggers"]');
 
   const parameters = paramPanel ? collectParameters(paramPanel) : [];
   let promptTypes = typePanel ? collectPromptTypes(typePanel) : [];
@@ -586,6 +601,7 @@ function collectConfigFromUi() {
   }) : [];
   const entitiesFromUi = entitiesPanel ? collectEntities(entitiesPanel) : [];
   const options = optionsPanel ? collectOptions(optionsPanel) : {};
+  const triggers = triggersPanel ? collectTriggers(triggersPanel) : [];
 
   if (!Array.isArray(promptTypes)) {
     promptTypes = [];
@@ -621,6 +637,7 @@ function collectConfigFromUi() {
     promptTypes,
     prompts,
     entities,
+    triggers,
     initialState,
     options
   };
@@ -42,6 +42,7 @@ export function createModalDOM() {
         <button class="ce-tab-btn" data-tab="promptTypes">提示类型</button>
         <button class="ce-tab-btn" data-tab="entities">实体</button>
         <button class="ce-tab-btn" data-tab="prompts">提示条目</button>
+        <button class="ce-tab-btn" data-tab="triggers">触发器</button>
         <button class="ce-tab-btn" data-tab="initialParams">初始参数</button>
         <button class="ce-tab-btn" data-tab="options">角色卡选项</button>
         <button class="ce-tab-btn" data-tab="jsonEditor">JSON编辑器</button>
@@ -51,6 +52,7 @@ export function createModalDOM() {
         <div class="ce-tab-panel" data-tab-panel="promptTypes" style="display:none;"></div>
         <div class="ce-tab-panel" data-tab-panel="entities" style="display:none;"></div>
         <div class="ce-tab-panel" data-tab-panel="prompts" style="display:none;"></div>
+        <div class="ce-tab-panel" data-tab-panel="triggers" style="display:none;"></div>
         <div class="ce-tab-panel" data-tab-panel="initialParams" style="display:none;"></div>
         <div class="ce-tab-panel" data-tab-panel="options" style="display:none;"></div>
         <div class="ce-tab-panel" data-tab-panel="jsonEditor" style="display:none;"></div>
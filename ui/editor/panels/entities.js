@@ -188,6 +188,7 @@ function buildEntityBodyContent(e, type, isUserEntity = false) {
   const parentLocation = e.parentLocation || "";
   const locationsStr = Array.isArray(e.locations) ? e.locations.join(",") : "";
   const charactersStr = Array.isArray(e.characters) ? e.characters.join(",") : "";
+  const aliasesStr = Array.isArray(e.aliases) ? e.aliases.join(",") : "";
   
   // 过滤掉内置的短期情绪/意图参数（对用户隐藏）
   const visibleParamNames = Array.isArray(e.parameterNames)
@@ -307,6 +308,12 @@ function buildEntityBodyContent(e, type, isUserEntity = false) {
       ${!isUserEntity ? `<div data-ce-dynamic-field="relations">
         ${relationsHtml}
       </div>` : ''}
+      ${!isUserEntity ? `<div class="ce-form-row-horizontal">
+        <label style="flex: 1;" title="同一实体的其它称呼（全名、名字、昵称等），逗号分隔。解析输出、角色进场/离场、{{ce-var::…}} 模板、提示条目的所属实体与 RAG 关键字检索都会把别名视为该实体">
+          <span class="ce-form-label">别名：</span>
+          <input type="text" data-ce-field="aliases" value="${escapeHtml(aliasesStr)}" placeholder="例如：美咲, 小咲" />
+        </label>
+      </div>` : ''}
       <div class="ce-form-row-horizontal">
         <label style="flex: 1;">
           <span class="ce-form-label">绑定参数：</span>
@@ -403,6 +410,9 @@ export function collectEntities(root) {
     const paramsEl = getInput("parameterNames");
     parameterNames = parseList(paramsEl);
 
+    // 别名：去掉与主名称相同的项
+    const aliases = parseList(getInput("aliases")).filter(alias => alias !== name);
+
     // 收集 Cast 分层字段（仅角色类型）
     let summaryForSupporting = "";
     let tagsForSupporting = [];
@@ -424,6 +434,7 @@ export function collectEntities(root) {
     const entity = {
       name,
       id: idEl?.value.trim() || "",
+      aliases,
       type,
       baseinfo: baseinfoEl?.value || "",
       parentLocation,
@@ -441,6 +452,7 @@ export function collectEntities(root) {
       entity.name = "{{user}}";  // 强制名称
       entity.id = "__user__";    // 强制 ID
       entity.type = "character"; // 强制类型
+      entity.aliases = [];       // {{user}} 以用户名匹配，不使用别名
       entity.baseinfo = userDescription;  // 强制从 ST Persona 同步
       entity.locations = [];     // {{user}} 没有常见地点
       entity.summaryForSupporting = "";  // {{user}} 没有分层设置
@@ -883,6 +895,12 @@ function addEmptyEntityRow(panel) {
           </label>
         </div>
       </div>
+      <div class="ce-form-row-horizontal">
+        <label style="flex: 1;" title="同一实体的其它称呼（全名、名字、昵称等），逗号分隔。解析输出、角色进场/离场、{{ce-var::…}} 模板、提示条目的所属实体与 RAG 关键字检索都会把别名视为该实体">
+          <span class="ce-form-label">别名：</span>
+          <input type="text" data-ce-field="aliases" placeholder="例如：美咲, 小咲" />
+        </label>
+      </div>
       <div class="ce-form-row-horizontal">
         <label style="flex: 1;">
           <span class="ce-form-label">绑定参数：</span>
@@ -1098,6 +1116,12 @@ function copyEntity(panel, sourceCard) {
       <div data-ce-dynamic-field="relations">
         ${relationsHtml}
       </div>
+      <div class="ce-form-row-horizontal">
+        <label style="flex: 1;" title="同一实体的其它称呼（全名、名字、昵称等），逗号分隔。解析输出、角色进场/离场、{{ce-var::…}} 模板、提示条目的所属实体与 RAG 关键字检索都会把别名视为该实体">
+          <span class="ce-form-label">别名：</span>
+          <input type="text" data-ce-field="aliases" placeholder="例如：美咲, 小咲" />
+        </label>
+      </div>
       <div class="ce-form-row-horizontal">
         <label style="flex: 1;">
           <span class="ce-form-label">绑定参数：</span>
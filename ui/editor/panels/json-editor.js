@@ -149,6 +149,7 @@ export function collectJsonConfig(panel) {
         promptTypes: [],
         prompts: [],
         entities: [],
+        triggers: [],
         initialState: {},
         options: {}
       };
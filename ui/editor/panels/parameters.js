@@ -76,7 +76,8 @@ export function renderParameters(root, parameters) {
       boolean: "布尔",
       enum: "枚举",
       text: "文本",
-      array: "数组"
+      array: "数组",
+      derived: "派生"
     }[type] || "数值型";
 
     // 作用域显示文本
@@ -151,6 +152,8 @@ function buildParameterBodyContent(p, type, scope) {
         <span class="ce-param-boolean-hint">true / false</span>
       </div>
     `;
+  } else if (type === "derived") {
+    rangeCellHtml = buildDerivedFieldHtml(p);
   } else if (type === "array") {
     const arrayConfig = p.arrayConfig || {};
     const itemType = arrayConfig.itemType || "string";
@@ -201,6 +204,7 @@ function buildParameterBodyContent(p, type, scope) {
             <option value="enum"${type === "enum" ? " selected" : ""}>枚举</option>
             <option value="text"${type === "text" ? " selected" : ""}>文本</option>
             <option value="array"${type === "array" ? " selected" : ""}>数组</option>
+            <option value="derived"${type === "derived" ? " selected" : ""}>派生</option>
           </select>
         </label>
         <label style="flex: 1;">
@@ -222,10 +226,209 @@ function buildParameterBodyContent(p, type, scope) {
           ${rangeCellHtml}
         </div>
       </div>
+      <div data-ce-dynamic-field="numberExtras">${type === "number" ? buildNumberExtrasHtml(p) : ""}</div>
+      ${buildShortTermRowHtml(p)}
     </div>
   `;
 }
 
+/**
+ * 构建派生参数的配置字段（公式 + 可选阶段阈值）
+ * @param {any} p - 参数对象
+ * @returns {string}
+ */
+function buildDerivedFieldHtml(p) {
+  const derived = p && p.derived && typeof p.derived === "object" ? p.derived : {};
+  const formula = typeof derived.formula === "string" ? derived.formula : "";
+  const stagesText = Array.isArray(derived.stages)
+    ? derived.stages
+      .filter((st) => st && typeof st.min === "number")
+      .map((st) => `${st.min}=${st.value}`)
+      .join(", ")
+    : "";
+  return `
+      <div style="flex: 1; display: flex; flex-direction: column; gap: 4px;">
+        <label style="display: flex; align-items: center; gap: 6px;" title="引用其它参数名计算，支持 + - * / % 括号与 min/max/abs/round/floor/ceil/clamp">
+          <span class="ce-form-label" style="white-space: nowrap;">公式：</span>
+          <input type="text" data-ce-field="derivedFormula" value="${escapeHtml(formula)}" placeholder="(好感度 + 信任度) / 2" style="flex: 1;"/>
+        </label>
+        <label style="display: flex; align-items: center; gap: 6px;" title="可选：按阈值把计算结果映射为阶段名，格式「最小值=阶段名」">
+          <span class="ce-form-label" style="white-space: nowrap;">阶段：</span>
+          <input type="text" data-ce-field="derivedStages" value="${escapeHtml(stagesText)}" placeholder="80=恋人, 50=暧昧, 0=陌生" style="flex: 1;"/>
+        </label>
+      </div>
+  `;
+}
+
+/**
+ * 构建数值参数的附加配置（符号映射 + 衰减）
+ * @param {any} p - 参数对象
+ * @returns {string}
+ */
+function buildNumberExtrasHtml(p) {
+  const mappingText = formatSymbolicMapping(p && p.symbolicMapping);
+  return `
+      <div class="ce-form-row-multi">
+        <label style="flex: 1; display: flex; align-items: center; gap: 6px;" title="覆盖内置符号幅度（up_small=2）或声明自定义符号（betrayal=-40）；set:值 表示直接设置，#后为说明">
+          <span class="ce-form-label" style="white-space: nowrap;">符号映射：</span>
+          <input type="text" data-ce-field="symbolicMapping" value="${escapeHtml(mappingText)}" placeholder="up_small=2, betrayal=-40#被背叛, 重置=set:50" style="flex: 1;"/>
+        </label>
+      </div>
+      ${buildDecayRowHtml(p)}
+  `;
+}
+
+/**
+ * 将 symbolicMapping 对象格式化为编辑器文本
+ * @param {any} mapping
+ * @returns {string}
+ */
+function formatSymbolicMapping(mapping) {
+  if (!mapping || typeof mapping !== "object") return "";
+  return Object.entries(mapping)
+    .map(([key, entry]) => {
+      if (typeof entry === "number") return `${key}=${entry}`;
+      if (!entry || typeof entry !== "object") return "";
+      const value = typeof entry.set === "number" ? `set:${entry.set}` : String(entry.delta ?? "");
+      return entry.description ? `${key}=${value}#${entry.description}` : `${key}=${value}`;
+    })
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * 解析编辑器中的符号映射文本：「符号=增量」「符号=set:目标值」，可选「#说明」，逗号分隔
+ * @param {string} text
+ * @returns {Record<string, any>|null}
+ */
+function parseSymbolicMapping(text) {
+  /** @type {Record<string, any>} */
+  const mapping = {};
+  String(text ?? "")
+    .split(/[,\uFF0C]/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .forEach((item) => {
+      const eq = item.indexOf("=");
+      if (eq <= 0) return;
+      const key = item.slice(0, eq).trim();
+      let rest = item.slice(eq + 1).trim();
+      let description = "";
+      const hash = rest.indexOf("#");
+      if (hash >= 0) {
+        description = rest.slice(hash + 1).trim();
+        rest = rest.slice(0, hash).trim();
+      }
+      const isSet = /^set:/i.test(rest);
+      const num = Number(isSet ? rest.slice(4).trim() : rest);
+      if (!key || rest === "" || Number.isNaN(num)) return;
+      if (isSet) {
+        mapping[key] = description ? { set: num, description } : { set: num };
+      } else {
+        mapping[key] = description ? { delta: num, description } : num;
+      }
+    });
+  return Object.keys(mapping).length ? mapping : null;
+}
+
+/**
+ * 构建数值参数的衰减配置行（模式 / 基线 / 速率 / 间隔 / 宽限轮数）
+ * @param {any} p - 参数对象
+ * @returns {string}
+ */
+function buildDecayRowHtml(p) {
+  const decay = p && p.decay && typeof p.decay === "object" ? p.decay : {};
+  const mode = decay.mode || "";
+  const numStr = (v) => (typeof v === "number" ? String(v) : "");
+  return `
+      <div class="ce-form-row-multi">
+        <label style="flex: 1.2; display: flex; align-items: center; gap: 6px;" title="每轮在解析模型的操作之前，让数值自动向基线移动">
+          <span class="ce-form-label" style="white-space: nowrap;">衰减：</span>
+          <select data-ce-field="decayMode" style="flex: 1;">
+            <option value=""${mode === "" ? " selected" : ""}>不衰减</option>
+            <option value="linear"${mode === "linear" ? " selected" : ""}>线性</option>
+            <option value="exponential"${mode === "exponential" ? " selected" : ""}>指数</option>
+            <option value="stepwise"${mode === "stepwise" ? " selected" : ""}>阶梯</option>
+          </select>
+        </label>
+        <label style="flex: 1; display: flex; align-items: center; gap: 6px;">
+          <span class="ce-form-label" style="white-space: nowrap;">基线：</span>
+          <input type="number" data-ce-field="decayBaseline" value="${escapeHtml(numStr(decay.baseline))}" placeholder="0" style="flex: 1;"/>
+        </label>
+        <label style="flex: 1; display: flex; align-items: center; gap: 6px;" title="线性/阶梯：每次移动的数值；指数：每轮缩小距离的比例（0~1）">
+          <span class="ce-form-label" style="white-space: nowrap;">速率：</span>
+          <input type="number" data-ce-field="decayRate" value="${escapeHtml(numStr(decay.rate))}" step="any" min="0" style="flex: 1;"/>
+        </label>
+        <label style="flex: 1; display: flex; align-items: center; gap: 6px;" title="阶梯模式：每隔多少轮移动一次">
+          <span class="ce-form-label" style="white-space: nowrap;">间隔：</span>
+          <input type="number" data-ce-field="decayInterval" value="${escapeHtml(numStr(decay.interval))}" placeholder="1" min="1" style="flex: 1;"/>
+        </label>
+        <label style="flex: 1; display: flex; align-items: center; gap: 6px;" title="最近一次被写入后，经过多少轮才开始衰减">
+          <span class="ce-form-label" style="white-space: nowrap;">宽限：</span>
+          <input type="number" data-ce-field="decayDelay" value="${escapeHtml(numStr(decay.delay))}" placeholder="0" min="0" style="flex: 1;"/>
+        </label>
+      </div>
+  `;
+}
+
+/**
+ * 构建短期参数配置行（是否短期 / 保持轮数 / 基线值）
+ * @param {any} p - 参数对象
+ * @returns {string}
+ */
+function buildShortTermRowHtml(p) {
+  const isShortTerm = p && p.isShortTerm === true;
+  const turns = p && typeof p.shortTermTurns === "number" ? String(p.shortTermTurns) : "";
+  const baseline = p && p.shortTermBaseline !== undefined
+    ? (typeof p.shortTermBaseline === "string" ? p.shortTermBaseline : JSON.stringify(p.shortTermBaseline))
+    : "";
+  return `
+      <div class="ce-form-row-multi">
+        <label style="flex: 1; display: flex; align-items: center; gap: 6px;" title="短期参数在写入后经过指定轮数自动回到基线值">
+          <input type="checkbox" data-ce-field="isShortTerm"${isShortTerm ? " checked" : ""} />
+          <span class="ce-form-label" style="white-space: nowrap;">短期参数</span>
+        </label>
+        <label style="flex: 1; display: flex; align-items: center; gap: 6px;">
+          <span class="ce-form-label" style="white-space: nowrap;">保持轮数：</span>
+          <input type="number" data-ce-field="shortTermTurns" value="${escapeHtml(turns)}" placeholder="1" min="1" style="flex: 1;"/>
+        </label>
+        <label style="flex: 2; display: flex; align-items: center; gap: 6px;">
+          <span class="ce-form-label" style="white-space: nowrap;">基线值：</span>
+          <input type="text" data-ce-field="shortTermBaseline" value="${escapeHtml(baseline)}" placeholder="留空=到期后清空" style="flex: 1;"/>
+        </label>
+      </div>
+  `;
+}
+
+/**
+ * 按参数类型解析短期参数基线值的输入文本
+ * @param {string} raw
+ * @param {string} type
+ * @returns {any} 空文本返回 undefined
+ */
+function parseShortTermBaseline(raw, type) {
+  const text = String(raw ?? "").trim();
+  if (!text) return undefined;
+  if (type === "number") {
+    const n = Number(text);
+    return Number.isNaN(n) ? undefined : n;
+  }
+  if (type === "boolean") {
+    if (text === "true") return true;
+    if (text === "false") return false;
+    return undefined;
+  }
+  if (type === "array") {
+    try {
+      const arr = JSON.parse(text);
+      return Array.isArray(arr) ? arr : undefined;
+    } catch {
+      return undefined;
+    }
+  }
+  return text;
+}
+
 /**
  * 从 UI 收集参数数据
  * @param {HTMLElement} root
@@ -285,6 +488,31 @@ export function collectParameters(root) {
       if (Object.keys(range).length > 0) {
         param.range = range;
       }
+
+      const symbolicMapping = parseSymbolicMapping(getInput("symbolicMapping")?.value || "");
+      if (symbolicMapping) {
+        param.symbolicMapping = symbolicMapping;
+      }
+
+      // 衰减配置：仅在选择了模式且速率合法时保存
+      const decayModeEl = /** @type {HTMLSelectElement|null} */ (card.querySelector('[data-ce-field="decayMode"]'));
+      const decayMode = decayModeEl?.value || "";
+      const rateStr = getInput("decayRate")?.value.trim() || "";
+      if (decayMode && rateStr !== "" && Number(rateStr) > 0) {
+        /** @type {any} */
+        const decay = { mode: decayMode, rate: Number(rateStr) };
+        const optionalNumbers = {
+          baseline: getInput("decayBaseline")?.value.trim() || "",
+          interval: getInput("decayInterval")?.value.trim() || "",
+          delay: getInput("decayDelay")?.value.trim() || ""
+        };
+        for (const [key, str] of Object.entries(optionalNumbers)) {
+          if (str !== "" && !Number.isNaN(Number(str))) {
+            decay[key] = Number(str);
+          }
+        }
+        param.decay = decay;
+      }
     } else if (type === "enum") {
       const enumEl = getInput("enumValues");
       const rawEnum = (enumEl?.value || "").trim();
@@ -316,6 +544,38 @@ export function collectParameters(root) {
       }
       
       param.arrayConfig = arrayConfig;
+    } else if (type === "derived") {
+      const formula = getInput("derivedFormula")?.value.trim() || "";
+      /** @type {any} */
+      const derived = { formula };
+      const stages = (getInput("derivedStages")?.value || "")
+        .split(/[,\uFF0C]/)
+        .map((item) => {
+          const eq = item.indexOf("=");
+          if (eq <= 0) return null;
+          const min = Number(item.slice(0, eq).trim());
+          const value = item.slice(eq + 1).trim();
+          return !Number.isNaN(min) && value ? { min, value } : null;
+        })
+        .filter(Boolean);
+      if (stages.length) {
+        derived.stages = stages;
+      }
+      param.derived = derived;
+    }
+
+    // 短期参数配置
+    const shortTermEl = getInput("isShortTerm");
+    if (shortTermEl?.checked) {
+      param.isShortTerm = true;
+      const turnsStr = getInput("shortTermTurns")?.value.trim() || "";
+      if (turnsStr !== "" && !Number.isNaN(Number(turnsStr)) && Number(turnsStr) >= 1) {
+        param.shortTermTurns = Math.floor(Number(turnsStr));
+      }
+      const baseline = parseShortTermBaseline(getInput("shortTermBaseline")?.value || "", type);
+      if (baseline !== undefined) {
+        param.shortTermBaseline = baseline;
+      }
     }
 
     list.push(param);
@@ -418,6 +678,12 @@ function onParameterPanelChange(ev) {
 
     const type = target.value || "number";
 
+    // 符号映射与衰减配置仅对数值型参数可用
+    const numberExtrasField = /** @type {HTMLElement|null} */ (card.querySelector('[data-ce-dynamic-field="numberExtras"]'));
+    if (numberExtrasField) {
+      numberExtrasField.innerHTML = type === "number" ? buildNumberExtrasHtml(null) : "";
+    }
+
     // 更新类型徽章
     if (badges.length > 0) {
       const typeText = {
@@ -425,7 +691,8 @@ function onParameterPanelChange(ev) {
         boolean: "布尔",
         enum: "枚举",
         text: "文本",
-        array: "数组"
+        array: "数组",
+        derived: "派生"
       }[type] || "数值型";
       badges[0].textContent = typeText;
     }
@@ -480,6 +747,8 @@ function onParameterPanelChange(ev) {
           <input type="text" data-ce-field="textHint" placeholder="文本参数说明" style="flex: 1;"/>
         </label>
       `;
+    } else if (type === "derived") {
+      dynamicField.innerHTML = buildDerivedFieldHtml(null);
     }
   } else if (field === "scope") {
     // 更新作用域徽章
@@ -536,6 +805,7 @@ function addEmptyParameterRow(panel) {
             <option value="enum">枚举</option>
             <option value="text">文本</option>
             <option value="array">数组</option>
+            <option value="derived">派生</option>
           </select>
         </label>
         <label style="flex: 1;">
@@ -564,6 +834,8 @@ function addEmptyParameterRow(panel) {
           </label>
         </div>
       </div>
+      <div data-ce-dynamic-field="numberExtras">${buildNumberExtrasHtml(null)}</div>
+      ${buildShortTermRowHtml(null)}
     </div>
   `;
 
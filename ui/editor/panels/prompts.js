@@ -434,8 +434,8 @@ export function renderPrompts(root, prompts, promptTypes, collectParametersFn, g
         </div>
         <div class="ce-form-row-multi">
           <label style="flex: 3;">
-            <span class="ce-form-label">参数条件（每行一个）：</span>
-            <textarea data-ce-field="conditions" class="${errorClass.trim()}" title="${escapeHtml(errorTitle)}" rows="2" placeholder="每行一个条件，例如: 好感度 >= 60">${escapeHtml(finalText)}</textarea>
+            <span class="ce-form-label" title="行与行之间为 AND；行内可用 AND / OR / NOT（需大写，也可写作 &amp;&amp; / ||）与括号组合，例如：(好感度 >= 60 OR 信任度 >= 80) AND NOT 心情 == 愤怒。也可引用场景状态：场景标签 contains 夜晚、当前地点 within 学校（含子地点）、焦点角色 contains 美咲（另有 在场配角 / 离场相关 / 在场角色）。右侧可引用另一参数并加减偏移：A.好感度.玩家 > B.好感度.玩家 + 10">参数条件（每行一个）：</span>
+            <textarea data-ce-field="conditions" class="${errorClass.trim()}" title="${escapeHtml(errorTitle)}" rows="2" placeholder="每行一个条件，例如: 好感度 >= 60；行内可用 AND / OR / NOT 与括号组合">${escapeHtml(finalText)}</textarea>
             ${errorListHtml ? `<div class="ce-conditions-error-list">${errorListHtml}</div>` : ''}
           </label>
           <label style="flex: 1;">
@@ -443,12 +443,7 @@ export function renderPrompts(root, prompts, promptTypes, collectParametersFn, g
             <input type="number" value="${priority}" data-ce-field="priority" min="0" max="9999" placeholder="0-9999，默认100" title="数值越小优先级越高，0最优先，9999最落后"/>
           </label>
         </div>
-        <div class="ce-form-row">
-          <label>
-            <span class="ce-form-label">提示文本：</span>
-            <textarea data-ce-field="text" rows="3" placeholder="在此编写要注入给 LLM 的提示文本">${escapeHtml(p.text || "")}</textarea>
-          </label>
-        </div>
+        ${buildPromptTextSectionHtml(p)}
       </div>
     `;
 
@@ -509,8 +504,13 @@ export function collectPrompts(root, collectParametersFn) {
     const promptTypeName = typeEl?.value.trim() || "";
     const rawConditionsText = condEl?.value || "";
     const text = textEl?.value || "";
+    const banded = readBandedFieldsFromCard(card);
+    const isBanded = banded.entryType === "banded";
 
-    if (!ownerName || !promptTypeName || !text.trim()) {
+    if (!ownerName || !promptTypeName) {
+      return;
+    }
+    if (isBanded ? (!banded.bandParameter || !banded.bands.some((b) => b.text.trim())) : !text.trim()) {
       return;
     }
 
@@ -555,15 +555,24 @@ export function collectPrompts(root, collectParametersFn) {
       }
     }
 
-    list.push({
+    /** @type {any} */
+    const entry = {
       ownerName,
       promptTypeName,
-      text,
+      text: isBanded ? "" : text,
       when: conditions,
       conditionsText,
       priority,
       customOrder  // 保存自定义排序的索引位置
-    });
+    };
+    if (isBanded) {
+      entry.entryType = "banded";
+      entry.bandParameter = banded.bandParameter;
+      entry.bands = banded.bands
+        .filter((b) => b.text.trim())
+        .sort((a, b) => a.min - b.min);
+    }
+    list.push(entry);
   });
 
   return list;
@@ -620,6 +629,20 @@ function onPromptsPanelClick(ev) {
     }
   } else if (action === "filter-prompts") {
     applyPromptFilterFromUi(panel);
+  } else if (action === "add-prompt-band") {
+    const list = target.closest('.ce-collapsible-card')?.querySelector('[data-ce-band-list]');
+    if (list) {
+      const rows = list.querySelectorAll('[data-ce-band-row]');
+      const lastMin = rows.length
+        ? Number(/** @type {HTMLInputElement|null} */ (rows[rows.length - 1].querySelector('[data-ce-band-field="min"]'))?.value) || 0
+        : 0;
+      list.insertAdjacentHTML("beforeend", buildBandRowHtml({ min: rows.length ? lastMin + 20 : 0, text: "" }));
+    }
+  } else if (action === "delete-prompt-band") {
+    const row = target.closest('[data-ce-band-row]');
+    if (row && row.parentElement) {
+      row.parentElement.removeChild(row);
+    }
   }
 }
 
@@ -663,6 +686,19 @@ function onPromptsPanelInput(ev) {
 function onPromptsPanelChange(ev) {
   const target = ev.target;
   if (!(target instanceof HTMLSelectElement)) return;
+
+  // 切换普通 / 分段条目
+  if (target.dataset.ceField === "entryType") {
+    const card = target.closest('.ce-collapsible-card');
+    if (!card) return;
+    const isBanded = target.value === "banded";
+    const plainEl = /** @type {HTMLElement|null} */ (card.querySelector('[data-ce-text-mode="plain"]'));
+    const bandedEl = /** @type {HTMLElement|null} */ (card.querySelector('[data-ce-text-mode="banded"]'));
+    if (plainEl) plainEl.style.display = isBanded ? "none" : "";
+    if (bandedEl) bandedEl.style.display = isBanded ? "" : "none";
+    return;
+  }
+
   const field = target.dataset.ceSelect;
   if (!field) return;
 
@@ -800,20 +836,15 @@ function addEmptyPromptRow(panel) {
       </div>
       <div class="ce-form-row-multi">
         <label style="flex: 3;">
-          <span class="ce-form-label">参数条件（每行一个）：</span>
-          <textarea data-ce-field="conditions" rows="2" placeholder="每行一个条件，例如: 好感度 >= 60"></textarea>
+          <span class="ce-form-label" title="行与行之间为 AND；行内可用 AND / OR / NOT（需大写，也可写作 &amp;&amp; / ||）与括号组合，例如：(好感度 >= 60 OR 信任度 >= 80) AND NOT 心情 == 愤怒。也可引用场景状态：场景标签 contains 夜晚、当前地点 within 学校（含子地点）、焦点角色 contains 美咲（另有 在场配角 / 离场相关 / 在场角色）。右侧可引用另一参数并加减偏移：A.好感度.玩家 > B.好感度.玩家 + 10">参数条件（每行一个）：</span>
+          <textarea data-ce-field="conditions" rows="2" placeholder="每行一个条件，例如: 好感度 >= 60；行内可用 AND / OR / NOT 与括号组合"></textarea>
         </label>
         <label style="flex: 1;">
           <span class="ce-form-label">优先级：</span>
           <input type="number" value="100" data-ce-field="priority" min="0" max="9999" placeholder="0-9999，默认100" title="数值越小优先级越高，0最优先，9999最落后"/>
         </label>
       </div>
-      <div class="ce-form-row">
-        <label>
-          <span class="ce-form-label">提示文本：</span>
-          <textarea data-ce-field="text" rows="3" placeholder="在此编写要注入给 LLM 的提示文本"></textarea>
-        </label>
-      </div>
+      ${buildPromptTextSectionHtml({})}
     </div>
   `;
 
@@ -929,20 +960,15 @@ function copyPromptEntry(panel, sourceCard) {
       </div>
       <div class="ce-form-row-multi">
         <label style="flex: 3;">
-          <span class="ce-form-label">参数条件（每行一个）：</span>
-          <textarea data-ce-field="conditions" rows="2" placeholder="每行一个条件，例如: 好感度 >= 60">${escapeHtml(conditions)}</textarea>
+          <span class="ce-form-label" title="行与行之间为 AND；行内可用 AND / OR / NOT（需大写，也可写作 &amp;&amp; / ||）与括号组合，例如：(好感度 >= 60 OR 信任度 >= 80) AND NOT 心情 == 愤怒。也可引用场景状态：场景标签 contains 夜晚、当前地点 within 学校（含子地点）、焦点角色 contains 美咲（另有 在场配角 / 离场相关 / 在场角色）。右侧可引用另一参数并加减偏移：A.好感度.玩家 > B.好感度.玩家 + 10">参数条件（每行一个）：</span>
+          <textarea data-ce-field="conditions" rows="2" placeholder="每行一个条件，例如: 好感度 >= 60；行内可用 AND / OR / NOT 与括号组合">${escapeHtml(conditions)}</textarea>
         </label>
         <label style="flex: 1;">
           <span class="ce-form-label">优先级：</span>
           <input type="number" value="${escapeHtml(priority)}" data-ce-field="priority" min="0" max="9999" placeholder="0-9999，默认100" title="数值越小优先级越高，0最优先，9999最落后"/>
         </label>
       </div>
-      <div class="ce-form-row">
-        <label>
-          <span class="ce-form-label">提示文本：</span>
-          <textarea data-ce-field="text" rows="3" placeholder="在此编写要注入给 LLM 的提示文本">${escapeHtml(text)}</textarea>
-        </label>
-      </div>
+      ${buildPromptTextSectionHtml({ text, ...readBandedFieldsFromCard(sourceCard) })}
     </div>
   `;
 
@@ -967,6 +993,98 @@ function copyPromptEntry(panel, sourceCard) {
   refreshPromptPagination(panel);
 }
 
+/**
+ * 构建提示文本区域：普通条目为单个文本框，分段条目为「分段参数 + 分段列表」。
+ * 两种模式的控件都会渲染，切换条目类型时只切换显示，避免丢失已填写的内容。
+ * @param {any} entry
+ * @returns {string}
+ */
+function buildPromptTextSectionHtml(entry) {
+  const isBanded = entry.entryType === "banded";
+  const bands = Array.isArray(entry.bands) && entry.bands.length
+    ? entry.bands
+    : [{ min: 0, text: "" }];
+
+  return `
+      <div class="ce-form-row">
+        <label>
+          <span class="ce-form-label" title="分段条目按一个数值参数分成若干段，运行时恰好选中一段：取下限不大于当前值的最高一段，低于最低段时使用最低段">条目类型：</span>
+          <select data-ce-field="entryType">
+            <option value="plain"${isBanded ? "" : " selected"}>普通</option>
+            <option value="banded"${isBanded ? " selected" : ""}>分段</option>
+          </select>
+        </label>
+      </div>
+      <div class="ce-form-row" data-ce-text-mode="plain"${isBanded ? ' style="display:none;"' : ""}>
+        <label>
+          <span class="ce-form-label">提示文本：</span>
+          <textarea data-ce-field="text" rows="3" placeholder="在此编写要注入给 LLM 的提示文本">${escapeHtml(entry.text || "")}</textarea>
+        </label>
+      </div>
+      <div data-ce-text-mode="banded"${isBanded ? "" : ' style="display:none;"'}>
+        <div class="ce-form-row">
+          <label>
+            <span class="ce-form-label">分段参数：</span>
+            <input type="text" value="${escapeHtml(entry.bandParameter || "")}" data-ce-field="bandParameter" placeholder="数值参数名，例如：好感度（不含 . 时按归属实体补全）"/>
+          </label>
+        </div>
+        <div data-ce-band-list>
+          ${bands.map((b) => buildBandRowHtml(b)).join("")}
+        </div>
+        <button type="button" class="ce-btn ce-btn-small" data-ce-action="add-prompt-band">新增分段</button>
+      </div>`;
+}
+
+/**
+ * 构建单个分段行
+ * @param {{ min?: number, text?: string }} band
+ * @returns {string}
+ */
+function buildBandRowHtml(band) {
+  const min = typeof band.min === "number" && !Number.isNaN(band.min) ? band.min : 0;
+  return `
+          <div class="ce-form-row-multi" data-ce-band-row>
+            <label style="flex: 1;">
+              <span class="ce-form-label">下限 ≥</span>
+              <input type="number" value="${min}" data-ce-band-field="min"/>
+            </label>
+            <label style="flex: 4;">
+              <span class="ce-form-label">文本：</span>
+              <textarea data-ce-band-field="text" rows="2" placeholder="参数处于该段时注入的提示文本">${escapeHtml(band.text || "")}</textarea>
+            </label>
+            <button type="button" class="ce-btn ce-btn-small" data-ce-action="delete-prompt-band" title="删除分段">
+              <i class="fa-solid fa-trash-can"></i>
+            </button>
+          </div>`;
+}
+
+/**
+ * 从卡片读取分段条目相关字段
+ * @param {Element} card
+ * @returns {{ entryType: "plain"|"banded", bandParameter: string, bands: { min: number, text: string }[] }}
+ */
+function readBandedFieldsFromCard(card) {
+  const typeEl = /** @type {HTMLSelectElement|null} */ (card.querySelector('[data-ce-field="entryType"]'));
+  const paramEl = /** @type {HTMLInputElement|null} */ (card.querySelector('[data-ce-field="bandParameter"]'));
+
+  const bands = [];
+  card.querySelectorAll('[data-ce-band-row]').forEach((row) => {
+    const minEl = /** @type {HTMLInputElement|null} */ (row.querySelector('[data-ce-band-field="min"]'));
+    const textEl = /** @type {HTMLTextAreaElement|null} */ (row.querySelector('[data-ce-band-field="text"]'));
+    const min = Number(minEl?.value);
+    bands.push({
+      min: Number.isNaN(min) ? 0 : min,
+      text: textEl?.value || ""
+    });
+  });
+
+  return {
+    entryType: typeEl?.value === "banded" ? "banded" : "plain",
+    bandParameter: paramEl?.value.trim() || "",
+    bands
+  };
+}
+
 /**
  * 应用筛选
  * @param {HTMLElement} panel
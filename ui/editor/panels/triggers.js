@@ -0,0 +1,314 @@
+// 阈值触发器面板
+
+import { escapeHtml } from "../utils/dom.js";
+import {
+  createCollapsibleCard,
+  toggleCollapse,
+  DragSortManager,
+  expandAll,
+  collapseAll,
+  collectCollapsedState
+} from "../utils/collapsible-list.js";
+
+/** @type {DragSortManager|null} */
+let dragManager = null;
+
+/** @type {Set<string>} */
+let collapsedSet = new Set();
+
+/**
+ * 初始化触发器面板 DOM 结构
+ * @param {HTMLElement} panel
+ */
+export function initTriggersPanel(panel) {
+  panel.innerHTML = `
+    <div class="ce-section-header">
+      <span>阈值触发器（参数越过阈值时产生一次性效果）</span>
+      <div style="display: flex; gap: 4px;">
+        <button type="button" class="ce-btn ce-btn-small" data-ce-action="expand-all-triggers">全部展开</button>
+        <button type="button" class="ce-btn ce-btn-small" data-ce-action="collapse-all-triggers">全部折叠</button>
+        <button type="button" class="ce-btn ce-btn-small" data-ce-action="add-trigger">新增触发器</button>
+      </div>
+    </div>
+    <div class="ce-small-hint" style="margin-bottom:6px;">
+      触发器在解析完成时评估，效果写入该楼层的 ChangeSet；重建或切换分支时按记录回放，不会重复触发。
+    </div>
+    <div class="ce-triggers-container" data-ce-container="triggers"></div>
+  `;
+
+  panel.addEventListener("click", onTriggerPanelClick);
+
+  // 初始化拖拽管理器
+  const container = panel.querySelector('[data-ce-container="triggers"]');
+  if (container) {
+    dragManager = new DragSortManager(container);
+    dragManager.enable();
+  }
+}
+
+/**
+ * 渲染触发器数据
+ * @param {HTMLElement} root
+ * @param {Array} triggers
+ */
+export function renderTriggers(root, triggers) {
+  const container = root.querySelector('[data-ce-container="triggers"]');
+  if (!container) return;
+
+  // 保存当前折叠状态
+  const currentCollapsed = collectCollapsedState(container);
+  if (currentCollapsed.size > 0) {
+    collapsedSet = currentCollapsed;
+  }
+
+  container.innerHTML = "";
+
+  (triggers || []).forEach((t, index) => {
+    const rowId = `trigger-${index}`;
+    const isCollapsed = collapsedSet.has(rowId) || collapsedSet.has(String(index));
+    container.appendChild(buildTriggerCard(rowId, t || {}, isCollapsed));
+  });
+}
+
+/**
+ * 从 UI 收集触发器数据
+ * @param {HTMLElement} root
+ * @returns {Array}
+ */
+export function collectTriggers(root) {
+  const container = root.querySelector('[data-ce-container="triggers"]');
+  if (!container) return [];
+
+  // 保存折叠状态
+  collapsedSet = collectCollapsedState(container);
+
+  const cards = container.querySelectorAll('.ce-collapsible-card');
+  const list = [];
+
+  cards.forEach((card) => {
+    const getValue = (field) => {
+      const el = /** @type {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement|null} */ (
+        card.querySelector(`[data-ce-field="${field}"]`)
+      );
+      return el ? el.value.trim() : "";
+    };
+
+    const name = getValue("name");
+    const parameterName = getValue("parameterName");
+    const threshold = Number(getValue("threshold"));
+    if (!name || !parameterName || getValue("threshold") === "" || !Number.isFinite(threshold)) return;
+
+    const onceEl = /** @type {HTMLInputElement|null} */ (card.querySelector('[data-ce-field="once"]'));
+
+    /** @type {any} */
+    const effects = {};
+    const setVariables = parseSetVariables(getValue("setVariables"));
+    if (setVariables.length) effects.setVariables = setVariables;
+    const addSceneTags = splitList(getValue("addSceneTags"));
+    if (addSceneTags.length) effects.addSceneTags = addSceneTags;
+    const removeSceneTags = splitList(getValue("removeSceneTags"));
+    if (removeSceneTags.length) effects.removeSceneTags = removeSceneTags;
+    const prompt = getValue("prompt");
+    if (prompt) effects.prompt = prompt;
+
+    list.push({
+      id: getValue("id"),
+      name,
+      parameterName,
+      direction: getValue("direction") || "up",
+      threshold,
+      once: onceEl ? onceEl.checked : true,
+      effects
+    });
+  });
+
+  return list;
+}
+
+/**
+ * 构建单个触发器卡片
+ * @param {string} rowId
+ * @param {any} t
+ * @param {boolean} collapsed
+ * @returns {HTMLElement}
+ */
+function buildTriggerCard(rowId, t, collapsed) {
+  const direction = t.direction === "down" || t.direction === "any" ? t.direction : "up";
+  const effects = t.effects && typeof t.effects === "object" ? t.effects : {};
+  const threshold = typeof t.threshold === "number" ? String(t.threshold) : "";
+
+  const headerContent = `
+    <div class="ce-collapsible-header-content">
+      <span class="ce-collapsible-title">${escapeHtml(t.name || "（新触发器）")}</span>
+      <button type="button" class="ce-btn ce-btn-small" data-ce-action="delete-trigger" title="删除">
+        <i class="fa-solid fa-trash-can"></i>
+      </button>
+    </div>
+  `;
+
+  const bodyContent = `
+    <div class="ce-collapsible-body-content">
+      <div class="ce-form-row-multi">
+        <label>
+          <span class="ce-form-label">名称：</span>
+          <input type="text" value="${escapeHtml(t.name || "")}" data-ce-field="name" placeholder="例如：告白阶段" />
+        </label>
+        <label>
+          <span class="ce-form-label">内部ID：</span>
+          <input type="text" value="${escapeHtml(t.id || "")}" data-ce-field="id" placeholder="留空则使用名称"/>
+        </label>
+      </div>
+      <div class="ce-form-row-multi">
+        <label>
+          <span class="ce-form-label">监听参数：</span>
+          <input type="text" value="${escapeHtml(t.parameterName || "")}" data-ce-field="parameterName" placeholder="数值参数名，例如：好感度"/>
+        </label>
+        <label>
+          <span class="ce-form-label">方向：</span>
+          <select data-ce-field="direction">
+            <option value="up"${direction === "up" ? " selected" : ""}>向上越过</option>
+            <option value="down"${direction === "down" ? " selected" : ""}>向下越过</option>
+            <option value="any"${direction === "any" ? " selected" : ""}>任意方向</option>
+          </select>
+        </label>
+        <label>
+          <span class="ce-form-label">阈值：</span>
+          <input type="number" value="${escapeHtml(threshold)}" data-ce-field="threshold" placeholder="例如：80"/>
+        </label>
+        <label title="勾选后每个角色（及关系目标）只触发一次">
+          <input type="checkbox" data-ce-field="once"${t.once === false ? "" : " checked"} />
+          <span>仅触发一次</span>
+        </label>
+      </div>
+      <div class="ce-form-row-multi">
+        <label>
+          <span class="ce-form-label">设置参数：</span>
+          <input type="text" value="${escapeHtml(formatSetVariables(effects.setVariables))}" data-ce-field="setVariables" placeholder="例如：恋爱阶段=暧昧, 信任度=50"/>
+        </label>
+      </div>
+      <div class="ce-form-row-multi">
+        <label>
+          <span class="ce-form-label">添加场景标签：</span>
+          <input type="text" value="${escapeHtml((effects.addSceneTags || []).join(", "))}" data-ce-field="addSceneTags" placeholder="逗号分隔，例如：告白"/>
+        </label>
+        <label>
+          <span class="ce-form-label">移除场景标签：</span>
+          <input type="text" value="${escapeHtml((effects.removeSceneTags || []).join(", "))}" data-ce-field="removeSceneTags" placeholder="逗号分隔"/>
+        </label>
+      </div>
+      <div class="ce-form-row">
+        <label>
+          <span class="ce-form-label">一次性提示：</span>
+          <textarea data-ce-field="prompt" rows="2" placeholder="仅在触发当轮注入给 LLM 的提示文本">${escapeHtml(effects.prompt || "")}</textarea>
+        </label>
+      </div>
+    </div>
+  `;
+
+  return createCollapsibleCard({
+    rowId,
+    headerContent,
+    bodyContent,
+    collapsed,
+    draggable: true
+  });
+}
+
+/**
+ * 将 setVariables 数组格式化为 "参数=值, 参数=值"
+ * @param {any} list
+ * @returns {string}
+ */
+function formatSetVariables(list) {
+  if (!Array.isArray(list)) return "";
+  return list
+    .filter(item => item && item.parameterName)
+    .map(item => `${item.parameterName}=${item.value}`)
+    .join(", ");
+}
+
+/**
+ * 解析 "参数=值, 参数=值"，数值形式的值转为 number
+ * @param {string} text
+ * @returns {{ parameterName: string, value: any }[]}
+ */
+function parseSetVariables(text) {
+  const result = [];
+  for (const part of splitList(text)) {
+    const eq = part.indexOf("=");
+    if (eq <= 0) continue;
+    const parameterName = part.slice(0, eq).trim();
+    const rawValue = part.slice(eq + 1).trim();
+    if (!parameterName) continue;
+    let value = rawValue;
+    if (rawValue !== "" && !Number.isNaN(Number(rawValue))) {
+      value = Number(rawValue);
+    } else if (rawValue === "true" || rawValue === "false") {
+      value = rawValue === "true";
+    }
+    result.push({ parameterName, value });
+  }
+  return result;
+}
+
+/**
+ * 按中英文逗号拆分列表
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitList(text) {
+  return String(text || "")
+    .split(/[,，]/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 触发器面板点击事件处理
+ * @param {MouseEvent} ev
+ */
+function onTriggerPanelClick(ev) {
+  const target = ev.target;
+  if (!(target instanceof HTMLElement)) return;
+
+  // 查找实际的操作按钮（可能点击的是图标）
+  const actionBtn = target.closest('[data-ce-action]');
+  const action = actionBtn?.dataset.ceAction;
+  if (!action) return;
+
+  const panel = target.closest('[data-tab-panel="triggers"]');
+  if (!panel) return;
+
+  const container = panel.querySelector('[data-ce-container="triggers"]');
+
+  if (action === "add-trigger") {
+    if (container) {
+      const rowId = `trigger-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+      container.appendChild(buildTriggerCard(rowId, {}, false));
+    }
+  } else if (action === "delete-trigger") {
+    const card = target.closest('.ce-collapsible-card');
+    if (card && card.parentElement) {
+      card.parentElement.removeChild(card);
+    }
+  } else if (action === "toggle-collapse") {
+    const card = target.closest('.ce-collapsible-card');
+    if (card) {
+      toggleCollapse(card);
+    }
+  } else if (action === "expand-all-triggers") {
+    if (container) {
+      expandAll(container);
+      collapsedSet.clear();
+    }
+  } else if (action === "collapse-all-triggers") {
+    if (container) {
+      collapseAll(container);
+      const cards = container.querySelectorAll('.ce-collapsible-card');
+      cards.forEach((card, index) => {
+        const rowId = card.dataset.rowId || String(index);
+        collapsedSet.add(rowId);
+      });
+    }
+  }
+}
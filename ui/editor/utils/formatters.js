@@ -1,26 +1,56 @@
 // 格式化工具函数
 
 /**
- * 将条件数组格式化为文本，每行一个条件
- * @param {import("../../../core/variables.js").CePromptRuleCondition[]} conditions
+ * 将条件数组格式化为文本，每行一个条件（分组节点格式化为 AND / OR / NOT 表达式）
+ * @param {import("../../../core/variables.js").CePromptConditionNode[]} conditions
  * @returns {string}
  */
 export function formatConditions(conditions) {
   if (!Array.isArray(conditions) || !conditions.length) return "";
   return conditions
-    .map((c) => {
-      if (!c || !c.parameterName) return "";
-      const op = c.op || "==";
-      if (op === "in" || op === "not_in") {
-        const values = Array.isArray(c.value) ? c.value.join(" / ") : String(c.value ?? "");
-        return `${c.parameterName} ${op} ${values}`;
-      }
-      return `${c.parameterName} ${op} ${c.value}`;
-    })
+    .map((c) => formatConditionNode(c, 0))
     .filter(Boolean)
     .join("\n");
 }
 
+/**
+ * 格式化单个条件节点
+ * @param {any} node
+ * @param {number} parentPrec - 父级优先级（0=顶层/OR，1=AND，2=NOT），低于父级时加括号
+ * @returns {string}
+ */
+function formatConditionNode(node, parentPrec) {
+  if (!node || typeof node !== "object") return "";
+
+  const wrap = (text, prec) => (prec < parentPrec ? `(${text})` : text);
+
+  if (Array.isArray(node.any)) {
+    const parts = node.any.map((c) => formatConditionNode(c, 1)).filter(Boolean);
+    return parts.length > 1 ? wrap(parts.join(" OR "), 0) : (parts[0] || "");
+  }
+  if (Array.isArray(node.all)) {
+    const parts = node.all.map((c) => formatConditionNode(c, 1)).filter(Boolean);
+    return parts.length > 1 ? wrap(parts.join(" AND "), 1) : (parts[0] || "");
+  }
+  if (node.not !== undefined && node.not !== null) {
+    const inner = formatConditionNode(node.not, 2);
+    return inner ? `NOT ${inner}` : "";
+  }
+
+  if (!node.parameterName) return "";
+  const op = node.op || "==";
+  if (node.valueRef && node.valueRef.path) {
+    const offset = typeof node.valueRef.offset === "number" ? node.valueRef.offset : 0;
+    const offsetText = offset === 0 ? "" : ` ${offset > 0 ? "+" : "-"} ${Math.abs(offset)}`;
+    return `${node.parameterName} ${op} ${node.valueRef.path}${offsetText}`;
+  }
+  if (op === "in" || op === "not_in" || Array.isArray(node.value)) {
+    const values = Array.isArray(node.value) ? node.value.join(" / ") : String(node.value ?? "");
+    return `${node.parameterName} ${op} ${values}`;
+  }
+  return `${node.parameterName} ${op} ${node.value}`;
+}
+
 /**
  * 基于参数定义生成「参数名 → 定义」映射
  * @param {import("../../../core/variables.js").CeParameterDefinition[]} parameters
@@ -1,6 +1,7 @@
 // 参数与提示配置的导出/导入工具
 
 import { logDebug } from "./dom.js";
+import { migrateCardConfig } from "../../../core/schema-migrations.js";
 
 /**
  * 将配置导出为 JSON 格式
@@ -37,12 +38,16 @@ function validateAndNormalizeConfig(config) {
   if (!config || typeof config !== "object") {
     throw new Error("配置必须是一个对象");
   }
+
+  // 旧版本导出的配置先迁移到当前结构
+  config = migrateCardConfig(config).data;
   
   return {
     parameters: Array.isArray(config.parameters) ? config.parameters : [],
     promptTypes: Array.isArray(config.promptTypes) ? config.promptTypes : [],
     prompts: Array.isArray(config.prompts) ? config.prompts : [],
     entities: Array.isArray(config.entities) ? config.entities : [],
+    triggers: Array.isArray(config.triggers) ? config.triggers : [],
     initialState: config.initialState && typeof config.initialState === "object" 
       ? config.initialState 
       : {},
@@ -1,9 +1,41 @@
 // 条件验证与解析工具
 
+import {
+  CONDITION_STATE_OPERANDS,
+  CONDITION_STATE_OPERAND_OPS,
+  parseVariablePath
+} from "../../../core/variables.js";
+
+const LEAF_OPS = ["!=", ">=", "<=", "==", ">", "<", "in", "not_in", "contains", "not_contains", "within", "not_within"];
+
+/** 右侧值按 "A / B" 或 "A,B" 拆分为列表的运算符 */
+const LIST_OPS = new Set(["in", "not_in", "contains", "not_contains", "within", "not_within"]);
+
+/** 右侧可以引用另一参数路径的运算符 */
+const REF_OPS = new Set(["==", "!=", ">", ">=", "<", "<="]);
+
+/** 只对数值有意义的比较运算符 */
+const NUMERIC_OPS = new Set([">", ">=", "<", "<="]);
+
 /**
  * 条件解析：每行 "参数名 OP 值"
- * 支持 OP: ==, !=, >, >=, <, <=, in, not_in
- * in / not_in 的值可用 "A / B / C" 或 "A,B,C"
+ * 支持 OP: ==, !=, >, >=, <, <=, in, not_in，以及 contains / not_contains（数组型、文本型参数）
+ * in / not_in / contains 的值可用 "A / B / C" 或 "A,B,C"
+ *
+ * 状态条件（左侧为状态操作数而非参数名，见 CONDITION_STATE_OPERANDS）：
+ * - "场景标签 contains 夜晚"；
+ * - "当前地点 == 天台"、"当前地点 within 学校"（within 包含子地点，沿 parentLocation 向上查找）；
+ * - "焦点角色 contains 美咲"（另有 在场配角 / 离场相关 / 在场角色）。
+ *
+ * 跨参数比较：右侧可以引用另一参数路径（可带 + / - 数值偏移），解析为 valueRef：
+ * - 例如 "A.好感度.玩家 > B.好感度.玩家 + 10"；
+ * - 右侧的参数部分必须是参数表中已定义的参数，否则按普通字面量处理。
+ *
+ * 分组逻辑（行与行之间仍为 AND）：
+ * - 单行内可用 AND / OR / NOT（需大写，也可写作 && / ||）组合多个条件，并用括号嵌套，
+ *   例如 "(好感度 >= 60 OR 信任度 >= 80) AND NOT 恋爱阶段 == 敌对"；
+ * - 优先级：NOT > AND > OR；
+ * - 含分组的行解析为 { all } / { any } / { not } 节点，不含分组的行保持原来的单条件结构。
  *
  * 返回结构包含：
  * - conditions: 解析成功的条件数组（仅包含格式正确且语义合法的行）；
@@ -25,11 +57,12 @@
  *   - 检查值是否落在 enumValues 列表中；
  * - 对布尔型参数（type: "boolean"）：
  *   - 检查值是否为 true / false（单值或列表）。
+ * 分组行中任一子条件出错时整行标记为错误并被忽略（避免改变 OR / NOT 的语义）。
  *
  * @param {string} text
  * @param {Record<string, import("../../../core/variables.js").CeParameterDefinition>} [parameterDefsByName]
  * @returns {{
- *   conditions: import("../../../core/variables.js").CePromptRuleCondition[],
+ *   conditions: import("../../../core/variables.js").CePromptConditionNode[],
  *   perLine: { index: number, raw: string, fixed: string, hasError: boolean, reason: string }[],
  *   hasError: boolean,
  *   errorMessage: string,
@@ -38,11 +71,10 @@
  */
 export function parseConditions(text, parameterDefsByName) {
   const rawLines = String(text ?? "").split(/\r?\n/);
-  /** @type {import("../../../core/variables.js").CePromptRuleCondition[]} */
+  /** @type {import("../../../core/variables.js").CePromptConditionNode[]} */
   const conditions = [];
   /** @type {{ index: number, raw: string, fixed: string, hasError: boolean, reason: string }[]} */
   const perLine = [];
-  const ops = ["!=", ">=", "<=", "==", ">", "<", "in", "not_in"];
 
   const paramMap =
     parameterDefsByName && typeof parameterDefsByName === "object" ? parameterDefsByName : null;
@@ -52,7 +84,7 @@ export function parseConditions(text, parameterDefsByName) {
 
   rawLines.forEach((raw, index) => {
     const original = raw;
-    let line = raw.trim();
+    const line = raw.trim();
 
     if (!line) {
       // 空行既不算错误，也不会产生条件，直接保留原文
@@ -61,263 +93,537 @@ export function parseConditions(text, parameterDefsByName) {
       return;
     }
 
-    // 自动为符号运算符补空格：好感度>=60 -> 好感度 >= 60
-    let fixed = line;
-    for (const symOp of ["!=", ">=", "<=", "==", ">", "<"]) {
-      if (fixed.includes(symOp)) {
-        const re = new RegExp(`\\s*${symOp.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*`);
-        fixed = fixed.replace(re, ` ${symOp} `);
-        break;
-      }
+    const tokens = tokenizeConditionLine(line);
+    const result = tokens.some((t) => t.type !== "text")
+      ? parseConditionExpression(tokens, paramMap)
+      : parseConditionLeaf(line, paramMap);
+
+    if (result.hasError) {
+      hasAnyError = true;
+    } else {
+      conditions.push(result.condition);
     }
-    // 归一化空格
-    fixed = fixed.replace(/\s+/g, " ").trim();
-
-    let matchedOp = null;
-    let idx = -1;
-    for (const op of ops) {
-      idx = fixed.indexOf(` ${op} `);
-      if (idx > 0) {
-        matchedOp = op;
-        break;
+
+    perLine.push({
+      index,
+      raw: original,
+      fixed: result.fixed,
+      hasError: result.hasError,
+      reason: result.reason
+    });
+    normalizedLines.push(result.fixed);
+  });
+
+  const errorMessage = hasAnyError
+    ? "部分参数条件存在语法或语义错误，将被忽略。请检查红色标记的行，并使用形如「参数名 OP 值」，OP 为 ==, !=, >, >=, <, <=, in, not_in, contains, not_contains, within, not_within；多个条件可用 AND / OR / NOT 与括号组合。"
+    : "";
+
+  return {
+    conditions,
+    perLine,
+    hasError: hasAnyError,
+    errorMessage,
+    normalizedText: normalizedLines.join("\n")
+  };
+}
+
+// 文本中是否已有一个完整的 "参数名 OP 值" 条件（决定其后的 AND / OR 是否为逻辑关键字）
+const COMPLETE_SYMBOL_LEAF = /\S\s*(?:!=|>=|<=|==|>|<)\s*\S/;
+const COMPLETE_WORD_LEAF = new RegExp(`\\S\\s+(?:${LEAF_OPS.filter((op) => /^[a-z_]+$/.test(op)).join("|")})\\s+\\S`);
+
+/**
+ * 将一行条件切分为逻辑 token：括号、AND / OR / NOT 关键字，其余内容归为条件文本。
+ * 括号与关键字只在位于完整条件之间时才视为逻辑，值中的同样写法按原文保留：
+ * - 「(」只在条件开头（行首、「(」、AND / OR / NOT 之后）表示分组，值中的「(」与其配对的「)」属于值，
+ *   例如 "心情 == 开心(伪装)"；
+ * - AND / OR（以及 && / ||）只在前面已是完整条件或分组「)」时表示逻辑，例如 "状态 == AND" 中的 AND 属于值
+ *   （"状态 == A AND B" 的前半已是完整条件，其中的 AND 仍按逻辑解析）；
+ * - NOT 只在条件开头表示取反，例如 "状态 == NOT" 中的 NOT 属于值；
+ * - 关键字只在以空白或括号分隔的完整单词时识别（not_in、NOT_READY 等不受影响）。
+ * @param {string} line
+ * @returns {{ type: "text"|"lparen"|"rparen"|"and"|"or"|"not", value: string }[]}
+ */
+function tokenizeConditionLine(line) {
+  /** @type {{ type: "text"|"lparen"|"rparen"|"and"|"or"|"not", value: string }[]} */
+  const tokens = [];
+  const parts = line.split(/(\(|\)|&&|\|\||\s+)/).filter((p) => p !== undefined && p !== "");
+  let textBuffer = [];
+  let groupDepth = 0;
+  let valueParenDepth = 0;
+
+  const bufferedText = () => textBuffer.join("").trim();
+  const flushText = () => {
+    const value = bufferedText();
+    if (value) tokens.push({ type: "text", value });
+    textBuffer = [];
+  };
+  const atConditionStart = () => {
+    const last = tokens[tokens.length - 1];
+    return !bufferedText() && (!last || last.type === "lparen" || last.type === "and" || last.type === "or" || last.type === "not");
+  };
+  const afterCompleteCondition = () => {
+    if (valueParenDepth > 0) return false;
+    const text = bufferedText();
+    if (!text) return tokens[tokens.length - 1]?.type === "rparen";
+    return COMPLETE_SYMBOL_LEAF.test(text) || COMPLETE_WORD_LEAF.test(text);
+  };
+
+  for (const part of parts) {
+    if (part === "(") {
+      if (atConditionStart()) {
+        tokens.push({ type: "lparen", value: part });
+        groupDepth++;
+      } else {
+        textBuffer.push(part);
+        valueParenDepth++;
+      }
+    } else if (part === ")") {
+      if (valueParenDepth > 0) {
+        textBuffer.push(part);
+        valueParenDepth--;
+      } else if (groupDepth > 0 || !bufferedText()) {
+        flushText();
+        tokens.push({ type: "rparen", value: part });
+        groupDepth = Math.max(0, groupDepth - 1);
+      } else {
+        textBuffer.push(part);
       }
+    } else if ((part === "AND" || part === "&&") && afterCompleteCondition()) {
+      flushText();
+      tokens.push({ type: "and", value: "AND" });
+    } else if ((part === "OR" || part === "||") && afterCompleteCondition()) {
+      flushText();
+      tokens.push({ type: "or", value: "OR" });
+    } else if (part === "NOT" && atConditionStart()) {
+      tokens.push({ type: "not", value: "NOT" });
+    } else {
+      textBuffer.push(part);
     }
+  }
+  flushText();
+  return tokens;
+}
 
-    if (!matchedOp) {
-      hasAnyError = true;
-      perLine.push({
-        index,
-        raw: original,
-        fixed,
-        hasError: true,
-        reason: "缺少合法运算符（需要 ==, !=, >, >=, <, <=, in, not_in）"
-      });
-      normalizedLines.push(fixed);
-      return;
+/**
+ * 按 NOT > AND > OR 的优先级解析含分组的条件行（递归下降）。
+ * @param {{ type: string, value: string }[]} tokens
+ * @param {Record<string, any>|null} paramMap
+ * @returns {{ condition: any, fixed: string, hasError: boolean, reason: string }}
+ */
+function parseConditionExpression(tokens, paramMap) {
+  let pos = 0;
+  let firstError = "";
+
+  const fail = (reason) => {
+    if (!firstError) firstError = reason;
+  };
+
+  /** @returns {{ node: any, text: string, prec: number }|null} */
+  const parseOr = () => {
+    const first = parseAnd();
+    if (!first) return null;
+    const items = [first];
+    while (tokens[pos]?.type === "or") {
+      pos++;
+      const next = parseAnd();
+      if (!next) return null;
+      items.push(next);
     }
+    if (items.length === 1) return first;
+    return {
+      node: { any: items.map((i) => i.node) },
+      text: items.map((i) => (i.prec < 1 ? `(${i.text})` : i.text)).join(" OR "),
+      prec: 0
+    };
+  };
 
-    const left = fixed.slice(0, idx).trim();
-    const right = fixed.slice(idx + matchedOp.length + 2).trim();
+  const parseAnd = () => {
+    const first = parseNot();
+    if (!first) return null;
+    const items = [first];
+    while (tokens[pos]?.type === "and") {
+      pos++;
+      const next = parseNot();
+      if (!next) return null;
+      items.push(next);
+    }
+    if (items.length === 1) return first;
+    return {
+      node: { all: items.map((i) => i.node) },
+      text: items.map((i) => (i.prec < 1 ? `(${i.text})` : i.text)).join(" AND "),
+      prec: 1
+    };
+  };
 
-    if (!left) {
-      hasAnyError = true;
-      perLine.push({
-        index,
-        raw: original,
-        fixed,
-        hasError: true,
-        reason: "缺少参数名（运算符左侧不能为空）"
-      });
-      normalizedLines.push(fixed);
-      return;
+  const parseNot = () => {
+    if (tokens[pos]?.type === "not") {
+      pos++;
+      const operand = parseNot();
+      if (!operand) return null;
+      return {
+        node: { not: operand.node },
+        text: `NOT ${operand.prec < 2 ? `(${operand.text})` : operand.text}`,
+        prec: 2
+      };
     }
+    return parsePrimary();
+  };
 
-    /** @type {any} */
-    let value;
-    if (matchedOp === "in" || matchedOp === "not_in") {
-      const arr = right.split(/[\/,]/).map((s) => s.trim()).filter(Boolean);
-      if (!arr.length) {
-        hasAnyError = true;
-        perLine.push({
-          index,
-          raw: original,
-          fixed,
-          hasError: true,
-          reason: "in / not_in 右侧缺少有效值"
-        });
-        normalizedLines.push(fixed);
-        return;
+  const parsePrimary = () => {
+    const token = tokens[pos];
+    if (!token) {
+      fail("逻辑表达式意外结束（AND / OR / NOT 后缺少条件）");
+      return null;
+    }
+    if (token.type === "lparen") {
+      pos++;
+      const inner = parseOr();
+      if (!inner) return null;
+      if (tokens[pos]?.type !== "rparen") {
+        fail("括号不匹配：缺少「)」");
+        return null;
       }
-      value = arr;
-    } else if (right === "") {
-      hasAnyError = true;
-      perLine.push({
-        index,
-        raw: original,
-        fixed,
-        hasError: true,
-        reason: "运算符右侧值为空"
-      });
-      normalizedLines.push(fixed);
-      return;
-    } else if (!Number.isNaN(Number(right))) {
-      value = Number(right);
-    } else if (right === "true" || right === "false") {
-      value = right === "true";
-    } else {
-      value = right;
+      pos++;
+      return { ...inner, prec: 3, text: inner.prec < 3 ? `(${inner.text})` : inner.text };
     }
+    if (token.type === "text") {
+      pos++;
+      const leaf = parseConditionLeaf(token.value, paramMap);
+      if (leaf.hasError) {
+        fail(`「${leaf.fixed}」${leaf.reason}`);
+        return null;
+      }
+      return { node: leaf.condition, text: leaf.fixed, prec: 3 };
+    }
+    fail(`此处不应出现「${token.value}」`);
+    return null;
+  };
 
-    // 基于参数定义的语义校验（若提供了 parameterDefsByName）
-    /** @type {import("../../../core/variables.js").CeParameterDefinition | undefined} */
-    const paramDef = paramMap ? paramMap[left] : undefined;
+  const rawText = tokens.map((t) => t.value).join(" ").replace(/\( /g, "(").replace(/ \)/g, ")");
+  const result = parseOr();
 
-    if (paramMap && !paramDef) {
-      hasAnyError = true;
-      perLine.push({
-        index,
-        raw: original,
-        fixed,
-        hasError: true,
-        reason: `未在参数列表中找到名为「${left}」的参数，请先在「参数」Tab 中定义它`
-      });
-      normalizedLines.push(fixed);
-      return;
+  if (result && pos < tokens.length) {
+    fail(tokens[pos].type === "rparen" ? "括号不匹配：多余的「)」" : `此处不应出现「${tokens[pos].value}」`);
+  }
+
+  if (!result || firstError) {
+    return { condition: null, fixed: rawText, hasError: true, reason: firstError || "逻辑表达式无法解析" };
+  }
+
+  // 最外层括号在规范化文本中省略
+  const fixed = result.prec === 3 && result.text.startsWith("(") && result.text.endsWith(")")
+    && (result.node.all || result.node.any)
+    ? result.text.slice(1, -1)
+    : result.text;
+
+  return { condition: result.node, fixed, hasError: false, reason: "" };
+}
+
+/**
+ * 解析单个 "参数名 OP 值" 条件，并按参数定义做语义校验。
+ * @param {string} text
+ * @param {Record<string, import("../../../core/variables.js").CeParameterDefinition>|null} paramMap
+ * @returns {{
+ *   condition: import("../../../core/variables.js").CePromptRuleCondition|null,
+ *   fixed: string,
+ *   hasError: boolean,
+ *   reason: string
+ * }}
+ */
+function parseConditionLeaf(text, paramMap) {
+  const line = String(text ?? "").trim();
+
+  // 自动为符号运算符补空格：好感度>=60 -> 好感度 >= 60
+  let fixed = line;
+  for (const symOp of ["!=", ">=", "<=", "==", ">", "<"]) {
+    if (fixed.includes(symOp)) {
+      const re = new RegExp(`\\s*${symOp.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*`);
+      fixed = fixed.replace(re, ` ${symOp} `);
+      break;
     }
+  }
+  // 归一化空格
+  fixed = fixed.replace(/\s+/g, " ").trim();
 
-    /** @type {any} */
-    let finalValue = value;
-    let semanticError = "";
+  const error = (reason) => ({ condition: null, fixed, hasError: true, reason });
 
-    if (paramDef && paramDef.type) {
-      const paramType = paramDef.type;
+  let matchedOp = null;
+  let idx = -1;
+  for (const op of LEAF_OPS) {
+    idx = fixed.indexOf(` ${op} `);
+    if (idx > 0) {
+      matchedOp = op;
+      break;
+    }
+  }
 
-      if (paramType === "number") {
-        const toNumber = (v) => {
-          if (typeof v === "number") return v;
-          const n = Number(v);
-          return Number.isNaN(n) ? null : n;
-        };
+  if (!matchedOp) {
+    return error("缺少合法运算符（需要 ==, !=, >, >=, <, <=, in, not_in, contains, not_contains, within, not_within）");
+  }
 
-        if (matchedOp === "in" || matchedOp === "not_in") {
-          if (!Array.isArray(value)) {
-            semanticError = "数值型参数的 in / not_in 条件应使用数值列表";
-          } else {
-            const nums = value.map(toNumber);
-            if (nums.some((n) => n === null)) {
-              semanticError = "数值型参数的列表中包含无法解析为数值的值";
-            } else {
-              finalValue = nums;
-            }
-          }
+  const left = fixed.slice(0, idx).trim();
+  const right = fixed.slice(idx + matchedOp.length + 2).trim();
+
+  if (!left) {
+    return error("缺少参数名（运算符左侧不能为空）");
+  }
+
+  // 状态操作数：场景标签 / 当前地点 / Cast 分层，不查参数表
+  if (Object.prototype.hasOwnProperty.call(CONDITION_STATE_OPERANDS, left)) {
+    const allowedOps = CONDITION_STATE_OPERAND_OPS[CONDITION_STATE_OPERANDS[left]] || [];
+    if (!allowedOps.includes(matchedOp)) {
+      return error(`「${left}」只支持运算符：${allowedOps.join(", ")}`);
+    }
+    const items = LIST_OPS.has(matchedOp)
+      ? right.split(/[\/,]/).map((s) => s.trim()).filter(Boolean)
+      : [right];
+    if (!items.length || !items[0]) {
+      return error("运算符右侧值为空");
+    }
+    const stateValue = matchedOp === "in" || matchedOp === "not_in" || items.length > 1 ? items : items[0];
+    return {
+      condition: { parameterName: left, op: matchedOp, value: stateValue },
+      fixed,
+      hasError: false,
+      reason: ""
+    };
+  }
+
+  if (matchedOp === "within" || matchedOp === "not_within") {
+    return error("within / not_within 只能用于「当前地点」");
+  }
+
+  // 基于参数定义的语义校验（若提供了 parameterDefsByName）
+  /** @type {import("../../../core/variables.js").CeParameterDefinition | undefined} */
+  const paramDef = lookupParamDef(paramMap, left);
+
+  if (paramMap && !paramDef) {
+    return error(`未在参数列表中找到名为「${left}」的参数，请先在「参数」Tab 中定义它`);
+  }
+
+  // 右侧引用另一参数：A.好感度.玩家 > B.好感度.玩家 + 10
+  if (REF_OPS.has(matchedOp)) {
+    const ref = parseValueReference(right, paramMap);
+    if (ref) {
+      const refIsNumber = ref.paramDef.type === "number" || ref.paramDef.type === "derived";
+      if ((NUMERIC_OPS.has(matchedOp) || ref.offset !== 0) && !refIsNumber) {
+        return error(`右侧引用的参数「${ref.path}」不是数值型，无法比较大小或加减偏移`);
+      }
+      if (NUMERIC_OPS.has(matchedOp) && paramDef && paramDef.type !== "number" && paramDef.type !== "derived") {
+        return error("大小比较只能用于数值型参数");
+      }
+      const offsetText = ref.offset === 0 ? "" : ` ${ref.offset > 0 ? "+" : "-"} ${Math.abs(ref.offset)}`;
+      return {
+        condition: {
+          parameterName: left,
+          op: matchedOp,
+          value: null,
+          valueRef: ref.offset === 0 ? { path: ref.path } : { path: ref.path, offset: ref.offset }
+        },
+        fixed: `${left} ${matchedOp} ${ref.path}${offsetText}`,
+        hasError: false,
+        reason: ""
+      };
+    }
+  }
+
+  /** @type {any} */
+  let value;
+  if (matchedOp === "in" || matchedOp === "not_in") {
+    const arr = right.split(/[\/,]/).map((s) => s.trim()).filter(Boolean);
+    if (!arr.length) {
+      return error("in / not_in 右侧缺少有效值");
+    }
+    value = arr;
+  } else if (right === "") {
+    return error("运算符右侧值为空");
+  } else if (!Number.isNaN(Number(right))) {
+    value = Number(right);
+  } else if (right === "true" || right === "false") {
+    value = right === "true";
+  } else {
+    value = right;
+  }
+
+  /** @type {any} */
+  let finalValue = value;
+  let semanticError = "";
+
+  if (matchedOp === "contains" || matchedOp === "not_contains") {
+    if (paramDef && paramDef.type && paramDef.type !== "array" && paramDef.type !== "text") {
+      return error("contains / not_contains 只能用于数组型、文本型参数或状态操作数");
+    }
+    // 包含判断不做类型转换，直接按原文比较
+    return {
+      condition: { parameterName: left, op: matchedOp, value: right },
+      fixed,
+      hasError: false,
+      reason: ""
+    };
+  }
+
+  if (paramDef && paramDef.type) {
+    const paramType = paramDef.type;
+
+    if (paramType === "number") {
+      const toNumber = (v) => {
+        if (typeof v === "number") return v;
+        const n = Number(v);
+        return Number.isNaN(n) ? null : n;
+      };
+
+      if (matchedOp === "in" || matchedOp === "not_in") {
+        if (!Array.isArray(value)) {
+          semanticError = "数值型参数的 in / not_in 条件应使用数值列表";
         } else {
-          const n = toNumber(value);
-          if (n === null) {
-            semanticError = "该参数为数值型，但值不是合法数值";
+          const nums = value.map(toNumber);
+          if (nums.some((n) => n === null)) {
+            semanticError = "数值型参数的列表中包含无法解析为数值的值";
           } else {
-            finalValue = n;
+            finalValue = nums;
           }
         }
-
-        // 范围检查
-        if (
-          !semanticError &&
-          paramDef.range &&
-          (paramDef.range.min != null || paramDef.range.max != null)
-        ) {
-          const min = paramDef.range.min;
-          const max = paramDef.range.max;
-          const arr = Array.isArray(finalValue) ? finalValue : [finalValue];
-          const out = arr.filter(
-            (n) =>
-              typeof n === "number" &&
-              !Number.isNaN(n) &&
-              ((min != null && n < min) || (max != null && n > max))
-          );
-          if (out.length) {
-            if (min != null && max != null) {
-              semanticError = `数值 ${out.join(", ")} 超出该参数允许范围 [${min}, ${max}]`;
-            } else if (min != null) {
-              semanticError = `数值 ${out.join(", ")} 小于该参数允许的最小值 ${min}`;
-            } else {
-              semanticError = `数值 ${out.join(", ")} 大于该参数允许的最大值 ${max}`;
-            }
-          }
+      } else {
+        const n = toNumber(value);
+        if (n === null) {
+          semanticError = "该参数为数值型，但值不是合法数值";
+        } else {
+          finalValue = n;
         }
-      } else if (paramType === "enum") {
-        const enumValues = Array.isArray(paramDef.enumValues) ? paramDef.enumValues : [];
-
-        if (!enumValues.length) {
-          semanticError = "该参数为枚举型，但当前未在参数定义中配置枚举值列表";
-        } else if (matchedOp === "in" || matchedOp === "not_in") {
-          if (!Array.isArray(value)) {
-            semanticError = "枚举型参数的 in / not_in 条件应使用枚举值列表";
+      }
+
+      // 范围检查
+      if (
+        !semanticError &&
+        paramDef.range &&
+        (paramDef.range.min != null || paramDef.range.max != null)
+      ) {
+        const min = paramDef.range.min;
+        const max = paramDef.range.max;
+        const arr = Array.isArray(finalValue) ? finalValue : [finalValue];
+        const out = arr.filter(
+          (n) =>
+            typeof n === "number" &&
+            !Number.isNaN(n) &&
+            ((min != null && n < min) || (max != null && n > max))
+        );
+        if (out.length) {
+          if (min != null && max != null) {
+            semanticError = `数值 ${out.join(", ")} 超出该参数允许范围 [${min}, ${max}]`;
+          } else if (min != null) {
+            semanticError = `数值 ${out.join(", ")} 小于该参数允许的最小值 ${min}`;
           } else {
-            const vals = value.map((v) => String(v));
-            finalValue = vals;
-            const invalid = vals.filter((v) => !enumValues.includes(v));
-            if (invalid.length) {
-              semanticError = `列表中存在不在枚举列表中的值：${invalid.join(", ")}`;
-            }
+            semanticError = `数值 ${out.join(", ")} 大于该参数允许的最大值 ${max}`;
           }
+        }
+      }
+    } else if (paramType === "enum") {
+      const enumValues = Array.isArray(paramDef.enumValues) ? paramDef.enumValues : [];
+
+      if (!enumValues.length) {
+        semanticError = "该参数为枚举型，但当前未在参数定义中配置枚举值列表";
+      } else if (matchedOp === "in" || matchedOp === "not_in") {
+        if (!Array.isArray(value)) {
+          semanticError = "枚举型参数的 in / not_in 条件应使用枚举值列表";
         } else {
-          const vStr = String(value);
-          finalValue = vStr;
-          if (!enumValues.includes(vStr)) {
-            semanticError = `值「${vStr}」不在该参数的枚举列表中`;
+          const vals = value.map((v) => String(v));
+          finalValue = vals;
+          const invalid = vals.filter((v) => !enumValues.includes(v));
+          if (invalid.length) {
+            semanticError = `列表中存在不在枚举列表中的值：${invalid.join(", ")}`;
           }
         }
-      } else if (paramType === "boolean") {
-        const toBool = (v) => {
-          if (typeof v === "boolean") return v;
-          if (v === "true" || v === true) return true;
-          if (v === "false" || v === false) return false;
-          return null;
-        };
-
-        if (matchedOp === "in" || matchedOp === "not_in") {
-          if (!Array.isArray(value)) {
-            semanticError = "布尔型参数的 in / not_in 条件应使用 true/false 列表";
-          } else {
-            const parsed = value.map(toBool);
-            if (parsed.some((v) => v === null)) {
-              semanticError = "布尔型参数的列表值必须为 true 或 false";
-            } else {
-              finalValue = parsed;
-            }
-          }
+      } else {
+        const vStr = String(value);
+        finalValue = vStr;
+        if (!enumValues.includes(vStr)) {
+          semanticError = `值「${vStr}」不在该参数的枚举列表中`;
+        }
+      }
+    } else if (paramType === "boolean") {
+      const toBool = (v) => {
+        if (typeof v === "boolean") return v;
+        if (v === "true" || v === true) return true;
+        if (v === "false" || v === false) return false;
+        return null;
+      };
+
+      if (matchedOp === "in" || matchedOp === "not_in") {
+        if (!Array.isArray(value)) {
+          semanticError = "布尔型参数的 in / not_in 条件应使用 true/false 列表";
         } else {
-          const b = toBool(value);
-          if (b === null) {
-            semanticError = "布尔型参数的值应为 true 或 false";
+          const parsed = value.map(toBool);
+          if (parsed.some((v) => v === null)) {
+            semanticError = "布尔型参数的列表值必须为 true 或 false";
           } else {
-            finalValue = b;
+            finalValue = parsed;
           }
         }
       } else {
-        // 文本型等其它类型，目前不做额外值检查
-        finalValue = value;
+        const b = toBool(value);
+        if (b === null) {
+          semanticError = "布尔型参数的值应为 true 或 false";
+        } else {
+          finalValue = b;
+        }
       }
+    } else {
+      // 文本型等其它类型，目前不做额外值检查
+      finalValue = value;
     }
+  }
 
-    if (semanticError) {
-      hasAnyError = true;
-      perLine.push({
-        index,
-        raw: original,
-        fixed,
-        hasError: true,
-        reason: semanticError
-      });
-      normalizedLines.push(fixed);
-      return;
-    }
+  if (semanticError) {
+    return error(semanticError);
+  }
 
-    conditions.push({
+  return {
+    condition: {
       parameterName: left,
       op: matchedOp,
       value: finalValue
-    });
+    },
+    fixed,
+    hasError: false,
+    reason: ""
+  };
+}
 
-    perLine.push({
-      index,
-      raw: original,
-      fixed,
-      hasError: false,
-      reason: ""
-    });
-    normalizedLines.push(fixed);
-  });
+/**
+ * 按条件左侧写法查找参数定义：不含 "." 时直接按参数名查找，含 "." 时取路径中的参数名段
+ * @param {Record<string, import("../../../core/variables.js").CeParameterDefinition>|null} paramMap
+ * @param {string} name
+ * @returns {import("../../../core/variables.js").CeParameterDefinition|undefined}
+ */
+function lookupParamDef(paramMap, name) {
+  if (!paramMap) return undefined;
+  if (paramMap[name]) return paramMap[name];
+  if (!name.includes(".")) return undefined;
+  const { parameterName } = parseVariablePath(name);
+  return parameterName ? paramMap[parameterName] : undefined;
+}
 
-  const errorMessage = hasAnyError
-    ? "部分参数条件存在语法或语义错误，将被忽略。请检查红色标记的行，并使用形如「参数名 OP 值」，OP 为 ==, !=, >, >=, <, <=, in, not_in。"
-    : "";
+/**
+ * 尝试把右侧解析为「参数路径 [+|- 偏移]」。
+ * 只有参数部分能在参数表中找到时才视为引用，避免误伤恰好包含 "." 的字面量。
+ * @param {string} right
+ * @param {Record<string, import("../../../core/variables.js").CeParameterDefinition>|null} paramMap
+ * @returns {{ path: string, offset: number, paramDef: import("../../../core/variables.js").CeParameterDefinition }|null}
+ */
+function parseValueReference(right, paramMap) {
+  if (!paramMap) return null;
 
-  return {
-    conditions,
-    perLine,
-    hasError: hasAnyError,
-    errorMessage,
-    normalizedText: normalizedLines.join("\n")
-  };
-}
\ No newline at end of file
+  let operand = right.trim();
+  let offset = 0;
+  const offsetMatch = /^(.+?)\s*([+-])\s*(\d+(?:\.\d+)?)$/.exec(operand);
+  if (offsetMatch) {
+    operand = offsetMatch[1].trim();
+    offset = Number(offsetMatch[3]) * (offsetMatch[2] === "-" ? -1 : 1);
+  }
+  if (!operand || !Number.isNaN(Number(operand))) return null;
+
+  const paramDef = lookupParamDef(paramMap, operand);
+  if (!paramDef) return null;
+
+  return { path: operand, offset, paramDef };
+}
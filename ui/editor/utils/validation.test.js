@@ -0,0 +1,85 @@
+// 提示条件文本语法测试脚本（Node 运行，不依赖 SillyTavern）
+// 对每个用例调用 parseConditions()，检查是否报错以及解析出的条件结构。
+// 重点覆盖逻辑分组与值的边界：值中的括号、大写单词不能被误当作分组或 AND / OR / NOT。
+//
+// 运行：node --experimental-detect-module ui/editor/utils/validation.test.js
+// （Node 22.7+ 默认识别 ES 模块语法，可省略参数）
+
+import { parseConditions } from "./validation.js";
+
+/**
+ * @type {{ text: string, hasError?: boolean, conditions?: any[] }[]}
+ */
+const CASES = [
+  // 值中的括号与大写单词按原文保留
+  { text: "心情 == 开心(伪装)", conditions: [{ parameterName: "心情", op: "==", value: "开心(伪装)" }] },
+  { text: "状态 == NOT_READY", conditions: [{ parameterName: "状态", op: "==", value: "NOT_READY" }] },
+  { text: "状态 == NOT", conditions: [{ parameterName: "状态", op: "==", value: "NOT" }] },
+  { text: "状态 == AND", conditions: [{ parameterName: "状态", op: "==", value: "AND" }] },
+  {
+    text: "NOT (心情 == 开心(伪装) OR 好感度>=3)",
+    conditions: [{
+      not: {
+        any: [
+          { parameterName: "心情", op: "==", value: "开心(伪装)" },
+          { parameterName: "好感度", op: ">=", value: 3 }
+        ]
+      }
+    }]
+  },
+  // 分组与优先级
+  {
+    text: "(好感度 >= 60 OR 信任度 >= 80) AND NOT 恋爱阶段 == 敌对",
+    conditions: [{
+      all: [
+        { any: [{ parameterName: "好感度", op: ">=", value: 60 }, { parameterName: "信任度", op: ">=", value: 80 }] },
+        { not: { parameterName: "恋爱阶段", op: "==", value: "敌对" } }
+      ]
+    }]
+  },
+  {
+    text: "好感度 > 10 || 好感度 < 0 && 心情 == 低落",
+    conditions: [{
+      any: [
+        { parameterName: "好感度", op: ">", value: 10 },
+        { all: [{ parameterName: "好感度", op: "<", value: 0 }, { parameterName: "心情", op: "==", value: "低落" }] }
+      ]
+    }]
+  },
+  // 语法错误
+  { text: "(好感度 == 1))", hasError: true },
+  { text: "好感度 == 1 AND", hasError: true },
+  { text: "(好感度 == 1 OR 心情 == 开心", hasError: true }
+];
+
+function runAllTests() {
+  let failed = 0;
+
+  for (const testCase of CASES) {
+    const result = parseConditions(testCase.text);
+    const failures = [];
+    const expectError = testCase.hasError === true;
+
+    if (result.hasError !== expectError) {
+      failures.push(`hasError 为 ${result.hasError}，期望 ${expectError}（${result.perLine[0]?.reason || "无错误信息"}）`);
+    }
+    if (testCase.conditions && JSON.stringify(result.conditions) !== JSON.stringify(testCase.conditions)) {
+      failures.push(`条件：实际 ${JSON.stringify(result.conditions)}，期望 ${JSON.stringify(testCase.conditions)}`);
+    }
+
+    if (failures.length) {
+      failed++;
+      console.error(`✗ ${testCase.text}`);
+      failures.forEach(msg => console.error(`    ${msg}`));
+    } else {
+      console.log(`✓ ${testCase.text}`);
+    }
+  }
+
+  console.log(`\n${CASES.length - failed}/${CASES.length} 个用例通过`);
+  if (failed) {
+    process.exitCode = 1;
+  }
+}
+
+runAllTests();
@@ -6,11 +6,25 @@
 // - 自动刷新：监听 ST 事件，在切换聊天/角色/分支/滑动时自动刷新
 
 import { getConfigForCurrentCharacter, getCurrentCharacterName } from "../integration/card-storage.js";
-import { rebuildEngineStateUpTo, getChangeSetForIndex } from "../integration/chat-state-storage.js";
-import { getChat } from "../integration/st-context.js";
+import {
+  rebuildEngineStateUpTo,
+  getChangeSetForIndex,
+  getChangeSetStaleInfo,
+  exportEngineTimeline,
+  importEngineTimeline,
+  getAuthorOverrideForIndex,
+  setAuthorOverrideForIndex,
+  undoLastChangeSet,
+  redoChangeSet,
+  getUndoRedoStatus
+} from "../integration/chat-state-storage.js";
+import { createAuthorOverrideChangeSet } from "../core/change-set.js";
+import { getChat, getStContext } from "../integration/st-context.js";
+import { showAlert, showConfirm } from "./dialogs.js";
 import { buildPromptBundles } from "../core/prompt-slots.js";
-import { buildNormalizedEntities } from "../core/entities.js";
-import { parseVariablePath } from "../core/variables.js";
+import { buildNormalizedEntities, buildEntityAliasMap } from "../core/entities.js";
+import { parseVariablePath, createConditionStateContext } from "../core/variables.js";
+import { withDerivedParameters } from "../core/derived.js";
 import { eventSource, event_types } from "../../../../../script.js";
 
 /**
@@ -91,13 +105,19 @@ function ensureObserverModal() {
         <button class="ce-tab-btn ce-tab-btn-active" data-tab="timeline">时间线视图</button>
         <button class="ce-tab-btn" data-tab="engine">EngineState 概览</button>
         <button class="ce-tab-btn" data-tab="promptPreview">提示组合预览</button>
+        <button class="ce-tab-btn" data-tab="authorEdit">作者修正</button>
       </div>
       <div class="ce-modal-body">
         <div class="ce-tab-panel" data-tab-panel="timeline"></div>
         <div class="ce-tab-panel" data-tab-panel="engine" style="display:none;"></div>
         <div class="ce-tab-panel" data-tab-panel="promptPreview" style="display:none;"></div>
+        <div class="ce-tab-panel" data-tab-panel="authorEdit" style="display:none;"></div>
       </div>
       <div class="ce-modal-footer">
+        <button class="ce-btn ce-btn-secondary" data-action="undoChangeSet" title="撤销最后一次状态更新（保留消息内容）">撤销状态</button>
+        <button class="ce-btn ce-btn-secondary" data-action="redoChangeSet" title="恢复最近一次撤销的状态更新">重做状态</button>
+        <button class="ce-btn ce-btn-secondary" data-action="exportTimeline" title="导出初始状态与每条消息的 ChangeSet">导出时间线</button>
+        <button class="ce-btn ce-btn-secondary" data-action="importTimeline" title="按消息 ID 与内容哈希重新绑定到当前聊天">导入时间线</button>
         <button class="ce-btn ce-btn-secondary" data-action="refresh">刷新当前楼层</button>
         <button class="ce-btn ce-btn-secondary" data-action="close">关闭</button>
       </div>
@@ -187,6 +207,11 @@ function wireObserverModalEvents(root) {
     });
   }
 
+  const authorEditPanel = root.querySelector('[data-tab-panel="authorEdit"]');
+  if (authorEditPanel) {
+    authorEditPanel.addEventListener("click", onAuthorEditPanelClick);
+  }
+
   const footer = root.querySelector(".ce-modal-footer");
   if (footer) {
     footer.addEventListener("click", (ev) => {
@@ -197,6 +222,14 @@ function wireObserverModalEvents(root) {
 
       if (action === "refresh") {
         refreshObserverFromCurrentState();
+      } else if (action === "undoChangeSet") {
+        undoChangeSetFromObserver();
+      } else if (action === "redoChangeSet") {
+        redoChangeSetFromObserver();
+      } else if (action === "exportTimeline") {
+        downloadEngineTimeline();
+      } else if (action === "importTimeline") {
+        pickAndImportEngineTimeline();
       } else if (action === "close") {
         closeCeStateObserverPanel();
       }
@@ -204,6 +237,113 @@ function wireObserverModalEvents(root) {
   }
 }
 
+/**
+ * 撤销最后一次状态更新，并跳转到被撤销的楼层
+ */
+async function undoChangeSetFromObserver() {
+  try {
+    const result = await undoLastChangeSet();
+    if (!result) {
+      await showAlert("没有可撤销的状态更新。");
+      return;
+    }
+    logDebug(`已撤销楼层 ${result.index} 的 ChangeSet`, result.changeSet);
+    jumpToFloor(result.index);
+  } catch (err) {
+    showAlert(`撤销失败: ${err.message}`);
+  }
+}
+
+/**
+ * 重做最近一次撤销的状态更新，并跳转到恢复的楼层
+ */
+async function redoChangeSetFromObserver() {
+  try {
+    const result = await redoChangeSet();
+    if (!result) {
+      await showAlert("没有可重做的状态更新。");
+      return;
+    }
+    logDebug(`已重做楼层 ${result.index} 的 ChangeSet`, result.changeSet);
+    jumpToFloor(result.index);
+  } catch (err) {
+    showAlert(`重做失败: ${err.message}`);
+  }
+}
+
+/**
+ * 按当前聊天的撤销 / 重做可用性更新底部按钮
+ */
+function updateUndoRedoButtons() {
+  if (!observerModalRoot) return;
+  const { canUndo, canRedo, undoIndex, redoIndex } = getUndoRedoStatus();
+
+  const undoBtn = observerModalRoot.querySelector('[data-action="undoChangeSet"]');
+  if (undoBtn) {
+    undoBtn.disabled = !canUndo;
+    undoBtn.title = canUndo ? `撤销楼层 ${undoIndex} 的状态更新（保留消息内容）` : "没有可撤销的状态更新";
+  }
+  const redoBtn = observerModalRoot.querySelector('[data-action="redoChangeSet"]');
+  if (redoBtn) {
+    redoBtn.disabled = !canRedo;
+    redoBtn.title = canRedo ? `恢复楼层 ${redoIndex} 的状态更新` : "没有可重做的状态更新";
+  }
+}
+
+/**
+ * 将当前聊天的引擎时间线下载为 JSON 文件
+ */
+function downloadEngineTimeline() {
+  try {
+    const timeline = exportEngineTimeline();
+    const chatId = String(getStContext().chatId ?? "chat");
+    const safeName = chatId.replace(/[^a-zA-Z0-9\u4e00-\u9fa5_-]/g, "_");
+    const blob = new Blob([JSON.stringify(timeline, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${safeName}_ce_timeline.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    logDebug(`时间线已导出：${timeline.changeSets.length} 条 ChangeSet`);
+  } catch (err) {
+    showAlert(`导出失败: ${err.message}`);
+  }
+}
+
+/**
+ * 选择时间线文件并导入到当前聊天（替换当前聊天的引擎状态）
+ */
+function pickAndImportEngineTimeline() {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json";
+  input.addEventListener("change", async () => {
+    const file = input.files?.[0];
+    if (!file) return;
+
+    const confirmed = await showConfirm(
+      "导入时间线将替换当前聊天的初始状态与全部 ChangeSet，无法匹配到当前消息的记录会被丢弃。是否继续？",
+      "导入时间线"
+    );
+    if (!confirmed) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const report = await importEngineTimeline(data);
+      refreshObserverFromCurrentState();
+      await showAlert(
+        `导入完成：共 ${report.total} 条 ChangeSet，直接匹配 ${report.exact} 条，按内容重新绑定 ${report.rebound} 条，未匹配 ${report.unmatched} 条。`
+      );
+    } catch (err) {
+      showAlert(`导入失败: ${err.message}`);
+    }
+  });
+  input.click();
+}
+
 /**
  * Tab 切换
  * @param {HTMLElement} root
@@ -275,6 +415,8 @@ function refreshObserverFromCurrentState() {
   renderTimelineView(currentFloorIndex, chat, charConfig, engineState, currentCharacterName);
   renderEngineOverview(engineState, charConfig, currentCharacterName);
   renderPromptPreview(charConfig, engineState, currentCharacterName);
+  renderAuthorEditPanel(currentFloorIndex, engineState);
+  updateUndoRedoButtons();
 }
 
 /**
@@ -352,7 +494,7 @@ function renderTimelineView(floorIndex, chat, charConfig, engineState, currentCh
       </div>
 
       <!-- 解析输出 -->
-      ${renderParseOutput(changeSet, isUser)}
+      ${renderParseOutput(changeSet, isUser, getChangeSetStaleInfo(floorIndex))}
 
       <!-- Cast & 场景信息 -->
       ${renderCastAndSceneSection(engineState, changeSet)}
@@ -367,8 +509,18 @@ function renderTimelineView(floorIndex, chat, charConfig, engineState, currentCh
  * 渲染解析输出部分
  * @param {any} changeSet
  * @param {boolean} isUser
+ * @param {{ policy: string, threshold: number, distance: number|null }|null} [staleInfo] - 消息在解析后被编辑、但沿用了原 ChangeSet
  */
-function renderParseOutput(changeSet, isUser) {
+function renderParseOutput(changeSet, isUser, staleInfo = null) {
+  if (changeSet?.undone && !changeSet.authorOverride) {
+    return `
+      <div class="ce-timeline-section">
+        <div class="ce-timeline-section-title">解析模型输出</div>
+        <div class="ce-timeline-content ce-hint">该楼层的状态更新已撤销（可点击底部「重做状态」恢复）</div>
+      </div>
+    `;
+  }
+
   if (!changeSet) {
     return `
       <div class="ce-timeline-section">
@@ -381,6 +533,21 @@ function renderParseOutput(changeSet, isUser) {
   }
 
   const sections = [];
+
+  // 消息在解析后被编辑过，但按编辑策略沿用了原结果
+  if (staleInfo) {
+    const distanceText = staleInfo.distance === null
+      ? '未知（旧记录未保存原文）'
+      : staleInfo.distance > staleInfo.threshold
+        ? `超过 ${Math.round(staleInfo.threshold * 100)}%`
+        : `${Math.round(staleInfo.distance * 100)}%`;
+    sections.push(`
+      <div class="ce-parse-subsection">
+        <div class="ce-parse-subsection-title">⚠️ 解析结果可能已过时</div>
+        <div class="ce-hint">消息在解析后被编辑过（编辑幅度：${escapeHtml(distanceText)}），按当前设置沿用了原解析结果，未重新解析。</div>
+      </div>
+    `);
+  }
   
   // 优先显示原始文本（如果存在）
   if (changeSet.rawText) {
@@ -483,6 +650,88 @@ function renderParseOutput(changeSet, isUser) {
     }
   }
 
+  // 解析输出自我修正（把问题发回解析模型后重新输出）
+  if (changeSet.parseRepair && changeSet.parseRepair.attempts > 0) {
+    const repair = changeSet.parseRepair;
+    const renderIssues = (issues) => issues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('');
+    sections.push(`
+      <div class="ce-parse-subsection">
+        <div class="ce-parse-subsection-title">🔁 自我修正 (${repair.attempts} 次，约 ${repair.estimatedTokens || 0} tokens)</div>
+        <div style="padding:8px;">
+          <div><strong>结果：</strong>${repair.recovered ? '已修正' : `仍有 ${(repair.remainingIssues || []).length} 个问题`}</div>
+          ${repair.issues?.length ? `<div><strong>原输出的问题：</strong><ul>${renderIssues(repair.issues)}</ul></div>` : ''}
+          ${repair.remainingIssues?.length ? `<div><strong>仍存在的问题：</strong><ul>${renderIssues(repair.remainingIssues)}</ul></div>` : ''}
+        </div>
+      </div>
+    `);
+  }
+
+  // 变量操作校验（按参数定义规整或拒绝的操作）
+  if (Array.isArray(changeSet.opWarnings) && changeSet.opWarnings.length > 0) {
+    const warnings = changeSet.opWarnings;
+    const actionLabels = { coerced: '已转换', clamped: '已截断', rejected: '已拒绝', duplicate: '已去重', renamed: '已对齐', unresolved: '未对齐' };
+    const describeResult = (w) => {
+      if (w.action === 'rejected' || w.action === 'duplicate') return `${JSON.stringify(w.original)} → （丢弃）`;
+      if (w.action === 'unresolved') return `${JSON.stringify(w.original)} → （保留原名称）`;
+      return `${JSON.stringify(w.original)} → ${JSON.stringify(w.value)}`;
+    };
+    sections.push(`
+      <div class="ce-parse-subsection">
+        <div class="ce-parse-subsection-title">⚠️ 操作校验 (${warnings.length} 条警告)</div>
+        <table class="ce-table ce-table-compact">
+          <thead>
+            <tr>
+              <th>路径</th>
+              <th>处理</th>
+              <th>原始值 → 结果</th>
+              <th>说明</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${warnings.map(w => `
+              <tr>
+                <td>${escapeHtml(w.path || '')}</td>
+                <td>${escapeHtml(actionLabels[w.action] || w.action || '')}</td>
+                <td>${escapeHtml(describeResult(w))}</td>
+                <td>${escapeHtml(w.message || '')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `);
+  }
+
+  // 触发器（阈值越过事件，效果已折叠进上面的操作中）
+  if (Array.isArray(changeSet.triggerEvents) && changeSet.triggerEvents.length > 0) {
+    const events = changeSet.triggerEvents;
+    sections.push(`
+      <div class="ce-parse-subsection">
+        <div class="ce-parse-subsection-title">触发器 (${events.length} 个事件)</div>
+        <table class="ce-table ce-table-compact">
+          <thead>
+            <tr>
+              <th>触发器</th>
+              <th>路径</th>
+              <th>越过</th>
+              <th>一次性提示</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${events.map(e => `
+              <tr>
+                <td>${escapeHtml(e.triggerName || '')}</td>
+                <td>${escapeHtml(e.path || '')}</td>
+                <td>${escapeHtml(`${e.from} → ${e.to}（${e.direction === 'down' ? '向下' : '向上'}越过 ${e.threshold}）`)}</td>
+                <td>${escapeHtml(e.prompt || '')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `);
+  }
+
   // WorldContextIntent
   if (changeSet.worldIntent) {
     const queries = changeSet.worldIntent.Queries || changeSet.worldIntent.queries || [];
@@ -641,6 +890,7 @@ function renderParametersSection(charConfig, engineState, currentCharacterName)
   // 收集所有实体的参数值
   const vars = engineState?.variables || {};
   const rows = [];
+  const getValueByPath = createPathBasedValueGetter(params, engineState);
   
   // 获取角色卡配置以检查禁用状态
   const options = charConfig.options || {};
@@ -703,15 +953,17 @@ function renderParametersSection(charConfig, engineState, currentCharacterName)
         const entityName = entity.name;
         const entityBucket = bucket[entityName];
         
-        // 检查这个实体是否有这个参数的值（同时检查 name 和 id）
-        const value = entityBucket?.[p.name] ?? entityBucket?.[p.id];
+        // 检查这个实体是否有这个参数的值（同时检查 name 和 id）；派生参数按定义计算
+        const value = p.type === "derived"
+          ? resolveDerivedForObserver(getValueByPath, vars, entityName, p)
+          : entityBucket?.[p.name] ?? entityBucket?.[p.id];
         
         foundAny = true;
         const valueStr = formatParamValue(value);
         rows.push(`
           <tr>
             <td style="font-weight:500;">${escapeHtml(entityName)}</td>
-            <td>${escapeHtml(p.name || "")}</td>
+            <td>${escapeHtml(p.name || "")}${p.type === "derived" ? ' <span style="color:#999;">(派生)</span>' : ""}</td>
             <td>${escapeHtml(valueStr)}</td>
           </tr>
         `);
@@ -728,8 +980,10 @@ function renderParametersSection(charConfig, engineState, currentCharacterName)
         `);
       }
     } else {
-      // scene 或 global scope，直接查找
-      const value = bucket[p.name] ?? bucket[p.id];
+      // scene 或 global scope，直接查找；派生参数按定义计算
+      const value = p.type === "derived"
+        ? getValueByPath(p.name)
+        : bucket[p.name] ?? bucket[p.id];
       const valueStr = formatParamValue(value);
       rows.push(`
         <tr>
@@ -762,6 +1016,38 @@ function renderParametersSection(charConfig, engineState, currentCharacterName)
   `;
 }
 
+/**
+ * 计算派生参数在某实体上的值（关系型派生参数会按已有关系目标逐一计算）
+ * @param {(path: string) => any} getValueByPath
+ * @param {any} vars - EngineState.variables
+ * @param {string} entityName
+ * @param {import("../core/variables.js").CeParameterDefinition} p
+ * @returns {any}
+ */
+function resolveDerivedForObserver(getValueByPath, vars, entityName, p) {
+  if (p.scope !== "relationship") {
+    return getValueByPath(`${entityName}.${p.name}`);
+  }
+
+  // 从该实体已有的关系型变量中收集目标名
+  const targets = new Set();
+  const relBucket = vars?.relationship?.[entityName];
+  if (relBucket && typeof relBucket === "object") {
+    for (const byTarget of Object.values(relBucket)) {
+      if (byTarget && typeof byTarget === "object" && !Array.isArray(byTarget)) {
+        Object.keys(byTarget).forEach(t => targets.add(t));
+      }
+    }
+  }
+
+  const result = {};
+  for (const target of targets) {
+    const v = getValueByPath(`${entityName}.${p.name}.${target}`);
+    if (v !== undefined) result[target] = v;
+  }
+  return Object.keys(result).length ? result : undefined;
+}
+
 /**
  * 渲染 Cast & 场景信息部分
  * @param {any} engineState
@@ -894,7 +1180,7 @@ function renderEngineOverview(engineState, charConfig, currentCharacterName) {
 
   panel.innerHTML = `
     <div class="ce-section-header">
-      <span>运行时 EngineState 概览（只读）</span>
+      <span>运行时 EngineState 概览（只读，修正请使用「作者修正」）</span>
     </div>
     <div class="ce-hint">
       这里展示的是当前对话楼层重建后的内部状态快照，包括（基于参数系统推断的）短期情绪/意图、场景标签、cast 层级以及原始变量桶。
@@ -934,6 +1220,240 @@ ${escapeHtml(JSON.stringify(vars, null, 2))}
   `;
 }
 
+/* ==========================
+ * Panel 3: 作者修正
+ * ========================== */
+
+/**
+ * 渲染作者修正面板：在当前楼层手动修正参数、地点、场景标签与 Cast，
+ * 保存为该楼层的作者覆盖 ChangeSet（set 语义），之后的楼层基于修正后的状态重建。
+ * @param {number} floorIndex
+ * @param {any} engineState - 当前楼层重建后的状态（已包含已有的作者覆盖）
+ */
+function renderAuthorEditPanel(floorIndex, engineState) {
+  if (!observerModalRoot) return;
+  const panel = observerModalRoot.querySelector('[data-tab-panel="authorEdit"]');
+  if (!panel) return;
+
+  const chat = getChat() || [];
+  if (!chat[floorIndex]) {
+    panel.innerHTML = `<div class="ce-hint">该楼层不存在</div>`;
+    return;
+  }
+
+  const override = getAuthorOverrideForIndex(floorIndex);
+  const overrideScene = override?.sceneDelta || {};
+  const overrideVars = Array.isArray(override?.stateDelta?.variables) ? override.stateDelta.variables : [];
+  const variableRows = [...overrideVars.map(v => ({ path: v.path, value: v.value })), { path: "", value: "" }];
+
+  const scene = engineState?.scene || {};
+  const cast = engineState?.cast || {};
+  const location = engineState?.locationCast?.current || scene.locationHint || "";
+  const knownPaths = flattenVariablePaths(engineState?.variables || {});
+
+  panel.innerHTML = `
+    <div class="ce-section-header">
+      <span>作者修正 - 楼层 ${floorIndex}</span>
+    </div>
+    <div class="ce-hint">
+      修正会保存为该楼层的「作者覆盖」ChangeSet（全部为 set 语义），回放时在该楼层解析结果之后应用，之后的楼层基于修正后的状态重建。
+      ${override ? "<br/><strong>本楼层已有作者修正。</strong>" : ""}
+    </div>
+
+    <div class="ce-timeline-section">
+      <div class="ce-timeline-section-title">参数</div>
+      <datalist id="ce-author-edit-paths">
+        ${knownPaths.map(p => `<option value="${escapeHtml(p.path)}">${escapeHtml(formatParamValue(p.value))}</option>`).join("")}
+      </datalist>
+      <div data-ce-author-vars>
+        ${variableRows.map(buildAuthorVariableRowHtml).join("")}
+      </div>
+      <button type="button" class="ce-btn ce-btn-small" data-action="addAuthorVar">添加一行</button>
+    </div>
+
+    <div class="ce-timeline-section">
+      <div class="ce-timeline-section-title">场景</div>
+      <div class="ce-form-row">
+        <label>
+          <input type="checkbox" data-ce-author-enable="location"${overrideScene.locationCastIntent ? " checked" : ""}/>
+          <span class="ce-form-label">修正当前地点：</span>
+          <input type="text" data-ce-author-field="location" value="${escapeHtml(location)}" placeholder="留空表示无地点"/>
+        </label>
+      </div>
+      <div class="ce-form-row">
+        <label>
+          <input type="checkbox" data-ce-author-enable="sceneTags"${overrideScene.sceneTags ? " checked" : ""}/>
+          <span class="ce-form-label">修正场景标签：</span>
+          <input type="text" data-ce-author-field="sceneTags" value="${escapeHtml((scene.sceneTags || []).join(", "))}" placeholder="逗号分隔"/>
+        </label>
+      </div>
+    </div>
+
+    <div class="ce-timeline-section">
+      <div class="ce-timeline-section-title">
+        <label>
+          <input type="checkbox" data-ce-author-enable="cast"${overrideScene.castSet ? " checked" : ""}/>
+          修正 Cast 层级
+        </label>
+      </div>
+      ${[["focus", "焦点角色"], ["presentSupporting", "在场配角"], ["offstageRelated", "场外相关"]].map(([layer, label]) => `
+        <div class="ce-form-row">
+          <label>
+            <span class="ce-form-label">${label}：</span>
+            <input type="text" data-ce-author-field="cast.${layer}" value="${escapeHtml((cast[layer] || []).join(", "))}" placeholder="逗号分隔"/>
+          </label>
+        </div>
+      `).join("")}
+    </div>
+
+    <div style="display:flex;gap:6px;margin-top:8px;">
+      <button type="button" class="ce-btn" data-action="saveAuthorOverride">保存修正</button>
+      <button type="button" class="ce-btn ce-btn-secondary" data-action="clearAuthorOverride"${override ? "" : " disabled"}>清除本楼层修正</button>
+    </div>
+  `;
+}
+
+/**
+ * 构建一行参数修正输入
+ * @param {{ path: string, value: any }} row
+ * @returns {string}
+ */
+function buildAuthorVariableRowHtml(row) {
+  const valueText = row.value === undefined || row.value === null
+    ? ""
+    : (typeof row.value === "object" ? JSON.stringify(row.value) : String(row.value));
+  return `
+    <div class="ce-form-row-multi" data-ce-author-var-row>
+      <label>
+        <span class="ce-form-label">路径：</span>
+        <input type="text" list="ce-author-edit-paths" data-ce-author-var="path" value="${escapeHtml(row.path || "")}" placeholder="例如：艾莉娅.好感度.玩家"/>
+      </label>
+      <label>
+        <span class="ce-form-label">值：</span>
+        <input type="text" data-ce-author-var="value" value="${escapeHtml(valueText)}" placeholder="例如：60"/>
+      </label>
+      <button type="button" class="ce-btn ce-btn-small" data-action="deleteAuthorVar" title="删除">×</button>
+    </div>
+  `;
+}
+
+/**
+ * 将变量桶展开为「路径 → 值」列表，供修正面板的路径补全使用
+ * @param {Object} variables - EngineState.variables
+ * @returns {Array<{ path: string, value: any }>}
+ */
+function flattenVariablePaths(variables) {
+  const result = [];
+  const walk = (node, segments) => {
+    if (node && typeof node === "object" && !Array.isArray(node) && segments.length < 3) {
+      for (const [key, child] of Object.entries(node)) {
+        walk(child, [...segments, key]);
+      }
+      return;
+    }
+    if (segments.length) result.push({ path: segments.join("."), value: node });
+  };
+  for (const bucket of Object.values(variables)) {
+    walk(bucket, []);
+  }
+  return result;
+}
+
+/**
+ * 将输入框中的文本解释为参数值：数值、布尔、JSON 数组/对象，其余按文本处理
+ * （写入时还会按参数定义再做一次规整）
+ * @param {string} text
+ * @returns {any}
+ */
+function parseAuthorEditValue(text) {
+  const raw = String(text ?? "").trim();
+  if (raw !== "" && !Number.isNaN(Number(raw))) return Number(raw);
+  if (raw === "true" || raw === "false") return raw === "true";
+  if (raw.startsWith("[") || raw.startsWith("{")) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      // 按文本处理
+    }
+  }
+  return raw;
+}
+
+/**
+ * 从修正面板收集作者覆盖 ChangeSet
+ * @param {HTMLElement} panel
+ * @returns {import("../core/change-set.js").CeChangeSet|null}
+ */
+function collectAuthorOverride(panel) {
+  const splitList = (text) => String(text || "").split(/[,，]/).map(t => t.trim()).filter(Boolean);
+  const fieldValue = (name) => {
+    const el = /** @type {HTMLInputElement|null} */ (panel.querySelector(`[data-ce-author-field="${name}"]`));
+    return el ? el.value : "";
+  };
+  const isEnabled = (name) => {
+    const el = /** @type {HTMLInputElement|null} */ (panel.querySelector(`[data-ce-author-enable="${name}"]`));
+    return !!el?.checked;
+  };
+
+  const variables = [];
+  panel.querySelectorAll("[data-ce-author-var-row]").forEach((row) => {
+    const pathEl = /** @type {HTMLInputElement|null} */ (row.querySelector('[data-ce-author-var="path"]'));
+    const valueEl = /** @type {HTMLInputElement|null} */ (row.querySelector('[data-ce-author-var="value"]'));
+    const path = pathEl ? pathEl.value.trim() : "";
+    if (!path) return;
+    variables.push({ path, value: parseAuthorEditValue(valueEl ? valueEl.value : "") });
+  });
+
+  return createAuthorOverrideChangeSet({
+    variables,
+    location: isEnabled("location") ? (fieldValue("location").trim() || null) : undefined,
+    sceneTags: isEnabled("sceneTags") ? splitList(fieldValue("sceneTags")) : undefined,
+    cast: isEnabled("cast")
+      ? {
+          focus: splitList(fieldValue("cast.focus")),
+          presentSupporting: splitList(fieldValue("cast.presentSupporting")),
+          offstageRelated: splitList(fieldValue("cast.offstageRelated"))
+        }
+      : undefined
+  });
+}
+
+/**
+ * 作者修正面板点击事件
+ * @param {MouseEvent} ev
+ */
+async function onAuthorEditPanelClick(ev) {
+  const target = ev.target;
+  if (!(target instanceof HTMLElement)) return;
+  const actionBtn = target.closest("[data-action]");
+  const action = actionBtn?.dataset.action;
+  if (!action) return;
+
+  const panel = /** @type {HTMLElement} */ (ev.currentTarget);
+
+  if (action === "addAuthorVar") {
+    const list = panel.querySelector("[data-ce-author-vars]");
+    if (list) list.insertAdjacentHTML("beforeend", buildAuthorVariableRowHtml({ path: "", value: "" }));
+  } else if (action === "deleteAuthorVar") {
+    const row = target.closest("[data-ce-author-var-row]");
+    if (row && row.parentElement) row.parentElement.removeChild(row);
+  } else if (action === "saveAuthorOverride") {
+    const override = collectAuthorOverride(panel);
+    if (!override) {
+      await showAlert("没有需要保存的修正。");
+      return;
+    }
+    await setAuthorOverrideForIndex(currentFloorIndex, override);
+    logDebug(`楼层 ${currentFloorIndex} 已保存作者修正`, override);
+    refreshObserverFromCurrentState();
+  } else if (action === "clearAuthorOverride") {
+    const confirmed = await showConfirm(`清除楼层 ${currentFloorIndex} 的作者修正？`, "清除修正");
+    if (!confirmed) return;
+    await setAuthorOverrideForIndex(currentFloorIndex, null);
+    refreshObserverFromCurrentState();
+  }
+}
+
 /**
  * 创建一个基于路径的参数值查找函数（与 prompt-builder.js 保持一致）
  * @param {import("../core/variables.js").CeParameterDefinition[]} parameters
@@ -941,7 +1461,7 @@ ${escapeHtml(JSON.stringify(vars, null, 2))}
  * @returns {(path: string) => any}
  */
 function createPathBasedValueGetter(parameters, engineState) {
-  return (path) => {
+  return withDerivedParameters(parameters, (path) => {
     const trimmedPath = String(path || "").trim();
     if (!trimmedPath) return undefined;
 
@@ -984,7 +1504,7 @@ function createPathBasedValueGetter(parameters, engineState) {
     }
     
     return undefined;
-  };
+  });
 }
 
 /**
@@ -1109,7 +1629,12 @@ function renderPromptPreview(charConfig, engineState, currentCharacterName) {
   }
 
   // 1) 构造 ownerName → promptTypeName → 文本 的 bundle
-  const bundles = buildPromptBundles(prompts, getValueByPath);
+  const bundles = buildPromptBundles(
+    prompts,
+    getValueByPath,
+    createConditionStateContext(engineState, charConfig.entities || []),
+    buildEntityAliasMap(charConfig.entities || [])
+  );
   const ownerNames = Object.keys(bundles);
 
   if (!ownerNames.length) {